@@ -1,13 +1,17 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import "@fhevm/solidity/contracts/TFHE.sol";
-import "@fhevm/solidity/contracts/Gateway.sol";
+import "fhevm/lib/TFHE.sol";
+import "fhevm/gateway/GatewayCaller.sol";
+import "./ConfidentialToken.sol";
 
 /**
  * @title ConfidentialPayroll
  * @notice A privacy-preserving payroll system using Zama's FHE technology
- * @dev Allows companies to pay employees with encrypted salaries
+ * @dev Allows companies to pay employees with encrypted salaries. Deployed behind a
+ *      TransparentUpgradeableProxy (scripts/deploy.js); scripts/upgrade.js only accepts a
+ *      new implementation whose storage layout keeps every existing state variable in
+ *      place, so new state variables go after the last one.
  */
 contract ConfidentialPayroll is GatewayCaller {
     
@@ -15,39 +19,150 @@ contract ConfidentialPayroll is GatewayCaller {
     // STATE VARIABLES
     // ============================================
     
+    // Company administration roles. The owner implicitly holds every role.
+    enum Role { Owner, HR, PayrollApprover }
+    
+    // Encrypted pay components on top of the base salary
+    enum PayComponent { Bonus, Deductions, Withholding }
+    
+    // How often an employee is paid; None leaves it to the company default
+    enum PayFrequency { None, Weekly, Biweekly, Monthly }
+    
     struct Company {
         string name;
         address owner;
         bool isRegistered;
         uint256 employeeCount;
         uint256 totalPayments;
+        uint256 approvalThreshold; // approvals a payroll run needs (M)
+        uint256 approverCount;     // granted payroll approvers, not counting the owner
+        uint256 approvalEpoch;     // bumped when the threshold is raised, voiding pending approvals
     }
     
     struct Employee {
         address employeeAddress;
         address companyAddress;
-        euint64 encryptedSalary;
+        euint64 encryptedSalary;       // base salary per payment
         uint256 lastPaymentTime;
         uint256 totalReceived;
         bool isActive;
+        euint64 encryptedBonus;        // one-off, cleared once paid
+        euint64 encryptedDeductions;   // recurring, taken from every payment
+        euint64 encryptedWithholding;  // tax withheld from gross pay, in basis points
     }
     
+    // encryptedAmount is the net amount actually transferred
     struct PaymentRecord {
         address from;
         address to;
         euint64 encryptedAmount;
         uint256 timestamp;
+        euint64 encryptedGross;
+        euint64 encryptedDeductions;
+        euint64 encryptedWithholding;
+    }
+    
+    // Approvals only count while their approver still holds the role and the company
+    // hasn't raised its threshold since (approvalEpoch), and a run expires one PAY_PERIOD
+    // after it was proposed
+    struct PayrollRun {
+        address company;
+        address proposer;
+        address[] employees;
+        // Company approval epoch the approvers approved under
+        uint256 approvalEpoch;
+        uint256 createdAt;
+        bool executed;
+        bool cancelled;
+        address[] approvers;
+    }
+    
+    // Pay dates are `anchor` plus whole weeks, fortnights or calendar months (UTC). A
+    // monthly anchor on the 29th-31st falls on the last day of shorter months.
+    struct PaySchedule {
+        PayFrequency frequency;
+        uint64 anchor;
+    }
+    
+    // Read access to an employee's salary granted by the employee
+    struct SalaryGrant {
+        bool active;
+        uint64 expiresAt; // 0 = no expiry
+    }
+    
+    struct BalanceRequest {
+        address employee;
+        address company;
+        uint256 deadline;
+        bool fulfilled;
+        uint64 decryptedSalary;
     }
     
     // Mappings
-    mapping(address => Company) public companies;
-    mapping(address => Employee) public employees;
-    mapping(address => mapping(address => bool)) public companyEmployees;
+    mapping(address => Company) internal companies;
     mapping(address => PaymentRecord[]) public paymentHistory;
+    mapping(uint256 => BalanceRequest) internal balanceRequests;
+    
+    // Employment records by company, then employee. An address can work for several
+    // companies at once, and a company that re-hires someone reuses their record.
+    mapping(address => mapping(address => Employee)) internal employments;
+    // Every company that has employed an address, in order of first hire
+    mapping(address => address[]) internal employers;
+    mapping(address => uint256) public activeEmploymentCount;
+    
+    // Companies are identified by the address that registered them. Every owner, HR
+    // manager and approver belongs to exactly one company, and can still be employed by any.
+    mapping(address => address) public memberOf;
+    mapping(address => mapping(address => mapping(Role => bool))) internal companyRoles;
+    
+    // Payroll runs awaiting approval, by run ID
+    mapping(uint256 => PayrollRun) internal payrollRuns;
+    mapping(uint256 => mapping(address => bool)) internal approvedRun;
+    uint256 public payrollRunCount;
+    
+    // Per-company payroll treasury and the sum of its active employees' salaries;
+    // both encrypted and readable by the company owner only
+    mapping(address => euint64) internal treasuries;
+    mapping(address => euint64) internal activeSalaryTotals;
+    
+    // Encrypted amount paid out per pay period (owner-readable), and the periods with
+    // payments in the order they started
+    mapping(address => mapping(uint256 => euint64)) internal periodPayrollTotals;
+    mapping(address => uint256[]) internal payrollPeriods;
+    
+    // Pay schedules by company, then employee; address(0) holds the company default
+    mapping(address => mapping(address => PaySchedule)) internal paySchedules;
+    
+    // Third parties (lenders, landlords, auditors) an employee shares their salary with;
+    // employee => grantee => grant, plus the employee's current grantees
+    mapping(address => mapping(address => SalaryGrant)) internal salaryGrants;
+    mapping(address => address[]) internal salaryGrantees;
     
     // Arrays for iteration
     address[] public companyAddresses;
     
+    // Upper bound on employees per batch call; an encrypted input holds at most
+    // 2048 bits, so 32 is also the most salaries one proof can carry
+    uint256 public constant MAX_BATCH_SIZE = 32;
+    
+    // Length of a pay period for payroll analytics; period N covers
+    // [N * PAY_PERIOD, (N + 1) * PAY_PERIOD)
+    uint256 public constant PAY_PERIOD = 30 days;
+    
+    // Grantees per employee; bounds the ACL loop when a salary handle changes
+    uint256 public constant MAX_SALARY_GRANTS = 16;
+    
+    // Withholding rates are in basis points of gross pay
+    uint64 public constant BASIS_POINTS = 10000;
+    
+    // Salaries and bonuses are capped at 900M tokens so gross pay (salary + bonus) times
+    // BASIS_POINTS, the withholding product, still fits in a euint64
+    uint64 public constant MAX_PAY = 900_000_000 * 10**6;
+    
+    // Confidential token salaries are paid in. Immutables live in the implementation's
+    // code, not the proxy's storage, so every upgrade is built with the current token.
+    ConfidentialToken public immutable token;
+    
     // ============================================
     // EVENTS
     // ============================================
@@ -56,31 +171,52 @@ contract ConfidentialPayroll is GatewayCaller {
     event EmployeeAdded(address indexed company, address indexed employee);
     event EmployeeRemoved(address indexed company, address indexed employee);
     event SalarySet(address indexed employee, address indexed company);
+    event PayComponentSet(address indexed employee, address indexed company, PayComponent component);
     event PaymentMade(address indexed from, address indexed to, uint256 timestamp);
+    event PayScheduleSet(address indexed company, address indexed employee, PayFrequency frequency, uint64 anchor);
     event BalanceRequested(address indexed employee, uint256 requestId);
+    event BalanceDecrypted(address indexed employee, uint256 indexed requestId, uint64 decryptedSalary);
+    event TreasuryDeposit(address indexed company);
+    event TreasuryWithdrawal(address indexed company);
+    event RoleGranted(address indexed company, address indexed account, Role role);
+    event RoleRevoked(address indexed company, address indexed account, Role role);
+    event ApprovalThresholdChanged(address indexed company, uint256 threshold);
+    event CompanyOwnershipTransferred(address indexed company, address indexed previousOwner, address indexed newOwner);
+    event PayrollRunProposed(address indexed company, uint256 indexed runId, address proposer);
+    event PayrollRunApproved(address indexed company, uint256 indexed runId, address approver);
+    event PayrollRunExecuted(address indexed company, uint256 indexed runId);
+    event PayrollRunCancelled(address indexed company, uint256 indexed runId);
+    event SalaryAccessGranted(address indexed employee, address indexed grantee, uint64 expiresAt);
+    event SalaryAccessRevoked(address indexed employee, address indexed grantee);
     
     // ============================================
     // MODIFIERS
     // ============================================
     
-    modifier onlyRegisteredCompany() {
-        require(companies[msg.sender].isRegistered, "Company not registered");
+    // Modifier bodies live in internal functions so they are not inlined at every use
+    modifier onlyRole(Role role) {
+        _checkRole(role);
         _;
     }
     
-    modifier onlyCompanyOwner(address employee) {
-        require(
-            employees[employee].companyAddress == msg.sender,
-            "Not employee's company"
-        );
+    modifier onlyOwnEmployee(address employee) {
+        _checkOwnEmployee(employee);
         _;
     }
     
     modifier onlyActiveEmployee() {
-        require(employees[msg.sender].isActive, "Not an active employee");
+        require(activeEmploymentCount[msg.sender] > 0, "Not an active employee");
         _;
     }
     
+    /**
+     * @param _token ConfidentialToken used for salary payments
+     */
+    constructor(address _token) {
+        require(_token != address(0), "Invalid token address");
+        token = ConfidentialToken(_token);
+    }
+    
     // ============================================
     // COMPANY FUNCTIONS
     // ============================================
@@ -91,6 +227,7 @@ contract ConfidentialPayroll is GatewayCaller {
      */
     function registerCompany(string calldata _name) external {
         require(!companies[msg.sender].isRegistered, "Company already registered");
+        require(memberOf[msg.sender] == address(0), "Member of another company");
         require(bytes(_name).length > 0, "Name cannot be empty");
         
         companies[msg.sender] = Company({
@@ -98,8 +235,12 @@ contract ConfidentialPayroll is GatewayCaller {
             owner: msg.sender,
             isRegistered: true,
             employeeCount: 0,
-            totalPayments: 0
+            totalPayments: 0,
+            approvalThreshold: 1,
+            approverCount: 0,
+            approvalEpoch: 0
         });
+        memberOf[msg.sender] = msg.sender;
         
         companyAddresses.push(msg.sender);
         
@@ -110,23 +251,21 @@ contract ConfidentialPayroll is GatewayCaller {
      * @notice Add an employee to the company
      * @param _employee Employee address
      */
-    function addEmployee(address _employee) external onlyRegisteredCompany {
-        require(_employee != address(0), "Invalid employee address");
-        require(!employees[_employee].isActive, "Employee already exists");
-        
-        employees[_employee] = Employee({
-            employeeAddress: _employee,
-            companyAddress: msg.sender,
-            encryptedSalary: TFHE.asEuint64(0),
-            lastPaymentTime: 0,
-            totalReceived: 0,
-            isActive: true
-        });
-        
-        companyEmployees[msg.sender][_employee] = true;
-        companies[msg.sender].employeeCount++;
+    function addEmployee(address _employee) external onlyRole(Role.HR) {
+        _addEmployee(_employee);
+    }
+    
+    /**
+     * @notice Add several employees to the company in one transaction
+     * @param _employees Employee addresses
+     */
+    function addEmployees(address[] calldata _employees) external onlyRole(Role.HR) {
+        require(_employees.length > 0, "Empty batch");
+        require(_employees.length <= MAX_BATCH_SIZE, "Batch too large");
         
-        emit EmployeeAdded(msg.sender, _employee);
+        for (uint256 i = 0; i < _employees.length; i++) {
+            _addEmployee(_employees[i]);
+        }
     }
     
     /**
@@ -135,72 +274,703 @@ contract ConfidentialPayroll is GatewayCaller {
      */
     function removeEmployee(address _employee) 
         external 
-        onlyRegisteredCompany 
-        onlyCompanyOwner(_employee) 
+        onlyRole(Role.HR) 
+        onlyOwnEmployee(_employee) 
     {
-        require(employees[_employee].isActive, "Employee not active");
+        address company = memberOf[msg.sender];
+        Employee storage emp = employments[company][_employee];
+        require(emp.isActive, "Employee not active");
         
-        employees[_employee].isActive = false;
-        companyEmployees[msg.sender][_employee] = false;
-        companies[msg.sender].employeeCount--;
+        emp.isActive = false;
+        activeEmploymentCount[_employee]--;
+        _setActiveSalaryTotal(company, TFHE.sub(activeSalaryTotals[company], emp.encryptedSalary));
+        companies[company].employeeCount--;
         
-        emit EmployeeRemoved(msg.sender, _employee);
+        emit EmployeeRemoved(company, _employee);
     }
     
     /**
      * @notice Set encrypted salary for an employee
      * @param _employee Employee address
-     * @param _encryptedSalary Encrypted salary amount
+     * @param _encryptedSalary Encrypted salary amount, capped at MAX_PAY
      * @param inputProof Proof for the encrypted input
      */
     function setSalary(
         address _employee,
         einput _encryptedSalary,
         bytes calldata inputProof
-    ) external onlyRegisteredCompany onlyCompanyOwner(_employee) {
-        require(employees[_employee].isActive, "Employee not active");
+    ) external onlyRole(Role.HR) onlyOwnEmployee(_employee) {
+        _setSalary(_employee, TFHE.asEuint64(_encryptedSalary, inputProof));
+    }
+    
+    /**
+     * @notice Set encrypted salaries for several employees
+     * @dev All salaries are packed into a single encrypted input sharing one proof
+     * @param _employees Employee addresses
+     * @param _encryptedSalaries Encrypted salary amounts, in the same order, capped at MAX_PAY
+     * @param inputProof Proof for the encrypted inputs
+     */
+    function setSalaries(
+        address[] calldata _employees,
+        einput[] calldata _encryptedSalaries,
+        bytes calldata inputProof
+    ) external onlyRole(Role.HR) {
+        require(_employees.length > 0, "Empty batch");
+        require(_employees.length <= MAX_BATCH_SIZE, "Batch too large");
+        require(_employees.length == _encryptedSalaries.length, "Length mismatch");
         
-        // Convert encrypted input to euint64
-        euint64 salary = TFHE.asEuint64(_encryptedSalary, inputProof);
+        for (uint256 i = 0; i < _employees.length; i++) {
+            require(_hasEmployed(memberOf[msg.sender], _employees[i]), "Not employee's company");
+            _setSalary(_employees[i], TFHE.asEuint64(_encryptedSalaries[i], inputProof));
+        }
+    }
+    
+    /**
+     * @notice Set an employee's bonus, deductions or withholding rate
+     * @dev Each call replaces the previous value. The bonus is added to the next payment
+     *      only and capped at MAX_PAY; deductions are taken from every payment; the
+     *      withholding rate is in basis points of gross pay and capped at BASIS_POINTS.
+     * @param _employee Employee address
+     * @param _component Component to set
+     * @param _encryptedValue Encrypted amount, or rate for Withholding
+     * @param inputProof Proof for the encrypted input
+     */
+    function setPayComponent(
+        address _employee,
+        PayComponent _component,
+        einput _encryptedValue,
+        bytes calldata inputProof
+    ) external onlyRole(Role.HR) onlyOwnEmployee(_employee) {
+        address company = memberOf[msg.sender];
+        Employee storage emp = employments[company][_employee];
+        require(emp.isActive, "Employee not active");
         
-        // Store encrypted salary
-        employees[_employee].encryptedSalary = salary;
+        euint64 value = TFHE.asEuint64(_encryptedValue, inputProof);
+        if (_component == PayComponent.Bonus) {
+            value = TFHE.min(value, MAX_PAY);
+            emp.encryptedBonus = value;
+        } else if (_component == PayComponent.Deductions) {
+            emp.encryptedDeductions = value;
+        } else {
+            value = TFHE.min(value, BASIS_POINTS);
+            emp.encryptedWithholding = value;
+        }
         
-        // Allow employee to access their salary
-        TFHE.allow(salary, _employee);
-        TFHE.allow(salary, msg.sender);
+        _allowPayroll(company, _employee, value);
+        TFHE.allow(value, msg.sender);
         
-        emit SalarySet(_employee, msg.sender);
+        emit PayComponentSet(_employee, company, _component);
     }
     
     /**
-     * @notice Pay salary to an employee
+     * @notice Set the company's default pay schedule, or one employee's own
+     * @dev Once a schedule applies, an employee is paid at most once per pay period.
+     *      PayFrequency.None clears the schedule (an employee's falls back to the default).
+     * @param _employee Employee address, or address(0) for the company default
+     * @param _frequency Weekly, Biweekly or Monthly
+     * @param _anchor A pay date (unix time), e.g. the first one
+     */
+    function setPaySchedule(address _employee, PayFrequency _frequency, uint64 _anchor)
+        external
+        onlyRole(Role.HR)
+    {
+        address company = memberOf[msg.sender];
+        if (_employee != address(0)) {
+            _checkOwnEmployee(_employee);
+        }
+        require(_frequency == PayFrequency.None || _anchor > 0, "Invalid anchor");
+        
+        paySchedules[company][_employee] = PaySchedule(_frequency, _anchor);
+        emit PayScheduleSet(company, _employee, _frequency, _anchor);
+    }
+    
+    /**
+     * @notice Pay salary to an employee from the company's treasury
+     * @dev A payment the treasury can't cover transfers 0 rather than reverting,
+     *      so the outcome doesn't reveal the treasury balance. Only available while
+     *      the company's approval threshold is 1; otherwise use a payroll run.
      * @param _employee Employee address
      */
     function paySalary(address _employee) 
         external 
-        payable
-        onlyRegisteredCompany 
-        onlyCompanyOwner(_employee) 
+        onlyRole(Role.PayrollApprover) 
+        onlyOwnEmployee(_employee) 
     {
-        require(employees[_employee].isActive, "Employee not active");
+        address company = memberOf[msg.sender];
+        require(companies[company].approvalThreshold <= 1, "Approvals required");
+        _paySalary(company, _employee);
+    }
+    
+    /**
+     * @notice Pay salary to several employees in one transaction
+     * @dev Only available while the company's approval threshold is 1
+     * @param _employees Employee addresses
+     */
+    function payEmployees(address[] calldata _employees) external onlyRole(Role.PayrollApprover) {
+        address company = memberOf[msg.sender];
+        require(companies[company].approvalThreshold <= 1, "Approvals required");
+        _payBatch(company, _employees);
+    }
+    
+    // ============================================
+    // ROLE MANAGEMENT
+    // ============================================
+    
+    /**
+     * @notice Grant an HR or payroll approver role in the caller's company
+     * @dev An account can hold roles in one company only
+     * @param _account Account to grant the role to
+     * @param _role Role.HR or Role.PayrollApprover
+     */
+    function grantRole(address _account, Role _role) external onlyRole(Role.Owner) {
+        require(_role != Role.Owner, "Use transferCompanyOwnership");
+        require(_account != address(0), "Invalid account");
+        
+        address company = memberOf[msg.sender];
+        require(
+            memberOf[_account] == address(0) || memberOf[_account] == company,
+            "Member of another company"
+        );
+        require(_account != companies[company].owner, "Owner holds every role");
+        require(!companyRoles[company][_account][_role], "Role already granted");
+        
+        companyRoles[company][_account][_role] = true;
+        memberOf[_account] = company;
+        if (_role == Role.PayrollApprover) {
+            companies[company].approverCount++;
+        }
+        
+        emit RoleGranted(company, _account, _role);
+    }
+    
+    /**
+     * @notice Revoke an HR or payroll approver role in the caller's company
+     * @param _account Account to revoke the role from
+     * @param _role Role.HR or Role.PayrollApprover
+     */
+    function revokeRole(address _account, Role _role) external onlyRole(Role.Owner) {
+        address company = memberOf[msg.sender];
+        require(companyRoles[company][_account][_role], "Role not granted");
+        
+        _revokeRole(company, _account, _role);
+        require(
+            companies[company].approvalThreshold <= companies[company].approverCount + 1,
+            "Threshold exceeds approvers"
+        );
+    }
+    
+    /**
+     * @notice Set how many approvals (M) a payroll run needs
+     * @dev N is the number of payroll approvers plus the owner
+     * @param _threshold Required approvals, between 1 and N
+     */
+    function setApprovalThreshold(uint256 _threshold) external onlyRole(Role.Owner) {
+        address company = memberOf[msg.sender];
+        require(
+            _threshold > 0 && _threshold <= companies[company].approverCount + 1,
+            "Invalid threshold"
+        );
+        
+        // Approvals given for a lower threshold don't carry over to a higher one
+        if (_threshold > companies[company].approvalThreshold) {
+            companies[company].approvalEpoch++;
+        }
+        companies[company].approvalThreshold = _threshold;
+        
+        emit ApprovalThresholdChanged(company, _threshold);
+    }
+    
+    /**
+     * @notice Hand the company to a new owner
+     * @dev The previous owner loses all roles. The new owner is allowed the treasury,
+     *      salary total and period totals; salary handles are allowed to them as they
+     *      are next set.
+     * @param _newOwner New owner address
+     */
+    function transferCompanyOwnership(address _newOwner) external onlyRole(Role.Owner) {
+        require(_newOwner != address(0), "Invalid owner");
+        
+        address company = memberOf[msg.sender];
+        require(_newOwner != msg.sender, "Already the owner");
+        require(
+            memberOf[_newOwner] == address(0) || memberOf[_newOwner] == company,
+            "Member of another company"
+        );
+        
+        // The owner holds every role implicitly; drop any explicit grants
+        if (companyRoles[company][_newOwner][Role.HR]) {
+            _revokeRole(company, _newOwner, Role.HR);
+        }
+        if (companyRoles[company][_newOwner][Role.PayrollApprover]) {
+            _revokeRole(company, _newOwner, Role.PayrollApprover);
+        }
+        
+        companies[company].owner = _newOwner;
+        memberOf[_newOwner] = company;
+        delete memberOf[msg.sender];
+        
+        // Keep N >= M now that the owner may have been one of the approvers
+        if (companies[company].approvalThreshold > companies[company].approverCount + 1) {
+            companies[company].approvalThreshold = companies[company].approverCount + 1;
+            emit ApprovalThresholdChanged(company, companies[company].approvalThreshold);
+        }
+        
+        if (TFHE.isInitialized(treasuries[company])) {
+            TFHE.allow(treasuries[company], _newOwner);
+        }
+        if (TFHE.isInitialized(activeSalaryTotals[company])) {
+            TFHE.allow(activeSalaryTotals[company], _newOwner);
+        }
+        // One entry per pay period with payments, so this grows by about 12 a year
+        uint256[] storage periods = payrollPeriods[company];
+        for (uint256 i = 0; i < periods.length; i++) {
+            TFHE.allow(periodPayrollTotals[company][periods[i]], _newOwner);
+        }
+        
+        emit CompanyOwnershipTransferred(company, msg.sender, _newOwner);
+    }
+    
+    // ============================================
+    // PAYROLL RUNS
+    // ============================================
+    
+    /**
+     * @notice Propose paying a batch of employees once enough approvers agree
+     * @param _employees Employee addresses
+     * @return runId The ID for approving and executing the run
+     */
+    function proposePayrollRun(address[] calldata _employees) external returns (uint256 runId) {
+        address company = memberOf[msg.sender];
+        require(company != address(0), "Company not registered");
+        require(_employees.length > 0, "Empty batch");
+        require(_employees.length <= MAX_BATCH_SIZE, "Batch too large");
+        
+        for (uint256 i = 0; i < _employees.length; i++) {
+            require(_hasEmployed(company, _employees[i]), "Not employee's company");
+        }
+        
+        runId = ++payrollRunCount;
+        PayrollRun storage run = payrollRuns[runId];
+        run.company = company;
+        run.proposer = msg.sender;
+        run.employees = _employees;
+        run.approvalEpoch = companies[company].approvalEpoch;
+        run.createdAt = block.timestamp;
+        
+        emit PayrollRunProposed(company, runId, msg.sender);
+    }
+    
+    /**
+     * @notice Approve a pending payroll run of the caller's company
+     * @param _runId Payroll run ID
+     */
+    function approvePayrollRun(uint256 _runId) external onlyRole(Role.PayrollApprover) {
+        PayrollRun storage run = _openRun(_runId);
+        
+        // Start over if the threshold was raised since the existing approvals
+        uint256 epoch = companies[run.company].approvalEpoch;
+        if (run.approvalEpoch != epoch) {
+            for (uint256 i = 0; i < run.approvers.length; i++) {
+                approvedRun[_runId][run.approvers[i]] = false;
+            }
+            delete run.approvers;
+            run.approvalEpoch = epoch;
+        }
+        require(!approvedRun[_runId][msg.sender], "Already approved");
+        
+        approvedRun[_runId][msg.sender] = true;
+        run.approvers.push(msg.sender);
+        
+        emit PayrollRunApproved(run.company, _runId, msg.sender);
+    }
+    
+    /**
+     * @notice Pay a payroll run that has reached the approval threshold
+     * @param _runId Payroll run ID
+     */
+    function executePayrollRun(uint256 _runId) external onlyRole(Role.PayrollApprover) {
+        PayrollRun storage run = _openRun(_runId);
+        require(_countApprovals(run) >= companies[run.company].approvalThreshold, "Not enough approvals");
+        
+        run.executed = true;
+        _payBatch(run.company, run.employees);
+        
+        emit PayrollRunExecuted(run.company, _runId);
+    }
+    
+    /**
+     * @notice Cancel a pending payroll run; allowed for its proposer and the owner
+     * @param _runId Payroll run ID
+     */
+    function cancelPayrollRun(uint256 _runId) external {
+        PayrollRun storage run = _pendingRun(_runId);
+        require(
+            msg.sender == run.proposer || msg.sender == companies[run.company].owner,
+            "Not authorized"
+        );
+        
+        run.cancelled = true;
+        
+        emit PayrollRunCancelled(run.company, _runId);
+    }
+    
+    // ============================================
+    // TREASURY FUNCTIONS
+    // ============================================
+    
+    /**
+     * @notice Move tokens from the owner's wallet into the company's payroll treasury
+     * @dev Approve this contract on the token first. An amount the allowance or
+     *      wallet balance can't cover deposits 0.
+     * @param _encryptedAmount Encrypted amount
+     * @param inputProof Proof for the encrypted input
+     */
+    function depositToTreasury(
+        einput _encryptedAmount,
+        bytes calldata inputProof
+    ) external onlyRole(Role.Owner) {
+        address company = memberOf[msg.sender];
+        euint64 amount = TFHE.asEuint64(_encryptedAmount, inputProof);
+        
+        TFHE.allowTransient(amount, address(token));
+        euint64 received = token.transferFrom(msg.sender, address(this), amount);
+        _setTreasury(company, TFHE.add(treasuries[company], received));
+        
+        emit TreasuryDeposit(company);
+    }
+    
+    /**
+     * @notice Move tokens from the company's treasury back to the owner's wallet
+     * @dev An amount above the treasury balance withdraws 0
+     * @param _encryptedAmount Encrypted amount
+     * @param inputProof Proof for the encrypted input
+     */
+    function withdrawFromTreasury(
+        einput _encryptedAmount,
+        bytes calldata inputProof
+    ) external onlyRole(Role.Owner) {
+        address company = memberOf[msg.sender];
+        euint64 amount = TFHE.asEuint64(_encryptedAmount, inputProof);
+        euint64 withdrawn = _debitTreasury(company, amount);
         
-        Employee storage emp = employees[_employee];
+        TFHE.allowTransient(withdrawn, address(token));
+        token.transfer(msg.sender, withdrawn);
+        
+        emit TreasuryWithdrawal(company);
+    }
+    
+    // ============================================
+    // INTERNAL FUNCTIONS
+    // ============================================
+    
+    function _checkRole(Role _role) internal view {
+        require(memberOf[msg.sender] != address(0), "Company not registered");
+        require(_hasRole(memberOf[msg.sender], _role, msg.sender), "Missing role");
+    }
+    
+    function _checkOwnEmployee(address _employee) internal view {
+        require(_hasEmployed(memberOf[msg.sender], _employee), "Not employee's company");
+    }
+    
+    function _hasRole(address _company, Role _role, address _account) internal view returns (bool) {
+        return _account == companies[_company].owner || companyRoles[_company][_account][_role];
+    }
+    
+    function _revokeRole(address _company, address _account, Role _role) internal {
+        companyRoles[_company][_account][_role] = false;
+        if (_role == Role.PayrollApprover) {
+            companies[_company].approverCount--;
+        }
+        // Leave the company once no roles remain
+        if (
+            !companyRoles[_company][_account][Role.HR] &&
+            !companyRoles[_company][_account][Role.PayrollApprover] &&
+            _account != companies[_company].owner
+        ) {
+            delete memberOf[_account];
+        }
+        
+        emit RoleRevoked(_company, _account, _role);
+    }
+    
+    function _pendingRun(uint256 _runId) internal view returns (PayrollRun storage run) {
+        run = payrollRuns[_runId];
+        require(run.company != address(0), "Unknown payroll run");
+        require(run.company == memberOf[msg.sender], "Not authorized");
+        require(!run.executed, "Run already executed");
+        require(!run.cancelled, "Run cancelled");
+    }
+    
+    // A pending run that can still be approved and executed
+    function _openRun(uint256 _runId) internal view returns (PayrollRun storage run) {
+        run = _pendingRun(_runId);
+        require(block.timestamp <= run.createdAt + PAY_PERIOD, "Run expired");
+    }
+    
+    // Approvals that still count: given under the current epoch by current approvers
+    function _countApprovals(PayrollRun storage run) internal view returns (uint256 count) {
+        if (run.approvalEpoch != companies[run.company].approvalEpoch) {
+            return 0;
+        }
+        for (uint256 i = 0; i < run.approvers.length; i++) {
+            if (_hasRole(run.company, Role.PayrollApprover, run.approvers[i])) {
+                count++;
+            }
+        }
+    }
+    
+    function _payBatch(address _company, address[] memory _employees) internal {
+        require(_employees.length > 0, "Empty batch");
+        require(_employees.length <= MAX_BATCH_SIZE, "Batch too large");
+        
+        for (uint256 i = 0; i < _employees.length; i++) {
+            require(_hasEmployed(_company, _employees[i]), "Not employee's company");
+            _paySalary(_company, _employees[i]);
+        }
+    }
+    
+    // Whether `_company` has ever employed `_employee`
+    function _hasEmployed(address _company, address _employee) internal view returns (bool) {
+        return employments[_company][_employee].employeeAddress != address(0);
+    }
+    
+    function _addEmployee(address _employee) internal {
+        require(_employee != address(0), "Invalid employee address");
+        
+        address company = memberOf[msg.sender];
+        Employee storage emp = employments[company][_employee];
+        require(!emp.isActive, "Employee already exists");
+        
+        // A re-hire keeps its payment count and last payment time
+        if (emp.employeeAddress == address(0)) {
+            emp.employeeAddress = _employee;
+            emp.companyAddress = company;
+            employers[_employee].push(company);
+        }
+        emp.isActive = true;
+        // The previous salary left the active total on removal; start again from 0
+        emp.encryptedSalary = TFHE.asEuint64(0);
+        // Uninitialized components count as 0
+        emp.encryptedBonus = euint64.wrap(0);
+        emp.encryptedDeductions = euint64.wrap(0);
+        emp.encryptedWithholding = euint64.wrap(0);
+        
+        // Keep the placeholder salary usable by this contract (e.g. for decryption requests)
+        TFHE.allow(emp.encryptedSalary, address(this));
+        
+        activeEmploymentCount[_employee]++;
+        companies[company].employeeCount++;
+        
+        emit EmployeeAdded(company, _employee);
+    }
+    
+    function _setSalary(address _employee, euint64 salary) internal {
+        address company = memberOf[msg.sender];
+        Employee storage emp = employments[company][_employee];
+        require(emp.isActive, "Employee not active");
+        salary = TFHE.min(salary, MAX_PAY);
+        
+        // Swap the old salary for the new one in the company's active total
+        _setActiveSalaryTotal(
+            company,
+            TFHE.add(TFHE.sub(activeSalaryTotals[company], emp.encryptedSalary), salary)
+        );
+        
+        // Store encrypted salary
+        emp.encryptedSalary = salary;
+        
+        // Allow this contract, the employee, the company owner, the HR manager setting it
+        // and the employee's unexpired grantees
+        _allowSalary(company, _employee, salary);
+        TFHE.allow(salary, msg.sender);
+        
+        emit SalarySet(_employee, company);
+    }
+    
+    function _paySalary(address _company, address _employee) internal {
+        Employee storage emp = employments[_company][_employee];
+        require(emp.isActive, "Employee not active");
+        
+        PaySchedule memory schedule = _paySchedule(_company, _employee);
+        if (schedule.frequency != PayFrequency.None) {
+            (uint256 periodStart, ) = _payDates(schedule, block.timestamp);
+            require(emp.lastPaymentTime < periodStart, "Already paid this period");
+        }
         
         // Update payment info
         emp.lastPaymentTime = block.timestamp;
         emp.totalReceived++;
-        companies[msg.sender].totalPayments++;
+        companies[_company].totalPayments++;
         
-        // Record payment
+        // Gross is salary plus bonus; tax is withheld from gross and the deductions are
+        // capped at what remains, so net pay never underflows. Withheld tax and deductions
+        // stay in the treasury for the company to remit.
+        euint64 gross = TFHE.add(emp.encryptedSalary, emp.encryptedBonus);
+        euint64 withheld = TFHE.div(TFHE.mul(gross, emp.encryptedWithholding), BASIS_POINTS);
+        euint64 afterTax = TFHE.sub(gross, withheld);
+        euint64 deducted = TFHE.min(emp.encryptedDeductions, afterTax);
+        euint64 net = TFHE.sub(afterTax, deducted);
+        
+        // Pay from the treasury without revealing whether it covered the net pay
+        euint64 amount = _debitTreasury(_company, net);
+        TFHE.allowTransient(amount, address(token));
+        euint64 paid = token.transfer(_employee, amount);
+        _allowPayroll(_company, _employee, paid);
+        _allowPayroll(_company, _employee, gross);
+        _allowPayroll(_company, _employee, withheld);
+        _allowPayroll(_company, _employee, deducted);
+        _addToPeriodTotal(_company, paid);
+        
+        // A bonus is paid once; an uncovered payment keeps it for the next one
+        if (TFHE.isInitialized(emp.encryptedBonus)) {
+            euint64 bonus = TFHE.select(TFHE.eq(paid, net), TFHE.asEuint64(0), emp.encryptedBonus);
+            emp.encryptedBonus = bonus;
+            _allowPayroll(_company, _employee, bonus);
+        }
+        
+        // Record the amount actually transferred and how it was computed
         paymentHistory[_employee].push(PaymentRecord({
-            from: msg.sender,
+            from: _company,
             to: _employee,
-            encryptedAmount: emp.encryptedSalary,
-            timestamp: block.timestamp
+            encryptedAmount: paid,
+            timestamp: block.timestamp,
+            encryptedGross: gross,
+            encryptedDeductions: deducted,
+            encryptedWithholding: withheld
         }));
         
-        emit PaymentMade(msg.sender, _employee, block.timestamp);
+        emit PaymentMade(_company, _employee, block.timestamp);
+    }
+    
+    // Take `amount` from the company's treasury, or 0 if the treasury can't cover it
+    function _debitTreasury(address _company, euint64 amount) internal returns (euint64) {
+        euint64 balance = treasuries[_company];
+        ebool covered = TFHE.le(amount, balance);
+        euint64 debited = TFHE.select(covered, amount, TFHE.asEuint64(0));
+        _setTreasury(_company, TFHE.sub(balance, debited));
+        return debited;
+    }
+    
+    function _setTreasury(address _company, euint64 balance) internal {
+        treasuries[_company] = balance;
+        TFHE.allow(balance, address(this));
+        TFHE.allow(balance, companies[_company].owner);
+    }
+    
+    function _setActiveSalaryTotal(address _company, euint64 total) internal {
+        activeSalaryTotals[_company] = total;
+        TFHE.allow(total, address(this));
+        TFHE.allow(total, companies[_company].owner);
+    }
+    
+    // Pay components and payment amounts are readable by the employee and the company owner
+    function _allowPayroll(address _company, address _employee, euint64 value) internal {
+        TFHE.allow(value, address(this));
+        TFHE.allow(value, _employee);
+        TFHE.allow(value, companies[_company].owner);
+    }
+    
+    function _allowSalary(address _company, address _employee, euint64 salary) internal {
+        _allowPayroll(_company, _employee, salary);
+        
+        address[] storage grantees = salaryGrantees[_employee];
+        for (uint256 i = 0; i < grantees.length; i++) {
+            if (_hasSalaryAccess(_employee, grantees[i])) {
+                TFHE.allow(salary, grantees[i]);
+            }
+        }
+    }
+    
+    function _hasSalaryAccess(address _employee, address _grantee) internal view returns (bool) {
+        SalaryGrant storage grant = salaryGrants[_employee][_grantee];
+        return grant.active && (grant.expiresAt == 0 || block.timestamp < grant.expiresAt);
+    }
+    
+    function _addToPeriodTotal(address _company, euint64 paid) internal {
+        uint256 period = block.timestamp / PAY_PERIOD;
+        euint64 current = periodPayrollTotals[_company][period];
+        euint64 total;
+        if (TFHE.isInitialized(current)) {
+            total = TFHE.add(current, paid);
+        } else {
+            payrollPeriods[_company].push(period);
+            // Not add(0, paid): handles are derived from their operands, and that is also
+            // the employee's first token balance, which only the employee may read
+            total = TFHE.add(paid, uint64(0));
+        }
+        
+        periodPayrollTotals[_company][period] = total;
+        TFHE.allow(total, address(this));
+        TFHE.allow(total, companies[_company].owner);
+    }
+    
+    // The employee's own schedule, else the company default
+    function _paySchedule(address _company, address _employee) internal view returns (PaySchedule memory schedule) {
+        schedule = paySchedules[_company][_employee];
+        if (schedule.frequency == PayFrequency.None) {
+            schedule = paySchedules[_company][address(0)];
+        }
+    }
+    
+    // Pay dates around `_time`: the latest at or before it, which starts the current pay
+    // period, and the next one
+    function _payDates(PaySchedule memory _schedule, uint256 _time)
+        internal
+        pure
+        returns (uint256 start, uint256 next)
+    {
+        uint256 anchor = _schedule.anchor;
+        if (_schedule.frequency != PayFrequency.Monthly) {
+            uint256 length = _schedule.frequency == PayFrequency.Weekly ? 7 days : 14 days;
+            start = _time >= anchor
+                ? _time - ((_time - anchor) % length)
+                : anchor - ((anchor - _time + length - 1) / length) * length;
+            return (start, start + length);
+        }
+        
+        // One pay date per month: this month's, or last month's if it is still ahead
+        (uint256 year, uint256 month, ) = _civilFromDays(_time / 1 days);
+        uint256 index = year * 12 + month - 1;
+        start = _monthlyPayDate(anchor, index);
+        if (start > _time) {
+            (start, next) = (_monthlyPayDate(anchor, index - 1), start);
+        } else {
+            next = _monthlyPayDate(anchor, index + 1);
+        }
+    }
+    
+    // Pay date in month `_index` (year * 12 + month - 1): the anchor's day, clamped to the
+    // month's length, at the anchor's time of day
+    function _monthlyPayDate(uint256 _anchor, uint256 _index) internal pure returns (uint256) {
+        (, , uint256 day) = _civilFromDays(_anchor / 1 days);
+        uint256 year = _index / 12;
+        uint256 month = (_index % 12) + 1;
+        uint256 monthLength = month == 2
+            ? ((year % 4 == 0 && year % 100 != 0) || year % 400 == 0 ? 29 : 28)
+            : 30 + ((month + month / 8) % 2);
+        return _daysFromCivil(year, month, day < monthLength ? day : monthLength) * 1 days + (_anchor % 1 days);
+    }
+    
+    // Days since 1970-01-01 of a Gregorian date, and back (Howard Hinnant's algorithms)
+    function _daysFromCivil(uint256 _year, uint256 _month, uint256 _day) internal pure returns (uint256) {
+        uint256 y = _month <= 2 ? _year - 1 : _year;
+        uint256 era = y / 400;
+        uint256 yoe = y - era * 400;
+        uint256 doy = (153 * (_month > 2 ? _month - 3 : _month + 9) + 2) / 5 + _day - 1;
+        uint256 doe = yoe * 365 + yoe / 4 - yoe / 100 + doy;
+        return era * 146097 + doe - 719468;
+    }
+    
+    function _civilFromDays(uint256 _days) internal pure returns (uint256 year, uint256 month, uint256 day) {
+        uint256 z = _days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        day = doy - (153 * mp + 2) / 5 + 1;
+        month = mp < 10 ? mp + 3 : mp - 9;
+        year = yoe + era * 400 + (month <= 2 ? 1 : 0);
     }
     
     // ============================================
@@ -209,22 +979,35 @@ contract ConfidentialPayroll is GatewayCaller {
     
     /**
      * @notice Request decrypted balance (uses Gateway for decryption)
+     * @dev The result is published on-chain through BalanceDecrypted; use
+     *      client-side reencryption when the salary should stay private
+     * @param _company Employer whose salary to decrypt
      * @return requestId The ID for tracking the decryption request
      */
-    function requestMyBalance() external onlyActiveEmployee returns (uint256) {
-        Employee storage emp = employees[msg.sender];
+    function requestMyBalance(address _company) external returns (uint256) {
+        Employee storage emp = employments[_company][msg.sender];
+        require(emp.isActive, "Not an active employee");
         
         uint256[] memory cts = new uint256[](1);
         cts[0] = Gateway.toUint256(emp.encryptedSalary);
         
+        uint256 deadline = block.timestamp + 100;
         uint256 requestId = Gateway.requestDecryption(
             cts,
             this.callbackBalance.selector,
             0,
-            block.timestamp + 100,
+            deadline,
             false
         );
         
+        balanceRequests[requestId] = BalanceRequest({
+            employee: msg.sender,
+            company: _company,
+            deadline: deadline,
+            fulfilled: false,
+            decryptedSalary: 0
+        });
+        
         emit BalanceRequested(msg.sender, requestId);
         return requestId;
     }
@@ -238,11 +1021,88 @@ contract ConfidentialPayroll is GatewayCaller {
         uint256 requestId,
         uint64 decryptedSalary
     ) public onlyGateway returns (uint64) {
-        // This callback is called by the Gateway contract
-        // You can emit an event or store the result
+        BalanceRequest storage request = balanceRequests[requestId];
+        require(request.employee != address(0), "Unknown request");
+        require(!request.fulfilled, "Request already fulfilled");
+        
+        request.fulfilled = true;
+        request.decryptedSalary = decryptedSalary;
+        
+        emit BalanceDecrypted(request.employee, requestId, decryptedSalary);
         return decryptedSalary;
     }
     
+    // ============================================
+    // SALARY SHARING
+    // ============================================
+    
+    /**
+     * @notice Let `_grantee` read the caller's salary from every employer, e.g. to prove
+     *         income to a lender
+     * @dev Granting again updates the expiry. ACL permissions can't expire, so expiry is
+     *      enforced by getEncryptedSalary and by leaving expired grantees off every new
+     *      salary handle; revoke an expired grant to cut access to the current handle too.
+     * @param _grantee Address allowed to decrypt the salary
+     * @param _expiresAt Unix time the grant ends, or 0 for no expiry
+     */
+    function grantSalaryAccess(address _grantee, uint64 _expiresAt) external onlyActiveEmployee {
+        require(_grantee != address(0) && _grantee != msg.sender, "Invalid grantee");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Invalid expiry");
+        
+        SalaryGrant storage grant = salaryGrants[msg.sender][_grantee];
+        if (!grant.active) {
+            require(salaryGrantees[msg.sender].length < MAX_SALARY_GRANTS, "Too many grants");
+            salaryGrantees[msg.sender].push(_grantee);
+            grant.active = true;
+        }
+        grant.expiresAt = _expiresAt;
+        
+        address[] storage companiesOf = employers[msg.sender];
+        for (uint256 i = 0; i < companiesOf.length; i++) {
+            Employee storage emp = employments[companiesOf[i]][msg.sender];
+            if (emp.isActive) {
+                TFHE.allow(emp.encryptedSalary, _grantee);
+            }
+        }
+        
+        emit SalaryAccessGranted(msg.sender, _grantee, _expiresAt);
+    }
+    
+    /**
+     * @notice Stop sharing the caller's salary with `_grantee`
+     * @dev The grantee stays on the ACL of the current handles, so each active salary is
+     *      moved to a fresh handle with the same value that only the remaining parties may
+     *      read. Salaries of past employments keep their last handle. An HR manager other
+     *      than the owner regains access the next time they set the salary.
+     * @param _grantee Address to revoke
+     */
+    function revokeSalaryAccess(address _grantee) external {
+        require(salaryGrants[msg.sender][_grantee].active, "No active grant");
+        
+        delete salaryGrants[msg.sender][_grantee];
+        address[] storage grantees = salaryGrantees[msg.sender];
+        for (uint256 i = 0; i < grantees.length; i++) {
+            if (grantees[i] == _grantee) {
+                grantees[i] = grantees[grantees.length - 1];
+                grantees.pop();
+                break;
+            }
+        }
+        
+        address[] storage companiesOf = employers[msg.sender];
+        for (uint256 i = 0; i < companiesOf.length; i++) {
+            Employee storage emp = employments[companiesOf[i]][msg.sender];
+            if (emp.isActive) {
+                // Adding 0 derives a new handle from the old one without changing the value
+                euint64 rekeyed = TFHE.add(emp.encryptedSalary, uint64(0));
+                emp.encryptedSalary = rekeyed;
+                _allowSalary(companiesOf[i], msg.sender, rekeyed);
+            }
+        }
+        
+        emit SalaryAccessRevoked(msg.sender, _grantee);
+    }
+    
     // ============================================
     // VIEW FUNCTIONS
     // ============================================
@@ -259,7 +1119,9 @@ contract ConfidentialPayroll is GatewayCaller {
             address owner,
             bool isRegistered,
             uint256 employeeCount,
-            uint256 totalPayments
+            uint256 totalPayments,
+            uint256 approvalThreshold,
+            uint256 approverCount
         ) 
     {
         Company memory company = companies[_company];
@@ -268,15 +1130,18 @@ contract ConfidentialPayroll is GatewayCaller {
             company.owner,
             company.isRegistered,
             company.employeeCount,
-            company.totalPayments
+            company.totalPayments,
+            company.approvalThreshold,
+            company.approverCount
         );
     }
     
     /**
-     * @notice Get employee information
+     * @notice Get an employment record
+     * @param _company Company address
      * @param _employee Employee address
      */
-    function getEmployeeInfo(address _employee)
+    function getEmployeeInfo(address _company, address _employee)
         external
         view
         returns (
@@ -287,7 +1152,7 @@ contract ConfidentialPayroll is GatewayCaller {
             bool isActive
         )
     {
-        Employee memory emp = employees[_employee];
+        Employee memory emp = employments[_company][_employee];
         return (
             emp.employeeAddress,
             emp.companyAddress,
@@ -297,6 +1162,13 @@ contract ConfidentialPayroll is GatewayCaller {
         );
     }
     
+    /**
+     * @notice Every company that has employed an address, in order of first hire
+     */
+    function getEmployers(address _employee) external view returns (address[] memory) {
+        return employers[_employee];
+    }
+    
     /**
      * @notice Check if an address is an employee of a company
      */
@@ -305,7 +1177,7 @@ contract ConfidentialPayroll is GatewayCaller {
         view 
         returns (bool) 
     {
-        return companyEmployees[_company][_employee];
+        return employments[_company][_employee].isActive;
     }
     
     /**
@@ -319,6 +1191,30 @@ contract ConfidentialPayroll is GatewayCaller {
         return paymentHistory[_employee].length;
     }
     
+    /**
+     * @notice Get the state of a Gateway balance decryption request
+     */
+    function getBalanceRequest(uint256 requestId)
+        external
+        view
+        returns (
+            address employee,
+            address company,
+            uint256 deadline,
+            bool fulfilled,
+            uint64 decryptedSalary
+        )
+    {
+        BalanceRequest memory request = balanceRequests[requestId];
+        return (
+            request.employee,
+            request.company,
+            request.deadline,
+            request.fulfilled,
+            request.decryptedSalary
+        );
+    }
+    
     /**
      * @notice Get all registered companies count
      */
@@ -327,18 +1223,195 @@ contract ConfidentialPayroll is GatewayCaller {
     }
     
     /**
-     * @notice Get encrypted salary (only accessible by employee and company)
+     * @notice Get the company an account belongs to and the roles it holds there
+     */
+    function getMemberRoles(address _account)
+        external
+        view
+        returns (
+            address company,
+            bool isOwner,
+            bool isHR,
+            bool isPayrollApprover
+        )
+    {
+        company = memberOf[_account];
+        if (company != address(0)) {
+            isOwner = companies[company].owner == _account;
+            isHR = _hasRole(company, Role.HR, _account);
+            isPayrollApprover = _hasRole(company, Role.PayrollApprover, _account);
+        }
+    }
+    
+    /**
+     * @notice Get a payroll run and its approval state
+     * @dev `approvals` counts only approvals that still count towards execution
+     */
+    function getPayrollRun(uint256 _runId)
+        external
+        view
+        returns (
+            address company,
+            address proposer,
+            address[] memory runEmployees,
+            uint256 approvals,
+            uint256 createdAt,
+            bool executed,
+            bool cancelled,
+            uint256 expiresAt
+        )
+    {
+        PayrollRun storage run = payrollRuns[_runId];
+        return (
+            run.company,
+            run.proposer,
+            run.employees,
+            _countApprovals(run),
+            run.createdAt,
+            run.executed,
+            run.cancelled,
+            run.createdAt + PAY_PERIOD
+        );
+    }
+    
+    /**
+     * @notice Whether `_account` has approved a payroll run since its threshold last rose
      */
-    function getEncryptedSalary(address _employee) 
+    function hasApprovedRun(uint256 _runId, address _account) external view returns (bool) {
+        PayrollRun storage run = payrollRuns[_runId];
+        return run.approvalEpoch == companies[run.company].approvalEpoch && approvedRun[_runId][_account];
+    }
+    
+    /**
+     * @notice Get the encrypted salary an employee has from a company (only accessible by
+     *         the employee, the company's owner and HR, and unexpired grantees)
+     */
+    function getEncryptedSalary(address _company, address _employee) 
         external 
         view 
         returns (euint64) 
     {
         require(
             msg.sender == _employee || 
-            msg.sender == employees[_employee].companyAddress,
+            _hasRole(_company, Role.HR, msg.sender) ||
+            _hasSalaryAccess(_employee, msg.sender),
             "Not authorized"
         );
-        return employees[_employee].encryptedSalary;
+        return employments[_company][_employee].encryptedSalary;
+    }
+    
+    /**
+     * @notice Get an employee's encrypted bonus, deductions and withholding rate (only
+     *         accessible by the employee and the company's owner and HR)
+     * @dev Salary grantees see the base salary only
+     */
+    function getPayComponents(address _company, address _employee)
+        external
+        view
+        returns (euint64 bonus, euint64 deductions, euint64 withholding)
+    {
+        require(msg.sender == _employee || _hasRole(_company, Role.HR, msg.sender), "Not authorized");
+        Employee storage emp = employments[_company][_employee];
+        return (emp.encryptedBonus, emp.encryptedDeductions, emp.encryptedWithholding);
+    }
+    
+    /**
+     * @notice The employee's current grantees and their expiries (employee only)
+     * @dev Expired grants are listed until revoked
+     */
+    function getSalaryGrants(address _employee)
+        external
+        view
+        returns (address[] memory grantees, uint64[] memory expiresAt)
+    {
+        require(msg.sender == _employee, "Not authorized");
+        grantees = salaryGrantees[_employee];
+        expiresAt = new uint64[](grantees.length);
+        for (uint256 i = 0; i < grantees.length; i++) {
+            expiresAt[i] = salaryGrants[_employee][grantees[i]].expiresAt;
+        }
+    }
+    
+    /**
+     * @notice One grant, for the employee or the grantee to check
+     * @return active Granted and not revoked
+     * @return expiresAt Unix expiry, or 0 for none
+     * @return valid Active and not yet expired
+     */
+    function getSalaryGrant(address _employee, address _grantee)
+        external
+        view
+        returns (bool active, uint64 expiresAt, bool valid)
+    {
+        require(msg.sender == _employee || msg.sender == _grantee, "Not authorized");
+        SalaryGrant storage grant = salaryGrants[_employee][_grantee];
+        return (grant.active, grant.expiresAt, _hasSalaryAccess(_employee, _grantee));
+    }
+    
+    /**
+     * @notice Encrypted payroll treasury balance (only accessible by the company owner)
+     */
+    function getTreasuryBalance(address _company) external view returns (euint64) {
+        require(msg.sender == companies[_company].owner, "Not authorized");
+        return treasuries[_company];
+    }
+    
+    /**
+     * @notice Encrypted sum of the company's active salaries, i.e. its monthly payroll
+     *         commitment (only accessible by the company owner)
+     */
+    function getActiveSalaryTotal(address _company) external view returns (euint64) {
+        require(msg.sender == companies[_company].owner, "Not authorized");
+        return activeSalaryTotals[_company];
+    }
+    
+    /**
+     * @notice Pay period containing the current block
+     */
+    function currentPayPeriod() external view returns (uint256) {
+        return block.timestamp / PAY_PERIOD;
+    }
+    
+    /**
+     * @notice The pay schedule that applies to an employee and their next pay date
+     * @return frequency The employee's own schedule, else the company default (None if neither)
+     * @return anchor The schedule's anchor pay date
+     * @return nextPayDate The current period's pay date while it is unpaid, else the next
+     *         one; the anchor until it is reached; 0 without a schedule
+     * @return due Whether the employee is active, past the anchor and unpaid this period
+     */
+    function getPaySchedule(address _company, address _employee)
+        external
+        view
+        returns (PayFrequency frequency, uint64 anchor, uint256 nextPayDate, bool due)
+    {
+        PaySchedule memory schedule = _paySchedule(_company, _employee);
+        (frequency, anchor) = (schedule.frequency, schedule.anchor);
+        if (frequency == PayFrequency.None) {
+            return (frequency, 0, 0, false);
+        }
+        if (block.timestamp < anchor) {
+            return (frequency, anchor, anchor, false);
+        }
+        (uint256 start, uint256 next) = _payDates(schedule, block.timestamp);
+        Employee storage emp = employments[_company][_employee];
+        due = emp.isActive && emp.lastPaymentTime < start;
+        nextPayDate = emp.lastPaymentTime < start ? start : next;
+    }
+    
+    /**
+     * @notice Pay periods in which the company made payments, oldest first
+     * @dev Only reveals when payments happened, which PaymentMade already does
+     */
+    function getPayrollPeriods(address _company) external view returns (uint256[] memory) {
+        return payrollPeriods[_company];
+    }
+    
+    /**
+     * @notice Encrypted total the company paid during `_period` (only accessible by the company owner)
+     */
+    function getPeriodPayrollTotal(address _company, uint256 _period) external view returns (euint64) {
+        require(msg.sender == companies[_company].owner, "Not authorized");
+        return periodPayrollTotals[_company][_period];
     }
 }
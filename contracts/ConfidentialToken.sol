@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "fhevm/lib/TFHE.sol";
+
+/**
+ * @title ConfidentialToken
+ * @notice ERC20-style token whose balances, allowances and transfer amounts are encrypted
+ * @dev Balances are euint64 with 6 decimals, matching salary base units. A transfer the
+ *      sender cannot cover moves 0 instead of reverting, so failures don't leak balances.
+ */
+contract ConfidentialToken {
+
+    // ============================================
+    // STATE VARIABLES
+    // ============================================
+
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 6;
+
+    address public owner;
+
+    // Only minting is public; individual balances stay encrypted
+    uint64 public totalSupply;
+
+    mapping(address => euint64) internal balances;
+    mapping(address => mapping(address => euint64)) internal allowances;
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    event Transfer(address indexed from, address indexed to);
+    event Approval(address indexed owner, address indexed spender);
+    event Mint(address indexed to, uint64 amount);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    // ============================================
+    // MODIFIERS
+    // ============================================
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not token owner");
+        _;
+    }
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+        owner = msg.sender;
+    }
+
+    // ============================================
+    // OWNER FUNCTIONS
+    // ============================================
+
+    /**
+     * @notice Mint tokens to an account; the minted amount is public
+     * @param _to Recipient
+     * @param _amount Amount in base units
+     */
+    function mint(address _to, uint64 _amount) external onlyOwner {
+        require(_to != address(0), "Invalid recipient");
+
+        totalSupply += _amount;
+        euint64 balance = TFHE.add(balances[_to], TFHE.asEuint64(_amount));
+        _setBalance(_to, balance);
+
+        emit Mint(_to, _amount);
+    }
+
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "Invalid owner");
+        emit OwnershipTransferred(owner, _newOwner);
+        owner = _newOwner;
+    }
+
+    // ============================================
+    // TRANSFERS
+    // ============================================
+
+    /**
+     * @notice Transfer an encrypted amount to `_to`
+     * @param _to Recipient
+     * @param _encryptedAmount Encrypted amount
+     * @param inputProof Proof for the encrypted input
+     */
+    function transfer(
+        address _to,
+        einput _encryptedAmount,
+        bytes calldata inputProof
+    ) external returns (euint64) {
+        return _transfer(msg.sender, _to, TFHE.asEuint64(_encryptedAmount, inputProof));
+    }
+
+    /**
+     * @notice Transfer an encrypted amount the caller already holds a handle to
+     */
+    function transfer(address _to, euint64 _amount) external returns (euint64) {
+        require(TFHE.isSenderAllowed(_amount), "Amount not allowed");
+        return _transfer(msg.sender, _to, _amount);
+    }
+
+    /**
+     * @notice Approve `_spender` to transfer up to an encrypted amount
+     * @param _spender Spender
+     * @param _encryptedAmount Encrypted allowance
+     * @param inputProof Proof for the encrypted input
+     */
+    function approve(
+        address _spender,
+        einput _encryptedAmount,
+        bytes calldata inputProof
+    ) external {
+        _approve(msg.sender, _spender, TFHE.asEuint64(_encryptedAmount, inputProof));
+    }
+
+    /**
+     * @notice Transfer from `_from` using the caller's allowance
+     * @dev Moves 0 when either the allowance or the balance is too low
+     * @return transferred The encrypted amount actually moved, readable by the caller
+     */
+    function transferFrom(address _from, address _to, euint64 _amount) external returns (euint64 transferred) {
+        require(TFHE.isSenderAllowed(_amount), "Amount not allowed");
+
+        euint64 currentAllowance = allowances[_from][msg.sender];
+        // An allowance that was never set is an encrypted 0
+        if (!TFHE.isInitialized(currentAllowance)) {
+            currentAllowance = TFHE.asEuint64(0);
+        }
+        ebool allowed = TFHE.le(_amount, currentAllowance);
+        ebool funded = TFHE.le(_amount, balances[_from]);
+        ebool canTransfer = TFHE.and(allowed, funded);
+
+        _approve(_from, msg.sender, TFHE.select(canTransfer, TFHE.sub(currentAllowance, _amount), currentAllowance));
+        transferred = _move(_from, _to, TFHE.select(canTransfer, _amount, TFHE.asEuint64(0)));
+    }
+
+    // ============================================
+    // VIEW FUNCTIONS
+    // ============================================
+
+    /**
+     * @notice Encrypted balance handle; decryptable by the account holder only
+     */
+    function balanceOf(address _account) external view returns (euint64) {
+        return balances[_account];
+    }
+
+    /**
+     * @notice Encrypted allowance handle; decryptable by the owner and the spender
+     */
+    function allowance(address _owner, address _spender) external view returns (euint64) {
+        return allowances[_owner][_spender];
+    }
+
+    // ============================================
+    // INTERNAL FUNCTIONS
+    // ============================================
+
+    function _transfer(address _from, address _to, euint64 _amount) internal returns (euint64) {
+        ebool funded = TFHE.le(_amount, balances[_from]);
+        return _move(_from, _to, TFHE.select(funded, _amount, TFHE.asEuint64(0)));
+    }
+
+    function _move(address _from, address _to, euint64 _amount) internal returns (euint64) {
+        require(_to != address(0), "Invalid recipient");
+
+        _setBalance(_from, TFHE.sub(balances[_from], _amount));
+        _setBalance(_to, TFHE.add(balances[_to], _amount));
+
+        // Let the caller (e.g. a payroll contract) record what was actually sent
+        TFHE.allow(_amount, address(this));
+        TFHE.allow(_amount, msg.sender);
+
+        emit Transfer(_from, _to);
+        return _amount;
+    }
+
+    function _approve(address _owner, address _spender, euint64 _amount) internal {
+        allowances[_owner][_spender] = _amount;
+        TFHE.allow(_amount, address(this));
+        TFHE.allow(_amount, _owner);
+        TFHE.allow(_amount, _spender);
+
+        emit Approval(_owner, _spender);
+    }
+
+    function _setBalance(address _account, euint64 _balance) internal {
+        balances[_account] = _balance;
+        TFHE.allow(_balance, address(this));
+        TFHE.allow(_balance, _account);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../ConfidentialPayroll.sol";
+
+/**
+ * @title ConfidentialPayrollV2Mock
+ * @notice Next implementation for the upgrade tests: appends a state variable and adds
+ *         a function, leaving the existing storage layout untouched
+ */
+contract ConfidentialPayrollV2Mock is ConfidentialPayroll {
+    uint256 public upgradeCount;
+
+    constructor(address _token) ConfidentialPayroll(_token) {}
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function recordUpgrade() external {
+        upgradeCount++;
+    }
+}
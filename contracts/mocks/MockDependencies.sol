@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Compiles fhEVM's ACL and GatewayContract so test/helpers/fhevm.js can install
+// them at their predeploy addresses on the local Hardhat network
+import "fhevm/lib/ACL.sol";
+import "fhevm/gateway/GatewayContract.sol";
@@ -0,0 +1,311 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "fhevm/lib/ACL.sol";
+import "fhevm/lib/ACLAddress.sol";
+
+/**
+ * @title MockFHEVMCoprocessor
+ * @notice Plaintext stand-in for the fhEVM coprocessor, for local Hardhat tests only
+ * @dev Installed at the coprocessor address by test/helpers/fhevm.js. It enforces the
+ *      same ACL rules as TFHEExecutor, but instead of computing on ciphertexts it keeps
+ *      the cleartext value behind every handle so tests can assert on results.
+ *      Nothing here is confidential: never deploy it to a real network.
+ */
+contract MockFHEVMCoprocessor {
+    ACL private constant acl = ACL(address(aclAdd));
+
+    uint8 private constant TYPE_BOOL = 0;
+    uint8 private constant HANDLE_VERSION = 0;
+
+    /// @notice Cleartext value behind each handle produced or verified by the mock
+    mapping(uint256 => uint256) public plaintexts;
+
+    /// @notice Whether a handle was produced or verified by the mock
+    mapping(uint256 => bool) public isKnownHandle;
+
+    uint256 private nonce;
+
+    // ============================================
+    // ARITHMETIC AND BITWISE OPERATIONS
+    // ============================================
+
+    function fheAdd(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("add", lhs, rhs, scalarByte), t, _wrappingAdd(a, b));
+    }
+
+    function fheSub(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("sub", lhs, rhs, scalarByte), t, _wrappingSub(a, b));
+    }
+
+    function fheMul(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("mul", lhs, rhs, scalarByte), t, _wrappingMul(a, b));
+    }
+
+    function fheDiv(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        require(scalarByte == 0x01, "Only scalar division is supported");
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        require(b != 0, "Division by zero");
+        return _store(_derive("div", lhs, rhs, scalarByte), t, a / b);
+    }
+
+    function fheRem(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        require(scalarByte == 0x01, "Only scalar remainder is supported");
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        require(b != 0, "Division by zero");
+        return _store(_derive("rem", lhs, rhs, scalarByte), t, a % b);
+    }
+
+    function fheBitAnd(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("and", lhs, rhs, scalarByte), t, a & b);
+    }
+
+    function fheBitOr(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("or", lhs, rhs, scalarByte), t, a | b);
+    }
+
+    function fheBitXor(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("xor", lhs, rhs, scalarByte), t, a ^ b);
+    }
+
+    function fheShl(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, false);
+        return _store(_derive("shl", lhs, rhs, scalarByte), t, a << (b % _bits(t)));
+    }
+
+    function fheShr(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, false);
+        return _store(_derive("shr", lhs, rhs, scalarByte), t, a >> (b % _bits(t)));
+    }
+
+    function fheRotl(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, false);
+        uint256 bits = _bits(t);
+        uint256 shift = b % bits;
+        return _store(_derive("rotl", lhs, rhs, scalarByte), t, (a << shift) | (a >> ((bits - shift) % bits)));
+    }
+
+    function fheRotr(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, false);
+        uint256 bits = _bits(t);
+        uint256 shift = b % bits;
+        return _store(_derive("rotr", lhs, rhs, scalarByte), t, (a >> shift) | (a << ((bits - shift) % bits)));
+    }
+
+    function fheMin(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("min", lhs, rhs, scalarByte), t, a < b ? a : b);
+    }
+
+    function fheMax(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (uint8 t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("max", lhs, rhs, scalarByte), t, a > b ? a : b);
+    }
+
+    function fheNeg(uint256 ct) external returns (uint256) {
+        _requireAllowed(ct);
+        uint8 t = _typeOf(ct);
+        return _store(_derive("neg", ct, 0, 0x00), t, _wrappingSub(0, plaintexts[ct]));
+    }
+
+    function fheNot(uint256 ct) external returns (uint256) {
+        _requireAllowed(ct);
+        uint8 t = _typeOf(ct);
+        uint256 value = t == TYPE_BOOL ? (plaintexts[ct] == 0 ? 1 : 0) : ~plaintexts[ct];
+        return _store(_derive("not", ct, 0, 0x00), t, value);
+    }
+
+    // ============================================
+    // COMPARISONS
+    // ============================================
+
+    function fheEq(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("eq", lhs, rhs, scalarByte), TYPE_BOOL, _bool(a == b));
+    }
+
+    function fheNe(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("ne", lhs, rhs, scalarByte), TYPE_BOOL, _bool(a != b));
+    }
+
+    function fheGe(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("ge", lhs, rhs, scalarByte), TYPE_BOOL, _bool(a >= b));
+    }
+
+    function fheGt(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("gt", lhs, rhs, scalarByte), TYPE_BOOL, _bool(a > b));
+    }
+
+    function fheLe(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("le", lhs, rhs, scalarByte), TYPE_BOOL, _bool(a <= b));
+    }
+
+    function fheLt(uint256 lhs, uint256 rhs, bytes1 scalarByte) external returns (uint256) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte, true);
+        return _store(_derive("lt", lhs, rhs, scalarByte), TYPE_BOOL, _bool(a < b));
+    }
+
+    // ============================================
+    // INPUTS, CASTS AND SELECTION
+    // ============================================
+
+    /**
+     * @notice Verify a mock encrypted input produced by test/helpers/fhevm.js
+     * @dev The mock proof is abi.encode(uint8[] types, uint256[] values, bytes32 salt); the
+     *      handle must commit to it together with the contract and the submitting user.
+     *      Handle layout: hash[0:29] || index || type || version
+     */
+    function verifyCiphertext(
+        bytes32 inputHandle,
+        address callerAddress,
+        bytes memory inputProof,
+        bytes1 inputType
+    ) external returns (uint256 result) {
+        (uint8[] memory types, uint256[] memory values, bytes32 salt) = abi.decode(
+            inputProof,
+            (uint8[], uint256[], bytes32)
+        );
+        result = uint256(inputHandle);
+        uint256 index = uint8(result >> 16);
+        uint8 t = _typeOf(result);
+
+        require(index < values.length && types.length == values.length, "Invalid input index");
+        require(t == uint8(inputType) && t == types[index], "Invalid input type");
+        bytes32 commitment = keccak256(abi.encode(msg.sender, callerAddress, types, values, salt));
+        require(uint256(commitment) >> 24 == result >> 24, "Invalid input proof");
+
+        plaintexts[result] = _mask(values[index], t);
+        isKnownHandle[result] = true;
+        acl.allowTransient(result, msg.sender);
+    }
+
+    function cast(uint256 ct, bytes1 toType) external returns (uint256) {
+        _requireAllowed(ct);
+        uint8 t = uint8(toType);
+        return _store(_derive("cast", ct, uint256(uint8(toType)), 0x01), t, plaintexts[ct]);
+    }
+
+    function trivialEncrypt(uint256 plaintext, bytes1 toType) external returns (uint256) {
+        uint8 t = uint8(toType);
+        return _store(_derive("trivial", plaintext, uint256(uint8(toType)), 0x01), t, plaintext);
+    }
+
+    function fheIfThenElse(uint256 control, uint256 ifTrue, uint256 ifFalse) external returns (uint256) {
+        _requireAllowed(control);
+        _requireAllowed(ifTrue);
+        _requireAllowed(ifFalse);
+        uint256 selected = plaintexts[control] != 0 ? ifTrue : ifFalse;
+        return _store(
+            uint256(keccak256(abi.encodePacked("select", control, ifTrue, ifFalse))),
+            _typeOf(ifTrue),
+            plaintexts[selected]
+        );
+    }
+
+    function fheRand(bytes1 randType) external returns (uint256) {
+        uint256 seed = uint256(keccak256(abi.encodePacked(block.prevrandao, msg.sender, nonce++)));
+        return _store(_derive("rand", seed, 0, 0x01), uint8(randType), seed);
+    }
+
+    function fheRandBounded(uint256 upperBound, bytes1 randType) external returns (uint256) {
+        require(upperBound != 0, "Upper bound must be positive");
+        uint256 seed = uint256(keccak256(abi.encodePacked(block.prevrandao, msg.sender, nonce++)));
+        return _store(_derive("randBounded", seed, upperBound, 0x01), uint8(randType), seed % upperBound);
+    }
+
+    function cleanTransientStorage() external {}
+
+    // ============================================
+    // INTERNAL FUNCTIONS
+    // ============================================
+
+    function _binaryOperands(
+        uint256 lhs,
+        uint256 rhs,
+        bytes1 scalarByte,
+        bool sameType
+    ) internal view returns (uint8 t, uint256 a, uint256 b) {
+        _requireAllowed(lhs);
+        t = _typeOf(lhs);
+        a = plaintexts[lhs];
+        if (scalarByte == 0x01) {
+            b = _mask(rhs, t);
+        } else {
+            _requireAllowed(rhs);
+            require(!sameType || _typeOf(rhs) == t, "Incompatible types for lhs and rhs");
+            b = plaintexts[rhs];
+        }
+    }
+
+    function _requireAllowed(uint256 handle) internal view {
+        require(acl.isAllowed(handle, msg.sender), "Sender is not allowed to use this handle");
+    }
+
+    /// @dev Stamp the type on a derived handle, record its value and hand it to the caller
+    function _store(uint256 prehandle, uint8 t, uint256 value) internal returns (uint256 result) {
+        result = prehandle & ~uint256(0xffff);
+        result |= uint256(t) << 8;
+        result |= HANDLE_VERSION;
+        plaintexts[result] = _mask(value, t);
+        isKnownHandle[result] = true;
+        acl.allowTransient(result, msg.sender);
+    }
+
+    function _derive(string memory op, uint256 lhs, uint256 rhs, bytes1 scalarByte) internal pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(op, lhs, rhs, scalarByte)));
+    }
+
+    function _typeOf(uint256 handle) internal pure returns (uint8) {
+        return uint8(handle >> 8);
+    }
+
+    /// @dev Bit width of each fhEVM type: ebool, euint4, euint8, euint16, euint32, euint64, euint128, eaddress, euint256
+    function _bits(uint8 t) internal pure returns (uint256) {
+        if (t == 0) return 1;
+        if (t == 1) return 4;
+        if (t == 2) return 8;
+        if (t == 3) return 16;
+        if (t == 4) return 32;
+        if (t == 5) return 64;
+        if (t == 6) return 128;
+        if (t == 7) return 160;
+        return 256;
+    }
+
+    function _mask(uint256 value, uint8 t) internal pure returns (uint256) {
+        uint256 bits = _bits(t);
+        return bits == 256 ? value : value & ((uint256(1) << bits) - 1);
+    }
+
+    function _bool(bool value) internal pure returns (uint256) {
+        return value ? 1 : 0;
+    }
+
+    function _wrappingAdd(uint256 a, uint256 b) internal pure returns (uint256) {
+        unchecked {
+            return a + b;
+        }
+    }
+
+    function _wrappingSub(uint256 a, uint256 b) internal pure returns (uint256) {
+        unchecked {
+            return a - b;
+        }
+    }
+
+    function _wrappingMul(uint256 a, uint256 b) internal pure returns (uint256) {
+        unchecked {
+            return a * b;
+        }
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+
+/**
+ * @title PayrollProxy
+ * @notice TransparentUpgradeableProxy that ConfidentialPayroll is deployed behind
+ * @dev ConfidentialPayroll has no initializer: its only setting, the token, is an
+ *      immutable of each implementation. The proxy is therefore created without
+ *      initialization data, which OpenZeppelin's proxies refuse (since 5.6.0, hence the
+ *      package.json lower bound) unless allowed here.
+ *      It deploys its own ProxyAdmin owned by `_initialOwner` (see scripts/lib/proxy.js).
+ */
+contract PayrollProxy is TransparentUpgradeableProxy {
+    constructor(address _logic, address _initialOwner) TransparentUpgradeableProxy(_logic, _initialOwner, "") {}
+
+    function _unsafeAllowUninitialized() internal pure override returns (bool) {
+        return true;
+    }
+}
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const puppeteer = require("puppeteer");
+const { startEnvironment } = require("./support/environment");
+const { TestWallet } = require("./support/wallet");
+
+// Browser journeys through the dashboard against a local chain (npm run test:e2e).
+// Salaries are set from the test rather than the UI: encrypting in the browser needs
+// fhevmjs and a Gateway, which a hardhat node doesn't have.
+
+const COMPANY_NAME = "Acme E2E";
+const UI_TIMEOUT = 30000;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+describe("Payroll dashboard (E2E)", function () {
+  this.timeout(600000);
+
+  let env;
+  let browser;
+  let company;
+  let employee;
+  let leaver;
+  let formatSalary;
+  let parseSalary;
+
+  before(async function () {
+    env = await startEnvironment(hre);
+    browser = await puppeteer.launch({ headless: true, args: ["--no-sandbox"] });
+    // The first account deployed the contracts
+    [, company, employee, leaver] = await hre.ethers.getSigners();
+    ({ formatSalary, parseSalary } = await import("../sdk/index.js"));
+  });
+
+  after(async function () {
+    await browser?.close();
+    env?.stop();
+  });
+
+  // A new tab with `account`'s wallet injected, opened at `path`
+  async function openDashboard(account, path = "/", walletOptions = {}) {
+    const wallet = new TestWallet({ rpcUrl: env.rpcUrl, account: account.address, chainId: env.chainId, ...walletOptions });
+    const page = await browser.newPage();
+    page.setDefaultTimeout(UI_TIMEOUT);
+    await wallet.attach(page);
+    await page.goto(`${env.appUrl}${path}`);
+    return { page, wallet };
+  }
+
+  const clickButton = (page, text) => page.locator(`button::-p-text(${text})`).click();
+  const fillInput = (page, placeholder, value) => page.locator(`input[placeholder="${placeholder}"]`).fill(value);
+  const waitForText = (page, text) => page.waitForSelector(`::-p-text(${text})`);
+  const waitForPath = (page, path) => page.waitForFunction((expected) => location.pathname === expected, {}, path);
+
+  // Wait for the transaction toast titled `label` to show `status` (or a revert reason)
+  async function expectToast(page, label, status) {
+    await page.waitForFunction(
+      (title, text) =>
+        [...document.querySelectorAll(".fixed.bottom-4 > div")].some(
+          (toast) => toast.querySelector("p")?.textContent === title && toast.textContent.includes(text)
+        ),
+      {},
+      label,
+      status
+    );
+  }
+
+  async function setSalary(employeeAddress, amount) {
+    const input = env.fhevm.createEncryptedInput(await env.payroll.getAddress(), company.address);
+    input.add64(parseSalary(amount));
+    const { handles, inputProof } = await input.encrypt();
+    await (await env.payroll.connect(company).setSalary(employeeAddress, handles[0], inputProof)).wait();
+  }
+
+  describe("Company", function () {
+    let page;
+    let stalePage;
+
+    it("connects the wallet and detects a new user", async function () {
+      ({ page } = await openDashboard(company));
+      // A second tab left open on the registration form
+      ({ page: stalePage } = await openDashboard(company));
+
+      for (const tab of [page, stalePage]) {
+        await clickButton(tab, "Connect Wallet");
+        await waitForText(tab, "NEW USER");
+        await waitForText(tab, "Register as Company");
+      }
+    });
+
+    it("registers a company and becomes its owner", async function () {
+      await fillInput(page, "Enter company name", COMPANY_NAME);
+      await clickButton(page, "Register Company");
+
+      await expectToast(page, `Register ${COMPANY_NAME}`, "Confirmed");
+      await waitForPath(page, "/company");
+      await waitForText(page, "OWNER");
+      expect((await env.payroll.getCompanyInfo(company.address)).name).to.equal(COMPANY_NAME);
+    });
+
+    it("shows the revert reason when the company registers twice", async function () {
+      await fillInput(stalePage, "Enter company name", "Acme Again");
+      await clickButton(stalePage, "Register Company");
+
+      await expectToast(stalePage, "Register Acme Again", "Company already registered");
+      expect((await env.payroll.getCompanyInfo(company.address)).name).to.equal(COMPANY_NAME);
+    });
+
+    it("adds employees", async function () {
+      for (const signer of [employee, leaver]) {
+        await page.goto(`${env.appUrl}/company/employees`);
+        await fillInput(page, "Employee wallet address (0x...)", signer.address);
+        await clickButton(page, "Add Employee");
+
+        await expectToast(page, `Add employee ${shortAddress(signer.address)}`, "Confirmed");
+        await waitForPath(page, `/company/employees/${signer.address}`);
+        await waitForText(page, "Active");
+      }
+    });
+
+    it("pays an employee", async function () {
+      await setSalary(employee.address, "4200");
+      await setSalary(leaver.address, "3100");
+
+      await page.goto(`${env.appUrl}/company/employees/${employee.address}`);
+      await clickButton(page, "Pay Salary");
+
+      await expectToast(page, `Pay ${shortAddress(employee.address)}`, "Confirmed");
+      const payments = await env.payroll.queryFilter(env.payroll.filters.PaymentMade(company.address, employee.address));
+      expect(payments).to.have.length(1);
+    });
+
+    it("shows the revert reason when paying an employee who was removed meanwhile", async function () {
+      // Opened before the removal, so it still offers to pay
+      const { page: staleDetail } = await openDashboard(company, `/company/employees/${leaver.address}`, { connected: true });
+      await staleDetail.locator("button::-p-text(Pay Salary)").wait();
+
+      await page.goto(`${env.appUrl}/company/employees/${leaver.address}`);
+      await clickButton(page, "Remove");
+      await expectToast(page, `Remove ${shortAddress(leaver.address)}`, "Confirmed");
+      await waitForPath(page, "/company");
+
+      await clickButton(staleDetail, "Pay Salary");
+      await expectToast(staleDetail, `Pay ${shortAddress(leaver.address)}`, "Employee not active");
+      const payments = await env.payroll.queryFilter(env.payroll.filters.PaymentMade(company.address, leaver.address));
+      expect(payments).to.have.length(0);
+    });
+  });
+
+  describe("Employee", function () {
+    let page;
+
+    it("connects the wallet and opens the employment", async function () {
+      ({ page } = await openDashboard(employee));
+      await clickButton(page, "Connect Wallet");
+
+      await page.waitForFunction(() => location.pathname.startsWith("/employee"));
+      await waitForText(page, COMPANY_NAME);
+      await waitForText(page, "Active");
+    });
+
+    it("requests an on-chain decryption of the salary", async function () {
+      await clickButton(page, "Request On-chain Decryption");
+      await expectToast(page, "Request on-chain decryption", "Confirmed");
+      await waitForText(page, "Pending");
+
+      // Play the Gateway relayer; the page polls until the result lands
+      await env.fhevm.awaitAllDecryptionResults();
+      await waitForText(page, "Fulfilled");
+      await waitForText(page, formatSalary(parseSalary("4200")));
+    });
+
+    it("shows a removed employee's employment as ended", async function () {
+      const { page: leaverPage } = await openDashboard(leaver);
+      await clickButton(leaverPage, "Connect Wallet");
+
+      await waitForText(leaverPage, COMPANY_NAME);
+      await waitForText(leaverPage, "Ended");
+    });
+
+    it("offers to switch a wallet on the wrong network", async function () {
+      const { page: wrongNetwork, wallet } = await openDashboard(employee, "/", { chainId: 8009 });
+      await clickButton(wrongNetwork, "Connect Wallet");
+      await waitForText(wrongNetwork, "Wrong network");
+
+      await clickButton(wrongNetwork, "Switch to Hardhat Local");
+      await waitForText(wrongNetwork, COMPANY_NAME);
+      expect(wallet.chainId).to.equal(env.chainId);
+    });
+  });
+});
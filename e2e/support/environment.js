@@ -0,0 +1,119 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, execFile } = require("child_process");
+const { promisify } = require("util");
+
+// Everything the browser suite runs against: a `hardhat node` with the fhEVM mocks
+// installed, ConfidentialPayroll deployed by scripts/deploy.js and a production build of
+// the dashboard served by `vite preview`. The deployment is recorded in a temp directory
+// (LOCAL_DEPLOYMENTS_DIR) rather than deployments/local/, so the suite leaves a
+// developer's own local registry alone. Child processes are started with node directly
+// so stop() ends exactly the processes it started.
+
+const ROOT = path.join(__dirname, "..", "..");
+const FRONTEND = path.join(ROOT, "frontend");
+const HARDHAT_CLI = path.join(ROOT, "node_modules", "hardhat", "internal", "cli", "cli.js");
+const VITE_CLI = path.join(FRONTEND, "node_modules", "vite", "bin", "vite.js");
+
+// `--network localhost` and the dashboard's Hardhat Local network both use port 8545
+const RPC_URL = "http://127.0.0.1:8545";
+const CHAIN_ID = 1337;
+const APP_PORT = Number(process.env.E2E_APP_PORT || 4173);
+
+const run = promisify(execFile);
+
+async function rpc(method, params = []) {
+  const response = await fetch(RPC_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+  });
+  return response.json();
+}
+
+// Poll `check` until it resolves truthy
+async function waitFor(description, check, timeout = 60000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await check().catch(() => false)) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+function startProcess(args, options) {
+  const child = spawn(process.execPath, args, { stdio: ["ignore", "pipe", "pipe"], ...options });
+  const output = [];
+  child.stdout.on("data", (chunk) => output.push(chunk));
+  child.stderr.on("data", (chunk) => output.push(chunk));
+  child.output = () => Buffer.concat(output).toString();
+  return child;
+}
+
+function stopProcess(child) {
+  if (child && child.exitCode === null) {
+    child.kill();
+  }
+}
+
+async function startEnvironment(hre) {
+  if (await rpc("eth_chainId").catch(() => null)) {
+    throw new Error(`Something is already listening on ${RPC_URL}; stop it (npm run node?) before running the E2E suite`);
+  }
+  if (!fs.existsSync(VITE_CLI)) {
+    throw new Error("Frontend dependencies are missing; run npm install in frontend/ first");
+  }
+
+  const processes = [];
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "payroll-e2e-"));
+  const outDir = path.join(tmpDir, "dist");
+  const deploymentsDir = path.join(tmpDir, "deployments");
+  const env = {
+    ...process.env,
+    LOCAL_DEPLOYMENTS_DIR: deploymentsDir,
+    VITE_NETWORK_ID: String(CHAIN_ID),
+    VITE_INDEXER_URL: "",
+  };
+  const stop = () => {
+    processes.reverse().forEach(stopProcess);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  };
+
+  try {
+    console.log("⛓️  Starting hardhat node...");
+    const node = startProcess([HARDHAT_CLI, "node"], { cwd: ROOT });
+    processes.push(node);
+    await waitFor("hardhat node", async () => (await rpc("eth_chainId")).result);
+
+    // Same plaintext coprocessor, ACL and Gateway as the contract tests
+    const fhevm = require("../../scripts/lib/fhevmMock");
+    await fhevm.installFhevmMocks();
+
+    console.log("🚀 Deploying with scripts/deploy.js...");
+    await run(process.execPath, [HARDHAT_CLI, "run", "scripts/deploy.js", "--network", "localhost"], { cwd: ROOT, env });
+    const registry = JSON.parse(fs.readFileSync(path.join(deploymentsDir, "registry.json"), "utf8"));
+    const { address } = registry[CHAIN_ID].contracts.ConfidentialPayroll;
+
+    // The registry is bundled at build time, so build after deploying
+    console.log("📦 Building the dashboard for chainId", CHAIN_ID, "...");
+    await run(process.execPath, [VITE_CLI, "build", "--outDir", outDir, "--emptyOutDir"], { cwd: FRONTEND, env });
+    const preview = startProcess(
+      [VITE_CLI, "preview", "--outDir", outDir, "--port", String(APP_PORT), "--strictPort"],
+      { cwd: FRONTEND, env }
+    );
+    processes.push(preview);
+    const appUrl = `http://127.0.0.1:${APP_PORT}`;
+    await waitFor("vite preview", async () => (await fetch(appUrl)).ok);
+
+    return { appUrl, rpcUrl: RPC_URL, chainId: CHAIN_ID, payroll: await hre.ethers.getContractAt("ConfidentialPayroll", address), fhevm, stop };
+  } catch (error) {
+    const log = processes.map((child) => child.output()).join("\n").slice(-4000);
+    stop();
+    throw log ? new Error(`${error.message}\n${log}`) : error;
+  }
+}
+
+module.exports = { startEnvironment, waitFor, RPC_URL, CHAIN_ID };
@@ -0,0 +1,124 @@
+// A stand-in for MetaMask: an EIP-1193 `window.ethereum` injected before the dashboard
+// loads. Wallet requests (connect, chain switching, revoking) are answered by a
+// Node-side wallet object; everything else goes to the hardhat node, whose accounts are
+// unlocked, so eth_sendTransaction and eth_signTypedData_v4 are signed without a prompt.
+
+const WALLET_METHODS = new Set([
+  "eth_requestAccounts",
+  "eth_accounts",
+  "eth_chainId",
+  "net_version",
+  "wallet_switchEthereumChain",
+  "wallet_addEthereumChain",
+  "wallet_revokePermissions",
+]);
+
+// Runs in the page before any of its scripts
+function injectProvider() {
+  const listeners = {};
+  window.__e2eEmit = (event, payload) => (listeners[event] || []).slice().forEach((listener) => listener(payload));
+  window.ethereum = {
+    isMetaMask: true,
+    async request({ method, params = [] }) {
+      const { result, error } = await window.__e2eWallet(method, params);
+      if (error) {
+        throw Object.assign(new Error(error.message), error);
+      }
+      return result;
+    },
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return this;
+    },
+    removeListener(event, listener) {
+      listeners[event] = (listeners[event] || []).filter((existing) => existing !== listener);
+      return this;
+    },
+  };
+}
+
+class TestWallet {
+  // `connected` starts the wallet already authorized for the site, as after an earlier visit
+  constructor({ rpcUrl, account, chainId, connected = false }) {
+    this.rpcUrl = rpcUrl;
+    this.account = account;
+    this.chainId = chainId;
+    this.connected = connected;
+    this.alerts = [];
+    this.pages = [];
+  }
+
+  // Give `page` this wallet; call before navigating
+  async attach(page) {
+    this.pages.push(page);
+    await page.exposeFunction("__e2eWallet", (method, params) =>
+      this.handle(method, params).then(
+        (result) => ({ result }),
+        (error) => ({ error: { code: error.code ?? -32603, message: error.message, data: error.data } })
+      )
+    );
+    await page.evaluateOnNewDocument(injectProvider);
+    // Accept confirm() prompts (removing an employee) and keep alert() text for assertions
+    page.on("dialog", async (dialog) => {
+      if (dialog.type() === "alert") {
+        this.alerts.push(dialog.message());
+      }
+      await dialog.accept();
+    });
+  }
+
+  async handle(method, params) {
+    if (!WALLET_METHODS.has(method)) {
+      return this.forward(method, params);
+    }
+    switch (method) {
+      case "eth_requestAccounts":
+        this.connected = true;
+        return [this.account];
+      case "eth_accounts":
+        return this.connected ? [this.account] : [];
+      case "eth_chainId":
+        return `0x${this.chainId.toString(16)}`;
+      case "net_version":
+        return String(this.chainId);
+      case "wallet_switchEthereumChain":
+        await this.switchChain(Number(params[0].chainId));
+        return null;
+      case "wallet_addEthereumChain":
+        await this.switchChain(Number(params[0].chainId));
+        return null;
+      case "wallet_revokePermissions":
+        this.connected = false;
+        return null;
+    }
+  }
+
+  async forward(method, params) {
+    const response = await fetch(this.rpcUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    });
+    const { result, error } = await response.json();
+    if (error) {
+      throw Object.assign(new Error(error.message), error);
+    }
+    return result;
+  }
+
+  // Report a different chain, as if the user switched networks in MetaMask
+  async switchChain(chainId) {
+    this.chainId = chainId;
+    await this.emit("chainChanged", `0x${chainId.toString(16)}`);
+  }
+
+  async emit(event, payload) {
+    await Promise.all(
+      this.pages
+        .filter((page) => !page.isClosed())
+        .map((page) => page.evaluate((name, value) => window.__e2eEmit(name, value), event, payload))
+    );
+  }
+}
+
+module.exports = { TestWallet };
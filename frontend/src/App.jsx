@@ -1,10 +1,45 @@
-import PayrollDashboard from './components/PayrollDashboard'
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom'
+import { PayrollProvider } from './context/PayrollContext'
+import Layout from './components/Layout'
+import TransactionToasts from './components/TransactionToasts'
+import HomePage from './pages/HomePage'
+import CompanyPage from './pages/CompanyPage'
+import CompanyEmployeesPage from './pages/CompanyEmployeesPage'
+import EmployeeDetailPage from './pages/EmployeeDetailPage'
+import PayrollRunPage from './pages/PayrollRunPage'
+import ApprovalsPage from './pages/ApprovalsPage'
+import AnalyticsPage from './pages/AnalyticsPage'
+import EmployeePage from './pages/EmployeePage'
+import HistoryPage from './pages/HistoryPage'
+import SettingsPage from './pages/SettingsPage'
 import './App.css'
 
 function App() {
   return (
     <div className="App">
-      <PayrollDashboard />
+      <BrowserRouter>
+        <PayrollProvider>
+          <Routes>
+            <Route element={<Layout />}>
+              <Route index element={<HomePage />} />
+              <Route path="company" element={<CompanyPage />}>
+                <Route index element={<CompanyEmployeesPage />} />
+                <Route path="employees/:address" element={<EmployeeDetailPage />} />
+                <Route path="payroll-run" element={<PayrollRunPage />} />
+                <Route path="approvals" element={<ApprovalsPage />} />
+                <Route path="analytics" element={<AnalyticsPage />} />
+              </Route>
+              <Route path="employee" element={<EmployeePage />} />
+              <Route path="employee/:company" element={<EmployeePage />} />
+              <Route path="history" element={<HistoryPage />} />
+              <Route path="history/:paymentId" element={<HistoryPage />} />
+              <Route path="settings" element={<SettingsPage />} />
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Route>
+          </Routes>
+        </PayrollProvider>
+      </BrowserRouter>
+      <TransactionToasts />
     </div>
   )
 }
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ClipboardCheck, CheckCircle, Play, XCircle, RefreshCw } from 'lucide-react';
+import { loadRoster, ROSTER_PAGE_SIZE } from '../utils/roster';
+import { loadPayrollRuns } from '../utils/team';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+import Pager from './Pager';
+
+const runStatus = (run, threshold) => {
+  if (run.executed) {
+    return { label: 'Executed', className: 'bg-green-100 text-green-700' };
+  }
+  if (run.cancelled) {
+    return { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' };
+  }
+  if (run.expired) {
+    return { label: 'Expired', className: 'bg-gray-100 text-gray-600' };
+  }
+  if (run.approvals >= threshold) {
+    return { label: 'Ready', className: 'bg-blue-100 text-blue-700' };
+  }
+  return { label: 'Awaiting approvals', className: 'bg-yellow-100 text-yellow-700' };
+};
+
+// M-of-N payroll runs: any company member proposes, approvers approve and execute
+const ApprovalRuns = ({ client, account, companyInfo, roles, onComplete }) => {
+  const [runs, setRuns] = useState([]);
+  const [activeEmployees, setActiveEmployees] = useState({ addresses: [], total: 0 }); // current roster page
+  const [rosterPage, setRosterPage] = useState(0);
+  const [selected, setSelected] = useState({}); // address -> selected, across roster pages
+  const [loading, setLoading] = useState(false);
+  const transactions = useTransactions();
+
+  const company = companyInfo.address;
+  const threshold = companyInfo.approvalThreshold;
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      setRuns(await loadPayrollRuns(client, company, account));
+      setLoading(false);
+    } catch (error) {
+      console.error('Error loading payroll runs:', error);
+      setLoading(false);
+    }
+  }, [client, company, account]);
+
+  const loadEmployees = useCallback(async () => {
+    try {
+      const { rows, total } = await loadRoster(client, company, {
+        active: true,
+        limit: ROSTER_PAGE_SIZE,
+        offset: rosterPage * ROSTER_PAGE_SIZE
+      });
+      setActiveEmployees({ addresses: rows.map((row) => row.address), total });
+    } catch (error) {
+      console.error('Error loading employees:', error);
+    }
+  }, [client, company, rosterPage]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    loadEmployees();
+  }, [loadEmployees]);
+
+  // Actions on one run block each other but not other runs; `key` is 'propose' or 'run:<id>'
+  const runAction = async (key, label, send) => {
+    const receipt = await runTransaction(client, { key, label, send });
+    if (receipt) {
+      await refresh();
+    }
+    return !!receipt;
+  };
+
+  const propose = async () => {
+    const employees = Object.keys(selected).filter((address) => selected[address]);
+    if (employees.length === 0) {
+      alert('Please select at least one employee');
+      return;
+    }
+    const proposed = await runAction(
+      'propose',
+      `Propose payroll run for ${employees.length} employee(s)`,
+      () => client.proposePayrollRun(employees)
+    );
+    if (proposed) {
+      setSelected({});
+    }
+  };
+
+  const execute = async (run) => {
+    const executed = await runAction(`run:${run.runId}`, `Execute payroll run #${run.runId}`, () =>
+      client.executePayrollRun(run.runId)
+    );
+    if (executed) {
+      onComplete?.();
+    }
+  };
+
+  const pageAddresses = activeEmployees.addresses;
+  const allSelected = pageAddresses.length > 0 && pageAddresses.every((address) => selected[address]);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-2 flex items-center gap-2">
+          <ClipboardCheck className="w-5 h-5 text-indigo-600" />
+          Propose Payroll Run
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Runs need {threshold} of {companyInfo.approverCount + 1} approvals before they can be executed, and expire a
+          pay period after they are proposed.
+        </p>
+        {activeEmployees.total === 0 ? (
+          <p className="text-gray-600">{loading ? 'Loading employees...' : 'No active employees.'}</p>
+        ) : (
+          <>
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 mb-2">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={(e) =>
+                  setSelected({
+                    ...selected,
+                    ...Object.fromEntries(pageAddresses.map((address) => [address, e.target.checked]))
+                  })
+                }
+              />
+              {activeEmployees.total > ROSTER_PAGE_SIZE ? 'All active employees on this page' : 'All active employees'}
+            </label>
+            <div className="grid grid-cols-2 gap-1 mb-4">
+              {pageAddresses.map((address) => (
+                <label key={address} className="flex items-center gap-2 text-sm font-mono text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!selected[address]}
+                    onChange={(e) => setSelected({ ...selected, [address]: e.target.checked })}
+                  />
+                  {address}
+                </label>
+              ))}
+            </div>
+            {activeEmployees.total > ROSTER_PAGE_SIZE && (
+              <div className="flex justify-end mb-4 text-sm text-gray-600">
+                <Pager page={rosterPage} total={activeEmployees.total} pageSize={ROSTER_PAGE_SIZE} onChange={setRosterPage} />
+              </div>
+            )}
+            <button
+              onClick={propose}
+              disabled={isActionPending(transactions, 'propose')}
+              className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+            >
+              {isActionPending(transactions, 'propose') ? 'Proposing...' : 'Propose Run'}
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800">Payroll Runs</h3>
+          <button onClick={refresh} disabled={loading} className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50">
+            <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        {runs.length === 0 ? (
+          <p className="text-gray-600">{loading ? 'Loading runs...' : 'No payroll runs proposed yet.'}</p>
+        ) : (
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="text-gray-600 border-b">
+                <th className="py-2">Run</th>
+                <th className="py-2">Proposed</th>
+                <th className="py-2">Employees</th>
+                <th className="py-2">Approvals</th>
+                <th className="py-2">Status</th>
+                <th className="py-2 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => {
+                const key = run.runId.toString();
+                const status = runStatus(run, threshold);
+                const pending = !run.executed && !run.cancelled;
+                const canCancel =
+                  roles.isOwner || run.proposer.toLowerCase() === account.toLowerCase();
+                return (
+                  <tr key={key} className="border-b last:border-0">
+                    <td className="py-2">#{key}</td>
+                    <td className="py-2">
+                      {new Date(run.createdAt * 1000).toLocaleString()}
+                      <p className="font-mono text-xs text-gray-500">
+                        by {run.proposer.slice(0, 6)}...{run.proposer.slice(-4)}
+                      </p>
+                    </td>
+                    <td className="py-2">{run.employees.length}</td>
+                    <td className="py-2">
+                      {run.approvals} / {threshold}
+                    </td>
+                    <td className="py-2">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${status.className}`}>
+                        {status.label}
+                      </span>
+                    </td>
+                    <td className="py-2">
+                      {pending && (
+                        <div className="flex justify-end gap-2">
+                          {isActionPending(transactions, `run:${key}`) ? (
+                            <span className="text-gray-600">Working...</span>
+                          ) : (
+                            <>
+                              {roles.isPayrollApprover && !run.approvedByMe && !run.expired && (
+                                <button
+                                  onClick={() =>
+                                    runAction(`run:${key}`, `Approve payroll run #${key}`, () => client.approvePayrollRun(run.runId))
+                                  }
+                                  title="Approve"
+                                  className="p-2 rounded-lg text-green-600 hover:bg-green-50"
+                                >
+                                  <CheckCircle className="w-4 h-4" />
+                                </button>
+                              )}
+                              {roles.isPayrollApprover && run.approvals >= threshold && !run.expired && (
+                                <button
+                                  onClick={() => execute(run)}
+                                  title="Execute"
+                                  className="p-2 rounded-lg text-blue-600 hover:bg-blue-50"
+                                >
+                                  <Play className="w-4 h-4" />
+                                </button>
+                              )}
+                              {canCancel && (
+                                <button
+                                  onClick={() =>
+                                    runAction(`run:${key}`, `Cancel payroll run #${key}`, () => client.cancelPayrollRun(run.runId))
+                                  }
+                                  title="Cancel"
+                                  className="p-2 rounded-lg text-red-600 hover:bg-red-50"
+                                >
+                                  <XCircle className="w-4 h-4" />
+                                </button>
+                              )}
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalRuns;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, CheckCircle, XCircle, Unlock } from 'lucide-react';
+import { formatSalary } from '@payroll/sdk';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+const POLL_INTERVAL_MS = 5000;
+
+const STATUS_STYLES = {
+  pending: { label: 'Pending', icon: Clock, className: 'bg-yellow-100 text-yellow-700' },
+  fulfilled: { label: 'Fulfilled', icon: CheckCircle, className: 'bg-green-100 text-green-700' },
+  expired: { label: 'Expired', icon: XCircle, className: 'bg-red-100 text-red-700' }
+};
+
+// Gateway decryption requests the connected employee made for their salary at `company`
+const BalanceRequests = ({ client, account, company, canRequest = true }) => {
+  const [requests, setRequests] = useState([]);
+  const transactions = useTransactions();
+  const requesting = isActionPending(transactions, `requestBalance:${company.toLowerCase()}`);
+
+  // Rebuild request state from BalanceRequested logs and the stored results
+  const loadRequests = useCallback(async () => {
+    try {
+      const { contract } = client;
+      const events = await contract.queryFilter(contract.filters.BalanceRequested(account));
+      // Compare deadlines against chain time, not the local clock
+      const latestBlock = await contract.runner.provider.getBlock('latest');
+
+      const loaded = await Promise.all(
+        events.map(async (event) => {
+          const requestId = event.args.requestId;
+          const request = await client.getBalanceRequest(requestId);
+          let status = 'pending';
+          if (request.fulfilled) {
+            status = 'fulfilled';
+          } else if (latestBlock.timestamp > request.deadline) {
+            status = 'expired';
+          }
+          return {
+            company: request.company,
+            requestId: requestId.toString(),
+            txHash: event.transactionHash,
+            deadline: request.deadline,
+            status,
+            decryptedSalary: request.fulfilled ? formatSalary(request.decryptedSalary) : null
+          };
+        })
+      );
+
+      setRequests(loaded.filter((request) => request.company.toLowerCase() === company.toLowerCase()).reverse());
+    } catch (error) {
+      console.error('Error loading balance requests:', error);
+    }
+  }, [client, account, company]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  // Keep polling while the relayer still has work to do
+  useEffect(() => {
+    if (!requests.some((request) => request.status === 'pending')) {
+      return undefined;
+    }
+    const interval = setInterval(loadRequests, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [requests, loadRequests]);
+
+  // Request on-chain decryption through the Gateway
+  const requestBalance = async () => {
+    const receipt = await runTransaction(client, {
+      key: `requestBalance:${company.toLowerCase()}`,
+      label: 'Request on-chain decryption',
+      send: () => client.requestMyBalance(company)
+    });
+    if (receipt) {
+      await loadRequests();
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <Unlock className="w-5 h-5 text-indigo-600" />
+        On-chain Decryption Requests
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        ⚠️ The Gateway publishes the decrypted value on-chain. Use "View My Salary" to keep it private.
+      </p>
+      <button
+        onClick={requestBalance}
+        disabled={requesting || !canRequest}
+        className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+      >
+        {requesting ? 'Requesting...' : 'Request On-chain Decryption'}
+      </button>
+
+      {requests.length > 0 && (
+        <table className="w-full mt-4 text-sm text-left">
+          <thead>
+            <tr className="text-gray-600 border-b">
+              <th className="py-2">Request</th>
+              <th className="py-2">Deadline</th>
+              <th className="py-2">Status</th>
+              <th className="py-2">Salary</th>
+            </tr>
+          </thead>
+          <tbody>
+            {requests.map((request) => {
+              const style = STATUS_STYLES[request.status];
+              const Icon = style.icon;
+              return (
+                <tr key={request.requestId} className="border-b last:border-0">
+                  <td className="py-2 font-mono">#{request.requestId}</td>
+                  <td className="py-2">{new Date(request.deadline * 1000).toLocaleString()}</td>
+                  <td className="py-2">
+                    <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-semibold ${style.className}`}>
+                      <Icon className="w-3 h-3" />
+                      {style.label}
+                    </span>
+                  </td>
+                  <td className="py-2 font-semibold">{request.decryptedSalary ?? '—'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default BalanceRequests;
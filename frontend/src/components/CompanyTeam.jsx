@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { UserCog, UserPlus, UserMinus, KeyRound, RefreshCw } from 'lucide-react';
+import { CompanyRole } from '@payroll/sdk';
+import { loadTeam } from '../utils/team';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+const ROLE_LABELS = {
+  [CompanyRole.HR]: 'HR',
+  [CompanyRole.PAYROLL_APPROVER]: 'Payroll Approver'
+};
+
+// Owner-only administration: delegate HR and approver roles, set the M-of-N
+// approval threshold and hand the company to a new owner
+const CompanyTeam = ({ client, companyInfo, onChanged }) => {
+  const [team, setTeam] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const transactions = useTransactions();
+  const isPending = (key) => isActionPending(transactions, key);
+  const [grantAddress, setGrantAddress] = useState('');
+  const [grantRole, setGrantRole] = useState(CompanyRole.HR);
+  const [threshold, setThreshold] = useState(String(companyInfo.approvalThreshold));
+  const [newOwner, setNewOwner] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      setTeam(await loadTeam(client, companyInfo.address));
+      setLoading(false);
+    } catch (error) {
+      console.error('Error loading team:', error);
+      setLoading(false);
+    }
+  }, [client, companyInfo.address]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    setThreshold(String(companyInfo.approvalThreshold));
+  }, [companyInfo.approvalThreshold]);
+
+  const runAction = async (key, label, send) => {
+    const receipt = await runTransaction(client, { key, label, send });
+    if (receipt) {
+      await refresh();
+      onChanged?.();
+    }
+    return !!receipt;
+  };
+
+  const grant = async () => {
+    if (!ethers.isAddress(grantAddress)) {
+      alert('Please enter valid address');
+      return;
+    }
+    const [account, role] = [grantAddress, grantRole];
+    const granted = await runAction('grantRole', `Grant ${ROLE_LABELS[role]} to ${account.slice(0, 6)}...${account.slice(-4)}`, () =>
+      client.grantRole(account, role)
+    );
+    if (granted) {
+      setGrantAddress((current) => (current === account ? '' : current));
+    }
+  };
+
+  const revoke = (address, role) => {
+    if (!window.confirm(`Revoke ${ROLE_LABELS[role]} from ${address}?`)) {
+      return;
+    }
+    runAction(`revokeRole:${address.toLowerCase()}:${role}`, `Revoke ${ROLE_LABELS[role]} from ${address.slice(0, 6)}...${address.slice(-4)}`, () =>
+      client.revokeRole(address, role)
+    );
+  };
+
+  const transferOwnership = async () => {
+    if (!ethers.isAddress(newOwner)) {
+      alert('Please enter valid address');
+      return;
+    }
+    if (!window.confirm(`Transfer ${companyInfo.name} to ${newOwner}? You will lose all roles in the company.`)) {
+      return;
+    }
+    await runAction('transferOwnership', `Transfer ${companyInfo.name} to ${newOwner.slice(0, 6)}...${newOwner.slice(-4)}`, () =>
+      client.transferCompanyOwnership(newOwner)
+    );
+  };
+
+  // N counts the owner as an approver
+  const approverSlots = companyInfo.approverCount + 1;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+            <UserCog className="w-5 h-5 text-indigo-600" />
+            Team
+          </h3>
+          <button onClick={refresh} disabled={loading} className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50">
+            <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        {team.length === 0 ? (
+          <p className="text-gray-600">{loading ? 'Loading team...' : 'No HR managers or approvers yet.'}</p>
+        ) : (
+          <table className="w-full text-sm text-left mb-4">
+            <thead>
+              <tr className="text-gray-600 border-b">
+                <th className="py-2">Address</th>
+                <th className="py-2">Roles</th>
+              </tr>
+            </thead>
+            <tbody>
+              {team.map((member) => (
+                <tr key={member.address} className="border-b last:border-0">
+                  <td className="py-2 font-mono">{member.address}</td>
+                  <td className="py-2">
+                    <div className="flex gap-2">
+                      {[
+                        [CompanyRole.HR, member.isHR],
+                        [CompanyRole.PAYROLL_APPROVER, member.isPayrollApprover]
+                      ]
+                        .filter(([, held]) => held)
+                        .map(([role]) => (
+                          <span
+                            key={role}
+                            className="px-2 py-1 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-700 flex items-center gap-1"
+                          >
+                            {ROLE_LABELS[role]}
+                            <button
+                              onClick={() => revoke(member.address, role)}
+                              disabled={isPending(`revokeRole:${member.address.toLowerCase()}:${role}`)}
+                              title="Revoke"
+                              className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                            >
+                              <UserMinus className="w-3 h-3" />
+                            </button>
+                          </span>
+                        ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex gap-4 mt-4">
+          <input
+            type="text"
+            placeholder="Wallet address (0x...)"
+            value={grantAddress}
+            onChange={(e) => setGrantAddress(e.target.value)}
+            className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+          <select
+            value={grantRole}
+            onChange={(e) => setGrantRole(Number(e.target.value))}
+            className="px-4 py-3 border border-gray-300 rounded-lg"
+          >
+            <option value={CompanyRole.HR}>HR</option>
+            <option value={CompanyRole.PAYROLL_APPROVER}>Payroll Approver</option>
+          </select>
+          <button
+            onClick={grant}
+            disabled={isPending('grantRole')}
+            className="bg-green-600 text-white px-6 py-3 rounded-lg hover:bg-green-700 transition disabled:opacity-50 flex items-center gap-2"
+          >
+            <UserPlus className="w-4 h-4" />
+            {isPending('grantRole') ? 'Granting...' : 'Grant'}
+          </button>
+        </div>
+        <p className="mt-2 text-sm text-gray-600">
+          💡 HR adds and removes employees and sets salaries. Payroll approvers approve and execute payroll runs.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <KeyRound className="w-5 h-5 text-indigo-600" />
+          Payroll Approvals
+        </h3>
+        <div className="flex items-center gap-4">
+          <span className="text-gray-700">Require</span>
+          <select
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className="px-4 py-3 border border-gray-300 rounded-lg"
+          >
+            {Array.from({ length: approverSlots }, (_, index) => (
+              <option key={index + 1} value={index + 1}>
+                {index + 1}
+              </option>
+            ))}
+          </select>
+          <span className="text-gray-700">of {approverSlots} approvers (including you)</span>
+          <button
+            onClick={() =>
+              runAction('setThreshold', `Require ${threshold} approval(s) per payroll run`, () =>
+                client.setApprovalThreshold(Number(threshold))
+              )
+            }
+            disabled={isPending('setThreshold') || Number(threshold) === companyInfo.approvalThreshold}
+            className="ml-auto bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+          >
+            {isPending('setThreshold') ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+        <p className="mt-2 text-sm text-gray-600">
+          With more than one required approval, salaries are only paid through approved payroll runs.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg p-6 border border-red-200">
+        <h3 className="text-xl font-bold text-gray-800 mb-4">Transfer Ownership</h3>
+        <div className="flex gap-4">
+          <input
+            type="text"
+            placeholder="New owner address (0x...)"
+            value={newOwner}
+            onChange={(e) => setNewOwner(e.target.value)}
+            className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+          <button
+            onClick={transferOwnership}
+            disabled={isPending('transferOwnership')}
+            className="bg-red-600 text-white px-6 py-3 rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+          >
+            {isPending('transferOwnership') ? 'Transferring...' : 'Transfer'}
+          </button>
+        </div>
+        <p className="mt-2 text-sm text-gray-600">
+          ⚠️ The new owner takes over the treasury and every role. Salaries set before the transfer become readable to
+          them once they are set again.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default CompanyTeam;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { Users, Eye, EyeOff } from 'lucide-react';
+import { formatSalary, formatWithholding } from '@payroll/sdk';
+import { decryptWithAuth } from '../utils/fhevm';
+import TokenBalance from './TokenBalance';
+import PaymentHistory from './PaymentHistory';
+import BalanceRequests from './BalanceRequests';
+
+// Every current and past employer of the connected wallet, each with its own salary,
+// next pay date, payments and decryption requests. The token balance spans them all. The `selected`
+// employer lives in the URL, so picking another one goes through `onSelect`.
+const EmployeeDashboard = ({ client, tokenClient, account, employments, selected = null, onSelect }) => {
+  const [salaries, setSalaries] = useState({}); // employer address -> formatted salary and pay components
+  const [showSalary, setShowSalary] = useState(false);
+  const [decrypting, setDecrypting] = useState(false);
+  const [payDates, setPayDates] = useState({}); // employer address -> next scheduled pay date
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(
+      employments
+        .filter((item) => item.isActive)
+        .map(async (item) => [item.companyAddress, (await client.getPaySchedule(item.companyAddress, account)).nextPayDate])
+    )
+      .then((entries) => !cancelled && setPayDates(Object.fromEntries(entries)))
+      .catch((error) => console.error('Error loading pay schedules:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [client, account, employments]);
+
+  // Default to the first current employer
+  const employment =
+    employments.find((item) => item.companyAddress.toLowerCase() === selected?.toLowerCase()) ??
+    employments.find((item) => item.isActive) ??
+    employments[0];
+  const employer = employment.companyAddress;
+  const decryptedSalary = salaries[employer] ?? null;
+  const paymentCount = employments.reduce((sum, item) => sum + item.totalReceived, 0);
+
+  // View own salary and pay components via user decryption
+  const viewSalary = async () => {
+    try {
+      setDecrypting(true);
+      // Reencrypted for this wallet's keypair; nothing is published on-chain
+      const pay = await decryptWithAuth(client, (auth) => client.decryptPayComponents(employer, account, auth));
+      const formatted = {
+        salary: formatSalary(pay.salary),
+        bonus: formatSalary(pay.bonus),
+        deductions: formatSalary(pay.deductions),
+        withholding: formatWithholding(pay.withholding)
+      };
+      setSalaries((current) => ({ ...current, [employer]: formatted }));
+      setShowSalary(true);
+    } catch (error) {
+      console.error('Error decrypting salary:', error);
+      alert(`Failed to decrypt salary: ${error.message}`);
+    } finally {
+      setDecrypting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <Users className="w-6 h-6 text-indigo-600" />
+          Employee Dashboard
+        </h2>
+
+        <div className="grid grid-cols-3 gap-4">
+          {employments.map((item) => (
+            <button
+              key={item.companyAddress}
+              onClick={() => onSelect(item.companyAddress)}
+              className={`text-left p-4 rounded-lg border-2 transition ${
+                item.companyAddress === employer ? 'border-indigo-500 bg-indigo-50' : 'border-transparent bg-gray-50 hover:bg-gray-100'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <p className="font-bold text-gray-800">{item.companyName}</p>
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                    item.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'
+                  }`}
+                >
+                  {item.isActive ? 'Active' : 'Ended'}
+                </span>
+              </div>
+              <p className="text-xs font-mono text-gray-500 break-all">{item.companyAddress}</p>
+              <p className="mt-2 text-sm text-gray-600">
+                {item.totalReceived} payment{item.totalReceived === 1 ? '' : 's'}
+                {item.lastPaymentTime > 0 && `, last ${new Date(item.lastPaymentTime * 1000).toLocaleDateString()}`}
+              </p>
+              {payDates[item.companyAddress] && (
+                <p className="text-sm text-gray-600">
+                  Next payment {new Date(payDates[item.companyAddress] * 1000).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                </p>
+              )}
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-6">
+          {decryptedSalary !== null && (
+            <div className="bg-indigo-50 p-4 rounded-lg mb-4 flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600">
+                  {employment.isActive ? 'Your Salary' : 'Your Last Salary'} at {employment.companyName}
+                </p>
+                <p className="text-xl font-bold text-indigo-600">{showSalary ? decryptedSalary.salary : '••••••'}</p>
+                {showSalary && (
+                  <p className="text-sm text-gray-600">
+                    Next bonus {decryptedSalary.bonus} · Deductions {decryptedSalary.deductions} per payment · Tax
+                    withheld {decryptedSalary.withholding}
+                  </p>
+                )}
+              </div>
+              <button onClick={() => setShowSalary(!showSalary)} className="text-indigo-600 hover:text-indigo-800">
+                {showSalary ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+              </button>
+            </div>
+          )}
+          <button
+            onClick={viewSalary}
+            disabled={decrypting}
+            className="w-full bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            <Eye className="w-5 h-5" />
+            {decrypting ? 'Decrypting...' : decryptedSalary !== null ? 'Refresh Salary' : 'View My Salary'}
+          </button>
+          <p className="mt-2 text-sm text-gray-600 text-center">
+            🔒 Your salary is decrypted locally. You sign once per session to authorize it.
+          </p>
+        </div>
+      </div>
+
+      <PaymentHistory client={client} account={account} role="employee" counterparty={employer} />
+
+      <BalanceRequests client={client} account={account} company={employer} canRequest={employment.isActive} />
+
+      <TokenBalance tokenClient={tokenClient} account={account} refreshKey={paymentCount} />
+    </div>
+  );
+};
+
+export default EmployeeDashboard;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Users, Lock, Send, UserMinus, RefreshCw } from 'lucide-react';
+import { MAX_PAY, parseSalary } from '@payroll/sdk';
+import { loadRoster, ROSTER_PAGE_SIZE } from '../utils/roster';
+import { useTransactions, runTransaction, IN_FLIGHT } from '../utils/transactions';
+import Pager from './Pager';
+
+const ACTION_LABELS = {
+  add: 'Adding',
+  salary: 'Setting salary',
+  bonus: 'Setting bonus',
+  deductions: 'Setting deductions',
+  withholding: 'Setting withholding',
+  pay: 'Paying',
+  remove: 'Removing'
+};
+
+// Company roster, a page at a time, with per-row Set Salary, Pay and Remove actions. HR
+// managers get salary and remove actions; Pay needs the approver role and no M-of-N threshold.
+const EmployeeRoster = ({ client, account, canManage = true, canPay = true, refreshKey, onChanged }) => {
+  const [roster, setRoster] = useState({ rows: [], total: 0 });
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [salaryEditor, setSalaryEditor] = useState(null); // { address, amount }
+  const [showRemoved, setShowRemoved] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      const loaded = await loadRoster(client, account, {
+        active: showRemoved ? null : true,
+        limit: ROSTER_PAGE_SIZE,
+        offset: page * ROSTER_PAGE_SIZE
+      });
+      setRoster(loaded);
+      // Step back when removals emptied the last page
+      if (loaded.rows.length === 0 && page > 0) {
+        setPage(Math.max(0, Math.ceil(loaded.total / ROSTER_PAGE_SIZE) - 1));
+      }
+      setLoading(false);
+    } catch (error) {
+      console.error('Error loading roster:', error);
+      setLoading(false);
+    }
+  }, [client, account, showRemoved, page]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  // In-flight row actions, keyed `${action}:${address}` like the dashboard's forms
+  const transactions = useTransactions();
+  const busyAction = (address) =>
+    transactions.find((tx) => IN_FLIGHT.includes(tx.status) && tx.key.endsWith(`:${address.toLowerCase()}`))?.key.split(':')[0];
+
+  // Run a row action without blocking the other rows
+  const runAction = async (address, action, send, label) => {
+    const receipt = await runTransaction(client, { key: `${action}:${address.toLowerCase()}`, label, send });
+    if (receipt) {
+      await refresh();
+      onChanged?.();
+    }
+  };
+
+  const submitSalary = async () => {
+    let amount;
+    try {
+      amount = parseSalary(salaryEditor.amount, { max: MAX_PAY });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    const { address } = salaryEditor;
+    setSalaryEditor(null);
+    await runAction(address, 'salary', () => client.setSalary(address, amount), `Set salary for ${address.slice(0, 6)}...${address.slice(-4)}`);
+  };
+
+  const removeEmployee = async (address) => {
+    if (!window.confirm(`Remove ${address} from the company?`)) {
+      return;
+    }
+    await runAction(address, 'remove', () => client.removeEmployee(address), `Remove ${address.slice(0, 6)}...${address.slice(-4)}`);
+  };
+
+  const visible = roster.rows;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Users className="w-5 h-5 text-indigo-600" />
+          Employees
+        </h3>
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-1 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showRemoved}
+              onChange={(e) => {
+                setShowRemoved(e.target.checked);
+                setPage(0);
+              }}
+            />
+            Show removed
+          </label>
+          <button onClick={refresh} disabled={loading} className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50">
+            <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-gray-600">{loading ? 'Loading employees...' : 'No employees yet.'}</p>
+      ) : (
+        <table className="w-full text-sm text-left">
+          <thead>
+            <tr className="text-gray-600 border-b">
+              <th className="py-2">Address</th>
+              <th className="py-2">Status</th>
+              <th className="py-2">Last Payment</th>
+              <th className="py-2">Payments</th>
+              <th className="py-2">Next Payment</th>
+              <th className="py-2 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((row) => (
+              <React.Fragment key={row.address}>
+                <tr className="border-b last:border-0">
+                  <td className="py-2 font-mono">
+                    <Link to={`/company/employees/${row.address}`} className="text-indigo-600 hover:text-indigo-800">
+                      {row.address}
+                    </Link>
+                  </td>
+                  <td className="py-2">
+                    <span
+                      className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                        row.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+                      }`}
+                    >
+                      {row.isActive ? 'Active' : 'Removed'}
+                    </span>
+                  </td>
+                  <td className="py-2">
+                    {row.lastPaymentTime ? new Date(row.lastPaymentTime * 1000).toLocaleString() : 'Never'}
+                  </td>
+                  <td className="py-2">{row.paymentCount}</td>
+                  <td className="py-2">
+                    {row.nextPayDate ? (
+                      <span className={row.due ? 'text-amber-600 font-semibold' : ''}>
+                        {new Date(row.nextPayDate * 1000).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                        {row.due && ' (due)'}
+                      </span>
+                    ) : (
+                      <span className="text-gray-400">{row.isActive ? 'Not scheduled' : '—'}</span>
+                    )}
+                  </td>
+                  <td className="py-2">
+                    {row.isActive && (canManage || canPay) && (
+                      <div className="flex justify-end gap-2">
+                        {busyAction(row.address) ? (
+                          <span className="text-gray-600">{ACTION_LABELS[busyAction(row.address)] ?? 'Working'}...</span>
+                        ) : (
+                          <>
+                            {canManage && (
+                              <button
+                                onClick={() => setSalaryEditor({ address: row.address, amount: '' })}
+                                title="Set Salary"
+                                className="p-2 rounded-lg text-indigo-600 hover:bg-indigo-50"
+                              >
+                                <Lock className="w-4 h-4" />
+                              </button>
+                            )}
+                            {canPay && (
+                              <button
+                                onClick={() =>
+                                  runAction(
+                                    row.address,
+                                    'pay',
+                                    () => client.paySalary(row.address),
+                                    `Pay ${row.address.slice(0, 6)}...${row.address.slice(-4)}`
+                                  )
+                                }
+                                title="Pay"
+                                className="p-2 rounded-lg text-blue-600 hover:bg-blue-50"
+                              >
+                                <Send className="w-4 h-4" />
+                              </button>
+                            )}
+                            {canManage && (
+                              <button
+                                onClick={() => removeEmployee(row.address)}
+                                title="Remove"
+                                className="p-2 rounded-lg text-red-600 hover:bg-red-50"
+                              >
+                                <UserMinus className="w-4 h-4" />
+                              </button>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+                {salaryEditor?.address === row.address && (
+                  <tr className="border-b">
+                    <td colSpan={6} className="py-2">
+                      <div className="flex gap-2 justify-end">
+                        <input
+                          type="text"
+                          inputMode="decimal"
+                          placeholder="Salary amount"
+                          value={salaryEditor.amount}
+                          onChange={(e) => setSalaryEditor({ ...salaryEditor, amount: e.target.value })}
+                          className="w-48 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        />
+                        <button
+                          onClick={submitSalary}
+                          className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition"
+                        >
+                          Encrypt & Set
+                        </button>
+                        <button
+                          onClick={() => setSalaryEditor(null)}
+                          className="px-4 py-2 rounded-lg text-gray-600 hover:bg-gray-100"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {roster.total > ROSTER_PAGE_SIZE && (
+        <div className="flex justify-end mt-4 text-sm text-gray-600">
+          <Pager page={page} total={roster.total} pageSize={ROSTER_PAGE_SIZE} onChange={setPage} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmployeeRoster;
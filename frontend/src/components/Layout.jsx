@@ -0,0 +1,129 @@
+import React from 'react';
+import { Link, NavLink, Outlet } from 'react-router-dom';
+import { Shield, Wallet, LogOut, AlertTriangle } from 'lucide-react';
+import { NETWORK_CONFIG, NETWORK_ID } from '../config';
+import { getNetworkName } from '../utils/network';
+import { useWallet, usePayrollContract, useUserRole } from '../context/PayrollContext';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const navClass = ({ isActive }) =>
+  `px-4 py-2 rounded-lg font-semibold transition ${isActive ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-600 hover:bg-indigo-50'}`;
+
+// Header, navigation and network checks around every page. Pages render only once the
+// wallet is connected to the supported network and its role is known.
+const Layout = () => {
+  const { account, chainId, loading, isWrongNetwork, connect, disconnect, switchToSupportedNetwork } = useWallet();
+  const { client } = usePayrollContract();
+  const { userType, roles, employments, loaded } = useUserRole();
+
+  const roleLabels = roles
+    ? [roles.isOwner && 'OWNER', !roles.isOwner && roles.isHR && 'HR', !roles.isOwner && roles.isPayrollApprover && 'APPROVER'].filter(Boolean)
+    : [];
+  const links = [
+    ['/company', 'Company', userType === 'company'],
+    ['/employee', 'My Employment', employments.length > 0],
+    ['/history', 'Payment History', userType === 'company' || employments.length > 0],
+    ['/settings', 'Settings', true]
+  ].filter(([, , visible]) => visible);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+          <div className="flex items-center justify-between">
+            <Link to="/" className="flex items-center gap-3">
+              <Shield className="w-10 h-10 text-indigo-600" />
+              <div>
+                <h1 className="text-3xl font-bold text-gray-800">Confidential Payroll</h1>
+                <p className="text-gray-600">Privacy-preserving salary system powered by Zama FHE</p>
+              </div>
+            </Link>
+            {!account ? (
+              <button
+                onClick={connect}
+                disabled={loading}
+                className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition flex items-center gap-2 disabled:opacity-50"
+              >
+                <Wallet className="w-5 h-5" />
+                {loading ? 'Connecting...' : 'Connect Wallet'}
+              </button>
+            ) : (
+              <div className="text-right">
+                <p className="text-sm text-gray-600">
+                  Connected to {chainId !== null ? getNetworkName(chainId) : '...'} as
+                </p>
+                <p className="font-mono text-sm font-semibold text-indigo-600 flex items-center justify-end gap-2">
+                  {shortAddress(account)}
+                  <button onClick={disconnect} title="Disconnect" className="text-gray-500 hover:text-red-600">
+                    <LogOut className="w-4 h-4" />
+                  </button>
+                </p>
+                <span className="inline-block mt-1 px-3 py-1 bg-indigo-100 text-indigo-700 rounded-full text-xs font-semibold">
+                  {roleLabels.length > 0 ? roleLabels.join(' · ') : userType ? userType.toUpperCase() : 'NEW USER'}
+                </span>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {account && isWrongNetwork && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg shadow-lg p-6 mb-6 flex items-center justify-between gap-4">
+            <div className="flex items-center gap-3">
+              <AlertTriangle className="w-6 h-6 text-yellow-600" />
+              <div>
+                <p className="font-semibold text-gray-800">Wrong network</p>
+                <p className="text-sm text-gray-600">
+                  Your wallet is on {getNetworkName(chainId)}. Confidential Payroll runs on {NETWORK_CONFIG[NETWORK_ID].name}.
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={switchToSupportedNetwork}
+              disabled={loading}
+              className="bg-yellow-600 text-white px-6 py-3 rounded-lg hover:bg-yellow-700 transition disabled:opacity-50"
+            >
+              {loading ? 'Switching...' : `Switch to ${NETWORK_CONFIG[NETWORK_ID].name}`}
+            </button>
+          </div>
+        )}
+
+        {client && loaded && (
+          <>
+            <nav className="flex gap-2 mb-6">
+              {links.map(([to, label]) => (
+                <NavLink key={to} to={to} className={navClass}>
+                  {label}
+                </NavLink>
+              ))}
+            </nav>
+            <Outlet />
+          </>
+        )}
+
+        {!account && (
+          <div className="bg-white rounded-lg shadow-lg p-8 text-center text-gray-600">
+            Connect your wallet to manage payroll or view your salary.
+          </div>
+        )}
+        {account && !isWrongNetwork && !(client && loaded) && (
+          <div className="bg-white rounded-lg shadow-lg p-8 text-center text-gray-600">Loading your payroll account...</div>
+        )}
+
+        {/* Info Section */}
+        {account && (
+          <div className="mt-6 bg-gradient-to-r from-indigo-500 to-purple-600 rounded-lg shadow-lg p-6 text-white">
+            <h3 className="text-xl font-bold mb-2">🔐 Privacy First</h3>
+            <p className="text-indigo-100">
+              All salary information is encrypted using Zama's Fully Homomorphic Encryption (FHE).
+              Only authorized parties can decrypt and view sensitive data.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Layout;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+// Previous/next controls for a list loaded a page at a time; `page` counts from 0
+const Pager = ({ page, total, pageSize, onChange }) => {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => onChange(page - 1)}
+        disabled={page === 0}
+        className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+      >
+        <ChevronLeft className="w-4 h-4" />
+      </button>
+      <span>
+        Page {page + 1} of {pageCount}
+      </span>
+      <button
+        onClick={() => onChange(page + 1)}
+        disabled={page >= pageCount - 1}
+        className="p-1 rounded hover:bg-gray-100 disabled:opacity-50"
+      >
+        <ChevronRight className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default Pager;
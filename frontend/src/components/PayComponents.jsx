@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { SlidersHorizontal } from 'lucide-react';
+import { PayComponent, MAX_PAY, parseSalary, parseWithholding } from '@payroll/sdk';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const COMPONENTS = [
+  {
+    id: PayComponent.BONUS,
+    key: 'bonus',
+    label: 'Bonus',
+    placeholder: 'One-off amount',
+    hint: 'Added to the next payment only',
+    parse: (value) => parseSalary(value, { allowZero: true, max: MAX_PAY })
+  },
+  {
+    id: PayComponent.DEDUCTIONS,
+    key: 'deductions',
+    label: 'Deductions',
+    placeholder: 'Amount per payment',
+    hint: 'Taken from every payment, e.g. benefits',
+    parse: (value) => parseSalary(value, { allowZero: true })
+  },
+  {
+    id: PayComponent.WITHHOLDING,
+    key: 'withholding',
+    label: 'Tax Withholding',
+    placeholder: 'Percent of gross, e.g. 22.5',
+    hint: 'Withheld from gross pay (salary plus bonus)',
+    parse: parseWithholding
+  }
+];
+
+// HR sets an employee's encrypted bonus, deductions and withholding rate; net pay is
+// computed on-chain when they are paid. The employee field is shown only when it can be
+// changed through `onEmployeeAddressChange`.
+const PayComponents = ({ client, employeeAddress, onEmployeeAddressChange }) => {
+  const [values, setValues] = useState({}); // component key -> entered value
+  const transactions = useTransactions();
+
+  const setComponent = async (component) => {
+    if (!ethers.isAddress(employeeAddress)) {
+      alert('Please enter valid employee address');
+      return;
+    }
+
+    let value;
+    try {
+      value = component.parse(values[component.key]);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    const [employee, submitted] = [employeeAddress, values[component.key]];
+    // Encrypted in the browser like the salary
+    const receipt = await runTransaction(client, {
+      key: `${component.key}:${employee.toLowerCase()}`,
+      label: `Set ${component.label.toLowerCase()} for ${shortAddress(employee)}`,
+      send: () => client.setPayComponent(employee, component.id, value)
+    });
+    if (receipt) {
+      setValues((current) => (current[component.key] === submitted ? { ...current, [component.key]: '' } : current));
+    }
+  };
+
+  const isPending = (component) =>
+    ethers.isAddress(employeeAddress) &&
+    isActionPending(transactions, `${component.key}:${employeeAddress.toLowerCase()}`);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <SlidersHorizontal className="w-5 h-5 text-indigo-600" />
+        Bonuses, Deductions &amp; Withholding
+      </h3>
+      {onEmployeeAddressChange && (
+        <input
+          type="text"
+          placeholder="Employee wallet address (0x...)"
+          value={employeeAddress}
+          onChange={(e) => onEmployeeAddressChange(e.target.value)}
+          className="w-full mb-4 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+      )}
+      <div className="space-y-3">
+        {COMPONENTS.map((component) => (
+          <div key={component.key} className="flex items-center gap-4">
+            <div className="w-48">
+              <p className="font-semibold text-gray-800">{component.label}</p>
+              <p className="text-xs text-gray-500">{component.hint}</p>
+            </div>
+            <input
+              type="text"
+              inputMode="decimal"
+              placeholder={component.placeholder}
+              value={values[component.key] ?? ''}
+              onChange={(e) => setValues((current) => ({ ...current, [component.key]: e.target.value }))}
+              className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            <button
+              onClick={() => setComponent(component)}
+              disabled={isPending(component)}
+              className="w-32 bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+            >
+              {isPending(component) ? 'Setting...' : 'Set'}
+            </button>
+          </div>
+        ))}
+      </div>
+      <p className="mt-2 text-sm text-gray-600">
+        🔒 Values are encrypted in your browser. Enter 0 to clear one. Tax is withheld first, then deductions up to what
+        remains; both stay in the treasury.
+      </p>
+    </div>
+  );
+};
+
+export default PayComponents;
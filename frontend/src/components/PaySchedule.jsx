@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { CalendarClock } from 'lucide-react';
+import { PayFrequency } from '@payroll/sdk';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+const FREQUENCY_LABELS = {
+  [PayFrequency.NONE]: 'No schedule',
+  [PayFrequency.WEEKLY]: 'Weekly',
+  [PayFrequency.BIWEEKLY]: 'Every two weeks',
+  [PayFrequency.MONTHLY]: 'Monthly'
+};
+
+const formatDate = (time) => new Date(time * 1000).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+// HR sets the company's default pay schedule, or with `employeeAddress` that employee's
+// own. The keeper (scripts/keeper.js) pays whoever is due; an employee is paid at most
+// once per period either way.
+const PaySchedule = ({ client, company, employeeAddress = null, refreshKey, onChanged }) => {
+  const [current, setCurrent] = useState(null); // { schedule, inherited }
+  const [frequency, setFrequency] = useState(PayFrequency.MONTHLY);
+  const [anchorDate, setAnchorDate] = useState(''); // YYYY-MM-DD, UTC
+  const [version, setVersion] = useState(0);
+  const transactions = useTransactions();
+
+  const target = employeeAddress ?? ethers.ZeroAddress;
+  const key = `schedule:${target.toLowerCase()}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      const [schedule, companyDefault] = await Promise.all([
+        client.getPaySchedule(company, target),
+        employeeAddress ? client.getPaySchedule(company, ethers.ZeroAddress) : null
+      ]);
+      // The contract falls back to the company default when the employee has none
+      const inherited =
+        companyDefault !== null &&
+        schedule.frequency !== PayFrequency.NONE &&
+        schedule.frequency === companyDefault.frequency &&
+        schedule.anchor === companyDefault.anchor;
+      if (!cancelled) {
+        setCurrent({ schedule, inherited });
+      }
+    };
+    load().catch((error) => console.error('Error loading pay schedule:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [client, company, target, employeeAddress, refreshKey, version]);
+
+  const save = async (newFrequency, anchor) => {
+    const receipt = await runTransaction(client, {
+      key,
+      label: employeeAddress
+        ? `Set pay schedule for ${employeeAddress.slice(0, 6)}...${employeeAddress.slice(-4)}`
+        : 'Set company pay schedule',
+      send: () => client.setPaySchedule(employeeAddress, newFrequency, anchor)
+    });
+    if (receipt) {
+      setVersion((value) => value + 1);
+      onChanged?.();
+    }
+  };
+
+  const submit = () => {
+    const time = Date.parse(anchorDate);
+    if (Number.isNaN(time)) {
+      alert('Please pick the first pay date');
+      return;
+    }
+    save(frequency, Math.floor(time / 1000));
+  };
+
+  const pending = isActionPending(transactions, key);
+  const schedule = current?.schedule;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <CalendarClock className="w-5 h-5 text-indigo-600" />
+        {employeeAddress ? 'Pay Schedule' : 'Company Pay Schedule'}
+      </h3>
+      {schedule && (
+        <p className="mb-4 text-gray-700">
+          {schedule.frequency === PayFrequency.NONE ? (
+            employeeAddress ? 'No schedule; paid manually.' : 'No default schedule; employees are paid manually.'
+          ) : (
+            <>
+              {FREQUENCY_LABELS[schedule.frequency]} from {formatDate(schedule.anchor)}
+              {current.inherited && ' (company default)'}
+              {employeeAddress && schedule.nextPayDate && (
+                <>
+                  {' · '}next payment {formatDate(schedule.nextPayDate)}
+                  {schedule.due && <span className="ml-2 text-amber-600 font-semibold">due now</span>}
+                </>
+              )}
+            </>
+          )}
+        </p>
+      )}
+      <div className="flex gap-4">
+        <select
+          value={frequency}
+          onChange={(e) => setFrequency(Number(e.target.value))}
+          className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        >
+          {[PayFrequency.WEEKLY, PayFrequency.BIWEEKLY, PayFrequency.MONTHLY].map((value) => (
+            <option key={value} value={value}>
+              {FREQUENCY_LABELS[value]}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={anchorDate}
+          onChange={(e) => setAnchorDate(e.target.value)}
+          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <button
+          onClick={submit}
+          disabled={pending}
+          className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {pending ? 'Saving...' : 'Save'}
+        </button>
+        {schedule && schedule.frequency !== PayFrequency.NONE && !current.inherited && (
+          <button
+            onClick={() => save(PayFrequency.NONE, 0)}
+            disabled={pending}
+            className="px-4 py-3 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+          >
+            {employeeAddress ? 'Use company default' : 'Clear'}
+          </button>
+        )}
+      </div>
+      <p className="mt-2 text-sm text-gray-600">
+        📅 Pay dates repeat from the first pay date (UTC). Monthly dates after the 28th fall on the last day of shorter
+        months.
+      </p>
+    </div>
+  );
+};
+
+export default PaySchedule;
@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { History, ExternalLink, Eye, Download, FileText, Upload } from 'lucide-react';
+import { formatSalary, payslipToJson } from '@payroll/sdk';
+import { decryptWithAuth, getReencryptionAuth, clearReencryptionAuth } from '../utils/fhevm';
+import {
+  HISTORY_PAGE_SIZE,
+  loadPayments,
+  loadAllPayments,
+  txUrl,
+  dateRangeBounds,
+  paymentsToCsv,
+  paymentsToJson,
+  downloadFile
+} from '../utils/paymentHistory';
+import { payslipToHtml, payslipFilename, readPayslip, VERIFY_PAGE } from '../utils/payslip';
+import Pager from './Pager';
+
+// Paginated PaymentMade history for an employee (received) or a company (sent), optionally
+// narrowed to one `counterparty`. Only the current page is loaded. A `highlight`ed payment
+// id is paged to and marked.
+const PaymentHistory = ({ client, account, role, counterparty = null, highlight = null }) => {
+  const [result, setResult] = useState({ items: [], total: 0, offset: 0 }); // the loaded page
+  const [request, setRequest] = useState({ page: 0, at: highlight }); // page to load, or the one holding payment `at`
+  const [breakdowns, setBreakdowns] = useState({}); // payment id -> formatted gross/withholding/deductions/net, or null if not allowed
+  const [exporting, setExporting] = useState(false);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [decrypting, setDecrypting] = useState(false);
+  const [payslips, setPayslips] = useState({}); // payment id -> signed payslip
+  const [signing, setSigning] = useState(null); // payment id being signed, or 'cosign'
+  const cosignInput = useRef(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      setResult(
+        await loadPayments(client.contract, account, role, {
+          counterparty,
+          ...dateRangeBounds(fromDate, toDate),
+          at: request.at,
+          limit: HISTORY_PAGE_SIZE,
+          offset: request.page * HISTORY_PAGE_SIZE
+        })
+      );
+      setLoading(false);
+    } catch (error) {
+      console.error('Error loading payment history:', error);
+      setLoading(false);
+    }
+  }, [client, account, role, counterparty, fromDate, toDate, request]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Open the page holding a linked payment; date filters are cleared so it is listed
+  useEffect(() => {
+    setFromDate('');
+    setToDate('');
+    setRequest((current) => (current.at === highlight && current.page === 0 ? current : { page: 0, at: highlight }));
+  }, [highlight]);
+
+  const changeDate = (setDate) => (e) => {
+    setDate(e.target.value);
+    setRequest({ page: 0, at: null });
+  };
+
+  const withBreakdown = (payment) => {
+    const breakdown = breakdowns[payment.id]; // undefined until decrypted
+    return { ...payment, breakdown, amount: breakdown === undefined ? undefined : breakdown?.net ?? null };
+  };
+  const visible = result.items.map(withBreakdown);
+  const currentPage = Math.floor(result.offset / HISTORY_PAGE_SIZE);
+
+  // Decrypt the payments on the current page the viewer is ACL-allowed to read, with how
+  // each net amount was computed
+  const decryptPage = async () => {
+    try {
+      setDecrypting(true);
+      const decrypted = {};
+      for (const payment of visible) {
+        if (payment.id in breakdowns) {
+          continue;
+        }
+        try {
+          const record = await client.getPaymentRecord(payment.to, payment.recordIndex);
+          const breakdown = await decryptWithAuth(client, (auth) => client.decryptPayment(record, auth));
+          decrypted[payment.id] = Object.fromEntries(
+            Object.entries(breakdown).map(([part, amount]) => [part, formatSalary(amount)])
+          );
+        } catch (error) {
+          console.warn(`Cannot decrypt payment ${payment.id}:`, error);
+          decrypted[payment.id] = null;
+        }
+      }
+      setBreakdowns((current) => ({ ...current, ...decrypted }));
+      setDecrypting(false);
+    } catch (error) {
+      console.error('Error decrypting payments:', error);
+      alert('Failed to decrypt payment amounts');
+      setDecrypting(false);
+    }
+  };
+
+  // Decrypt a payment and sign it as a payslip (employee)
+  const signPayslip = async (payment) => {
+    try {
+      setSigning(payment.id);
+      const auth = await getReencryptionAuth(client);
+      const payslip = await client.getPayslip(payment.to, payment.recordIndex, auth);
+      const signed = await client.signPayslip(payslip, auth);
+      setPayslips((current) => ({ ...current, [payment.id]: signed }));
+    } catch (error) {
+      console.error('Error signing payslip:', error);
+      clearReencryptionAuth(client.address, account);
+      alert(`Failed to sign payslip: ${error.message}`);
+    } finally {
+      setSigning(null);
+    }
+  };
+
+  // Co-sign a payslip an employee sent (company owner); the amount is checked first
+  const cosignPayslip = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      setSigning('cosign');
+      const payslip = readPayslip(await file.text());
+      const cosigned = await client.signPayslip(payslip, await getReencryptionAuth(client));
+      downloadFile(payslipToJson(cosigned), payslipFilename(cosigned, 'json'), 'application/json');
+    } catch (error) {
+      console.error('Error co-signing payslip:', error);
+      clearReencryptionAuth(client.address, account);
+      alert(`Failed to co-sign payslip: ${error.message}`);
+    } finally {
+      setSigning(null);
+    }
+  };
+
+  const downloadPayslip = (payslip, format) => {
+    if (format === 'html') {
+      downloadFile(payslipToHtml(payslip), payslipFilename(payslip, 'html'), 'text/html');
+    } else {
+      downloadFile(payslipToJson(payslip), payslipFilename(payslip, 'json'), 'application/json');
+    }
+  };
+
+  // Export every payment matching the filters, with the amounts decrypted so far
+  const exportAs = async (format) => {
+    try {
+      setExporting(true);
+      const payments = (
+        await loadAllPayments(client.contract, account, role, { counterparty, ...dateRangeBounds(fromDate, toDate) })
+      ).map(withBreakdown);
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (format === 'csv') {
+        downloadFile(paymentsToCsv(payments), `payments-${stamp}.csv`, 'text/csv');
+      } else {
+        downloadFile(paymentsToJson(payments), `payments-${stamp}.json`, 'application/json');
+      }
+    } catch (error) {
+      console.error('Error exporting payments:', error);
+      alert('Failed to export payments');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <History className="w-5 h-5 text-indigo-600" />
+          {role === 'company' ? 'Payments Made' : 'Payments Received'}
+        </h3>
+        <div className="flex gap-2">
+          {role === 'company' && (
+            <>
+              <input ref={cosignInput} type="file" accept=".json,.html" onChange={cosignPayslip} className="hidden" />
+              <button
+                onClick={() => cosignInput.current.click()}
+                disabled={signing === 'cosign'}
+                title="Upload an employee's payslip to co-sign it"
+                className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition disabled:opacity-50 flex items-center gap-2"
+              >
+                <Upload className="w-4 h-4" />
+                {signing === 'cosign' ? 'Co-signing...' : 'Co-sign Payslip'}
+              </button>
+            </>
+          )}
+          <button
+            onClick={decryptPage}
+            disabled={decrypting || visible.length === 0}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50 flex items-center gap-2"
+          >
+            <Eye className="w-4 h-4" />
+            {decrypting ? 'Decrypting...' : 'Decrypt Amounts'}
+          </button>
+          <button
+            onClick={() => exportAs('csv')}
+            disabled={exporting || result.total === 0}
+            className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition disabled:opacity-50 flex items-center gap-2"
+          >
+            <Download className="w-4 h-4" />
+            CSV
+          </button>
+          <button
+            onClick={() => exportAs('json')}
+            disabled={exporting || result.total === 0}
+            className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition disabled:opacity-50 flex items-center gap-2"
+          >
+            <Download className="w-4 h-4" />
+            JSON
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-4 mb-4 text-sm">
+        <label className="flex items-center gap-2 text-gray-600">
+          From
+          <input
+            type="date"
+            value={fromDate}
+            onChange={changeDate(setFromDate)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-gray-600">
+          To
+          <input
+            type="date"
+            value={toDate}
+            onChange={changeDate(setToDate)}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-600">Loading payments...</p>
+      ) : visible.length === 0 ? (
+        <p className="text-gray-600">No payments found.</p>
+      ) : (
+        <>
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="text-gray-600 border-b">
+                <th className="py-2">Date</th>
+                <th className="py-2">{role === 'company' ? 'Employee' : 'Company'}</th>
+                <th className="py-2">Net Amount</th>
+                <th className="py-2">Transaction</th>
+                {role === 'employee' && <th className="py-2">Payslip</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((payment) => (
+                <tr key={payment.id} className={`border-b last:border-0 ${payment.id === highlight ? 'bg-yellow-50' : ''}`}>
+                  <td className="py-2">
+                    <Link to={`/history/${encodeURIComponent(payment.id)}`} className="hover:text-indigo-600">
+                      {new Date(payment.timestamp * 1000).toLocaleString()}
+                    </Link>
+                  </td>
+                  <td className="py-2 font-mono">
+                    {payment.counterparty.slice(0, 6)}...{payment.counterparty.slice(-4)}
+                  </td>
+                  <td className="py-2">
+                    <span className="font-semibold">
+                      {payment.amount === undefined ? '🔒' : payment.amount ?? 'Not allowed'}
+                    </span>
+                    {payment.breakdown && (
+                      <span className="block text-xs text-gray-500">
+                        Gross {payment.breakdown.gross} · Tax {payment.breakdown.withholding} · Deductions{' '}
+                        {payment.breakdown.deductions}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2">
+                    {txUrl(payment.txHash) ? (
+                      <a
+                        href={txUrl(payment.txHash)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-indigo-600 hover:text-indigo-800 inline-flex items-center gap-1 font-mono"
+                      >
+                        {payment.txHash.slice(0, 10)}...
+                        <ExternalLink className="w-3 h-3" />
+                      </a>
+                    ) : (
+                      <span className="font-mono text-gray-600">{payment.txHash.slice(0, 10)}...</span>
+                    )}
+                  </td>
+                  {role === 'employee' && (
+                    <td className="py-2">
+                      {payslips[payment.id] ? (
+                        <span className="inline-flex gap-2">
+                          <button
+                            onClick={() => downloadPayslip(payslips[payment.id], 'json')}
+                            className="text-indigo-600 hover:text-indigo-800 font-semibold"
+                          >
+                            JSON
+                          </button>
+                          <button
+                            onClick={() => downloadPayslip(payslips[payment.id], 'html')}
+                            className="text-indigo-600 hover:text-indigo-800 font-semibold"
+                          >
+                            HTML
+                          </button>
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => signPayslip(payment)}
+                          disabled={signing !== null}
+                          className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50 inline-flex items-center gap-1 font-semibold"
+                        >
+                          <FileText className="w-4 h-4" />
+                          {signing === payment.id ? 'Signing...' : 'Sign'}
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+            <span>
+              {result.total} payment{result.total === 1 ? '' : 's'} ·{' '}
+              <a href={VERIFY_PAGE} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800">
+                Verify a payslip
+              </a>
+            </span>
+            <Pager
+              page={currentPage}
+              total={result.total}
+              pageSize={HISTORY_PAGE_SIZE}
+              onChange={(page) => setRequest({ page, at: null })}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PaymentHistory;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BarChart3, Eye, TrendingUp, TrendingDown } from 'lucide-react';
+import { formatSalary } from '@payroll/sdk';
+import { getReencryptionAuth, clearReencryptionAuth } from '../utils/fhevm';
+
+// Pay periods shown in the trend
+const PERIOD_LIMIT = 12;
+
+const formatPeriod = ({ start, end }) => {
+  const options = { month: 'short', day: 'numeric', year: 'numeric' };
+  return `${new Date(start * 1000).toLocaleDateString(undefined, options)} – ${new Date((end - 1) * 1000).toLocaleDateString(undefined, options)}`;
+};
+
+// Percentage change from the previous period, or null for the first one
+const changeFrom = (previous, current) =>
+  previous ? Number(((current - previous) * 10000n) / previous) / 100 : null;
+
+// Company analytics (owner only): the encrypted monthly commitment and totals paid per
+// pay period, decrypted locally. Individual salaries are never read.
+const PayrollAnalytics = ({ client, company, account, refreshKey }) => {
+  const [analytics, setAnalytics] = useState(null); // { commitment, periodLength, periods }
+  const [currentPeriod, setCurrentPeriod] = useState(null);
+  const [decrypting, setDecrypting] = useState(false);
+
+  // Totals change with every payment; hide them until decrypted again
+  useEffect(() => {
+    setAnalytics(null);
+  }, [client, company, refreshKey]);
+
+  const decryptAnalytics = useCallback(async () => {
+    try {
+      setDecrypting(true);
+      const auth = await getReencryptionAuth(client);
+      const [loaded, period] = await Promise.all([
+        client.getPayrollAnalytics(company, { auth, limit: PERIOD_LIMIT }),
+        client.getCurrentPayPeriod()
+      ]);
+      setAnalytics(loaded);
+      setCurrentPeriod(period);
+    } catch (error) {
+      console.error('Error decrypting analytics:', error);
+      clearReencryptionAuth(client.address, account);
+      alert(`Failed to decrypt analytics: ${error.message}`);
+    } finally {
+      setDecrypting(false);
+    }
+  }, [client, company, account]);
+
+  const periods = analytics?.periods ?? [];
+  const paidThisPeriod = periods.find((row) => row.period === currentPeriod)?.totalPaid ?? 0n;
+  const paidInRange = periods.reduce((sum, row) => sum + row.totalPaid, 0n);
+  const largest = periods.reduce((max, row) => (row.totalPaid > max ? row.totalPaid : max), 0n);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <BarChart3 className="w-5 h-5 text-indigo-600" />
+          Payroll Analytics
+        </h3>
+        <button
+          onClick={decryptAnalytics}
+          disabled={decrypting}
+          className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50 flex items-center gap-1 text-sm font-semibold"
+        >
+          <Eye className="w-4 h-4" />
+          {decrypting ? 'Decrypting...' : analytics ? 'Refresh' : 'Decrypt'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4">
+        <div className="bg-indigo-50 p-4 rounded-lg">
+          <p className="text-sm text-gray-600">Monthly Commitment</p>
+          <p className="text-xl font-bold text-indigo-600">
+            {analytics ? formatSalary(analytics.commitment) : '🔒 Encrypted'}
+          </p>
+        </div>
+        <div className="bg-green-50 p-4 rounded-lg">
+          <p className="text-sm text-gray-600">Paid This Period</p>
+          <p className="text-xl font-bold text-green-600">{analytics ? formatSalary(paidThisPeriod) : '🔒 Encrypted'}</p>
+        </div>
+        <div className="bg-blue-50 p-4 rounded-lg">
+          <p className="text-sm text-gray-600">Paid in Last {periods.length || PERIOD_LIMIT} Periods</p>
+          <p className="text-xl font-bold text-blue-600">{analytics ? formatSalary(paidInRange) : '🔒 Encrypted'}</p>
+        </div>
+      </div>
+
+      {analytics && (
+        <div className="mt-6">
+          <h4 className="font-semibold text-gray-800 mb-2">Paid per Pay Period</h4>
+          {periods.length === 0 ? (
+            <p className="text-gray-600">No payments yet.</p>
+          ) : (
+            <table className="w-full text-sm text-left">
+              <thead>
+                <tr className="text-gray-600 border-b">
+                  <th className="py-2">Period</th>
+                  <th className="py-2 w-1/3">Trend</th>
+                  <th className="py-2">Paid</th>
+                  <th className="py-2">Change</th>
+                  <th className="py-2">Of Commitment</th>
+                </tr>
+              </thead>
+              <tbody>
+                {periods.map((row, index) => {
+                  const change = index > 0 ? changeFrom(periods[index - 1].totalPaid, row.totalPaid) : null;
+                  const width = largest > 0n ? Number((row.totalPaid * 100n) / largest) : 0;
+                  return (
+                    <tr key={row.period} className="border-b last:border-0">
+                      <td className="py-2">
+                        {formatPeriod(row)}
+                        {row.period === currentPeriod && <span className="ml-2 text-xs text-indigo-600">(current)</span>}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <div className="h-3 bg-gray-100 rounded-full">
+                          <div className="h-3 bg-indigo-500 rounded-full" style={{ width: `${width}%` }} />
+                        </div>
+                      </td>
+                      <td className="py-2 font-semibold">{formatSalary(row.totalPaid)}</td>
+                      <td className="py-2">
+                        {change === null ? (
+                          '—'
+                        ) : (
+                          <span className={`inline-flex items-center gap-1 ${change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {change >= 0 ? <TrendingUp className="w-3 h-3" /> : <TrendingDown className="w-3 h-3" />}
+                            {change >= 0 ? '+' : ''}
+                            {change}%
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2">
+                        {analytics.commitment > 0n
+                          ? `${Number((row.totalPaid * 10000n) / analytics.commitment) / 100}%`
+                          : '—'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      <p className="mt-4 text-sm text-gray-600">
+        🔒 Totals are kept encrypted on-chain and only the company owner can decrypt them. Individual salaries stay
+        private. A payment the treasury couldn't cover counts as 0.
+      </p>
+    </div>
+  );
+};
+
+export default PayrollAnalytics;
@@ -0,0 +1,360 @@
+import React, { useState } from 'react';
+import { FileSpreadsheet, Upload, Play, RotateCcw, Download } from 'lucide-react';
+import { formatSalary, toPayrollError } from '@payroll/sdk';
+import {
+  parsePayrollCsv,
+  validatePayrollRows,
+  chunk,
+  pickChunkSize,
+  withRetries,
+  reportToCsv
+} from '../utils/payrollRun';
+import { downloadFile } from '../utils/paymentHistory';
+
+const STATUS_CLASSES = {
+  invalid: 'text-red-600',
+  ready: 'text-gray-600',
+  onboarding: 'text-yellow-600',
+  'setting salary': 'text-yellow-600',
+  paying: 'text-yellow-600',
+  done: 'text-green-600',
+  failed: 'text-red-600'
+};
+
+// Bulk onboarding, salary setting and payment from an "address,salary" CSV.
+// Without direct pay rights (`canPay`) only onboarding and salaries run here.
+const PayrollRun = ({ client, account, canPay = true, onComplete }) => {
+  const { contract } = client;
+  const [csvText, setCsvText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [validating, setValidating] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [log, setLog] = useState([]);
+  const [report, setReport] = useState(null);
+  const [steps, setSteps] = useState({ onboard: true, salary: true, pay: canPay });
+
+  const addLog = (message) => setLog((entries) => [...entries, `${new Date().toLocaleTimeString()} ${message}`]);
+
+  const loadFile = async (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      setCsvText(await file.text());
+    }
+  };
+
+  // Parse and validate every row before anything is sent
+  const validate = async () => {
+    const parsed = parsePayrollCsv(csvText);
+    if (parsed.length === 0) {
+      alert('Please provide at least one address,salary row');
+      return;
+    }
+
+    try {
+      setValidating(true);
+      setReport(null);
+      setLog([]);
+      const validated = await validatePayrollRows(client, account, parsed);
+      setRows(
+        validated.map((row) => ({
+          ...row,
+          status: row.errors.length > 0 ? 'invalid' : 'ready',
+          error: row.errors.join('; '),
+          added: row.alreadyActive,
+          salarySet: false,
+          paid: false,
+          paymentsBefore: null,
+          paymentsAfter: null
+        }))
+      );
+      setValidating(false);
+    } catch (error) {
+      console.error('Error validating payroll CSV:', error);
+      alert('Failed to validate payroll rows');
+      setValidating(false);
+    }
+  };
+
+  // Send one phase in gas-aware chunks, retrying each chunk before marking its rows failed
+  const runPhase = async (working, { name, status, pending, estimate, send, markDone }) => {
+    if (pending.length === 0) {
+      return;
+    }
+    const publish = () => setRows(working.map((row) => ({ ...row })));
+
+    const size = await pickChunkSize(contract.runner.provider, estimate, pending);
+    addLog(`${name}: ${pending.length} row(s) in batches of ${size}`);
+
+    for (const batch of chunk(pending, size)) {
+      batch.forEach((row) => { row.status = status; });
+      publish();
+      try {
+        const receipt = await withRetries(
+          async () => {
+            const tx = await send(batch);
+            return client.wait(tx);
+          },
+          (attempt, error) => addLog(`${name}: retry ${attempt} after ${toPayrollError(error).message}`)
+        );
+        batch.forEach(markDone);
+        addLog(`${name}: confirmed ${batch.length} row(s) in ${receipt.hash}`);
+      } catch (error) {
+        const { message } = toPayrollError(error);
+        batch.forEach((row) => {
+          row.status = 'failed';
+          row.error = message;
+        });
+        addLog(`${name}: batch failed — ${message}`);
+      }
+      publish();
+    }
+  };
+
+  // Execute the selected phases for rows that haven't completed them yet
+  const run = async (onlyFailed = false) => {
+    const working = rows.map((row) => ({ ...row }));
+    const selected = working.filter((row) =>
+      onlyFailed ? row.status === 'failed' : row.status !== 'invalid'
+    );
+    if (selected.length === 0) {
+      alert('No rows to process');
+      return;
+    }
+
+    try {
+      setRunning(true);
+      setReport(null);
+
+      for (const row of selected) {
+        row.status = 'ready';
+        row.error = '';
+        if (row.paymentsBefore === null) {
+          const info = await client.getEmployeeInfo(account, row.address);
+          row.paymentsBefore = info.totalReceived;
+        }
+      }
+
+      if (steps.onboard) {
+        await runPhase(working, {
+          name: 'Onboarding',
+          status: 'onboarding',
+          pending: selected.filter((row) => !row.added),
+          estimate: (batch) => contract.addEmployees.estimateGas(batch.map((row) => row.address)),
+          send: (batch) => client.addEmployees(batch.map((row) => row.address)),
+          markDone: (row) => { row.added = true; }
+        });
+      }
+
+      if (steps.salary) {
+        await runPhase(working, {
+          name: 'Salaries',
+          status: 'setting salary',
+          pending: selected.filter((row) => row.added && !row.salarySet && row.status !== 'failed'),
+          estimate: async (batch) => {
+            const { handles, inputProof } = await client.encryptSalaries(batch.map((row) => row.amount));
+            return contract.setSalaries.estimateGas(batch.map((row) => row.address), handles, inputProof);
+          },
+          // Fresh ciphertexts per attempt; proofs are bound to a single submission
+          send: (batch) => client.setSalaries(batch.map((row) => row.address), batch.map((row) => row.amount)),
+          markDone: (row) => { row.salarySet = true; }
+        });
+      }
+
+      if (steps.pay && canPay) {
+        await runPhase(working, {
+          name: 'Payments',
+          status: 'paying',
+          pending: selected.filter(
+            (row) => row.added && (row.salarySet || !steps.salary) && !row.paid && row.status !== 'failed'
+          ),
+          estimate: (batch) => contract.payEmployees.estimateGas(batch.map((row) => row.address)),
+          send: (batch) => client.payEmployees(batch.map((row) => row.address)),
+          markDone: (row) => { row.paid = true; }
+        });
+      }
+
+      await reconcile(working, selected);
+      setRunning(false);
+      onComplete?.();
+    } catch (error) {
+      console.error('Error running payroll:', error);
+      alert('Payroll run stopped unexpectedly');
+      setRows(working);
+      setRunning(false);
+    }
+  };
+
+  // Compare on-chain state with what the run believes it did
+  const reconcile = async (working, selected) => {
+    for (const row of selected) {
+      const info = await client.getEmployeeInfo(account, row.address);
+      row.paymentsAfter = info.totalReceived;
+      const expectedPayments = row.paymentsBefore + (row.paid ? 1 : 0);
+
+      if (row.status === 'failed') {
+        continue;
+      }
+      if (!info.isActive || row.paymentsAfter !== expectedPayments) {
+        row.status = 'failed';
+        row.error = `On-chain state mismatch (active: ${info.isActive}, payments: ${row.paymentsAfter}, expected ${expectedPayments})`;
+      } else {
+        row.status = 'done';
+      }
+    }
+    setRows(working);
+
+    const summary = {
+      total: working.length,
+      invalid: working.filter((row) => row.status === 'invalid').length,
+      added: selected.filter((row) => row.added && !row.alreadyActive).length,
+      salariesSet: selected.filter((row) => row.salarySet).length,
+      paid: selected.filter((row) => row.paid).length,
+      failed: working.filter((row) => row.status === 'failed').length
+    };
+    setReport(summary);
+    addLog(`Run complete: ${summary.paid} paid, ${summary.failed} failed, ${summary.invalid} invalid`);
+  };
+
+  const downloadReport = () => {
+    downloadFile(reportToCsv(rows), `payroll-run-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+  };
+
+  const hasFailures = rows.some((row) => row.status === 'failed');
+  const readyCount = rows.filter((row) => row.status !== 'invalid').length;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <FileSpreadsheet className="w-5 h-5 text-indigo-600" />
+          Payroll Run
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          One employee per line as <span className="font-mono">address,salary</span>. Salaries are encrypted in your browser.
+          {!canPay && ' Payments go through an approved payroll run under "Approvals".'}
+        </p>
+        <textarea
+          rows={6}
+          placeholder={'address,salary\n0x...,4200.50'}
+          value={csvText}
+          onChange={(e) => setCsvText(e.target.value)}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <div className="flex flex-wrap items-center gap-4 mt-4">
+          <label className="flex items-center gap-2 text-indigo-600 cursor-pointer">
+            <Upload className="w-5 h-5" />
+            Upload CSV
+            <input type="file" accept=".csv,text/csv" onChange={loadFile} className="hidden" />
+          </label>
+          {Object.entries({ onboard: 'Onboard new', salary: 'Set salaries', pay: 'Pay' }).map(([key, label]) => (
+            <label key={key} className="flex items-center gap-1 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={steps[key] && (key !== 'pay' || canPay)}
+                disabled={running || (key === 'pay' && !canPay)}
+                onChange={(e) => setSteps({ ...steps, [key]: e.target.checked })}
+              />
+              {label}
+            </label>
+          ))}
+          <button
+            onClick={validate}
+            disabled={validating || running}
+            className="ml-auto bg-gray-700 text-white px-6 py-3 rounded-lg hover:bg-gray-800 transition disabled:opacity-50"
+          >
+            {validating ? 'Validating...' : 'Validate'}
+          </button>
+          <button
+            onClick={() => run(false)}
+            disabled={running || readyCount === 0}
+            className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50 flex items-center gap-2"
+          >
+            <Play className="w-5 h-5" />
+            {running ? 'Running...' : `Run (${readyCount})`}
+          </button>
+        </div>
+      </div>
+
+      {rows.length > 0 && (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-800">Rows</h3>
+            <div className="flex gap-2">
+              {hasFailures && (
+                <button
+                  onClick={() => run(true)}
+                  disabled={running}
+                  className="bg-yellow-500 text-white px-4 py-2 rounded-lg hover:bg-yellow-600 transition disabled:opacity-50 flex items-center gap-2"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  Retry Failed
+                </button>
+              )}
+              {report && (
+                <button
+                  onClick={downloadReport}
+                  className="bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition flex items-center gap-2"
+                >
+                  <Download className="w-4 h-4" />
+                  Report
+                </button>
+              )}
+            </div>
+          </div>
+
+          {report && (
+            <div className="grid grid-cols-5 gap-4 mb-4">
+              {[
+                ['Added', report.added, 'bg-green-50 text-green-600'],
+                ['Salaries Set', report.salariesSet, 'bg-indigo-50 text-indigo-600'],
+                ['Paid', report.paid, 'bg-blue-50 text-blue-600'],
+                ['Failed', report.failed, 'bg-red-50 text-red-600'],
+                ['Invalid', report.invalid, 'bg-gray-50 text-gray-600']
+              ].map(([label, value, className]) => (
+                <div key={label} className={`p-4 rounded-lg ${className}`}>
+                  <p className="text-sm text-gray-600">{label}</p>
+                  <p className="text-xl font-bold">{value}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="text-gray-600 border-b">
+                <th className="py-2">Line</th>
+                <th className="py-2">Address</th>
+                <th className="py-2">Salary</th>
+                <th className="py-2">Status</th>
+                <th className="py-2">Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.line} className="border-b last:border-0">
+                  <td className="py-2">{row.line}</td>
+                  <td className="py-2 font-mono">{row.address}</td>
+                  <td className="py-2">{row.amount !== null ? formatSalary(row.amount) : row.salary}</td>
+                  <td className={`py-2 font-semibold ${STATUS_CLASSES[row.status]}`}>{row.status}</td>
+                  <td className="py-2 text-gray-600">
+                    {row.error || (row.alreadyActive ? 'Already active, will not be re-added' : '')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {log.length > 0 && (
+        <div className="bg-gray-900 text-gray-100 rounded-lg shadow-lg p-4 font-mono text-xs text-left max-h-64 overflow-y-auto">
+          {log.map((entry, index) => (
+            <p key={index}>{entry}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PayrollRun;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { FileCheck, CheckCircle, XCircle, MinusCircle, Upload } from 'lucide-react';
+import { PayrollClient, formatSalary } from '@payroll/sdk';
+import { CONTRACT_ABI, NETWORK_CONFIG, getContractAddress, getDeploymentBlock } from '../config';
+import { readPayslip, payslipTxUrl } from '../utils/payslip';
+
+const CheckRow = ({ ok, label }) => {
+  const Icon = ok === null ? MinusCircle : ok ? CheckCircle : XCircle;
+  const color = ok === null ? 'text-gray-400' : ok ? 'text-green-600' : 'text-red-600';
+  return (
+    <li className="flex items-center gap-2">
+      <Icon className={`w-5 h-5 ${color}`} />
+      {label}
+    </li>
+  );
+};
+
+// Standalone payslip check for recipients (lenders, landlords): no wallet needed, the
+// payroll deployment on the payslip's network is read through its public RPC
+const PayslipVerifier = () => {
+  const [text, setText] = useState('');
+  const [payslip, setPayslip] = useState(null);
+  const [result, setResult] = useState(null); // verifyPayslip() output
+  const [verifying, setVerifying] = useState(false);
+
+  const loadFile = async (event) => {
+    const [file] = event.target.files;
+    if (file) {
+      setText(await file.text());
+      setResult(null);
+    }
+  };
+
+  const verify = async () => {
+    try {
+      setVerifying(true);
+      setResult(null);
+      const parsed = readPayslip(text);
+      const network = NETWORK_CONFIG[parsed.chainId];
+      if (!network) {
+        throw new Error(`Unsupported network ${parsed.chainId}`);
+      }
+      // Check against our own deployment, not whatever contract the payslip names
+      const payroll = getContractAddress(parsed.chainId);
+      if (!payroll) {
+        throw new Error(`No payroll deployment on ${network.name}`);
+      }
+      const provider = new ethers.JsonRpcProvider(network.rpcUrl, parsed.chainId, { staticNetwork: true });
+      const client = PayrollClient.at(payroll, provider, {
+        abi: CONTRACT_ABI,
+        deployBlock: getDeploymentBlock(parsed.chainId)
+      });
+      setPayslip(parsed);
+      setResult(await client.verifyPayslip(parsed));
+    } catch (error) {
+      console.error('Error verifying payslip:', error);
+      setPayslip(null);
+      alert(`Failed to verify payslip: ${error.message}`);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const explorerUrl = payslip ? payslipTxUrl(payslip) : null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50 p-8">
+      <div className="max-w-3xl mx-auto bg-white rounded-lg shadow-lg p-8">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <FileCheck className="w-6 h-6 text-indigo-600" />
+          Verify a Payslip
+        </h1>
+        <p className="text-gray-600 mb-4">
+          Upload or paste a payslip (JSON or the printable HTML). Its signatures are checked locally and the payment is
+          looked up on-chain.
+        </p>
+
+        <label className="inline-flex items-center gap-2 bg-gray-700 text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition cursor-pointer mb-4">
+          <Upload className="w-4 h-4" />
+          Choose File
+          <input type="file" accept=".json,.html" onChange={loadFile} className="hidden" />
+        </label>
+        <textarea
+          value={text}
+          onChange={(e) => { setText(e.target.value); setResult(null); }}
+          rows={8}
+          placeholder='{"version": 1, ...}'
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <button
+          onClick={verify}
+          disabled={verifying || !text.trim()}
+          className="mt-4 w-full bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {verifying ? 'Verifying...' : 'Verify'}
+        </button>
+
+        {result && payslip && (
+          <div className={`mt-6 p-4 rounded-lg ${result.valid ? 'bg-green-50' : 'bg-red-50'}`}>
+            <p className={`text-xl font-bold ${result.valid ? 'text-green-700' : 'text-red-700'}`}>
+              {result.valid ? 'Valid payslip' : 'Payslip could not be verified'}
+            </p>
+            <p className="mt-2 text-gray-800">
+              {formatSalary(payslip.amount)} cUSD from "{payslip.companyName}" to{' '}
+              <span className="font-mono break-all">{payslip.employee}</span> on{' '}
+              {new Date(payslip.timestamp * 1000).toLocaleString()}
+            </p>
+            <ul className="mt-4 space-y-1 text-sm text-gray-700">
+              <CheckRow ok={result.employeeSignature} label="Signed by the employee" />
+              <CheckRow
+                ok={result.companySignature ?? false}
+                label={result.companySignature === null ? 'Not co-signed by the company' : 'Co-signed by the company owner'}
+              />
+              <CheckRow ok={result.payment} label="Payment found on-chain" />
+            </ul>
+            {result.errors.length > 0 && (
+              <ul className="mt-4 list-disc list-inside text-sm text-red-700">
+                {result.errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+            {explorerUrl && (
+              <a href={explorerUrl} target="_blank" rel="noopener noreferrer" className="mt-4 inline-block text-sm text-indigo-600 hover:text-indigo-800">
+                View transaction
+              </a>
+            )}
+            <p className="mt-4 text-sm text-gray-600">
+              🔒 The amount is encrypted on-chain, so it is vouched for by the signatures only. A payslip is valid once
+              the company co-signs it, confirming the payer agrees with the amount.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PayslipVerifier;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Building2 } from 'lucide-react';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+// Register the connected wallet as a company owner
+const RegisterCompany = ({ client, onRegistered }) => {
+  const [companyName, setCompanyName] = useState('');
+  const transactions = useTransactions();
+
+  const registerCompany = async () => {
+    if (!companyName) {
+      alert('Please enter company name');
+      return;
+    }
+
+    const name = companyName;
+    const receipt = await runTransaction(client, {
+      key: 'registerCompany',
+      label: `Register ${name}`,
+      send: () => client.registerCompany(name)
+    });
+    if (receipt) {
+      // Keep anything typed since submitting
+      setCompanyName((current) => (current === name ? '' : current));
+      await onRegistered?.();
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <Building2 className="w-6 h-6" />
+        Register as Company
+      </h2>
+      <div className="flex gap-4">
+        <input
+          type="text"
+          placeholder="Enter company name"
+          value={companyName}
+          onChange={(e) => setCompanyName(e.target.value)}
+          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <button
+          onClick={registerCompany}
+          disabled={isActionPending(transactions, 'registerCompany')}
+          className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {isActionPending(transactions, 'registerCompany') ? 'Registering...' : 'Register Company'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RegisterCompany;
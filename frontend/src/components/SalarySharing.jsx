@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { Share2, Trash2 } from 'lucide-react';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Addresses the connected employee lets decrypt their salary, e.g. a lender or landlord
+const SalarySharing = ({ client, account }) => {
+  const [grants, setGrants] = useState([]);
+  const [grantee, setGrantee] = useState('');
+  const [expiry, setExpiry] = useState('');
+  const transactions = useTransactions();
+
+  const loadGrants = useCallback(async () => {
+    try {
+      setGrants(await client.getSalaryGrants(account));
+    } catch (error) {
+      console.error('Error loading salary grants:', error);
+    }
+  }, [client, account]);
+
+  useEffect(() => {
+    loadGrants();
+  }, [loadGrants]);
+
+  const shareSalary = async () => {
+    if (!ethers.isAddress(grantee)) {
+      alert('Please enter a valid address');
+      return;
+    }
+    // The date input is local; access ends at the start of that day
+    const expiresAt = expiry ? Math.floor(new Date(`${expiry}T00:00`).getTime() / 1000) : null;
+
+    const receipt = await runTransaction(client, {
+      key: `shareSalary:${grantee.toLowerCase()}`,
+      label: `Share salary with ${shortAddress(grantee)}`,
+      send: () => client.grantSalaryAccess(grantee, expiresAt)
+    });
+    if (receipt) {
+      setGrantee('');
+      setExpiry('');
+      await loadGrants();
+    }
+  };
+
+  const revokeSalary = async (address) => {
+    const receipt = await runTransaction(client, {
+      key: `revokeSalary:${address.toLowerCase()}`,
+      label: `Stop sharing salary with ${shortAddress(address)}`,
+      send: () => client.revokeSalaryAccess(address)
+    });
+    if (receipt) {
+      await loadGrants();
+    }
+  };
+
+  const sharing = grantee && isActionPending(transactions, `shareSalary:${grantee.toLowerCase()}`);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <Share2 className="w-5 h-5 text-indigo-600" />
+        Salary Sharing
+      </h3>
+
+      <div className="flex gap-4">
+        <input
+          type="text"
+          placeholder="Grantee address (0x...)"
+          value={grantee}
+          onChange={(e) => setGrantee(e.target.value)}
+          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <input
+          type="date"
+          value={expiry}
+          onChange={(e) => setExpiry(e.target.value)}
+          title="Access ends on this date (optional)"
+          className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <button
+          onClick={shareSalary}
+          disabled={sharing}
+          className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {sharing ? 'Sharing...' : 'Share'}
+        </button>
+      </div>
+
+      {grants.length === 0 ? (
+        <p className="mt-4 text-gray-600">Your salary is not shared with anyone.</p>
+      ) : (
+        <ul className="mt-4 divide-y">
+          {grants.map((grant) => {
+            const revoking = isActionPending(transactions, `revokeSalary:${grant.grantee.toLowerCase()}`);
+            return (
+              <li key={grant.grantee} className="py-3 flex items-center justify-between">
+                <div>
+                  <p className="font-mono text-sm text-gray-800 break-all">{grant.grantee}</p>
+                  <p className="text-sm text-gray-600">
+                    {grant.expiresAt
+                      ? `Until ${new Date(grant.expiresAt * 1000).toLocaleString()}`
+                      : 'No expiry'}
+                    {grant.expired && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700">Expired</span>
+                    )}
+                  </p>
+                </div>
+                <button
+                  onClick={() => revokeSalary(grant.grantee)}
+                  disabled={revoking}
+                  title="Revoke access"
+                  className="text-red-600 hover:text-red-800 disabled:opacity-50 flex items-center gap-1 text-sm font-semibold"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  {revoking ? 'Revoking...' : 'Revoke'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <p className="mt-4 text-sm text-gray-600">
+        🔒 Grantees can decrypt your current salary until access expires or you revoke it. Revoking also re-encrypts
+        the salary so earlier access no longer applies.
+      </p>
+    </div>
+  );
+};
+
+export default SalarySharing;
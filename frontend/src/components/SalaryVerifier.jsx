@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { ShieldCheck } from 'lucide-react';
+import { formatSalary } from '@payroll/sdk';
+import { decryptUint64 } from '../utils/fhevm';
+
+// For third parties an employee shared their salary with: check the grant and decrypt
+const SalaryVerifier = ({ client, account }) => {
+  const [employee, setEmployee] = useState('');
+  const [result, setResult] = useState(null); // { employee, salaries: [{ companyName, salary }], expiresAt }
+  const [verifying, setVerifying] = useState(false);
+
+  const verifySalary = async () => {
+    if (!ethers.isAddress(employee)) {
+      alert('Please enter a valid address');
+      return;
+    }
+    try {
+      setVerifying(true);
+      setResult(null);
+      const grant = await client.getSalaryGrant(employee, account);
+      if (!grant.valid) {
+        alert(grant.active ? 'Your access to this salary has expired' : 'This employee has not shared their salary with you');
+        return;
+      }
+      // A grant covers the salary at every current employer
+      const employments = (await client.getEmployments(employee)).filter((employment) => employment.isActive);
+      const salaries = [];
+      for (const { companyAddress, companyName } of employments) {
+        const salary = await decryptUint64(client, await client.getEncryptedSalary(companyAddress, employee));
+        salaries.push({ companyAddress, companyName, salary });
+      }
+      setResult({ employee, salaries, expiresAt: grant.expiresAt });
+    } catch (error) {
+      console.error('Error verifying salary:', error);
+      alert(`Failed to verify salary: ${error.message}`);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-8 mb-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+        <ShieldCheck className="w-6 h-6" />
+        Verify a Shared Salary
+      </h2>
+      <div className="flex gap-4">
+        <input
+          type="text"
+          placeholder="Employee address (0x...)"
+          value={employee}
+          onChange={(e) => setEmployee(e.target.value)}
+          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <button
+          onClick={verifySalary}
+          disabled={verifying}
+          className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+        >
+          {verifying ? 'Decrypting...' : 'Verify'}
+        </button>
+      </div>
+
+      {result && (
+        <div className="mt-4 bg-indigo-50 p-4 rounded-lg">
+          <p className="text-sm text-gray-600 font-mono break-all">{result.employee}</p>
+          {result.salaries.length === 0 && <p className="text-gray-700">Not currently employed</p>}
+          {result.salaries.map(({ companyAddress, companyName, salary }) => (
+            <p key={companyAddress} className="text-gray-700">
+              {companyName}: <span className="text-xl font-bold text-indigo-600">{formatSalary(salary)}</span>
+            </p>
+          ))}
+          <p className="text-sm text-gray-600">
+            {result.expiresAt ? `Access until ${new Date(result.expiresAt * 1000).toLocaleString()}` : 'Access has no expiry'}
+          </p>
+        </div>
+      )}
+
+      <p className="mt-4 text-sm text-gray-600">
+        🔒 Only works if the employee granted your address access. The salary is decrypted locally.
+      </p>
+    </div>
+  );
+};
+
+export default SalaryVerifier;
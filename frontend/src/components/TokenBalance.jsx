@@ -0,0 +1,81 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Coins, Eye, EyeOff, RefreshCw } from 'lucide-react';
+import { formatSalary } from '@payroll/sdk';
+import { decryptUint64 } from '../utils/fhevm';
+
+// Encrypted cUSD wallet balance of the connected account
+const TokenBalance = ({ tokenClient, account, refreshKey }) => {
+  const [symbol, setSymbol] = useState('');
+  const [balance, setBalance] = useState(null);
+  const [showBalance, setShowBalance] = useState(false);
+  const [decrypting, setDecrypting] = useState(false);
+
+  useEffect(() => {
+    tokenClient
+      .getTokenInfo()
+      .then((info) => setSymbol(info.symbol))
+      .catch((error) => console.error('Error loading token info:', error));
+  }, [tokenClient]);
+
+  // A decrypted balance goes stale after any payment; hide it until decrypted again
+  useEffect(() => {
+    setBalance(null);
+  }, [tokenClient, account, refreshKey]);
+
+  // Only this wallet can reencrypt its balance; nothing is published on-chain
+  const decryptBalance = useCallback(async () => {
+    try {
+      setDecrypting(true);
+      setBalance(formatSalary(await decryptUint64(tokenClient, await tokenClient.getEncryptedBalance(account))));
+      setShowBalance(true);
+    } catch (error) {
+      console.error('Error decrypting balance:', error);
+      alert(`Failed to decrypt balance: ${error.message}`);
+    } finally {
+      setDecrypting(false);
+    }
+  }, [tokenClient, account]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Coins className="w-5 h-5 text-indigo-600" />
+          {symbol || 'Token'} Balance
+        </h3>
+        <button
+          onClick={decryptBalance}
+          disabled={decrypting}
+          title="Decrypt"
+          className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+        >
+          <RefreshCw className={`w-5 h-5 ${decrypting ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      <div className="bg-indigo-50 p-4 rounded-lg flex items-center justify-between">
+        <div>
+          <p className="text-sm text-gray-600">Balance</p>
+          <p className="text-xl font-bold text-indigo-600">
+            {balance === null ? '🔒 Encrypted' : showBalance ? `${balance} ${symbol}` : '••••••'}
+          </p>
+        </div>
+        {balance === null ? (
+          <button onClick={decryptBalance} disabled={decrypting} className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50">
+            <Eye className="w-5 h-5" />
+          </button>
+        ) : (
+          <button onClick={() => setShowBalance(!showBalance)} className="text-indigo-600 hover:text-indigo-800">
+            {showBalance ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+          </button>
+        )}
+      </div>
+
+      <p className="mt-4 text-sm text-gray-600">
+        🔒 Only you can decrypt your balance. You sign once per session to authorize it.
+      </p>
+    </div>
+  );
+};
+
+export default TokenBalance;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Loader2, Wallet, CheckCircle, XCircle, Repeat, ExternalLink, X } from 'lucide-react';
+import { useTransactions, dismissTransaction, IN_FLIGHT } from '../utils/transactions';
+import { txUrl } from '../utils/paymentHistory';
+
+const STATUS_STYLES = {
+  signing: { text: 'Waiting for wallet signature...', icon: Wallet, className: 'border-indigo-200', iconClass: 'text-indigo-600' },
+  pending: { text: 'Pending confirmation...', icon: Loader2, className: 'border-yellow-200', iconClass: 'text-yellow-600 animate-spin' },
+  confirmed: { text: 'Confirmed', icon: CheckCircle, className: 'border-green-200', iconClass: 'text-green-600' },
+  failed: { text: 'Failed', icon: XCircle, className: 'border-red-200', iconClass: 'text-red-600' },
+  replaced: { text: 'Replaced', icon: Repeat, className: 'border-gray-300', iconClass: 'text-gray-600' }
+};
+
+// One toast per tracked transaction, newest at the bottom
+const TransactionToasts = () => {
+  const transactions = useTransactions();
+  if (transactions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-96">
+      {transactions.map((tx) => {
+        const style = STATUS_STYLES[tx.status];
+        const Icon = style.icon;
+        const explorerUrl = tx.hash ? txUrl(tx.hash) : null;
+        return (
+          <div key={tx.id} className={`bg-white rounded-lg shadow-lg border p-4 flex gap-3 ${style.className}`}>
+            <Icon className={`w-5 h-5 mt-0.5 shrink-0 ${style.iconClass}`} />
+            <div className="flex-1 min-w-0">
+              <p className="font-semibold text-gray-800">{tx.label}</p>
+              <p className="text-sm text-gray-600 break-words">{tx.error ?? style.text}</p>
+              {explorerUrl && (
+                <a
+                  href={explorerUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm text-indigo-600 hover:text-indigo-800 inline-flex items-center gap-1 font-mono"
+                >
+                  {tx.hash.slice(0, 10)}...
+                  <ExternalLink className="w-3 h-3" />
+                </a>
+              )}
+            </div>
+            {!IN_FLIGHT.includes(tx.status) && (
+              <button onClick={() => dismissTransaction(tx.id)} title="Dismiss" className="text-gray-400 hover:text-gray-600 self-start">
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TransactionToasts;
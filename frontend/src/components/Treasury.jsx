@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Landmark, AlertTriangle, ArrowDownToLine, ArrowUpFromLine, Eye } from 'lucide-react';
+import { parseSalary, formatSalary } from '@payroll/sdk';
+import { getReencryptionAuth, clearReencryptionAuth } from '../utils/fhevm';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+// Warn when the treasury covers fewer full payroll runs than this
+const LOW_RUNWAY_RUNS = 2;
+
+// Company payroll treasury (owner only): encrypted balance, deposit/withdraw and a
+// runway check against the encrypted sum of active salaries
+const Treasury = ({ client, tokenClient, company, account, refreshKey }) => {
+  const [status, setStatus] = useState(null); // { balance, activeSalaryTotal, payRunsCovered }
+  const [amount, setAmount] = useState('');
+  const [decrypting, setDecrypting] = useState(false);
+  const transactions = useTransactions();
+  const busy = ['deposit', 'withdraw'].find((action) => isActionPending(transactions, `treasury:${action}`)) ?? '';
+
+  // Decrypted values go stale after any payment; hide them until decrypted again
+  useEffect(() => {
+    setStatus(null);
+  }, [client, company, refreshKey]);
+
+  // Both values are readable by the company only and are decrypted locally
+  const decryptStatus = useCallback(async () => {
+    try {
+      setDecrypting(true);
+      setStatus(await client.getTreasuryStatus(company, await getReencryptionAuth(client)));
+    } catch (error) {
+      console.error('Error decrypting treasury:', error);
+      clearReencryptionAuth(client.address, account);
+      alert(`Failed to decrypt treasury: ${error.message}`);
+    } finally {
+      setDecrypting(false);
+    }
+  }, [client, company, account]);
+
+  const runTransfer = async (action) => {
+    let value;
+    try {
+      value = parseSalary(amount);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    const key = `treasury:${action}`;
+    let receipt;
+    if (action === 'deposit') {
+      // The treasury pulls the deposit with the company's token allowance
+      const approved = await runTransaction(tokenClient, {
+        key,
+        label: `Approve ${amount} for the treasury`,
+        send: () => tokenClient.approve(client.address, value)
+      });
+      receipt =
+        approved &&
+        (await runTransaction(client, { key, label: `Deposit ${amount} to the treasury`, send: () => client.depositToTreasury(value) }));
+    } else {
+      receipt = await runTransaction(client, {
+        key,
+        label: `Withdraw ${amount} from the treasury`,
+        send: () => client.withdrawFromTreasury(value)
+      });
+    }
+    if (receipt) {
+      setAmount('');
+      setStatus(null);
+    }
+  };
+
+  const runway = status?.payRunsCovered;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Landmark className="w-5 h-5 text-indigo-600" />
+          Payroll Treasury
+        </h3>
+        <button
+          onClick={decryptStatus}
+          disabled={decrypting}
+          className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50 flex items-center gap-1 text-sm font-semibold"
+        >
+          <Eye className="w-4 h-4" />
+          {decrypting ? 'Decrypting...' : status ? 'Refresh' : 'Decrypt'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4">
+        <div className="bg-indigo-50 p-4 rounded-lg">
+          <p className="text-sm text-gray-600">Treasury Balance</p>
+          <p className="text-xl font-bold text-indigo-600">
+            {status ? formatSalary(status.balance) : '🔒 Encrypted'}
+          </p>
+        </div>
+        <div className="bg-green-50 p-4 rounded-lg">
+          <p className="text-sm text-gray-600">Active Salaries per Run</p>
+          <p className="text-xl font-bold text-green-600">
+            {status ? formatSalary(status.activeSalaryTotal) : '🔒 Encrypted'}
+          </p>
+        </div>
+        <div className="bg-blue-50 p-4 rounded-lg">
+          <p className="text-sm text-gray-600">Runway</p>
+          <p className="text-xl font-bold text-blue-600">
+            {!status ? '—' : runway === null ? 'No salaries set' : `${runway} payroll run${runway === 1 ? '' : 's'}`}
+          </p>
+        </div>
+      </div>
+
+      {status && runway !== null && runway < LOW_RUNWAY_RUNS && (
+        <div
+          className={`mt-4 p-4 rounded-lg flex items-start gap-2 ${
+            runway === 0 ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-700'
+          }`}
+        >
+          <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+          <p className="text-sm">
+            {runway === 0
+              ? 'The treasury cannot cover a full payroll run. Payments it cannot cover transfer 0 instead of failing.'
+              : 'The treasury covers only one more payroll run. Deposit more to keep paying salaries.'}
+          </p>
+        </div>
+      )}
+
+      <div className="mt-4 flex gap-4">
+        <input
+          type="text"
+          inputMode="decimal"
+          placeholder="Amount"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <button
+          onClick={() => runTransfer('deposit')}
+          disabled={!!busy}
+          className="bg-green-600 text-white px-6 py-3 rounded-lg hover:bg-green-700 transition disabled:opacity-50 flex items-center gap-2"
+        >
+          <ArrowDownToLine className="w-4 h-4" />
+          {busy === 'deposit' ? 'Depositing...' : 'Deposit'}
+        </button>
+        <button
+          onClick={() => runTransfer('withdraw')}
+          disabled={!!busy}
+          className="bg-white text-indigo-600 border border-indigo-600 px-6 py-3 rounded-lg hover:bg-indigo-50 transition disabled:opacity-50 flex items-center gap-2"
+        >
+          <ArrowUpFromLine className="w-4 h-4" />
+          {busy === 'withdraw' ? 'Withdrawing...' : 'Withdraw'}
+        </button>
+      </div>
+      <p className="mt-2 text-sm text-gray-600">
+        🔒 Amounts are encrypted in your browser. Deposits and withdrawals the balance can't cover move 0, so always
+        decrypt to confirm.
+      </p>
+    </div>
+  );
+};
+
+export default Treasury;
@@ -1,26 +1,32 @@
 // Contract configuration
-export const CONTRACT_ADDRESS = "YOUR_DEPLOYED_CONTRACT_ADDRESS"; // Update after deployment
-export const NETWORK_ID = 8009; // Zama testnet
+// Network the app runs against: Zama testnet by default, VITE_NETWORK_ID=1337 for a local node
+export const NETWORK_ID = Number(import.meta.env.VITE_NETWORK_ID || 8009);
 
-// Simplified ABI - add full ABI from artifacts after compilation
-export const CONTRACT_ABI = [
-  "function registerCompany(string calldata _name) external",
-  "function addEmployee(address _employee) external",
-  "function removeEmployee(address _employee) external",
-  "function setSalary(address _employee, einput _encryptedSalary, bytes calldata inputProof) external",
-  "function paySalary(address _employee) external payable",
-  "function requestMyBalance() external returns (uint256)",
-  "function getCompanyInfo(address _company) external view returns (string memory, address, bool, uint256, uint256)",
-  "function getEmployeeInfo(address _employee) external view returns (address, address, uint256, uint256, bool)",
-  "function checkEmployeeStatus(address _company, address _employee) external view returns (bool)",
-  "function getPaymentHistoryCount(address _employee) external view returns (uint256)",
-  "function getCompanyCount() external view returns (uint256)",
-  "event CompanyRegistered(address indexed company, string name)",
-  "event EmployeeAdded(address indexed company, address indexed employee)",
-  "event EmployeeRemoved(address indexed company, address indexed employee)",
-  "event SalarySet(address indexed employee, address indexed company)",
-  "event PaymentMade(address indexed from, address indexed to, uint256 timestamp)"
-];
+// Optional payroll indexer API (npm run indexer:local); rosters and payment history are
+// read from it when set, and rebuilt from contract logs over RPC otherwise
+export const INDEXER_URL = import.meta.env.VITE_INDEXER_URL || null;
+
+// Salaries are entered in whole units and stored on-chain as uint64 base units
+export { SALARY_DECIMALS } from '@payroll/sdk';
+
+// Deployment registry and compiled ABIs written by scripts/deploy.js. `@deployments` is
+// deployments/, or deployments/local/ when building for a local chain (vite.config.js).
+// Globs resolve to nothing (instead of failing the build) before the first deploy.
+const registryFiles = import.meta.glob('@deployments/registry.json', { eager: true, import: 'default' });
+const abiFiles = import.meta.glob('@deployments/abi/ConfidentialPayroll.json', { eager: true, import: 'default' });
+const tokenAbiFiles = import.meta.glob('@deployments/abi/ConfidentialToken.json', { eager: true, import: 'default' });
+
+export const DEPLOYMENTS = Object.values(registryFiles)[0] ?? {};
+export const CONTRACT_ABI = Object.values(abiFiles)[0] ?? [];
+export const TOKEN_ABI = Object.values(tokenAbiFiles)[0] ?? [];
+
+// Address of the current ConfidentialPayroll deployment on `chainId`, if any
+export const getContractAddress = (chainId) =>
+  DEPLOYMENTS[String(chainId)]?.contracts?.ConfidentialPayroll?.address ?? null;
+
+// Block that deployment was made in; the SDK scans its events from there
+export const getDeploymentBlock = (chainId) =>
+  DEPLOYMENTS[String(chainId)]?.contracts?.ConfidentialPayroll?.blockNumber ?? 0;
 
 export const NETWORK_CONFIG = {
   8009: {
@@ -28,6 +34,18 @@ export const NETWORK_CONFIG = {
     rpcUrl: "https://rpc.fhevm.dev.zama.ai",
     chainId: "0x1F49", // 8009 in hex
     symbol: "ZAMA",
-    explorer: "https://explorer.fhevm.dev.zama.ai"
+    explorer: "https://explorer.fhevm.dev.zama.ai",
+    gatewayUrl: "https://gateway.devnet.zama.ai",
+    aclAddress: "0x2Fb4341027eb1d2aD8B5D9708187df8633cAFA92"
+  },
+  // `npm run node`; encrypted inputs and decryption still need an fhEVM gateway
+  1337: {
+    name: "Hardhat Local",
+    rpcUrl: "http://127.0.0.1:8545",
+    chainId: "0x539", // 1337 in hex
+    symbol: "ETH",
+    explorer: null,
+    gatewayUrl: null,
+    aclAddress: "0x2Fb4341027eb1d2aD8B5D9708187df8633cAFA92"
   }
 };
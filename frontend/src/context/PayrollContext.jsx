@@ -0,0 +1,239 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { PayrollClient, TokenClient } from '@payroll/sdk';
+import { CONTRACT_ABI, TOKEN_ABI, NETWORK_ID, getContractAddress, getDeploymentBlock } from '../config';
+import { getFhevmInstance } from '../utils/fhevm';
+import { getNetworkName, isSupportedChain, switchNetwork, revokeWalletPermissions } from '../utils/network';
+import { resumePendingTransactions } from '../utils/transactions';
+
+// Wallet, contract clients and the wallet's payroll role, shared by every page. Pages
+// load their own data; `version` is bumped after writes that change it so they refetch.
+const PayrollContext = createContext(null);
+
+export const PayrollProvider = ({ children }) => {
+  const [account, setAccount] = useState('');
+  const [provider, setProvider] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [client, setClient] = useState(null);
+  const [tokenClient, setTokenClient] = useState(null);
+  const [userType, setUserType] = useState(''); // 'company' (possibly employed too) or 'employee'
+  const [roles, setRoles] = useState(null); // company roles of the connected wallet
+  const [companyInfo, setCompanyInfo] = useState(null);
+  const [employments, setEmployments] = useState([]); // every current and past employment
+  const [roleLoaded, setRoleLoaded] = useState(false);
+  const [version, setVersion] = useState(0);
+  // Bumped on every account or chain change so late results from the old session are dropped
+  const sessionRef = useRef(0);
+
+  // Forget everything loaded for the previous account or chain
+  const resetSession = () => {
+    sessionRef.current += 1;
+    setClient(null);
+    setTokenClient(null);
+    setUserType('');
+    setRoles(null);
+    setCompanyInfo(null);
+    setEmployments([]);
+    setRoleLoaded(false);
+  };
+
+  const clearWallet = () => {
+    resetSession();
+    setAccount('');
+    setProvider(null);
+    setChainId(null);
+  };
+
+  const loadRole = async (address, payrollClient) => {
+    const session = sessionRef.current;
+    try {
+      const { type, company, roles, employments } = await payrollClient.getUserType(address);
+      if (session !== sessionRef.current) return;
+      // Also clears a role the wallet just lost, e.g. after an ownership transfer
+      setUserType(type ?? '');
+      setRoles(roles);
+      setCompanyInfo(company);
+      setEmployments(employments);
+      setRoleLoaded(true);
+    } catch (error) {
+      console.error('Error checking user type:', error);
+    }
+  };
+
+  // Build clients for `address` on the wallet's current chain and load its payroll role
+  const loadSession = async (address) => {
+    resetSession();
+    const session = sessionRef.current;
+
+    // A fresh provider each time: ethers providers are bound to the chain they started on
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const { chainId } = await provider.getNetwork();
+    if (session !== sessionRef.current) return;
+    setProvider(provider);
+    setAccount(address);
+    setChainId(Number(chainId));
+
+    // The wrong-network banner offers to switch
+    if (!isSupportedChain(chainId)) return;
+
+    const contractAddress = getContractAddress(chainId);
+    if (!contractAddress) {
+      alert(`ConfidentialPayroll is not deployed on ${getNetworkName(chainId)}`);
+      return;
+    }
+    const signer = await provider.getSigner(address);
+    const client = PayrollClient.at(contractAddress, signer, {
+      abi: CONTRACT_ABI,
+      fhevm: getFhevmInstance,
+      deployBlock: getDeploymentBlock(chainId)
+    });
+    // Salaries are paid in the payroll contract's confidential token
+    const tokenClient = TokenClient.at(await client.getTokenAddress(), signer, {
+      abi: TOKEN_ABI,
+      fhevm: getFhevmInstance
+    });
+    if (session !== sessionRef.current) return;
+    setClient(client);
+    setTokenClient(tokenClient);
+
+    await loadRole(address, client);
+  };
+
+  const connect = async () => {
+    try {
+      if (!window.ethereum) {
+        alert('Please install MetaMask!');
+        return;
+      }
+
+      setLoading(true);
+      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+      await loadSession(accounts[0]);
+      setLoading(false);
+    } catch (error) {
+      console.error('Error connecting wallet:', error);
+      alert(`Failed to connect wallet: ${error.message}`);
+      setLoading(false);
+    }
+  };
+
+  const disconnect = async () => {
+    clearWallet();
+    await revokeWalletPermissions(window.ethereum);
+  };
+
+  const switchToSupportedNetwork = async () => {
+    try {
+      setLoading(true);
+      // chainChanged reloads the session once the wallet has switched
+      await switchNetwork(window.ethereum, NETWORK_ID);
+      setLoading(false);
+    } catch (error) {
+      console.error('Error switching network:', error);
+      alert(`Failed to switch network: ${error.message}`);
+      setLoading(false);
+    }
+  };
+
+  // Reload the role after a write and tell pages to refetch their data
+  const refresh = useCallback(async () => {
+    setVersion((current) => current + 1);
+    if (account && client) {
+      await loadRole(account, client);
+    }
+  }, [account, client]);
+
+  // Reconnect a wallet that already authorized the site, so deep links survive a reload
+  useEffect(() => {
+    if (!window.ethereum) return;
+    window.ethereum
+      .request({ method: 'eth_accounts' })
+      .then((accounts) => accounts.length > 0 && loadSession(accounts[0]))
+      .catch((error) => console.error('Error restoring wallet session:', error));
+  }, []);
+
+  // Follow account and network changes made in the wallet
+  useEffect(() => {
+    if (!account || !window.ethereum?.on) return undefined;
+
+    const reload = (address) =>
+      loadSession(address).catch((error) => {
+        console.error('Error reloading wallet session:', error);
+        alert(`Failed to reload wallet: ${error.message}`);
+      });
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length === 0) {
+        // Locked or disconnected from the wallet side
+        clearWallet();
+      } else {
+        reload(accounts[0]);
+      }
+    };
+    const handleChainChanged = () => reload(account);
+
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    window.ethereum.on('chainChanged', handleChainChanged);
+    return () => {
+      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+      window.ethereum.removeListener('chainChanged', handleChainChanged);
+    };
+  }, [account]);
+
+  // Pick up transactions that were still pending when the page was last closed
+  useEffect(() => {
+    if (!client) return;
+    resumePendingTransactions(client)
+      .then((receipts) => {
+        if (receipts.some(Boolean)) {
+          refresh();
+        }
+      })
+      .catch((error) => console.error('Error resuming pending transactions:', error));
+  }, [client]);
+
+  const value = {
+    wallet: {
+      account,
+      provider,
+      chainId,
+      loading,
+      isWrongNetwork: chainId !== null && !isSupportedChain(chainId),
+      connect,
+      disconnect,
+      switchToSupportedNetwork
+    },
+    contract: { client, tokenClient },
+    role: {
+      userType,
+      roles,
+      companyInfo,
+      employments,
+      loaded: roleLoaded,
+      // Panels follow the wallet's company roles; the owner holds all of them
+      canManage: !!roles?.isHR,
+      canPay: !!roles?.isPayrollApprover && companyInfo?.approvalThreshold <= 1,
+      version,
+      refresh
+    }
+  };
+
+  return <PayrollContext.Provider value={value}>{children}</PayrollContext.Provider>;
+};
+
+const usePayrollContext = () => {
+  const context = useContext(PayrollContext);
+  if (!context) {
+    throw new Error('Payroll hooks must be used inside <PayrollProvider>');
+  }
+  return context;
+};
+
+// Connected account and network, with connect/disconnect/switch actions
+export const useWallet = () => usePayrollContext().wallet;
+
+// PayrollClient and TokenClient for the connected account (null until connected)
+export const usePayrollContract = () => usePayrollContext().contract;
+
+// The wallet's payroll role: company membership and roles, employments, and refresh()
+export const useUserRole = () => usePayrollContext().role;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import PayrollAnalytics from '../components/PayrollAnalytics';
+import { useWallet, usePayrollContract, useUserRole } from '../context/PayrollContext';
+
+// Encrypted payroll totals, decryptable by the owner only
+const AnalyticsPage = () => {
+  const { account } = useWallet();
+  const { client } = usePayrollContract();
+  const { roles, companyInfo, version } = useUserRole();
+
+  if (!roles.isOwner) {
+    return <Navigate to="/company" replace />;
+  }
+
+  return (
+    <PayrollAnalytics
+      client={client}
+      company={companyInfo.address}
+      account={account}
+      refreshKey={`${companyInfo.totalPayments}:${version}`}
+    />
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,14 @@
+import React from 'react';
+import ApprovalRuns from '../components/ApprovalRuns';
+import { useWallet, usePayrollContract, useUserRole } from '../context/PayrollContext';
+
+// M-of-N payroll runs awaiting approval or execution
+const ApprovalsPage = () => {
+  const { account } = useWallet();
+  const { client } = usePayrollContract();
+  const { companyInfo, roles, refresh } = useUserRole();
+
+  return <ApprovalRuns client={client} account={account} companyInfo={companyInfo} roles={roles} onComplete={refresh} />;
+};
+
+export default ApprovalsPage;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useNavigate } from 'react-router-dom';
+import { Users } from 'lucide-react';
+import EmployeeRoster from '../components/EmployeeRoster';
+import Treasury from '../components/Treasury';
+import TokenBalance from '../components/TokenBalance';
+import { useWallet, usePayrollContract, useUserRole } from '../context/PayrollContext';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Roster, treasury and hiring. Salary, pay components and payments are set per employee
+// on /company/employees/:address.
+const CompanyEmployeesPage = () => {
+  const { account } = useWallet();
+  const { client, tokenClient } = usePayrollContract();
+  const { roles, companyInfo, canManage, canPay, version, refresh } = useUserRole();
+  const [employeeAddress, setEmployeeAddress] = useState('');
+  const transactions = useTransactions();
+  const navigate = useNavigate();
+
+  const addEmployee = async () => {
+    if (!employeeAddress || !ethers.isAddress(employeeAddress)) {
+      alert('Please enter valid employee address');
+      return;
+    }
+
+    const employee = employeeAddress;
+    const receipt = await runTransaction(client, {
+      key: `add:${employee.toLowerCase()}`,
+      label: `Add employee ${shortAddress(employee)}`,
+      send: () => client.addEmployee(employee)
+    });
+    if (receipt) {
+      await refresh();
+      // Continue with the new hire's salary
+      navigate(`/company/employees/${employee}`);
+    }
+  };
+
+  const adding = ethers.isAddress(employeeAddress) && isActionPending(transactions, `add:${employeeAddress.toLowerCase()}`);
+
+  return (
+    <>
+      <EmployeeRoster
+        client={client}
+        account={companyInfo.address}
+        canManage={canManage}
+        canPay={canPay}
+        refreshKey={version}
+        onChanged={refresh}
+      />
+
+      {roles.isOwner && (
+        <Treasury
+          client={client}
+          tokenClient={tokenClient}
+          company={companyInfo.address}
+          account={account}
+          refreshKey={`${companyInfo.totalPayments}:${version}`}
+        />
+      )}
+
+      <TokenBalance tokenClient={tokenClient} account={account} refreshKey={companyInfo.totalPayments} />
+
+      {canManage && (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+            <Users className="w-5 h-5 text-indigo-600" />
+            Add Employee
+          </h3>
+          <div className="flex gap-4">
+            <input
+              type="text"
+              placeholder="Employee wallet address (0x...)"
+              value={employeeAddress}
+              onChange={(e) => setEmployeeAddress(e.target.value)}
+              className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            <button
+              onClick={addEmployee}
+              disabled={adding}
+              className="bg-green-600 text-white px-6 py-3 rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+            >
+              {adding ? 'Adding...' : 'Add Employee'}
+            </button>
+          </div>
+          <p className="mt-2 text-sm text-gray-600">
+            💡 Tip: Set the employee's encrypted salary and fund the treasury before paying
+          </p>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default CompanyEmployeesPage;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Navigate, NavLink, Outlet } from 'react-router-dom';
+import { Building2 } from 'lucide-react';
+import { useUserRole } from '../context/PayrollContext';
+
+const tabClass = ({ isActive }) =>
+  `px-4 py-2 rounded-lg font-semibold transition ${isActive ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-600 hover:bg-indigo-50'}`;
+
+// Company summary and tabs around the /company/* pages, for company members only
+const CompanyPage = () => {
+  const { userType, roles, companyInfo, canManage } = useUserRole();
+
+  if (userType !== 'company' || !companyInfo) {
+    return <Navigate to="/" replace />;
+  }
+
+  const tabs = [
+    ['/company', 'Employees', true],
+    ['/company/payroll-run', 'Payroll Run', canManage],
+    ['/company/approvals', 'Approvals', true],
+    ['/company/analytics', 'Analytics', roles.isOwner]
+  ].filter(([, , visible]) => visible);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <Building2 className="w-6 h-6 text-indigo-600" />
+          Company Dashboard
+        </h2>
+        <div className="grid grid-cols-3 gap-4">
+          <div className="bg-indigo-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Company Name</p>
+            <p className="text-xl font-bold text-indigo-600">{companyInfo.name}</p>
+          </div>
+          <div className="bg-green-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Total Employees</p>
+            <p className="text-xl font-bold text-green-600">{companyInfo.employeeCount}</p>
+          </div>
+          <div className="bg-blue-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Total Payments</p>
+            <p className="text-xl font-bold text-blue-600">{companyInfo.totalPayments}</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        {tabs.map(([to, label]) => (
+          <NavLink key={to} to={to} end className={tabClass}>
+            {label}
+          </NavLink>
+        ))}
+      </div>
+
+      <Outlet />
+    </div>
+  );
+};
+
+export default CompanyPage;
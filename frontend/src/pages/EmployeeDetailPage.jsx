@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, User, Lock, Send, UserMinus } from 'lucide-react';
+import { MAX_PAY, parseSalary } from '@payroll/sdk';
+import PayComponents from '../components/PayComponents';
+import PaySchedule from '../components/PaySchedule';
+import PaymentHistory from '../components/PaymentHistory';
+import { usePayrollContract, useUserRole } from '../context/PayrollContext';
+import { useTransactions, runTransaction, isActionPending } from '../utils/transactions';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// One employee of the company: employment status and next pay date, salary, pay
+// components and schedule, payment and removal, and the payments made to them
+const EmployeeDetailPage = () => {
+  const { address } = useParams();
+  const { client } = usePayrollContract();
+  const { companyInfo, canManage, canPay, version, refresh } = useUserRole();
+  const [info, setInfo] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [salaryAmount, setSalaryAmount] = useState('');
+  const [scheduleVersion, setScheduleVersion] = useState(0);
+  const transactions = useTransactions();
+  const navigate = useNavigate();
+
+  const isValid = ethers.isAddress(address);
+  const company = companyInfo.address;
+
+  useEffect(() => {
+    if (!isValid) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([client.getEmployeeInfo(company, address), client.getPaySchedule(company, address)])
+      .then(([employeeInfo, paySchedule]) => {
+        if (!cancelled) {
+          setInfo(employeeInfo);
+          setSchedule(paySchedule);
+        }
+      })
+      .catch((error) => console.error('Error loading employee:', error))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [client, company, address, isValid, version, scheduleVersion]);
+
+  if (!isValid) {
+    return (
+      <div className="bg-white rounded-lg shadow-lg p-6 text-gray-600">
+        <p>"{address}" is not a valid address.</p>
+      </div>
+    );
+  }
+
+  // Per-employee actions share their keys with the roster, so a pending action shows in both
+  const isPending = (action) => isActionPending(transactions, `${action}:${address.toLowerCase()}`);
+
+  const setSalary = async () => {
+    let amount;
+    try {
+      amount = parseSalary(salaryAmount, { max: MAX_PAY });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    const submittedAmount = salaryAmount;
+    // Encrypt in the browser; only the ciphertext handle and proof leave the client
+    const receipt = await runTransaction(client, {
+      key: `salary:${address.toLowerCase()}`,
+      label: `Set salary for ${shortAddress(address)}`,
+      send: () => client.setSalary(address, amount)
+    });
+    if (receipt) {
+      setSalaryAmount((current) => (current === submittedAmount ? '' : current));
+    }
+  };
+
+  const paySalary = async () => {
+    const receipt = await runTransaction(client, {
+      key: `pay:${address.toLowerCase()}`,
+      label: `Pay ${shortAddress(address)}`,
+      send: () => client.paySalary(address)
+    });
+    if (receipt) {
+      await refresh();
+    }
+  };
+
+  const removeEmployee = async () => {
+    if (!window.confirm(`Remove ${address} from the company?`)) {
+      return;
+    }
+    const receipt = await runTransaction(client, {
+      key: `remove:${address.toLowerCase()}`,
+      label: `Remove ${shortAddress(address)}`,
+      send: () => client.removeEmployee(address)
+    });
+    if (receipt) {
+      await refresh();
+      navigate('/company');
+    }
+  };
+
+  const onRoster = info && info.employeeAddress !== ethers.ZeroAddress;
+
+  return (
+    <>
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <Link to="/company" className="text-sm text-indigo-600 hover:text-indigo-800 inline-flex items-center gap-1 mb-4">
+          <ArrowLeft className="w-4 h-4" />
+          All employees
+        </Link>
+        <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <User className="w-5 h-5 text-indigo-600" />
+          <span className="font-mono break-all">{address}</span>
+        </h3>
+        {loading && !info ? (
+          <p className="text-gray-600">Loading employee...</p>
+        ) : !onRoster ? (
+          <p className="text-gray-600">This address has never been employed by {companyInfo.name}.</p>
+        ) : (
+          <div className="grid grid-cols-4 gap-4">
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-600">Status</p>
+              <p className={`text-xl font-bold ${info.isActive ? 'text-green-600' : 'text-gray-600'}`}>
+                {info.isActive ? 'Active' : 'Removed'}
+              </p>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-600">Payments</p>
+              <p className="text-xl font-bold text-gray-800">{info.totalReceived}</p>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-600">Last Payment</p>
+              <p className="text-xl font-bold text-gray-800">
+                {info.lastPaymentTime ? new Date(info.lastPaymentTime * 1000).toLocaleDateString() : 'Never'}
+              </p>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-600">Next Payment</p>
+              <p className={`text-xl font-bold ${schedule?.due ? 'text-amber-600' : 'text-gray-800'}`}>
+                {!info.isActive || !schedule?.nextPayDate
+                  ? '—'
+                  : new Date(schedule.nextPayDate * 1000).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                {info.isActive && schedule?.due && ' (due)'}
+              </p>
+            </div>
+          </div>
+        )}
+        {onRoster && info.isActive && (canPay || canManage) && (
+          <div className="flex justify-end gap-2 mt-4">
+            {canPay && (
+              <button
+                onClick={paySalary}
+                disabled={isPending('pay')}
+                className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition disabled:opacity-50 flex items-center gap-2"
+              >
+                <Send className="w-4 h-4" />
+                {isPending('pay') ? 'Processing...' : 'Pay Salary'}
+              </button>
+            )}
+            {canManage && (
+              <button
+                onClick={removeEmployee}
+                disabled={isPending('remove')}
+                className="bg-red-600 text-white px-6 py-3 rounded-lg hover:bg-red-700 transition disabled:opacity-50 flex items-center gap-2"
+              >
+                <UserMinus className="w-4 h-4" />
+                {isPending('remove') ? 'Removing...' : 'Remove'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {onRoster && info.isActive && canManage && (
+        <>
+          <div className="bg-white rounded-lg shadow-lg p-6">
+            <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+              <Lock className="w-5 h-5 text-indigo-600" />
+              Set Salary
+            </h3>
+            <div className="flex gap-4">
+              <input
+                type="text"
+                inputMode="decimal"
+                placeholder="Salary amount"
+                value={salaryAmount}
+                onChange={(e) => setSalaryAmount(e.target.value)}
+                className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <button
+                onClick={setSalary}
+                disabled={isPending('salary')}
+                className="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50"
+              >
+                {isPending('salary') ? 'Setting...' : 'Set Salary'}
+              </button>
+            </div>
+            <p className="mt-2 text-sm text-gray-600">
+              🔒 The amount is encrypted in your browser before it is sent to the contract
+            </p>
+          </div>
+
+          <PayComponents client={client} employeeAddress={address} />
+
+          <PaySchedule
+            client={client}
+            company={company}
+            employeeAddress={address}
+            refreshKey={version}
+            onChanged={() => setScheduleVersion((value) => value + 1)}
+          />
+        </>
+      )}
+
+      {onRoster && <PaymentHistory client={client} account={company} role="company" counterparty={address} />}
+    </>
+  );
+};
+
+export default EmployeeDetailPage;
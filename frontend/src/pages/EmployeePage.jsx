@@ -0,0 +1,30 @@
+import React from 'react';
+import { Navigate, useNavigate, useParams } from 'react-router-dom';
+import EmployeeDashboard from '../components/EmployeeDashboard';
+import { useWallet, usePayrollContract, useUserRole } from '../context/PayrollContext';
+
+// The wallet's employments; /employee/:company opens one employer
+const EmployeePage = () => {
+  const { company } = useParams();
+  const { account } = useWallet();
+  const { client, tokenClient } = usePayrollContract();
+  const { employments } = useUserRole();
+  const navigate = useNavigate();
+
+  if (employments.length === 0) {
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <EmployeeDashboard
+      client={client}
+      tokenClient={tokenClient}
+      account={account}
+      employments={employments}
+      selected={company}
+      onSelect={(employer) => navigate(`/employee/${employer}`)}
+    />
+  );
+};
+
+export default EmployeePage;
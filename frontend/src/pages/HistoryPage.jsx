@@ -0,0 +1,31 @@
+import React from 'react';
+import { Navigate, useParams } from 'react-router-dom';
+import PaymentHistory from '../components/PaymentHistory';
+import { useWallet, usePayrollContract, useUserRole } from '../context/PayrollContext';
+
+// Payments made by the wallet's company and received by the wallet. /history/:paymentId
+// links to one payment, which is paged to and highlighted.
+const HistoryPage = () => {
+  const { paymentId } = useParams();
+  const { account } = useWallet();
+  const { client } = usePayrollContract();
+  const { userType, companyInfo, employments } = useUserRole();
+
+  const isCompany = userType === 'company' && companyInfo;
+  if (!isCompany && employments.length === 0) {
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {isCompany && (
+        <PaymentHistory client={client} account={companyInfo.address} role="company" highlight={paymentId} />
+      )}
+      {employments.length > 0 && (
+        <PaymentHistory client={client} account={account} role="employee" highlight={paymentId} />
+      )}
+    </div>
+  );
+};
+
+export default HistoryPage;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import RegisterCompany from '../components/RegisterCompany';
+import SalaryVerifier from '../components/SalaryVerifier';
+import { useWallet, usePayrollContract, useUserRole } from '../context/PayrollContext';
+
+// Send members to their dashboard; everyone else can register a company or check a
+// salary shared with them
+const HomePage = () => {
+  const { account } = useWallet();
+  const { client } = usePayrollContract();
+  const { userType, employments, refresh } = useUserRole();
+
+  if (userType === 'company') {
+    return <Navigate to="/company" replace />;
+  }
+  if (employments.length > 0) {
+    return <Navigate to="/employee" replace />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <RegisterCompany client={client} onRegistered={refresh} />
+      <SalaryVerifier client={client} account={account} />
+    </div>
+  );
+};
+
+export default HomePage;
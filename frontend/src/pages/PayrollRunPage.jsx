@@ -0,0 +1,24 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import PayrollRun from '../components/PayrollRun';
+import PaySchedule from '../components/PaySchedule';
+import { usePayrollContract, useUserRole } from '../context/PayrollContext';
+
+// Batch payroll and the company's default pay schedule, for HR managers
+const PayrollRunPage = () => {
+  const { client } = usePayrollContract();
+  const { companyInfo, canManage, canPay, version, refresh } = useUserRole();
+
+  if (!canManage) {
+    return <Navigate to="/company" replace />;
+  }
+
+  return (
+    <>
+      <PayrollRun client={client} account={companyInfo.address} canPay={canPay} onComplete={refresh} />
+      <PaySchedule client={client} company={companyInfo.address} refreshKey={version} onChanged={refresh} />
+    </>
+  );
+};
+
+export default PayrollRunPage;
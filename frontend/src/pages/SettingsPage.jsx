@@ -0,0 +1,54 @@
+import React from 'react';
+import { Settings, LogOut } from 'lucide-react';
+import CompanyTeam from '../components/CompanyTeam';
+import SalarySharing from '../components/SalarySharing';
+import RegisterCompany from '../components/RegisterCompany';
+import SalaryVerifier from '../components/SalaryVerifier';
+import { getNetworkName } from '../utils/network';
+import { useWallet, usePayrollContract, useUserRole } from '../context/PayrollContext';
+
+// Wallet, company team, salary sharing and registration
+const SettingsPage = () => {
+  const { account, chainId, disconnect } = useWallet();
+  const { client } = usePayrollContract();
+  const { userType, roles, companyInfo, employments, refresh } = useUserRole();
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+          <Settings className="w-5 h-5 text-indigo-600" />
+          Wallet
+        </h3>
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="font-mono text-gray-800 break-all">{account}</p>
+            <p className="text-sm text-gray-600">
+              {getNetworkName(chainId)}
+              {companyInfo && ` · Member of ${companyInfo.name}`}
+            </p>
+          </div>
+          <button
+            onClick={disconnect}
+            className="bg-gray-700 text-white px-6 py-3 rounded-lg hover:bg-gray-800 transition flex items-center gap-2"
+          >
+            <LogOut className="w-4 h-4" />
+            Disconnect
+          </button>
+        </div>
+      </div>
+
+      {userType === 'company' && roles?.isOwner && (
+        <CompanyTeam client={client} companyInfo={companyInfo} onChanged={refresh} />
+      )}
+
+      {employments.length > 0 && <SalarySharing client={client} account={account} />}
+
+      {userType !== 'company' && <RegisterCompany client={client} onRegistered={refresh} />}
+
+      <SalaryVerifier client={client} account={account} />
+    </div>
+  );
+};
+
+export default SettingsPage;
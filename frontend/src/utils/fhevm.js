@@ -0,0 +1,61 @@
+import { initFhevm, createInstance } from 'fhevmjs';
+import { NETWORK_CONFIG, NETWORK_ID } from '../config';
+
+let instancePromise = null;
+
+// Load the TFHE wasm and create a single fhEVM instance for the configured network
+export const getFhevmInstance = () => {
+  if (!instancePromise) {
+    const network = NETWORK_CONFIG[NETWORK_ID];
+    instancePromise = initFhevm()
+      .then(() =>
+        createInstance({
+          chainId: NETWORK_ID,
+          networkUrl: network.rpcUrl,
+          gatewayUrl: network.gatewayUrl,
+          aclAddress: network.aclAddress
+        })
+      )
+      .catch((error) => {
+        // Allow a retry on the next call instead of caching the failure
+        instancePromise = null;
+        throw error;
+      });
+  }
+  return instancePromise;
+};
+
+const reencryptStorageKey = (contractAddress, userAddress) =>
+  `fhevm:reencrypt:${NETWORK_ID}:${contractAddress.toLowerCase()}:${userAddress.toLowerCase()}`;
+
+// Have the user sign a reencryption keypair once per browser session
+export const getReencryptionAuth = async (client) => {
+  const storageKey = reencryptStorageKey(client.address, await client.getSignerAddress());
+
+  const cached = sessionStorage.getItem(storageKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const auth = await client.createReencryptionAuth();
+  sessionStorage.setItem(storageKey, JSON.stringify(auth));
+  return auth;
+};
+
+// Forget the cached authorization, e.g. after the gateway rejects it
+export const clearReencryptionAuth = (contractAddress, userAddress) => {
+  sessionStorage.removeItem(reencryptStorageKey(contractAddress, userAddress));
+};
+
+// Run SDK decryptions under the session's authorization, e.g. client.decryptPayment
+export const decryptWithAuth = async (client, decrypt) => {
+  try {
+    return await decrypt(await getReencryptionAuth(client));
+  } catch (error) {
+    clearReencryptionAuth(client.address, await client.getSignerAddress());
+    throw error;
+  }
+};
+
+// Decrypt a euint64 handle the signer is allowed to read, without publishing anything on-chain
+export const decryptUint64 = (client, handle) => decryptWithAuth(client, (auth) => client.decrypt(handle, auth));
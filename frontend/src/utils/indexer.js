@@ -0,0 +1,50 @@
+import { INDEXER_URL } from '../config';
+
+const request = async (path) => {
+  const response = await fetch(`${INDEXER_URL}${path}`);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error ?? `Indexer responded with ${response.status}`);
+  }
+  return body;
+};
+
+// `path` with `params` appended to its query string; null and undefined are left out
+const withQuery = (path, params) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== null && value !== undefined)
+  ).toString();
+  if (!query) {
+    return path;
+  }
+  return `${path}${path.includes('?') ? '&' : '?'}${query}`;
+};
+
+// One page ({ items, total, offset }) of an indexer list for `contract`'s deployment, or
+// null to read logs over RPC instead: no indexer configured, unreachable, indexing another
+// deployment, or further behind the wallet's chain than the confirmations it waits for
+// (e.g. right after a transaction)
+export const queryIndexer = async (contract, path, params = {}) => {
+  if (!INDEXER_URL) {
+    return null;
+  }
+  try {
+    const [status, head, address] = await Promise.all([
+      request('/status'),
+      contract.runner.provider.getBlockNumber(),
+      contract.getAddress()
+    ]);
+    if (
+      status.contract !== address.toLowerCase() ||
+      status.indexedBlock === null ||
+      status.indexedBlock < head - (status.confirmations ?? 0)
+    ) {
+      return null;
+    }
+    const { items, total, offset } = await request(withQuery(path, params));
+    return { items, total, offset };
+  } catch (error) {
+    console.warn('Payroll indexer unavailable, reading logs over RPC:', error.message);
+    return null;
+  }
+};
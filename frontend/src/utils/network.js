@@ -0,0 +1,46 @@
+import { NETWORK_CONFIG, NETWORK_ID } from '../config';
+
+// MetaMask error code for a chain the wallet doesn't know yet
+const UNRECOGNIZED_CHAIN = 4902;
+
+export const getNetworkName = (chainId) => NETWORK_CONFIG[Number(chainId)]?.name ?? `chain ${Number(chainId)}`;
+
+export const isSupportedChain = (chainId) => Number(chainId) === NETWORK_ID;
+
+// wallet_addEthereumChain parameters built from NETWORK_CONFIG
+const addChainParams = (network) => ({
+  chainId: network.chainId,
+  chainName: network.name,
+  rpcUrls: [network.rpcUrl],
+  nativeCurrency: { name: network.symbol, symbol: network.symbol, decimals: 18 },
+  ...(network.explorer ? { blockExplorerUrls: [network.explorer] } : {})
+});
+
+// Ask the wallet to switch to `chainId`, adding the network first if it doesn't know it
+export const switchNetwork = async (ethereum, chainId = NETWORK_ID) => {
+  const network = NETWORK_CONFIG[chainId];
+  if (!network) {
+    throw new Error(`No network configuration for chain ${chainId}`);
+  }
+
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: network.chainId }] });
+  } catch (error) {
+    // Some wallets wrap the code in data.originalError
+    const code = error.code ?? error.data?.originalError?.code;
+    if (code !== UNRECOGNIZED_CHAIN) {
+      throw error;
+    }
+    await ethereum.request({ method: 'wallet_addEthereumChain', params: [addChainParams(network)] });
+  }
+};
+
+// Drop the site's account permission where the wallet supports it (MetaMask does);
+// other wallets have no disconnect, so the app just forgets the session
+export const revokeWalletPermissions = async (ethereum) => {
+  try {
+    await ethereum.request({ method: 'wallet_revokePermissions', params: [{ eth_accounts: {} }] });
+  } catch (error) {
+    console.warn('Wallet does not support revoking permissions:', error);
+  }
+};
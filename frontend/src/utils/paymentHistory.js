@@ -0,0 +1,165 @@
+import { NETWORK_CONFIG, NETWORK_ID } from '../config';
+import { queryIndexer } from './indexer';
+
+export const HISTORY_PAGE_SIZE = 10;
+
+// One page of payment rows from the indexer, or null to read logs instead
+const loadIndexedPayments = async (contract, account, role, { counterparty, ...params }) => {
+  let path;
+  if (role === 'employee') {
+    path = `/employees/${account}/payments${counterparty ? `?company=${counterparty}` : ''}`;
+  } else {
+    path = counterparty ? `/employees/${counterparty}/payments?company=${account}` : `/companies/${account}/payments`;
+  }
+  const page = await queryIndexer(contract, path, params);
+  if (!page) {
+    return null;
+  }
+  const items = page.items.map(({ id, from, to, timestamp, txHash, recordIndex }) => ({
+    id,
+    from,
+    to,
+    counterparty: role === 'company' ? to : from,
+    timestamp,
+    txHash,
+    recordIndex
+  }));
+  return { ...page, items };
+};
+
+// Build payment rows from PaymentMade logs, newest first. Each log matches exactly one
+// paymentHistory[to] entry, in order, so a log's position among all payments
+// to that employee is its index into the on-chain array. Indexes still count payments
+// from every employer when rows are narrowed to one counterparty.
+const loadLoggedPayments = async (contract, account, role) => {
+  const filter = role === 'company'
+    ? contract.filters.PaymentMade(account, null)
+    : contract.filters.PaymentMade(null, account);
+  const events = await contract.queryFilter(filter);
+
+  const employees = [...new Set(events.map((event) => event.args.to))];
+  const indexByLog = new Map();
+  await Promise.all(
+    employees.map(async (employee) => {
+      const received = role === 'company'
+        ? await contract.queryFilter(contract.filters.PaymentMade(null, employee))
+        : events;
+      received.forEach((event, index) => {
+        indexByLog.set(`${event.transactionHash}:${event.index}`, index);
+      });
+    })
+  );
+
+  return events
+    .map((event) => ({
+      id: `${event.transactionHash}:${event.index}`,
+      from: event.args.from,
+      to: event.args.to,
+      counterparty: role === 'company' ? event.args.to : event.args.from,
+      timestamp: Number(event.args.timestamp),
+      txHash: event.transactionHash,
+      recordIndex: indexByLog.get(`${event.transactionHash}:${event.index}`)
+    }))
+    .sort((a, b) => b.timestamp - a.timestamp);
+};
+
+const filterPayments = (payments, { counterparty, from, to }) =>
+  payments.filter(
+    (payment) =>
+      (!counterparty || payment.counterparty.toLowerCase() === counterparty.toLowerCase()) &&
+      (from === null || payment.timestamp >= from) &&
+      (to === null || payment.timestamp <= to)
+  );
+
+// One page of an account's payments as { items, total, offset }, newest first: received
+// by an employee or made by a company, optionally narrowed to one `counterparty` (an
+// employer, or an employee of the company) and to [from, to] (unix seconds). With `at` (a
+// payment id), the page holding that payment is returned instead of the one at `offset`.
+// The indexer serves it when configured; otherwise it is rebuilt from PaymentMade logs.
+export const loadPayments = async (
+  contract,
+  account,
+  role,
+  { counterparty = null, from = null, to = null, at = null, limit = HISTORY_PAGE_SIZE, offset = 0 } = {}
+) => {
+  const indexed = await loadIndexedPayments(contract, account, role, { counterparty, from, to, at, limit, offset });
+  if (indexed) {
+    return indexed;
+  }
+
+  const payments = filterPayments(await loadLoggedPayments(contract, account, role), { counterparty, from, to });
+  const position = payments.findIndex((payment) => payment.id === at);
+  const start = position >= 0 ? Math.floor(position / limit) * limit : offset;
+  return { items: payments.slice(start, start + limit), total: payments.length, offset: start };
+};
+
+// Every payment loadPayments would page through, for exports
+export const loadAllPayments = async (contract, account, role, { counterparty = null, from = null, to = null } = {}) => {
+  const limit = 500;
+  const payments = [];
+  for (let offset = 0; ; offset += limit) {
+    const page = await loadIndexedPayments(contract, account, role, { counterparty, from, to, limit, offset });
+    if (!page) {
+      return filterPayments(await loadLoggedPayments(contract, account, role), { counterparty, from, to });
+    }
+    payments.push(...page.items);
+    if (payments.length >= page.total || page.items.length === 0) {
+      return payments;
+    }
+  }
+};
+
+// null on networks without an explorer (e.g. a local node)
+export const txUrl = (txHash) => {
+  const { explorer } = NETWORK_CONFIG[NETWORK_ID];
+  return explorer ? `${explorer}/tx/${txHash}` : null;
+};
+
+// Unix-second bounds of an inclusive date range picked in local time; null where unset
+export const dateRangeBounds = (fromDate, toDate) => ({
+  from: fromDate ? new Date(`${fromDate}T00:00:00`).getTime() / 1000 : null,
+  to: toDate ? new Date(`${toDate}T23:59:59`).getTime() / 1000 : null
+});
+
+const toExportRecord = (payment) => ({
+  date: new Date(payment.timestamp * 1000).toISOString(),
+  from: payment.from,
+  to: payment.to,
+  gross: payment.breakdown?.gross ?? null,
+  withholding: payment.breakdown?.withholding ?? null,
+  deductions: payment.breakdown?.deductions ?? null,
+  amount: payment.amount ?? null,
+  txHash: payment.txHash,
+  explorerUrl: txUrl(payment.txHash)
+});
+
+export const paymentsToCsv = (payments) => {
+  const header = 'date,from,to,gross,withholding,deductions,amount,txHash,explorerUrl';
+  const lines = payments.map((payment) => {
+    const record = toExportRecord(payment);
+    return [
+      record.date,
+      record.from,
+      record.to,
+      record.gross ?? '',
+      record.withholding ?? '',
+      record.deductions ?? '',
+      record.amount ?? '',
+      record.txHash,
+      record.explorerUrl
+    ].join(',');
+  });
+  return [header, ...lines].join('\n');
+};
+
+export const paymentsToJson = (payments) => JSON.stringify(payments.map(toExportRecord), null, 2);
+
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
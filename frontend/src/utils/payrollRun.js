@@ -0,0 +1,131 @@
+import { ethers } from 'ethers';
+import { PayrollErrorCode, MAX_PAY, parseSalary, formatSalary } from '@payroll/sdk';
+
+// Mirrors MAX_BATCH_SIZE in ConfidentialPayroll.sol
+export const MAX_CHUNK_SIZE = 32;
+// Keep each batch well under the block gas limit
+export const GAS_BUDGET_RATIO = 50n; // percent of the block gas limit
+export const MAX_RETRIES = 3;
+
+// Parse "address,salary" lines; a first line that isn't an address is treated as a header
+export const parsePayrollCsv = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+
+  if (lines.length > 0 && !ethers.isAddress(lines[0].split(',')[0].trim())) {
+    const header = lines[0].toLowerCase();
+    if (header.includes('address')) {
+      lines.shift();
+    }
+  }
+
+  return lines.map((line, index) => {
+    const [address = '', salary = ''] = line.split(',').map((cell) => cell.trim());
+    return { line: index + 1, address, salary };
+  });
+};
+
+// Validate rows locally and against the contract; returns rows annotated with errors/flags
+export const validatePayrollRows = async (client, companyAddress, rows) => {
+  const seen = new Map();
+
+  return Promise.all(
+    rows.map(async (row) => {
+      const validated = { ...row, errors: [], alreadyActive: false, amount: null };
+
+      if (!ethers.isAddress(row.address)) {
+        validated.errors.push('Invalid address');
+        return validated;
+      }
+      validated.address = ethers.getAddress(row.address);
+
+      const key = validated.address.toLowerCase();
+      if (seen.has(key)) {
+        validated.errors.push(`Duplicate of line ${seen.get(key)}`);
+      } else {
+        seen.set(key, row.line);
+      }
+
+      try {
+        validated.amount = parseSalary(row.salary, { max: MAX_PAY });
+      } catch (error) {
+        validated.errors.push(error.message);
+      }
+
+      // Employees of other companies can be hired too; only skip onboarding our own
+      validated.alreadyActive = await client.isEmployeeOf(companyAddress, validated.address);
+
+      return validated;
+    })
+  );
+};
+
+export const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Largest chunk size (halving from MAX_CHUNK_SIZE) whose batch call fits the gas budget
+export const pickChunkSize = async (provider, estimate, items) => {
+  const block = await provider.getBlock('latest');
+  const budget = (block.gasLimit * GAS_BUDGET_RATIO) / 100n;
+
+  let size = Math.min(MAX_CHUNK_SIZE, items.length);
+  while (size > 1) {
+    try {
+      const gas = await estimate(items.slice(0, size));
+      if (gas <= budget) {
+        return size;
+      }
+    } catch (error) {
+      // Oversized batches can also fail estimation outright; shrink and retry
+      console.warn(`Gas estimation failed for batch of ${size}:`, error);
+    }
+    size = Math.floor(size / 2);
+  }
+  return 1;
+};
+
+// Run `action` up to MAX_RETRIES times with a linear backoff
+export const withRetries = async (action, onRetry) => {
+  let lastError;
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      return await action();
+    } catch (error) {
+      lastError = error;
+      // A rejected signature is a user decision, not a transient failure
+      if (error.code === PayrollErrorCode.USER_REJECTED || error.code === 'ACTION_REJECTED' || attempt === MAX_RETRIES) {
+        break;
+      }
+      onRetry?.(attempt, error);
+      await new Promise((resolve) => setTimeout(resolve, attempt * 2000));
+    }
+  }
+  throw lastError;
+};
+
+// Build the reconciliation report as CSV
+export const reportToCsv = (rows) => {
+  const header = 'line,address,salary,status,added,salarySet,paid,paymentsBefore,paymentsAfter,error';
+  const lines = rows.map((row) =>
+    [
+      row.line,
+      row.address,
+      row.amount !== null ? formatSalary(row.amount) : row.salary,
+      row.status,
+      row.added,
+      row.salarySet,
+      row.paid,
+      row.paymentsBefore ?? '',
+      row.paymentsAfter ?? '',
+      row.error ? `"${row.error.replace(/"/g, '""')}"` : ''
+    ].join(',')
+  );
+  return [header, ...lines].join('\n');
+};
@@ -0,0 +1,74 @@
+import { formatSalary, parsePayslip, payslipToJson } from '@payroll/sdk';
+import { NETWORK_CONFIG } from '../config';
+
+// Printable payslips embed their JSON so the verification page accepts either file
+const DATA_ELEMENT_ID = 'payslip-data';
+
+export const VERIFY_PAGE = '/verify.html';
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// Explorer link on the payslip's own network, which may differ from the app's
+export const payslipTxUrl = (payslip) => {
+  const explorer = NETWORK_CONFIG[payslip.chainId]?.explorer;
+  return explorer ? `${explorer}/tx/${payslip.txHash}` : null;
+};
+
+export const payslipFilename = (payslip, extension) =>
+  `payslip-${payslip.employee.slice(2, 8).toLowerCase()}-${payslip.paymentIndex}.${extension}`;
+
+export const payslipToHtml = (payslip) => {
+  const network = NETWORK_CONFIG[payslip.chainId];
+  const rows = [
+    ['Company', `${payslip.companyName} (${payslip.company})`],
+    ['Employee', payslip.employee],
+    ['Paid on', new Date(payslip.timestamp * 1000).toUTCString()],
+    ['Amount', `${formatSalary(payslip.amount)} cUSD`],
+    ['Payment', `#${payslip.paymentIndex}`],
+    ['Transaction', payslip.txHash],
+    ['Network', `${network?.name ?? 'Chain'} (${payslip.chainId}), payroll ${payslip.payroll}`],
+    ['Employee signature', payslip.signatures.employee ?? 'not signed'],
+    ['Company co-signature', payslip.signatures.company ?? 'not co-signed']
+  ];
+  // "</" would end the script element early
+  const json = payslipToJson(payslip).replace(/<\//g, '<\\/');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Payslip - ${escapeHtml(payslip.companyName)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 720px; margin: 40px auto; color: #1f2937; }
+  h1 { color: #4f46e5; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  td { font-family: ui-monospace, monospace; word-break: break-all; }
+  p { color: #4b5563; font-size: 14px; }
+</style>
+</head>
+<body>
+<h1>Payslip</h1>
+<table>
+${rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<p>Signed with EIP-712. Upload this file to ${escapeHtml(window.location.origin + VERIFY_PAGE)} to check the signatures and the on-chain payment.</p>
+<script type="application/json" id="${DATA_ELEMENT_ID}">${json}</script>
+</body>
+</html>
+`;
+};
+
+// Accept a payslip JSON file or a printable HTML payslip
+export const readPayslip = (text) => {
+  if (text.trimStart().startsWith('<')) {
+    const html = new DOMParser().parseFromString(text, 'text/html');
+    const data = html.getElementById(DATA_ELEMENT_ID);
+    if (!data) {
+      throw new Error('This HTML file does not contain a payslip');
+    }
+    return parsePayslip(data.textContent);
+  }
+  return parsePayslip(text);
+};
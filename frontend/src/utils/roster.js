@@ -0,0 +1,62 @@
+import { queryIndexer } from './indexer';
+
+// Next pay date (null without a schedule) and whether payment is due, for active rows.
+// Always read from the chain: it depends on the current time.
+const withPaySchedules = (client, company, roster) =>
+  Promise.all(
+    roster.map(async (row) => {
+      if (!row.isActive) {
+        return { ...row, nextPayDate: null, due: false };
+      }
+      const { nextPayDate, due } = await client.getPaySchedule(company, row.address);
+      return { ...row, nextPayDate, due };
+    })
+  );
+
+export const ROSTER_PAGE_SIZE = 25;
+
+// One page of a company's roster, active employees first and then most recently paid, as
+// { rows, total }; `active` narrows it to current (true) or removed (false) employees.
+// Served by the indexer when one is configured and up to date, and otherwise rebuilt from
+// EmployeeAdded/EmployeeRemoved logs and each address's employment record. Rows on the
+// page get their pay schedule.
+export const loadRoster = async (client, company, { active = null, limit = ROSTER_PAGE_SIZE, offset = 0 } = {}) => {
+  const { contract } = client;
+  const indexed = await queryIndexer(contract, `/companies/${company}/employees`, { active, limit, offset });
+  if (indexed) {
+    const rows = indexed.items.map(({ address, isActive, lastPaymentTime, paymentCount }) => ({
+      address,
+      isActive,
+      lastPaymentTime,
+      paymentCount
+    }));
+    return { rows: await withPaySchedules(client, company, rows), total: indexed.total };
+  }
+
+  const [added, removed] = await Promise.all([
+    contract.queryFilter(contract.filters.EmployeeAdded(company)),
+    contract.queryFilter(contract.filters.EmployeeRemoved(company))
+  ]);
+
+  const addresses = [...new Set([...added, ...removed].map((event) => event.args.employee))];
+
+  const roster = await Promise.all(
+    addresses.map(async (address) => {
+      const info = await client.getEmployeeInfo(company, address);
+      return {
+        address,
+        isActive: info.isActive,
+        lastPaymentTime: info.lastPaymentTime,
+        paymentCount: info.totalReceived
+      };
+    })
+  );
+
+  const matching = roster
+    .filter((row) => active === null || row.isActive === active)
+    .sort((a, b) => Number(b.isActive) - Number(a.isActive) || b.lastPaymentTime - a.lastPaymentTime);
+  return {
+    rows: await withPaySchedules(client, company, matching.slice(offset, offset + limit)),
+    total: matching.length
+  };
+};
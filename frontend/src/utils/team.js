@@ -0,0 +1,40 @@
+// Rebuild a company's delegated members from RoleGranted/RoleRevoked logs and
+// read each account's current roles on-chain
+export const loadTeam = async (client, company) => {
+  const { contract } = client;
+  const [granted, revoked] = await Promise.all([
+    contract.queryFilter(contract.filters.RoleGranted(company)),
+    contract.queryFilter(contract.filters.RoleRevoked(company))
+  ]);
+
+  const accounts = [...new Set([...granted, ...revoked].map((event) => event.args.account))];
+
+  const members = await Promise.all(
+    accounts.map(async (address) => ({ address, ...(await client.getMemberRoles(address)) }))
+  );
+
+  // Former members and the owner (who holds every role implicitly) aren't listed
+  return members.filter(
+    (member) => member.company?.toLowerCase() === company.toLowerCase() && !member.isOwner
+  );
+};
+
+// Payroll runs proposed for a company, newest first, with the account's approval state
+export const loadPayrollRuns = async (client, company, account) => {
+  const { contract } = client;
+  const events = await contract.queryFilter(contract.filters.PayrollRunProposed(company));
+
+  const runs = await Promise.all(
+    events.map(async (event) => {
+      const run = await client.getPayrollRun(event.args.runId);
+      return {
+        ...run,
+        txHash: event.transactionHash,
+        expired: run.expiresAt * 1000 < Date.now(),
+        approvedByMe: await client.hasApprovedRun(run.runId, account)
+      };
+    })
+  );
+
+  return runs.sort((a, b) => Number(b.runId - a.runId));
+};
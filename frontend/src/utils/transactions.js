@@ -0,0 +1,118 @@
+import { useSyncExternalStore } from 'react';
+import { PayrollErrorCode } from '@payroll/sdk';
+import { NETWORK_ID } from '../config';
+
+// Lifecycle of every write the app sends:
+//   signing -> pending -> confirmed | failed | replaced
+// Each transaction has a `key` naming the action (e.g. `pay:0xabc...`) so a component can
+// disable just that action while it is in flight. Pending transactions are kept in
+// localStorage and picked up again by resumePendingTransactions() after a reload.
+
+const STORAGE_KEY = `payroll:transactions:${NETWORK_ID}`;
+const CONFIRMED_TOAST_MS = 8000;
+
+export const IN_FLIGHT = ['signing', 'pending'];
+
+const loadPersisted = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+let transactions = loadPersisted();
+let nextId = Date.now();
+const listeners = new Set();
+const resumed = new Set(); // IDs already being followed in this page load
+
+const setTransactions = (next) => {
+  transactions = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions.filter((tx) => tx.status === 'pending')));
+  listeners.forEach((listener) => listener());
+};
+
+const update = (id, changes) => {
+  setTransactions(transactions.map((tx) => (tx.id === id ? { ...tx, ...changes } : tx)));
+  if (changes.status === 'confirmed') {
+    setTimeout(() => dismissTransaction(id), CONFIRMED_TOAST_MS);
+  }
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const useTransactions = () => useSyncExternalStore(subscribe, () => transactions);
+
+export const isActionPending = (list, key) => list.some((tx) => tx.key === key && IN_FLIGHT.includes(tx.status));
+
+export const dismissTransaction = (id) => {
+  setTransactions(transactions.filter((tx) => tx.id !== id));
+};
+
+// Settle a sent transaction; a sped-up replacement counts as confirmed under its new hash
+const track = async (client, id, response) => {
+  try {
+    const receipt = await client.wait(response);
+    update(id, { status: 'confirmed' });
+    return receipt;
+  } catch (error) {
+    if (error.code === PayrollErrorCode.TRANSACTION_REPLACED) {
+      const { reason, receipt } = error.cause;
+      if (reason === 'repriced' && receipt?.status === 1) {
+        update(id, { status: 'confirmed', hash: receipt.hash });
+        return receipt;
+      }
+      update(id, { status: 'replaced', error: error.message });
+      return null;
+    }
+    update(id, { status: 'failed', error: error.message });
+    return null;
+  }
+};
+
+// Send a write through `client` and follow it to the end. Resolves to the receipt once
+// confirmed, or null if it failed or was replaced; the toast shows the reason.
+export const runTransaction = async (client, { key, label, send }) => {
+  const id = String(nextId++);
+  setTransactions([...transactions, { id, key, label, status: 'signing', hash: null, error: null }]);
+
+  let response;
+  try {
+    // Remember where to look for a replacement before the transaction can be mined
+    const startBlock = await client.runner.provider.getBlockNumber();
+    response = (await send()).replaceableTransaction(startBlock);
+    resumed.add(id);
+    update(id, { status: 'pending', hash: response.hash, from: response.from, nonce: response.nonce, startBlock });
+  } catch (error) {
+    update(id, { status: 'failed', error: error.message });
+    return null;
+  }
+  return track(client, id, response);
+};
+
+// Follow transactions left pending by an earlier page load
+export const resumePendingTransactions = (client) => {
+  const { provider } = client.runner;
+  return Promise.all(
+    transactions
+      .filter((tx) => tx.status === 'pending' && !resumed.has(tx.id))
+      .map(async (tx) => {
+        resumed.add(tx.id);
+        const response = await provider.getTransaction(tx.hash);
+        if (response) {
+          return track(client, tx.id, response.replaceableTransaction(tx.startBlock));
+        }
+        // Gone from the node: replaced if its nonce has since been used, otherwise dropped
+        const nonce = await provider.getTransactionCount(tx.from, 'latest');
+        if (nonce > tx.nonce) {
+          update(tx.id, { status: 'replaced', error: 'Transaction replaced in wallet' });
+        } else {
+          update(tx.id, { status: 'failed', error: 'Transaction dropped by the network' });
+        }
+        return null;
+      })
+  );
+};
@@ -0,0 +1,11 @@
+import React from 'react'
+import ReactDOM from 'react-dom/client'
+import PayslipVerifier from './components/PayslipVerifier.jsx'
+import './index.css'
+
+// Standalone entry for verify.html, served next to the dashboard
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <PayslipVerifier />
+  </React.StrictMode>,
+)
@@ -1,11 +1,46 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// Local chains are recorded in the git-ignored deployments/local/, or LOCAL_DEPLOYMENTS_DIR
+// when set (scripts/lib/registry.js)
+const LOCAL_CHAIN_IDS = [1337, 31337]
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 3000,
-    open: true
+export default defineConfig(({ mode }) => {
+  const networkId = Number(loadEnv(mode, process.cwd()).VITE_NETWORK_ID || 8009)
+  const deployments = LOCAL_CHAIN_IDS.includes(networkId)
+    ? process.env.LOCAL_DEPLOYMENTS_DIR || fileURLToPath(new URL('../deployments/local', import.meta.url))
+    : fileURLToPath(new URL('../deployments', import.meta.url))
+
+  return {
+    plugins: [react()],
+    resolve: {
+      alias: {
+        // The payroll SDK lives at the repository root and is shared with scripts and tests
+        '@payroll/sdk': fileURLToPath(new URL('../sdk/index.js', import.meta.url)),
+        // Deployment registry and ABIs of the network this build targets (src/config.js)
+        '@deployments': deployments
+      },
+      // Resolve the SDK's ethers import to the frontend's copy
+      dedupe: ['ethers']
+    },
+    build: {
+      // The payslip verification page is a second entry so it loads without the dashboard
+      rollupOptions: {
+        input: {
+          main: fileURLToPath(new URL('./index.html', import.meta.url)),
+          verify: fileURLToPath(new URL('./verify.html', import.meta.url))
+        }
+      }
+    },
+    server: {
+      port: 3000,
+      open: true,
+      fs: {
+        // Allow importing the deployment registry and SDK from the repository root
+        allow: ['..']
+      }
+    }
   }
 })
@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/payroll");
 
 module.exports = {
   solidity: {
@@ -10,6 +11,14 @@ module.exports = {
         runs: 200,
       },
       evmVersion: "cancun",
+      // The IR pipeline keeps ConfidentialPayroll under the 24 KB contract size limit
+      viaIR: true,
+      // scripts/upgrade.js compares storage layouts before upgrading the payroll proxy
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
@@ -0,0 +1,169 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+// Read-only REST API over a PayrollStore. Lists are paginated with ?limit= (default 50,
+// at most 500) and ?offset=, and answer { items, total, limit, offset, indexedBlock }.
+// Payment lists also take ?from= and ?to= (unix seconds, inclusive) and ?at=<payment id>,
+// which answers the page holding that payment instead of ?offset=.
+//
+//   GET /status                                   deployment, last indexed block, confirmations
+//   GET /companies                                registered companies with totals
+//   GET /companies/:address                       one company
+//   GET /companies/:address/employees?active=     roster, active first
+//   GET /companies/:address/payments              payments made, newest first
+//   GET /employees/:address/employers             current and past employers
+//   GET /employees/:address/payments?company=     payments received, newest first
+//   GET /employees/:address/balance-requests      Gateway balance decryption requests
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseAddress(value, label) {
+  if (!ethers.isAddress(value)) {
+    throw new ApiError(400, `Invalid ${label} address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parsePage(query) {
+  const limit = query.has("limit") ? Number(query.get("limit")) : DEFAULT_LIMIT;
+  const offset = query.has("offset") ? Number(query.get("offset")) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, "offset must be a non-negative integer");
+  }
+  return { limit, offset };
+}
+
+function parseTime(query, name) {
+  if (!query.has(name)) {
+    return null;
+  }
+  const value = Number(query.get(name));
+  if (!Number.isInteger(value) || value < 0) {
+    throw new ApiError(400, `${name} must be a unix timestamp in seconds`);
+  }
+  return value;
+}
+
+// Date range and payment to page to, for payment lists
+function parsePaymentQuery(query) {
+  return { from: parseTime(query, "from"), to: parseTime(query, "to"), at: query.get("at") };
+}
+
+function parseActive(query) {
+  const active = query.get("active");
+  if (active === null) {
+    return null;
+  }
+  if (active !== "true" && active !== "false") {
+    throw new ApiError(400, "active must be true or false");
+  }
+  return active === "true";
+}
+
+// Route table: [pattern, handler(store, params, query, options)]
+const ROUTES = [
+  // The indexer stays `confirmations` blocks behind the chain head on purpose
+  [/^\/status$/, (store, params, query, { confirmations }) => ({
+    chainId: Number(store.getMeta("chainId")),
+    contract: store.getMeta("contract"),
+    indexedBlock: store.getCheckpoint()?.number ?? null,
+    confirmations,
+  })],
+  [/^\/companies$/, (store, params, query) => paginated(store, query, (page) => store.listCompanies(page))],
+  [/^\/companies\/([^/]+)$/, (store, [address]) => {
+    const company = store.getCompany(parseAddress(address, "company"));
+    if (!company) {
+      throw new ApiError(404, `Company not found: ${address}`);
+    }
+    return company;
+  }],
+  [/^\/companies\/([^/]+)\/employees$/, (store, [address], query) => {
+    const company = parseAddress(address, "company");
+    const active = parseActive(query);
+    return paginated(store, query, (page) => store.listEmployees(company, { ...page, active }));
+  }],
+  [/^\/companies\/([^/]+)\/payments$/, (store, [address], query) => {
+    const company = parseAddress(address, "company");
+    const filters = parsePaymentQuery(query);
+    return paginated(store, query, (page) => store.listPayments({ ...page, ...filters, company }));
+  }],
+  [/^\/employees\/([^/]+)\/employers$/, (store, [address]) => ({
+    items: store.listEmployers(parseAddress(address, "employee")),
+  })],
+  [/^\/employees\/([^/]+)\/payments$/, (store, [address], query) => {
+    const employee = parseAddress(address, "employee");
+    const company = query.has("company") ? parseAddress(query.get("company"), "company") : null;
+    const filters = parsePaymentQuery(query);
+    return paginated(store, query, (page) => store.listPayments({ ...page, ...filters, company, employee }));
+  }],
+  [/^\/employees\/([^/]+)\/balance-requests$/, (store, [address], query) => {
+    const employee = parseAddress(address, "employee");
+    return paginated(store, query, (page) => store.listBalanceRequests(employee, page));
+  }],
+];
+
+// Clients compare indexedBlock with their own head to decide whether the data is fresh.
+// A list may answer another offset than requested (?at=).
+function paginated(store, query, list) {
+  const page = parsePage(query);
+  return { ...page, ...list(page), indexedBlock: store.getCheckpoint()?.number ?? null };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    // The dashboard is served from another origin
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function handle(store, options, req, res) {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "GET" });
+    res.end();
+    return;
+  }
+  if (req.method !== "GET") {
+    send(res, 405, { error: "Only GET is supported" });
+    return;
+  }
+
+  const url = new URL(req.url, "http://indexer");
+  try {
+    for (const [pattern, handler] of ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (match) {
+        send(res, 200, handler(store, match.slice(1).map(decodeURIComponent), url.searchParams, options));
+        return;
+      }
+    }
+    send(res, 404, { error: `Unknown route: ${url.pathname}` });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      send(res, error.status, { error: error.message });
+    } else {
+      console.error("❌ API request failed:", error);
+      send(res, 500, { error: "Internal error" });
+    }
+  }
+}
+
+// An http.Server answering from `store`; call listen() on it. `confirmations` is reported
+// in /status so clients know how far behind the head the index stays.
+function createApiServer(store, { confirmations = 0 } = {}) {
+  return http.createServer((req, res) => handle(store, { confirmations }, req, res));
+}
+
+module.exports = { createApiServer, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,6 @@
+// Payroll event indexer: SQLite store, chain follower and REST API (see scripts/indexer.js)
+const { PayrollStore } = require("./store");
+const { PayrollIndexer, EVENTS_ABI } = require("./indexer");
+const { createApiServer, DEFAULT_LIMIT, MAX_LIMIT } = require("./api");
+
+module.exports = { PayrollStore, PayrollIndexer, EVENTS_ABI, createApiServer, DEFAULT_LIMIT, MAX_LIMIT };
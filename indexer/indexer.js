@@ -0,0 +1,153 @@
+const { ethers } = require("ethers");
+
+// Follows ConfidentialPayroll logs into a PayrollStore. Each sync first checks that the
+// checkpoint block is still canonical, rolling back to the newest stored block that is
+// if not, then indexes up to the head in batches. A batch and its checkpoint are written
+// in one transaction, so a restarted indexer resumes exactly where it stopped.
+
+const EVENTS_ABI = [
+  "event CompanyRegistered(address indexed company, string name)",
+  "event EmployeeAdded(address indexed company, address indexed employee)",
+  "event EmployeeRemoved(address indexed company, address indexed employee)",
+  "event SalarySet(address indexed employee, address indexed company)",
+  "event PaymentMade(address indexed from, address indexed to, uint256 timestamp)",
+  "event BalanceRequested(address indexed employee, uint256 requestId)",
+];
+
+const iface = new ethers.Interface(EVENTS_ABI);
+const TOPICS = iface.fragments.map((fragment) => fragment.topicHash);
+
+// Flatten a parsed log into an events row
+function toRow(log, parsed, block) {
+  const { args } = parsed;
+  const row = {
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    event: parsed.name,
+    company: null,
+    employee: null,
+    name: null,
+    requestId: null,
+    timestamp: block.timestamp,
+  };
+  switch (parsed.name) {
+    case "CompanyRegistered":
+      return { ...row, company: args.company, name: args.name };
+    case "EmployeeAdded":
+    case "EmployeeRemoved":
+    case "SalarySet":
+      return { ...row, company: args.company, employee: args.employee };
+    case "PaymentMade":
+      // The payment's own timestamp, as the dashboard shows it
+      return { ...row, company: args.from, employee: args.to, timestamp: Number(args.timestamp) };
+    case "BalanceRequested":
+      return { ...row, employee: args.employee, requestId: args.requestId.toString() };
+    default:
+      return row;
+  }
+}
+
+class PayrollIndexer {
+  constructor({ provider, address, store, startBlock = 0, batchSize = 2000, confirmations = 0 }) {
+    this.provider = provider;
+    this.address = ethers.getAddress(address);
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.timer = null;
+  }
+
+  // Index up to the (confirmed) head. Returns the range indexed and the block rolled back
+  // to if a reorg was found, or null.
+  async sync() {
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const rolledBackTo = await this.handleReorg();
+
+    const checkpoint = this.store.getCheckpoint();
+    const from = checkpoint ? checkpoint.number + 1 : this.startBlock;
+    let next = from;
+    while (next <= head) {
+      const to = Math.min(next + this.batchSize - 1, head);
+      if (!(await this.indexRange(next, to))) {
+        // The chain changed under the batch; the next sync starts with the reorg check
+        break;
+      }
+      next = to + 1;
+    }
+    return { from, to: next - 1, rolledBackTo };
+  }
+
+  // Roll back to the newest stored block the node still has, if the checkpoint was reorged out
+  async handleReorg() {
+    const checkpoint = this.store.getCheckpoint();
+    if (!checkpoint || (await this.isCanonical(checkpoint))) {
+      return null;
+    }
+    let ancestor = this.startBlock - 1;
+    for (const block of this.store.getBlocksBelow(checkpoint.number - 1)) {
+      if (await this.isCanonical(block)) {
+        ancestor = block.number;
+        break;
+      }
+    }
+    this.store.rollback(ancestor);
+    return ancestor;
+  }
+
+  async isCanonical({ number, hash }) {
+    const block = await this.provider.getBlock(number);
+    return block !== null && block.hash === hash;
+  }
+
+  // Store one batch; false if a log's block is no longer the one fetched for it
+  async indexRange(from, to) {
+    const logs = await this.provider.getLogs({
+      address: this.address,
+      topics: [TOPICS],
+      fromBlock: from,
+      toBlock: to,
+    });
+
+    const numbers = [...new Set([...logs.map((log) => log.blockNumber), to])];
+    const blocks = new Map();
+    for (const number of numbers) {
+      const block = await this.provider.getBlock(number);
+      if (!block) {
+        return false;
+      }
+      blocks.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+    }
+    if (logs.some((log) => log.blockHash !== blocks.get(log.blockNumber).hash)) {
+      return false;
+    }
+
+    const events = logs.map((log) => toRow(log, iface.parseLog(log), blocks.get(log.blockNumber)));
+    this.store.applyBatch({ blocks: [...blocks.values()], events, checkpoint: to });
+    return true;
+  }
+
+  // Sync every `interval` ms until stop(); errors are logged and retried on the next tick
+  start({ interval = 2000, onSync } = {}) {
+    const tick = async () => {
+      try {
+        const result = await this.sync();
+        onSync?.(result);
+      } catch (error) {
+        console.error("❌ Indexer sync failed:", error.message);
+      }
+      if (this.timer !== null) {
+        this.timer = setTimeout(tick, interval);
+      }
+    };
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { PayrollIndexer, EVENTS_ABI };
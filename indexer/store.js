@@ -0,0 +1,295 @@
+const Database = require("better-sqlite3");
+
+// SQLite store for indexed ConfidentialPayroll events.
+//
+// Every indexed log is one row in `events`; companies, rosters and payments are derived
+// from them at query time, so rolling back a reorg is a DELETE above the common ancestor.
+// `blocks` keeps the hash and timestamp of each block that had events plus the current
+// checkpoint, which is what reorg detection walks back through.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    event TEXT NOT NULL,
+    company TEXT,
+    employee TEXT,
+    name TEXT,
+    request_id TEXT,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_company ON events (company, event);
+  CREATE INDEX IF NOT EXISTS events_by_employee ON events (employee, event);
+`;
+
+// Latest EmployeeAdded/EmployeeRemoved per (company, employee) decides whether they are active
+const MEMBERSHIP = `
+  SELECT company, employee,
+    MIN(CASE WHEN event = 'EmployeeAdded' THEN timestamp END) AS added_at,
+    (
+      SELECT latest.event FROM events latest
+      WHERE latest.company = e.company AND latest.employee = e.employee
+        AND latest.event IN ('EmployeeAdded', 'EmployeeRemoved')
+      ORDER BY latest.block_number DESC, latest.log_index DESC
+      LIMIT 1
+    ) = 'EmployeeAdded' AS is_active
+  FROM events e
+  WHERE event IN ('EmployeeAdded', 'EmployeeRemoved')
+`;
+
+const toPayment = (row) => ({
+  id: `${row.tx_hash}:${row.log_index}`,
+  from: row.company,
+  to: row.employee,
+  timestamp: row.timestamp,
+  txHash: row.tx_hash,
+  blockNumber: row.block_number,
+  recordIndex: row.record_index
+});
+
+class PayrollStore {
+  constructor(filename) {
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getMeta(key) {
+    return this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key)?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value").run(key, String(value));
+  }
+
+  // Tie the database to one deployment; a different chain or contract starts from scratch.
+  // Returns true when existing data was dropped.
+  bind({ chainId, contract }) {
+    const bound = this.getMeta("chainId");
+    const stale = bound !== null && (bound !== String(chainId) || this.getMeta("contract") !== contract.toLowerCase());
+    this.db.transaction(() => {
+      if (stale) {
+        this.db.exec("DELETE FROM events; DELETE FROM blocks; DELETE FROM meta;");
+      }
+      this.setMeta("chainId", chainId);
+      this.setMeta("contract", contract.toLowerCase());
+    })();
+    return stale;
+  }
+
+  // Last fully indexed block, or null before the first batch
+  getCheckpoint() {
+    const number = this.getMeta("checkpoint");
+    if (number === null) {
+      return null;
+    }
+    return this.db.prepare("SELECT number, hash FROM blocks WHERE number = ?").get(Number(number));
+  }
+
+  // Stored blocks at or below `number`, newest first: the candidates for a common ancestor
+  getBlocksBelow(number) {
+    return this.db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC").iterate(number);
+  }
+
+  // Atomically store one batch of blocks and events and move the checkpoint to `checkpoint`
+  applyBatch({ blocks, events, checkpoint }) {
+    const insertBlock = this.db.prepare(
+      "INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)"
+    );
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, event, company, employee, name, request_id, timestamp)
+      VALUES (@blockNumber, @logIndex, @txHash, @event, @company, @employee, @name, @requestId, @timestamp)
+    `);
+    this.db.transaction(() => {
+      // The previous checkpoint block is only kept if it had events
+      const previous = this.getMeta("checkpoint");
+      if (previous !== null) {
+        this.db
+          .prepare("DELETE FROM blocks WHERE number = ? AND NOT EXISTS (SELECT 1 FROM events WHERE block_number = ?)")
+          .run(Number(previous), Number(previous));
+      }
+      blocks.forEach((block) => insertBlock.run(block));
+      events.forEach((event) => insertEvent.run(event));
+      this.setMeta("checkpoint", checkpoint);
+    })();
+  }
+
+  // Drop everything above `number` after a reorg; `number` becomes the checkpoint
+  rollback(number) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(number);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(number);
+      if (this.db.prepare("SELECT 1 FROM blocks WHERE number = ?").get(number)) {
+        this.setMeta("checkpoint", number);
+      } else {
+        this.db.prepare("DELETE FROM meta WHERE key = 'checkpoint'").run();
+      }
+    })();
+  }
+
+  // ============================================
+  // QUERIES
+  // ============================================
+
+  listCompanies({ limit, offset }) {
+    const total = this.db.prepare("SELECT COUNT(*) AS total FROM events WHERE event = 'CompanyRegistered'").get().total;
+    const items = this.db
+      .prepare(`
+        SELECT company AS address, name, timestamp AS registeredAt, tx_hash AS txHash FROM events
+        WHERE event = 'CompanyRegistered'
+        ORDER BY block_number, log_index
+        LIMIT ? OFFSET ?
+      `)
+      .all(limit, offset);
+    return { items: items.map((company) => this.withCompanyTotals(company)), total };
+  }
+
+  getCompany(address) {
+    const company = this.db
+      .prepare(`
+        SELECT company AS address, name, timestamp AS registeredAt, tx_hash AS txHash FROM events
+        WHERE event = 'CompanyRegistered' AND company = ?
+      `)
+      .get(address);
+    return company ? this.withCompanyTotals(company) : null;
+  }
+
+  withCompanyTotals(company) {
+    const { employeeCount } = this.db
+      .prepare(`SELECT COUNT(*) AS employeeCount FROM (${MEMBERSHIP} AND company = ? GROUP BY employee) WHERE is_active`)
+      .get(company.address);
+    const { totalPayments } = this.db
+      .prepare("SELECT COUNT(*) AS totalPayments FROM events WHERE event = 'PaymentMade' AND company = ?")
+      .get(company.address);
+    return { ...company, employeeCount, totalPayments };
+  }
+
+  // Everyone the company has added, active first, then most recently paid. The page is
+  // sorted and cut in SQL; the other per-employee columns are only read for its rows.
+  listEmployees(company, { active = null, limit, offset }) {
+    const members = `(${MEMBERSHIP} AND company = @company GROUP BY employee) m
+      WHERE @active IS NULL OR m.is_active = @active`;
+    const params = { company, active: active === null ? null : Number(active) };
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM ${members}`).get(params);
+    const rows = this.db
+      .prepare(`
+        SELECT page.*,
+          (SELECT MAX(timestamp) FROM events s WHERE s.event = 'SalarySet' AND s.company = @company AND s.employee = page.address) AS salarySetAt,
+          (SELECT COUNT(*) FROM events p WHERE p.event = 'PaymentMade' AND p.company = @company AND p.employee = page.address) AS paymentCount
+        FROM (
+          SELECT m.employee AS address, m.is_active AS isActive, m.added_at AS addedAt,
+            (SELECT COALESCE(MAX(timestamp), 0) FROM events p WHERE p.event = 'PaymentMade' AND p.company = m.company AND p.employee = m.employee) AS lastPaymentTime
+          FROM ${members}
+          ORDER BY m.is_active DESC, lastPaymentTime DESC, m.employee
+          LIMIT @limit OFFSET @offset
+        ) page
+        ORDER BY page.isActive DESC, page.lastPaymentTime DESC, page.address
+      `)
+      .all({ ...params, limit, offset });
+    return { items: rows.map((row) => ({ ...row, isActive: Boolean(row.isActive) })), total };
+  }
+
+  // Companies that have employed `employee`, with whether the employment is current
+  listEmployers(employee) {
+    return this.db
+      .prepare(`
+        SELECT m.company AS address, c.name, m.is_active AS isActive, m.added_at AS addedAt
+        FROM (${MEMBERSHIP} AND employee = ? GROUP BY company) m
+        LEFT JOIN events c ON c.event = 'CompanyRegistered' AND c.company = m.company
+        ORDER BY m.added_at
+      `)
+      .all(employee)
+      .map((row) => ({ ...row, isActive: Boolean(row.isActive) }));
+  }
+
+  // Payments newest first, by payer and/or payee, optionally within [from, to] (unix
+  // seconds). recordIndex is the payment's index in the employee's on-chain payment
+  // history, which counts payments from every employer. With `at` (a payment id), the
+  // page holding that payment is returned and `offset` says where it starts.
+  listPayments({ company = null, employee = null, from = null, to = null, at = null, limit, offset }) {
+    // Narrow the window to the payees involved; it still spans all their employers
+    const payees = employee
+      ? "employee = @employee"
+      : company
+        ? "employee IN (SELECT employee FROM events WHERE event = 'PaymentMade' AND company = @company)"
+        : "1 = 1";
+    const filter = `(@company IS NULL OR company = @company) AND (@employee IS NULL OR employee = @employee)
+      AND (@from IS NULL OR timestamp >= @from) AND (@to IS NULL OR timestamp <= @to)`;
+    const params = { company, employee, from, to };
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM events WHERE event = 'PaymentMade' AND ${filter}`)
+      .get(params);
+
+    const position = at === null ? null : this.paymentPosition(filter, params, at);
+    if (position !== null) {
+      offset = Math.floor(position / limit) * limit;
+    }
+    const items = this.db
+      .prepare(`
+        SELECT * FROM (
+          SELECT block_number, log_index, tx_hash, company, employee, timestamp,
+            ROW_NUMBER() OVER (PARTITION BY employee ORDER BY block_number, log_index) - 1 AS record_index
+          FROM events WHERE event = 'PaymentMade' AND ${payees}
+        )
+        WHERE ${filter}
+        ORDER BY timestamp DESC, block_number DESC, log_index DESC
+        LIMIT @limit OFFSET @offset
+      `)
+      .all({ ...params, limit, offset });
+    return { items: items.map(toPayment), total, offset };
+  }
+
+  // How many payments matching `filter` are listed before payment `id`, or null if it
+  // isn't one of them
+  paymentPosition(filter, params, id) {
+    const [txHash, logIndex] = id.split(":");
+    const target = this.db
+      .prepare(`
+        SELECT timestamp, block_number, log_index FROM events
+        WHERE event = 'PaymentMade' AND tx_hash = @txHash AND log_index = @logIndex AND ${filter}
+      `)
+      .get({ ...params, txHash, logIndex: Number(logIndex) });
+    if (!target) {
+      return null;
+    }
+    return this.db
+      .prepare(`
+        SELECT COUNT(*) AS position FROM events
+        WHERE event = 'PaymentMade' AND ${filter}
+          AND (timestamp, block_number, log_index) > (@timestamp, @block_number, @log_index)
+      `)
+      .get({ ...params, ...target }).position;
+  }
+
+  listBalanceRequests(employee, { limit, offset }) {
+    const { total } = this.db
+      .prepare("SELECT COUNT(*) AS total FROM events WHERE event = 'BalanceRequested' AND employee = ?")
+      .get(employee);
+    const items = this.db
+      .prepare(`
+        SELECT request_id AS requestId, timestamp, tx_hash AS txHash FROM events
+        WHERE event = 'BalanceRequested' AND employee = ?
+        ORDER BY block_number DESC, log_index DESC
+        LIMIT ? OFFSET ?
+      `)
+      .all(employee, limit, offset);
+    return { items, total };
+  }
+}
+
+module.exports = { PayrollStore };
@@ -1,38 +1,122 @@
 const hre = require("hardhat");
+const {
+  getDeployment,
+  recordDeployment,
+  writeAbi,
+  writeStorageLayout,
+  registryPath,
+} = require("./lib/registry");
+const { deployProxy } = require("./lib/proxy");
+const { getStorageLayout } = require("./lib/storageLayout");
+
+const CONTRACT_NAME = "ConfidentialPayroll";
+const TOKEN_NAME = "ConfidentialToken";
+
+// Reuse the chain's live token (or TOKEN_ADDRESS) so balances survive a payroll redeploy
+async function deployToken(chainId, deployer) {
+  const configured = process.env.TOKEN_ADDRESS || getDeployment(chainId, TOKEN_NAME)?.address;
+  if (configured && (await hre.ethers.provider.getCode(configured)) !== "0x") {
+    console.log("🪙 Using ConfidentialToken at:", configured);
+    return { address: configured, deployed: false };
+  }
+
+  console.log("🪙 Deploying ConfidentialToken...");
+  const ConfidentialToken = await hre.ethers.getContractFactory(TOKEN_NAME);
+  const token = await ConfidentialToken.deploy("Confidential USD", "cUSD");
+  await token.waitForDeployment();
+
+  const address = await token.getAddress();
+  const receipt = await token.deploymentTransaction().wait();
+  console.log("✅ ConfidentialToken deployed to:", address);
+
+  recordDeployment({
+    chainId,
+    network: hre.network.name,
+    contractName: TOKEN_NAME,
+    address,
+    deployer: deployer.address,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    timestamp: new Date().toISOString(),
+  });
+  return { address, deployed: true };
+}
 
 async function main() {
-  console.log("🚀 Deploying ConfidentialPayroll contract...");
-
-  // Get the contract factory
-  const ConfidentialPayroll = await hre.ethers.getContractFactory("ConfidentialPayroll");
-  
-  // Deploy the contract
-  const payroll = await ConfidentialPayroll.deploy();
-  
-  // Wait for deployment
-  await payroll.waitForDeployment();
-  
-  // Get the deployed address
-  const address = await payroll.getAddress();
-  
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const [deployer] = await hre.ethers.getSigners();
+
+  // Refuse to replace a live deployment unless explicitly forced
+  const existing = getDeployment(chainId, CONTRACT_NAME);
+  if (existing) {
+    const code = await hre.ethers.provider.getCode(existing.address);
+    if (code !== "0x" && !process.env.FORCE_DEPLOY) {
+      throw new Error(
+        `${CONTRACT_NAME} is already deployed at ${existing.address} on chainId ${chainId}. ` +
+          "Upgrade it with scripts/upgrade.js to keep its state, or set FORCE_DEPLOY=1 to deploy a new instance."
+      );
+    }
+    if (code === "0x") {
+      console.log(`ℹ️  Previous deployment ${existing.address} has no code (chain was reset); replacing it`);
+    }
+  }
+
+  const token = await deployToken(chainId, deployer);
+
+  console.log("🚀 Deploying ConfidentialPayroll behind an upgradeable proxy...");
+
+  // The proxy keeps the address and state; scripts/upgrade.js swaps the implementation
+  const { contract: payroll, address, receipt, implementation, proxyAdmin } = await deployProxy(
+    hre.ethers,
+    CONTRACT_NAME,
+    [token.address],
+    { signer: deployer }
+  );
+
   console.log("✅ ConfidentialPayroll deployed to:", address);
-  console.log("\n📋 Save this address for frontend integration!");
-  
-  // Save deployment info to a file
-  const fs = require('fs');
-  const deploymentInfo = {
-    address: address,
+  console.log("🧩 Implementation:", implementation.address);
+  console.log("🔑 ProxyAdmin:", proxyAdmin, "owned by", deployer.address);
+
+  // Sanity-check the new instance through the SDK before recording it
+  const { PayrollClient } = await import("../sdk/index.js");
+  const client = new PayrollClient(payroll);
+  console.log(
+    `🔎 Companies: ${await client.getCompanyCount()}, max batch size: ${await client.getMaxBatchSize()}`
+  );
+
+  // Record the deployment for this chain and export the ABI for the frontend
+  recordDeployment({
+    chainId,
     network: hre.network.name,
-    deployer: (await hre.ethers.getSigners())[0].address,
+    contractName: CONTRACT_NAME,
+    address,
+    deployer: deployer.address,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    token: token.address,
     timestamp: new Date().toISOString(),
-  };
-  
-  fs.writeFileSync(
-    'deployment.json',
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  
-  console.log("\n📁 Deployment info saved to deployment.json");
+    proxyAdmin,
+    implementation: implementation.address,
+    implementations: [
+      {
+        address: implementation.address,
+        txHash: implementation.receipt.hash,
+        blockNumber: implementation.receipt.blockNumber,
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  });
+  writeStorageLayout(chainId, implementation.address, await getStorageLayout(hre.artifacts, CONTRACT_NAME));
+  for (const name of [CONTRACT_NAME, TOKEN_NAME]) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    writeAbi(chainId, name, artifact.abi);
+  }
+
+  console.log(`\n📁 Deployment recorded for chainId ${chainId} in ${registryPath(chainId)}`);
+  console.log("🔌 The frontend picks up the address and ABI automatically");
+  if (token.deployed) {
+    console.log("💵 Mint cUSD to companies with: npx hardhat payroll:mint --to <company> --amount <amount>");
+  }
 }
 
 main()
@@ -0,0 +1,67 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getDeployment } = require("./lib/registry");
+const { PayrollStore, PayrollIndexer, createApiServer } = require("../indexer");
+
+// Indexes the registry's ConfidentialPayroll deployment for the --network into SQLite
+// and serves it over HTTP for the dashboard (VITE_INDEXER_URL). Safe to stop and
+// restart: indexing resumes from the last checkpoint.
+
+const PORT = Number(process.env.INDEXER_PORT || 4000);
+const POLL_INTERVAL = Number(process.env.INDEXER_POLL_INTERVAL || 2000);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = getDeployment(chainId);
+  if (!deployment) {
+    throw new Error(`No ConfidentialPayroll deployment recorded for chainId ${chainId} (${hre.network.name}); deploy first`);
+  }
+
+  const dbPath = process.env.INDEXER_DB || path.join(__dirname, "..", "indexer", "data", `payroll-${chainId}.sqlite`);
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const store = new PayrollStore(dbPath);
+  if (store.bind({ chainId, contract: deployment.address })) {
+    console.log("♻️  New deployment on this chain; re-indexing from scratch");
+  }
+
+  const indexer = new PayrollIndexer({
+    provider: hre.ethers.provider,
+    address: deployment.address,
+    store,
+    startBlock: deployment.blockNumber || 0,
+    confirmations: CONFIRMATIONS,
+  });
+
+  console.log("🗂️  Indexing", deployment.address, "on", hre.network.name, "into", dbPath);
+  const checkpoint = store.getCheckpoint();
+  console.log(checkpoint ? `⏩ Resuming after block ${checkpoint.number}` : `🆕 Starting at block ${indexer.startBlock}`);
+
+  indexer.start({
+    interval: POLL_INTERVAL,
+    onSync: ({ from, to, rolledBackTo }) => {
+      if (rolledBackTo !== null) {
+        console.log(`🔀 Reorg: rolled back to block ${rolledBackTo}`);
+      }
+      if (to >= from) {
+        console.log(`📦 Indexed blocks ${from}-${to}`);
+      }
+    },
+  });
+
+  const server = createApiServer(store, { confirmations: CONFIRMATIONS });
+  server.listen(PORT, () => console.log(`🌐 API listening on http://localhost:${PORT} (Ctrl+C to stop)`));
+
+  process.on("SIGINT", () => {
+    indexer.stop();
+    server.close();
+    store.close();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+const hre = require("hardhat");
+const { getDeployment } = require("./lib/registry");
+const { runKeeper } = require("./lib/keeper");
+
+// Pays every employee of the keeper's company who is due under their pay schedule, then
+// exits; run it from cron or a CI schedule. The keeper key (KEEPER_PRIVATE_KEY, else the
+// network's first account) must be the company owner or a payroll approver. Safe to
+// re-run: employees paid this period are skipped, and the contract rejects double pay.
+// KEEPER_DRY_RUN=1 lists who is due without paying.
+
+const DRY_RUN = Boolean(process.env.KEEPER_DRY_RUN);
+
+const formatDate = (time) => new Date(time * 1000).toISOString();
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = getDeployment(chainId);
+  if (!deployment) {
+    throw new Error(`No ConfidentialPayroll deployment recorded for chainId ${chainId} (${hre.network.name}); deploy first`);
+  }
+
+  const keeper = process.env.KEEPER_PRIVATE_KEY
+    ? new hre.ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, hre.ethers.provider)
+    : (await hre.ethers.getSigners())[0];
+  const payroll = await hre.ethers.getContractAt("ConfidentialPayroll", deployment.address, keeper);
+  const { PayrollClient } = await import("../sdk/index.js");
+  const client = new PayrollClient(payroll, { deployBlock: deployment.blockNumber || 0 });
+
+  console.log("⏰ Keeper", keeper.address, "on", hre.network.name, DRY_RUN ? "(dry run)" : "");
+  console.log("📋 Payroll contract:", deployment.address);
+
+  const result = await runKeeper({ client, dryRun: DRY_RUN });
+  console.log(`🏢 ${result.company.name} (${result.company.address}): ${result.due.length} employee(s) due`);
+  for (const { employee, nextPayDate } of result.due) {
+    console.log(`   👤 ${employee} due since ${formatDate(nextPayDate)}`);
+  }
+  for (const batch of result.batches) {
+    if (batch.error) {
+      console.error(`❌ Batch of ${batch.employees.length} failed: ${batch.error}`);
+    } else {
+      console.log(`✅ Paid ${batch.employees.length} employee(s) in block ${batch.blockNumber} (tx ${batch.txHash})`);
+    }
+  }
+  if (result.due.length === 0) {
+    console.log("😴 Nobody is due; nothing to do");
+  } else if (!DRY_RUN) {
+    console.log(`📊 ${result.paid.length} paid, ${result.failed.length} failed`);
+  }
+  if (result.failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,232 @@
+const hre = require("hardhat");
+
+// Local fhEVM mock mode for the Hardhat network (in-process, or a `hardhat node` on
+// localhost as the E2E suite uses). The contract tests, the E2E suite and payroll tasks
+// run with --fhevm-mock use it; nothing turns it on implicitly.
+//
+// installFhevmMocks() puts a plaintext coprocessor, fhEVM's ACL and its GatewayContract
+// at the addresses TFHE.sol and Gateway.sol are compiled against. The helpers below
+// then play the roles fhevmjs, the KMS and the Gateway relayer have on a real network:
+// createInstance() returns an fhevmjs-compatible object (encrypted inputs, EIP-712
+// reencryption), decrypt*() reads handle values directly, and
+// awaitAllDecryptionResults() fulfils pending Gateway requests.
+
+// Predeploy addresses baked into fhevm@0.5.x (lib/*Address.sol, gateway/lib/PredeployAddress.sol)
+const ADDRESSES = {
+  coprocessor: "0x05fD9B5EFE0a996095f42Ed7e77c390810CF660c",
+  acl: "0x2Fb4341027eb1d2aD8B5D9708187df8633cAFA92",
+  kmsVerifier: "0x12B064FB845C1cc05e9493856a1D637a73e944bE",
+  gateway: "0xc8c9303Cd7F337fab769686B593B87DC3403E0ce",
+};
+
+// Handle type byte per encrypted type (see TFHE.sol Common)
+const TYPES = { bool: 0, uint4: 1, uint8: 2, uint16: 3, uint32: 4, uint64: 5, uint128: 6, address: 7, uint256: 8 };
+const BITS = { 0: 1, 1: 4, 2: 8, 3: 16, 4: 32, 5: 64, 6: 128, 7: 160, 8: 256 };
+const SOLIDITY_TYPES = { 0: "bool", 7: "address" };
+// The real input verifier caps one encrypted input at 2048 bits
+const MAX_INPUT_BITS = 2048;
+
+let installed = null;
+
+async function runtimeCodeOf(contractName, args = []) {
+  const factory = await hre.ethers.getContractFactory(contractName);
+  const instance = await factory.deploy(...args);
+  await instance.waitForDeployment();
+  return hre.ethers.provider.getCode(await instance.getAddress());
+}
+
+// Install the mocks once per Hardhat network session; safe to call from every test file
+async function installFhevmMocks() {
+  if (!["hardhat", "localhost"].includes(hre.network.name)) {
+    throw new Error(`fhEVM mocks only run on a Hardhat network (hardhat or localhost), not ${hre.network.name}`);
+  }
+  if (installed && (await hre.ethers.provider.getCode(ADDRESSES.coprocessor)) !== "0x") {
+    return installed;
+  }
+
+  // The last account relays Gateway results so it never collides with test actors
+  const signers = await hre.ethers.getSigners();
+  const [owner, relayer] = [signers[0], signers[signers.length - 1]];
+  const setCode = (address, code) => hre.network.provider.send("hardhat_setCode", [address, code]);
+
+  // Immutables (ACL's coprocessor, the Gateway's KMS verifier) are baked into runtime code
+  await setCode(ADDRESSES.coprocessor, await runtimeCodeOf("MockFHEVMCoprocessor"));
+  await setCode(ADDRESSES.acl, await runtimeCodeOf("ACL", [ADDRESSES.coprocessor]));
+  await setCode(ADDRESSES.gateway, await runtimeCodeOf("GatewayContract", [owner.address, ADDRESSES.kmsVerifier]));
+
+  // Ownable keeps its owner in slot 0; constructors don't run for injected code
+  await hre.network.provider.send("hardhat_setStorageAt", [
+    ADDRESSES.gateway,
+    "0x0",
+    hre.ethers.zeroPadValue(owner.address, 32),
+  ]);
+
+  const coprocessor = await hre.ethers.getContractAt("MockFHEVMCoprocessor", ADDRESSES.coprocessor);
+  const acl = await hre.ethers.getContractAt("ACL", ADDRESSES.acl);
+  const gateway = await hre.ethers.getContractAt("GatewayContract", ADDRESSES.gateway, owner);
+  // A `hardhat node` keeps the Gateway's storage when another process reinstalls the mocks
+  if (!(await gateway.isRelayer(relayer.address))) {
+    await (await gateway.addRelayer(relayer.address)).wait();
+  }
+
+  installed = { coprocessor, acl, gateway: gateway.connect(relayer), relayer };
+  return installed;
+}
+
+function requireMocks() {
+  if (!installed) {
+    throw new Error("Call installFhevmMocks() before using the fhEVM test helpers");
+  }
+  return installed;
+}
+
+// Mock encrypted input with the same builder API as fhevmjs createEncryptedInput()
+function createEncryptedInput(contractAddress, userAddress) {
+  const types = [];
+  const values = [];
+  let bits = 0;
+
+  const add = (type) => (value) => {
+    const typeBits = BITS[type];
+    bits += typeBits;
+    if (bits > MAX_INPUT_BITS) {
+      throw new Error(`Encrypted input exceeds ${MAX_INPUT_BITS} bits`);
+    }
+    const numeric = type === TYPES.address ? BigInt(value) : BigInt(typeof value === "boolean" ? Number(value) : value);
+    if (numeric < 0n || numeric >= 2n ** BigInt(typeBits)) {
+      throw new Error(`Value ${value} does not fit in ${typeBits} bits`);
+    }
+    types.push(type);
+    values.push(numeric);
+    return builder;
+  };
+
+  const builder = {
+    addBool: add(TYPES.bool),
+    add4: add(TYPES.uint4),
+    add8: add(TYPES.uint8),
+    add16: add(TYPES.uint16),
+    add32: add(TYPES.uint32),
+    add64: add(TYPES.uint64),
+    add128: add(TYPES.uint128),
+    addAddress: add(TYPES.address),
+    add256: add(TYPES.uint256),
+
+    // Handles commit to (contract, user, types, values, salt) exactly as MockFHEVMCoprocessor checks
+    async encrypt() {
+      const salt = hre.ethers.hexlify(hre.ethers.randomBytes(32));
+      const coder = hre.ethers.AbiCoder.defaultAbiCoder();
+      const commitment = BigInt(
+        hre.ethers.keccak256(
+          coder.encode(
+            ["address", "address", "uint8[]", "uint256[]", "bytes32"],
+            [contractAddress, userAddress, types, values, salt]
+          )
+        )
+      );
+      const prefix = (commitment >> 24n) << 24n;
+      const handles = types.map((type, index) =>
+        hre.ethers.getBytes(hre.ethers.toBeHex(prefix | (BigInt(index) << 16n) | (BigInt(type) << 8n), 32))
+      );
+      const inputProof = hre.ethers.getBytes(coder.encode(["uint8[]", "uint256[]", "bytes32"], [types, values, salt]));
+      return { handles, inputProof };
+    },
+  };
+  return builder;
+}
+
+// Read the cleartext behind a handle; tests use this where the KMS would decrypt
+async function decrypt(handle) {
+  const { coprocessor } = requireMocks();
+  const value = BigInt(handle);
+  if (value === 0n) {
+    return 0n;
+  }
+  if (!(await coprocessor.isKnownHandle(value))) {
+    throw new Error(`Unknown handle ${hre.ethers.toBeHex(value, 32)}`);
+  }
+  return coprocessor.plaintexts(value);
+}
+
+const decrypt64 = decrypt;
+const decryptBool = async (handle) => (await decrypt(handle)) !== 0n;
+
+// Mock fhevmjs instance: inputs, keypairs, EIP-712 authorization and ACL-checked reencryption
+async function createInstance() {
+  const { acl } = requireMocks();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  return {
+    createEncryptedInput,
+
+    generateKeypair() {
+      const wallet = hre.ethers.Wallet.createRandom();
+      return { publicKey: wallet.publicKey, privateKey: wallet.privateKey };
+    },
+
+    createEIP712(publicKey, verifyingContract) {
+      return {
+        domain: { name: "Authorization token", version: "1", chainId: Number(chainId), verifyingContract },
+        types: { Reencrypt: [{ name: "publicKey", type: "bytes" }] },
+        message: { publicKey },
+      };
+    },
+
+    // Same checks as the Gateway: a valid user signature and ACL rights for user and contract
+    async reencrypt(handle, privateKey, publicKey, signature, contractAddress, userAddress) {
+      const eip712 = this.createEIP712(publicKey, contractAddress);
+      const signer = hre.ethers.verifyTypedData(
+        eip712.domain,
+        eip712.types,
+        eip712.message,
+        signature.startsWith("0x") ? signature : `0x${signature}`
+      );
+      if (signer.toLowerCase() !== userAddress.toLowerCase()) {
+        throw new Error("Invalid EIP-712 signature");
+      }
+      if (!(await acl.persistAllowed(handle, userAddress))) {
+        throw new Error("User is not authorized to reencrypt this handle");
+      }
+      if (!(await acl.persistAllowed(handle, contractAddress))) {
+        throw new Error("dApp contract is not authorized to reencrypt this handle");
+      }
+      return decrypt(handle);
+    },
+  };
+}
+
+// Act as the Gateway relayer: fulfil every pending, unexpired decryption request
+async function awaitAllDecryptionResults() {
+  const { gateway, coprocessor } = requireMocks();
+  const coder = hre.ethers.AbiCoder.defaultAbiCoder();
+  const events = await gateway.queryFilter(gateway.filters.EventDecryption());
+
+  const fulfilled = [];
+  for (const event of events) {
+    const { requestID, cts } = event.args;
+    if (await gateway.isExpiredOrFulfilled(requestID)) {
+      continue;
+    }
+    const types = cts.map((handle) => SOLIDITY_TYPES[Number((handle >> 8n) & 0xffn)] || "uint256");
+    const values = await Promise.all(
+      cts.map(async (handle, index) => {
+        const value = await coprocessor.plaintexts(handle);
+        return types[index] === "bool" ? value !== 0n : types[index] === "address" ? hre.ethers.toBeHex(value, 20) : value;
+      })
+    );
+    await (await gateway.fulfillRequest(requestID, coder.encode(types, values), [])).wait();
+    fulfilled.push(requestID);
+  }
+  return fulfilled;
+}
+
+module.exports = {
+  ADDRESSES,
+  installFhevmMocks,
+  createInstance,
+  createEncryptedInput,
+  decrypt,
+  decrypt64,
+  decryptBool,
+  awaitAllDecryptionResults,
+};
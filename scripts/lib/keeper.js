@@ -0,0 +1,65 @@
+// Pays the employees of the signer's company who are due under their pay schedule
+// (see setPaySchedule). Whether someone is due is read from the chain on every run and
+// the contract refuses a second payment in the same pay period, so running the keeper
+// again, or after a crash part-way through, never pays anyone twice.
+
+// Everyone the company has ever added; getPaySchedule reports removed employees as not due.
+// EmployeeAdded logs are scanned in bounded windows from the client's deployBlock.
+async function findRoster(client, company) {
+  const events = await client.queryLogs(client.contract.filters.EmployeeAdded(company));
+  return [...new Set(events.map((event) => event.args.employee))];
+}
+
+// Employees of `company` that can be paid now, with their schedule
+async function findDueEmployees({ client, company }) {
+  const due = [];
+  for (const employee of await findRoster(client, company)) {
+    const schedule = await client.getPaySchedule(company, employee);
+    if (schedule.due) {
+      due.push({ employee, ...schedule });
+    }
+  }
+  return due;
+}
+
+// One keeper pass. Due employees are paid with payEmployees in batches of MAX_BATCH_SIZE;
+// a failed batch is reported and left for the next run. With `dryRun` nothing is sent.
+async function runKeeper({ client, dryRun = false }) {
+  const keeper = await client.getSignerAddress();
+  const roles = await client.getMemberRoles(keeper);
+  if (!roles.company) {
+    throw new Error(`Keeper ${keeper} is not a member of any company`);
+  }
+  if (!roles.isOwner && !roles.isPayrollApprover) {
+    throw new Error(`Keeper ${keeper} needs the payroll approver role in ${roles.company}`);
+  }
+  const company = await client.getCompanyInfo(roles.company);
+  if (company.approvalThreshold > 1) {
+    throw new Error(
+      `${company.name} requires ${company.approvalThreshold} approvals per payroll run; the keeper only pays companies with a threshold of 1`
+    );
+  }
+
+  const due = await findDueEmployees({ client, company: company.address });
+  const result = { keeper, company, due, batches: [], paid: [], failed: [] };
+  if (dryRun) {
+    return result;
+  }
+
+  const maxBatchSize = await client.getMaxBatchSize();
+  const employees = due.map(({ employee }) => employee);
+  for (let start = 0; start < employees.length; start += maxBatchSize) {
+    const batch = employees.slice(start, start + maxBatchSize);
+    try {
+      const receipt = await client.wait(await client.payEmployees(batch));
+      result.batches.push({ employees: batch, txHash: receipt.hash, blockNumber: receipt.blockNumber });
+      result.paid.push(...batch);
+    } catch (error) {
+      result.batches.push({ employees: batch, error: error.message, code: error.code ?? null });
+      result.failed.push(...batch);
+    }
+  }
+  return result;
+}
+
+module.exports = { findRoster, findDueEmployees, runKeeper };
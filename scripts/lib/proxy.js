@@ -0,0 +1,61 @@
+// ConfidentialPayroll runs behind PayrollProxy, an OpenZeppelin TransparentUpgradeableProxy:
+// the proxy holds all state and keeps its address, while upgrades swap the implementation
+// it delegates to. The proxy deploys its own ProxyAdmin, owned by `admin`, and only that
+// owner can upgrade.
+
+// EIP-1967 slots: bytes32(uint256(keccak256("eip1967.proxy.<name>")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+async function readAddressSlot(ethers, proxy, slot) {
+  const value = await ethers.provider.getStorage(proxy, slot);
+  return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+const getImplementationAddress = (ethers, proxy) => readAddressSlot(ethers, proxy, IMPLEMENTATION_SLOT);
+const getProxyAdminAddress = (ethers, proxy) => readAddressSlot(ethers, proxy, ADMIN_SLOT);
+
+// Deploy an implementation of `contractName` with `constructorArgs`
+async function deployImplementation(ethers, contractName, constructorArgs, signer) {
+  const factory = await ethers.getContractFactory(contractName, signer);
+  const implementation = await factory.deploy(...constructorArgs);
+  await implementation.waitForDeployment();
+  return { address: await implementation.getAddress(), receipt: await implementation.deploymentTransaction().wait() };
+}
+
+// Deploy `contractName` behind a new proxy administered by `admin`. The contract is
+// returned attached at the proxy address.
+async function deployProxy(ethers, contractName, constructorArgs, { signer, admin } = {}) {
+  const deployer = signer || (await ethers.getSigners())[0];
+  const implementation = await deployImplementation(ethers, contractName, constructorArgs, deployer);
+
+  const factory = await ethers.getContractFactory("PayrollProxy", deployer);
+  const proxy = await factory.deploy(implementation.address, admin || deployer.address);
+  await proxy.waitForDeployment();
+  const address = await proxy.getAddress();
+
+  return {
+    contract: await ethers.getContractAt(contractName, address, deployer),
+    address,
+    receipt: await proxy.deploymentTransaction().wait(),
+    implementation,
+    proxyAdmin: await getProxyAdminAddress(ethers, address),
+  };
+}
+
+// Point `proxy` at `implementation`; `signer` must own the proxy's ProxyAdmin
+async function upgradeProxy(ethers, proxy, implementation, signer) {
+  const proxyAdmin = await ethers.getContractAt("ProxyAdmin", await getProxyAdminAddress(ethers, proxy), signer);
+  const tx = await proxyAdmin.upgradeAndCall(proxy, implementation, "0x");
+  return tx.wait();
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  getImplementationAddress,
+  getProxyAdminAddress,
+  deployImplementation,
+  deployProxy,
+  upgradeProxy,
+};
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deployment registry shared by the deploy script, Hardhat tasks and the frontend.
+//
+// deployments/registry.json is keyed by chainId:
+//   { "8009": { network, contracts: { ConfidentialPayroll: {...} }, history: [...] } }
+// deployments/abi/<Contract>.json holds the compiled ABI the frontend loads.
+// deployments/layouts/<chainId>/<implementation>.json holds the storage layout of each
+// implementation deployed behind a proxy, which scripts/upgrade.js checks the next one against.
+//
+// Local Hardhat chains are reset all the time, so their deployments go to the same files
+// under deployments/local/, which git ignores, and never end up in the shared registry.
+// LOCAL_DEPLOYMENTS_DIR points them somewhere else, as the E2E suite does with a temp dir.
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const LOCAL_DEPLOYMENTS_DIR = process.env.LOCAL_DEPLOYMENTS_DIR
+  ? path.resolve(process.env.LOCAL_DEPLOYMENTS_DIR)
+  : path.join(DEPLOYMENTS_DIR, "local");
+const LOCAL_CHAIN_IDS = [1337, 31337];
+
+const isLocalChain = (chainId) => LOCAL_CHAIN_IDS.includes(Number(chainId));
+const deploymentsDir = (chainId) => (isLocalChain(chainId) ? LOCAL_DEPLOYMENTS_DIR : DEPLOYMENTS_DIR);
+const registryPath = (chainId) => path.join(deploymentsDir(chainId), "registry.json");
+
+// The registry file `chainId` is recorded in
+function readRegistry(chainId) {
+  const file = registryPath(chainId);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeRegistry(chainId, registry) {
+  fs.mkdirSync(deploymentsDir(chainId), { recursive: true });
+  fs.writeFileSync(registryPath(chainId), JSON.stringify(registry, null, 2) + "\n");
+}
+
+function getDeployment(chainId, contractName = "ConfidentialPayroll") {
+  const entry = readRegistry(chainId)[String(chainId)];
+  return entry ? entry.contracts[contractName] || null : null;
+}
+
+// Record a deployment as current for its chain and append it to the chain's history
+function recordDeployment({ chainId, network, contractName, ...deployment }) {
+  const registry = readRegistry(chainId);
+  const key = String(chainId);
+  const entry = registry[key] || { network, chainId: Number(chainId), contracts: {}, history: [] };
+
+  entry.network = network;
+  entry.contracts[contractName] = deployment;
+  entry.history.push({ contract: contractName, ...deployment });
+
+  registry[key] = entry;
+  writeRegistry(chainId, registry);
+  return entry;
+}
+
+// Record a new implementation behind a chain's proxy and keep the implementation history
+function recordUpgrade({ chainId, contractName, implementation }) {
+  const registry = readRegistry(chainId);
+  const entry = registry[String(chainId)];
+  const deployment = entry?.contracts[contractName];
+  if (!deployment) {
+    throw new Error(`No ${contractName} deployment recorded for chainId ${chainId}`);
+  }
+
+  deployment.implementation = implementation.address;
+  deployment.implementations = [...(deployment.implementations || []), implementation];
+  entry.history.push({ contract: contractName, address: deployment.address, upgradedTo: implementation });
+
+  writeRegistry(chainId, registry);
+  return entry;
+}
+
+const layoutPath = (chainId, implementation) =>
+  path.join(deploymentsDir(chainId), "layouts", String(chainId), `${implementation.toLowerCase()}.json`);
+
+function writeStorageLayout(chainId, implementation, layout) {
+  const file = layoutPath(chainId, implementation);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(layout, null, 2) + "\n");
+}
+
+function readStorageLayout(chainId, implementation) {
+  const file = layoutPath(chainId, implementation);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function writeAbi(chainId, contractName, abi) {
+  const dir = path.join(deploymentsDir(chainId), "abi");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${contractName}.json`), JSON.stringify(abi, null, 2) + "\n");
+}
+
+// Resolve a contract address for the network hre is connected to
+async function resolveAddress(hre, contractName = "ConfidentialPayroll") {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = getDeployment(chainId, contractName);
+  if (!deployment) {
+    throw new Error(
+      `No ${contractName} deployment recorded for chainId ${chainId} (${hre.network.name}); deploy first`
+    );
+  }
+  return deployment.address;
+}
+
+module.exports = {
+  LOCAL_DEPLOYMENTS_DIR,
+  isLocalChain,
+  registryPath,
+  readRegistry,
+  getDeployment,
+  recordDeployment,
+  recordUpgrade,
+  writeStorageLayout,
+  readStorageLayout,
+  writeAbi,
+  resolveAddress,
+};
@@ -0,0 +1,126 @@
+// Storage layout snapshots and the compatibility check scripts/upgrade.js runs before
+// pointing a proxy at a new implementation. Layouts come from solc's storageLayout output
+// (requested in hardhat.config.js) and are normalized into self-contained type trees, so
+// they don't depend on AST ids and can be saved next to each deployed implementation.
+
+// Normalized layout of a compiled contract
+async function getStorageLayout(artifacts, contractName) {
+  const { sourceName } = await artifacts.readArtifact(contractName);
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const layout = buildInfo?.output.contracts[sourceName]?.[contractName]?.storageLayout;
+  if (!layout) {
+    throw new Error(`No storage layout for ${contractName}; add storageLayout to the compiler outputSelection`);
+  }
+  return { storage: layout.storage.map((variable) => normalizeVariable(layout.types, variable)) };
+}
+
+function normalizeVariable(types, variable, seen = []) {
+  return {
+    label: variable.label,
+    ...(seen.length === 0 ? { contract: variable.contract } : {}),
+    slot: Number(variable.slot),
+    offset: variable.offset,
+    type: normalizeType(types, variable.type, seen),
+  };
+}
+
+function normalizeType(types, id, seen) {
+  const type = types[id];
+  const node = { label: type.label, encoding: type.encoding, numberOfBytes: Number(type.numberOfBytes) };
+  // A struct that refers to itself through a mapping or array is expanded once
+  if (seen.includes(id)) {
+    return node;
+  }
+  const inner = [...seen, id];
+  if (type.key) node.key = normalizeType(types, type.key, inner);
+  if (type.value) node.value = normalizeType(types, type.value, inner);
+  if (type.base) node.base = normalizeType(types, type.base, inner);
+  if (type.members) node.members = type.members.map((member) => normalizeVariable(types, member, inner));
+  return node;
+}
+
+// Bytes a variable occupies, counted from the start of its slot space
+function byteRange({ slot, offset, type }) {
+  const start = slot * 32 + offset;
+  return [start, start + type.numberOfBytes];
+}
+
+function overlaps(a, b) {
+  const [aStart, aEnd] = byteRange(a);
+  const [bStart, bEnd] = byteRange(b);
+  return aStart < bEnd && bStart < aEnd;
+}
+
+// Every variable of `previous` must stay at its slot and offset with a compatible type;
+// new variables may only use space no previous variable occupied
+function compareVariables(previous, next, path, report) {
+  const matched = new Set();
+  for (const old of previous) {
+    const name = path ? `${path}.${old.label}` : old.label;
+    const current = next.find((variable) => variable.slot === old.slot && variable.offset === old.offset);
+    if (!current) {
+      report.errors.push(`${name} (slot ${old.slot}, offset ${old.offset}) was removed or moved`);
+      continue;
+    }
+    matched.add(current);
+    if (current.label !== old.label) {
+      report.warnings.push(`${name} (slot ${old.slot}) was renamed to ${current.label}`);
+    }
+    compareTypes(old.type, current.type, name, report);
+  }
+  for (const added of next.filter((variable) => !matched.has(variable))) {
+    const clash = previous.find((old) => overlaps(old, added));
+    if (clash) {
+      const name = path ? `${path}.${added.label}` : added.label;
+      report.errors.push(`${name} (slot ${added.slot}) overlaps the storage of ${clash.label}`);
+    }
+  }
+}
+
+// Structs can only grow where nothing is stored after them: as mapping values
+function compareTypes(previous, next, name, report, { growable = false } = {}) {
+  if (previous.encoding !== next.encoding) {
+    report.errors.push(`${name} changed from ${previous.label} to ${next.label}`);
+    return;
+  }
+  switch (previous.encoding) {
+    case "mapping":
+      if (previous.key.label !== next.key.label) {
+        report.errors.push(`${name} changed its key from ${previous.key.label} to ${next.key.label}`);
+      }
+      compareTypes(previous.value, next.value, `${name}[]`, report, { growable: true });
+      return;
+    case "dynamic_array":
+      compareTypes(previous.base, next.base, `${name}[]`, report);
+      return;
+    case "bytes":
+      if (previous.label !== next.label) {
+        report.errors.push(`${name} changed from ${previous.label} to ${next.label}`);
+      }
+      return;
+    default:
+      if (previous.members && next.members) {
+        compareVariables(previous.members, next.members, name, report);
+        if (!growable && next.numberOfBytes !== previous.numberOfBytes) {
+          report.errors.push(`${name} changed size from ${previous.numberOfBytes} to ${next.numberOfBytes} bytes`);
+        }
+      } else if (previous.base && next.base) {
+        compareTypes(previous.base, next.base, `${name}[]`, report);
+        if (next.numberOfBytes !== previous.numberOfBytes) {
+          report.errors.push(`${name} changed from ${previous.label} to ${next.label}`);
+        }
+      } else if (previous.label !== next.label || previous.numberOfBytes !== next.numberOfBytes) {
+        report.errors.push(`${name} changed from ${previous.label} to ${next.label}`);
+      }
+  }
+}
+
+// Check that `next` can take over storage written under `previous`. Errors make the
+// upgrade unsafe; warnings (renames) are safe for storage but worth a second look.
+function compareStorageLayouts(previous, next) {
+  const report = { errors: [], warnings: [] };
+  compareVariables(previous.storage, next.storage, "", report);
+  return report;
+}
+
+module.exports = { getStorageLayout, compareStorageLayouts };
@@ -0,0 +1,99 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const { clientKeyDecryptor, getCiphertextCallParams } = require("fhevmjs");
+const { resolveAddress } = require("./lib/registry");
+
+// Stand-in for the Zama relayer on a local fhEVM node: watches the Gateway for
+// decryption requests made by ConfidentialPayroll, decrypts the ciphertexts with
+// the node's client key and calls fulfillRequest so the callback runs.
+
+const GATEWAY_ADDRESS =
+  process.env.GATEWAY_CONTRACT_ADDRESS || "0xc8c9303Cd7F337fab769686B593B87DC3403E0ce";
+const CLIENT_KEY_PATH =
+  process.env.FHE_CLIENT_KEY_PATH || "fhevmTemp/network-fhe-keys/cks";
+
+const GATEWAY_ABI = [
+  "event EventDecryption(uint256 indexed requestID, uint256[] cts, address contractCaller, bytes4 callbackSelector, uint256 msgValue, uint256 maxTimestamp, bool passSignaturesToCaller)",
+  "function fulfillRequest(uint256 requestID, bytes decryptedCts, bytes[] signatures) external payable",
+  "function isExpiredOrFulfilled(uint256 requestID) external view returns (bool)",
+];
+
+// Handle layout: ... || type (1 byte) || version (1 byte)
+const HANDLE_TYPES = {
+  0: { abiType: "bool", decrypt: "decryptBool" },
+  1: { abiType: "uint8", decrypt: "decrypt4" },
+  2: { abiType: "uint8", decrypt: "decrypt8" },
+  3: { abiType: "uint16", decrypt: "decrypt16" },
+  4: { abiType: "uint32", decrypt: "decrypt32" },
+  5: { abiType: "uint64", decrypt: "decrypt64" },
+  7: { abiType: "address", decrypt: "decryptAddress" },
+};
+
+function handleType(handle) {
+  const type = HANDLE_TYPES[Number((BigInt(handle) >> 8n) & 0xffn)];
+  if (!type) {
+    throw new Error(`Unsupported ciphertext type for handle ${handle}`);
+  }
+  return type;
+}
+
+async function decryptHandle(decryptor, handle) {
+  const ciphertext = await hre.ethers.provider.call(getCiphertextCallParams(BigInt(handle)));
+  return decryptor[handleType(handle).decrypt](ciphertext);
+}
+
+async function fulfill(gateway, decryptor, payrollAddress, event) {
+  const { requestID, cts, contractCaller } = event.args;
+  if (contractCaller.toLowerCase() !== payrollAddress.toLowerCase()) {
+    return;
+  }
+  if (await gateway.isExpiredOrFulfilled(requestID)) {
+    console.log(`⏭️  Request #${requestID} already fulfilled or expired`);
+    return;
+  }
+
+  const values = [];
+  for (const handle of cts) {
+    values.push(await decryptHandle(decryptor, handle));
+  }
+  const decryptedCts = hre.ethers.AbiCoder.defaultAbiCoder().encode(
+    cts.map((handle) => handleType(handle).abiType),
+    values
+  );
+
+  const tx = await gateway.fulfillRequest(requestID, decryptedCts, []);
+  await tx.wait();
+  console.log(`✅ Fulfilled request #${requestID} (tx ${tx.hash})`);
+}
+
+async function main() {
+  const payrollAddress = await resolveAddress(hre);
+  const [relayer] = await hre.ethers.getSigners();
+  const gateway = new hre.ethers.Contract(GATEWAY_ADDRESS, GATEWAY_ABI, relayer);
+  const decryptor = clientKeyDecryptor(fs.readFileSync(CLIENT_KEY_PATH));
+
+  console.log("🛰️  Relayer", relayer.address, "watching Gateway", GATEWAY_ADDRESS);
+  console.log("📋 Payroll contract:", payrollAddress);
+
+  // Serialize fulfilments so the relayer never races its own nonce
+  let queue = Promise.resolve();
+  const enqueue = (event) => {
+    queue = queue
+      .then(() => fulfill(gateway, decryptor, payrollAddress, event))
+      .catch((error) => console.error(`❌ Request #${event.args.requestID} failed:`, error.message));
+    return queue;
+  };
+
+  // Catch up on requests made while the relayer was not running
+  const past = await gateway.queryFilter(gateway.filters.EventDecryption());
+  past.forEach(enqueue);
+  await queue;
+
+  gateway.on(gateway.filters.EventDecryption(), (...args) => enqueue(args[args.length - 1].log));
+  console.log("👀 Waiting for new decryption requests (Ctrl+C to stop)...");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+const hre = require("hardhat");
+const {
+  getDeployment,
+  recordUpgrade,
+  readStorageLayout,
+  writeStorageLayout,
+  writeAbi,
+  registryPath,
+} = require("./lib/registry");
+const { deployImplementation, getImplementationAddress, getProxyAdminAddress, upgradeProxy } = require("./lib/proxy");
+const { getStorageLayout, compareStorageLayouts } = require("./lib/storageLayout");
+
+// Upgrades the chain's ConfidentialPayroll proxy to the current contract code. Companies,
+// employees, payment history and encrypted handles (with their ACL permissions, which
+// belong to the proxy address) stay where they are, and the frontend keeps its address.
+// The new storage layout is checked against the live implementation's first; the
+// deployer must own the proxy's ProxyAdmin.
+
+const CONTRACT_NAME = "ConfidentialPayroll";
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const [deployer] = await hre.ethers.getSigners();
+
+  const deployment = getDeployment(chainId, CONTRACT_NAME);
+  if (!deployment) {
+    throw new Error(`No ${CONTRACT_NAME} deployment recorded for chainId ${chainId} (${hre.network.name}); deploy first`);
+  }
+  if (!deployment.implementation) {
+    throw new Error(
+      `${CONTRACT_NAME} at ${deployment.address} was deployed without a proxy and can't be upgraded; ` +
+        "redeploy it with FORCE_DEPLOY=1"
+    );
+  }
+
+  const proxy = deployment.address;
+  const current = await getImplementationAddress(hre.ethers, proxy);
+  if (current.toLowerCase() !== deployment.implementation.toLowerCase()) {
+    throw new Error(
+      `The proxy at ${proxy} points at ${current}, not the recorded implementation ${deployment.implementation}; ` +
+        "was it upgraded outside scripts/upgrade.js?"
+    );
+  }
+
+  const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", await getProxyAdminAddress(hre.ethers, proxy));
+  const adminOwner = await proxyAdmin.owner();
+  if (adminOwner.toLowerCase() !== deployer.address.toLowerCase()) {
+    throw new Error(`Only the ProxyAdmin owner ${adminOwner} can upgrade ${proxy}, not ${deployer.address}`);
+  }
+
+  console.log("🔄 Upgrading ConfidentialPayroll at", proxy, "on", hre.network.name);
+  console.log("🧩 Current implementation:", current);
+
+  // Refuse layouts that would read existing state from the wrong slots
+  const previousLayout = readStorageLayout(chainId, current);
+  if (!previousLayout) {
+    throw new Error(`No storage layout recorded for implementation ${current}; can't check the upgrade is safe`);
+  }
+  const layout = await getStorageLayout(hre.artifacts, CONTRACT_NAME);
+  const { errors, warnings } = compareStorageLayouts(previousLayout, layout);
+  for (const warning of warnings) {
+    console.warn("⚠️ ", warning);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Storage layout is incompatible with ${current}:\n  - ${errors.join("\n  - ")}`);
+  }
+  console.log("✅ Storage layout is compatible");
+
+  // The token is an immutable, so the new implementation is built with the live one
+  const payroll = await hre.ethers.getContractAt(CONTRACT_NAME, proxy);
+  const token = await payroll.token();
+  const implementation = await deployImplementation(hre.ethers, CONTRACT_NAME, [token], deployer);
+  console.log("🧩 New implementation:", implementation.address);
+
+  const receipt = await upgradeProxy(hre.ethers, proxy, implementation.address, deployer);
+  console.log("✅ Proxy upgraded in block", receipt.blockNumber, `(tx ${receipt.hash})`);
+
+  // Sanity-check that existing state reads back through the SDK before recording it
+  const { PayrollClient } = await import("../sdk/index.js");
+  const client = new PayrollClient(payroll);
+  console.log(`🔎 Companies: ${await client.getCompanyCount()}, token: ${await client.getTokenAddress()}`);
+
+  recordUpgrade({
+    chainId,
+    contractName: CONTRACT_NAME,
+    implementation: {
+      address: implementation.address,
+      txHash: implementation.receipt.hash,
+      upgradeTxHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      upgradedBy: deployer.address,
+      timestamp: new Date().toISOString(),
+    },
+  });
+  writeStorageLayout(chainId, implementation.address, layout);
+  writeAbi(chainId, CONTRACT_NAME, (await hre.artifacts.readArtifact(CONTRACT_NAME)).abi);
+
+  console.log(`\n📁 Implementation history recorded for chainId ${chainId} in ${registryPath(chainId)}`);
+  console.log("🔌 The frontend keeps the same address and picks up the new ABI");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
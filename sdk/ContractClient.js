@@ -0,0 +1,170 @@
+import { ethers } from 'ethers';
+import { extractRevertReason, toPayrollError } from './errors.js';
+
+// Shared plumbing for the SDK's contract clients: signer access, fhEVM encryption and
+// reencryption bound to the wrapped contract, and PayrollError decoding.
+//
+// `fhevm` is an fhevmjs instance, or a (possibly async) function returning one; it is
+// only needed for encryption and reencryption. `deployBlock` is the block the contract was
+// deployed in, where event scans start.
+
+// Blocks one eth_getLogs request may span; RPC providers reject or truncate wider ranges
+export const LOG_QUERY_WINDOW = 10000;
+
+export class ContractClient {
+  constructor(contract, { fhevm = null, deployBlock = 0 } = {}) {
+    if (!contract?.runner) {
+      throw new Error(`${new.target.name} needs a contract connected to a provider or signer`);
+    }
+    this.contract = contract;
+    this.fhevm = fhevm;
+    this.deployBlock = deployBlock;
+  }
+
+  static at(address, runner, { abi, fhevm, deployBlock } = {}) {
+    if (!abi) {
+      throw new Error(`${this.name}.at needs the contract ABI`);
+    }
+    return new this(new ethers.Contract(address, abi, runner), { fhevm, deployBlock });
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  get runner() {
+    return this.contract.runner;
+  }
+
+  // Returns a client for the same contract with a different signer
+  connect(runner) {
+    return new this.constructor(this.contract.connect(runner), { fhevm: this.fhevm, deployBlock: this.deployBlock });
+  }
+
+  // Events matching `filter` from `fromBlock` to the latest block, fetched in
+  // LOG_QUERY_WINDOW-block windows; stops early once `done(events)` is true. With
+  // `newestFirst` the windows are walked back from the latest block and events come
+  // latest first, so the most recent N can be found without reading older windows.
+  async queryLogs(filter, { fromBlock = this.deployBlock, done = () => false, newestFirst = false } = {}) {
+    const latest = await this.runner.provider.getBlockNumber();
+    const events = [];
+    if (newestFirst) {
+      for (let end = latest; end >= fromBlock && !done(events); end -= LOG_QUERY_WINDOW) {
+        const start = Math.max(end - LOG_QUERY_WINDOW + 1, fromBlock);
+        events.push(...(await this.contract.queryFilter(filter, start, end)).reverse());
+      }
+      return events;
+    }
+    for (let start = fromBlock; start <= latest && !done(events); start += LOG_QUERY_WINDOW) {
+      const end = Math.min(start + LOG_QUERY_WINDOW - 1, latest);
+      events.push(...(await this.contract.queryFilter(filter, start, end)));
+    }
+    return events;
+  }
+
+  async getFhevm() {
+    const instance = typeof this.fhevm === 'function' ? await this.fhevm() : this.fhevm;
+    if (!instance) {
+      throw new Error(`${this.constructor.name} was created without an fhEVM instance`);
+    }
+    return instance;
+  }
+
+  async getSignerAddress() {
+    if (typeof this.runner.getAddress !== 'function') {
+      throw new Error(`${this.constructor.name} needs a signer for this operation`);
+    }
+    return this.runner.getAddress();
+  }
+
+  // Wait for a write to be mined, decoding a revert into a PayrollError. Receipts of
+  // reverted transactions carry no reason, so the call is replayed to recover it.
+  async wait(tx) {
+    try {
+      return await tx.wait();
+    } catch (error) {
+      if (error?.code === 'CALL_EXCEPTION' && error.receipt && !extractRevertReason(error)) {
+        throw toPayrollError((await this.replayRevert(tx, error.receipt)) || error);
+      }
+      throw toPayrollError(error);
+    }
+  }
+
+  // Re-run a mined transaction against the state before its block; returns the revert error, if any
+  async replayRevert(tx, receipt) {
+    try {
+      await this.runner.provider.call({
+        to: tx.to,
+        from: tx.from,
+        data: tx.data,
+        value: tx.value,
+        blockTag: receipt.blockNumber - 1
+      });
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  // ============================================
+  // ENCRYPTION
+  // ============================================
+
+  // Encrypt uint64 values into one input bound to this contract and the signer that submits it
+  async encryptUint64s(amounts) {
+    const instance = await this.getFhevm();
+    const input = instance.createEncryptedInput(this.address, await this.getSignerAddress());
+    amounts.forEach((amount) => input.add64(amount));
+    const { handles, inputProof } = await input.encrypt();
+    return {
+      handles: handles.map((handle) => ethers.hexlify(handle)),
+      inputProof: ethers.hexlify(inputProof)
+    };
+  }
+
+  async encryptUint64(amount) {
+    const { handles, inputProof } = await this.encryptUint64s([amount]);
+    return { handle: handles[0], inputProof };
+  }
+
+  // Generate a reencryption keypair and have the signer authorize it for this contract
+  async createReencryptionAuth() {
+    const instance = await this.getFhevm();
+    const { publicKey, privateKey } = instance.generateKeypair();
+    const eip712 = instance.createEIP712(publicKey, this.address);
+    const signature = await this.runner.signTypedData(
+      eip712.domain,
+      { Reencrypt: eip712.types.Reencrypt },
+      eip712.message
+    );
+    return { publicKey, privateKey, signature };
+  }
+
+  // Decrypt a euint64 handle the signer is ACL-allowed to read; reuse `auth` across calls
+  async decrypt(handle, auth) {
+    const value = BigInt(handle);
+    // An unset ciphertext has no key material to reencrypt
+    if (value === 0n) {
+      return 0n;
+    }
+
+    const instance = await this.getFhevm();
+    const { publicKey, privateKey, signature } = auth || (await this.createReencryptionAuth());
+    return instance.reencrypt(
+      value,
+      privateKey,
+      publicKey,
+      signature.replace('0x', ''),
+      this.address,
+      await this.getSignerAddress()
+    );
+  }
+
+  async guard(action) {
+    try {
+      return await action();
+    } catch (error) {
+      throw toPayrollError(error);
+    }
+  }
+}
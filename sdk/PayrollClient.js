@@ -0,0 +1,584 @@
+import { ethers } from 'ethers';
+import { ContractClient } from './ContractClient.js';
+import { PayrollError, PayrollErrorCode } from './errors.js';
+import {
+  PAYSLIP_VERSION,
+  PAYSLIP_TYPES,
+  payslipDomain,
+  payslipMessage,
+  payslipHash,
+  recoverPayslipSigner
+} from './payslip.js';
+
+// Mirrors the Role enum in ConfidentialPayroll.sol; the owner implicitly holds every role
+export const CompanyRole = {
+  OWNER: 0,
+  HR: 1,
+  PAYROLL_APPROVER: 2
+};
+
+// Mirrors the PayComponent enum; the withholding rate is in basis points of gross pay
+export const PayComponent = {
+  BONUS: 0,
+  DEDUCTIONS: 1,
+  WITHHOLDING: 2
+};
+
+// Mirrors the PayFrequency enum; NONE clears a schedule
+export const PayFrequency = {
+  NONE: 0,
+  WEEKLY: 1,
+  BIWEEKLY: 2,
+  MONTHLY: 3
+};
+
+// Client for ConfidentialPayroll, shared by the dashboard, scripts, Hardhat tasks and
+// tests. Reads return named objects, writes return the transaction response, and every
+// contract error is rethrown as a PayrollError.
+export class PayrollClient extends ContractClient {
+  // ============================================
+  // READS
+  // ============================================
+
+  async getCompanyInfo(company) {
+    const info = await this.guard(() => this.contract.getCompanyInfo(company));
+    return {
+      address: ethers.getAddress(company),
+      name: info.name,
+      owner: info.owner,
+      isRegistered: info.isRegistered,
+      employeeCount: Number(info.employeeCount),
+      totalPayments: Number(info.totalPayments),
+      approvalThreshold: Number(info.approvalThreshold),
+      approverCount: Number(info.approverCount)
+    };
+  }
+
+  // The employment of `employee` at `company`; isActive is false for a past employment
+  async getEmployeeInfo(company, employee) {
+    const info = await this.guard(() => this.contract.getEmployeeInfo(company, employee));
+    return {
+      employeeAddress: info.employeeAddress,
+      companyAddress: info.companyAddress,
+      lastPaymentTime: Number(info.lastPaymentTime),
+      totalReceived: Number(info.totalReceived),
+      isActive: info.isActive
+    };
+  }
+
+  // Companies that have employed `employee`, in order of first hire
+  async getEmployers(employee) {
+    return [...(await this.guard(() => this.contract.getEmployers(employee)))];
+  }
+
+  // Every current and past employment of `employee`, with the employer's name
+  async getEmployments(employee) {
+    const employers = await this.getEmployers(employee);
+    return Promise.all(
+      employers.map(async (company) => {
+        const [info, { name }] = await Promise.all([this.getEmployeeInfo(company, employee), this.getCompanyInfo(company)]);
+        return { ...info, companyName: name };
+      })
+    );
+  }
+
+  async getPaymentRecord(employee, index) {
+    const record = await this.guard(() => this.contract.paymentHistory(employee, index));
+    return {
+      index: Number(index),
+      from: record.from,
+      to: record.to,
+      encryptedAmount: ethers.toBeHex(record.encryptedAmount, 32), // net amount paid
+      timestamp: Number(record.timestamp),
+      encryptedGross: ethers.toBeHex(record.encryptedGross, 32),
+      encryptedDeductions: ethers.toBeHex(record.encryptedDeductions, 32),
+      encryptedWithholding: ethers.toBeHex(record.encryptedWithholding, 32)
+    };
+  }
+
+  async getPaymentHistoryCount(employee) {
+    return Number(await this.guard(() => this.contract.getPaymentHistoryCount(employee)));
+  }
+
+  async getBalanceRequest(requestId) {
+    const request = await this.guard(() => this.contract.getBalanceRequest(requestId));
+    return {
+      requestId: BigInt(requestId),
+      employee: request.employee,
+      company: request.company,
+      deadline: Number(request.deadline),
+      fulfilled: request.fulfilled,
+      decryptedSalary: request.decryptedSalary
+    };
+  }
+
+  // The company `account` administers (null if none) and its roles there
+  async getMemberRoles(account) {
+    const roles = await this.guard(() => this.contract.getMemberRoles(account));
+    return {
+      company: roles.company === ethers.ZeroAddress ? null : roles.company,
+      isOwner: roles.isOwner,
+      isHR: roles.isHR,
+      isPayrollApprover: roles.isPayrollApprover
+    };
+  }
+
+  // `approvals` only counts approvers who still hold the role, under the current threshold
+  async getPayrollRun(runId) {
+    const run = await this.guard(() => this.contract.getPayrollRun(runId));
+    return {
+      runId: BigInt(runId),
+      company: run.company,
+      proposer: run.proposer,
+      employees: [...run.runEmployees],
+      approvals: Number(run.approvals),
+      createdAt: Number(run.createdAt),
+      executed: run.executed,
+      cancelled: run.cancelled,
+      expiresAt: Number(run.expiresAt)
+    };
+  }
+
+  async hasApprovedRun(runId, account) {
+    return this.guard(() => this.contract.hasApprovedRun(runId, account));
+  }
+
+  // The employee's grantees (employee only); expired grants are listed until revoked
+  async getSalaryGrants(employee) {
+    const { grantees, expiresAt } = await this.guard(() => this.contract.getSalaryGrants(employee));
+    const { timestamp } = await this.runner.provider.getBlock('latest');
+    return grantees.map((grantee, index) => {
+      const expiry = Number(expiresAt[index]);
+      return { grantee, expiresAt: expiry || null, expired: expiry !== 0 && timestamp >= expiry };
+    });
+  }
+
+  // One grant, readable by the employee or the grantee
+  async getSalaryGrant(employee, grantee) {
+    const grant = await this.guard(() => this.contract.getSalaryGrant(employee, grantee));
+    return { active: grant.active, expiresAt: Number(grant.expiresAt) || null, valid: grant.valid };
+  }
+
+  async isEmployeeOf(company, employee) {
+    return this.guard(() => this.contract.checkEmployeeStatus(company, employee));
+  }
+
+  async getCompanyCount() {
+    return Number(await this.guard(() => this.contract.getCompanyCount()));
+  }
+
+  async getTokenAddress() {
+    return this.guard(() => this.contract.token());
+  }
+
+  async getMaxBatchSize() {
+    return Number(await this.guard(() => this.contract.MAX_BATCH_SIZE()));
+  }
+
+  // Encrypted salary handle; only the employee, the company and grantees may read it
+  async getEncryptedSalary(company, employee) {
+    const handle = await this.guard(() => this.contract.getEncryptedSalary(company, employee));
+    return ethers.toBeHex(handle, 32);
+  }
+
+  // Encrypted bonus, deductions and withholding rate; only the employee and the company
+  // may read them
+  async getEncryptedPayComponents(company, employee) {
+    const components = await this.guard(() => this.contract.getPayComponents(company, employee));
+    return {
+      bonus: ethers.toBeHex(components.bonus, 32),
+      deductions: ethers.toBeHex(components.deductions, 32),
+      withholding: ethers.toBeHex(components.withholding, 32)
+    };
+  }
+
+  // Encrypted treasury balance and active salary total; only the company may read them
+  async getEncryptedTreasuryBalance(company) {
+    const handle = await this.guard(() => this.contract.getTreasuryBalance(company));
+    return ethers.toBeHex(handle, 32);
+  }
+
+  async getEncryptedActiveSalaryTotal(company) {
+    const handle = await this.guard(() => this.contract.getActiveSalaryTotal(company));
+    return ethers.toBeHex(handle, 32);
+  }
+
+  async getEncryptedPeriodTotal(company, period) {
+    const handle = await this.guard(() => this.contract.getPeriodPayrollTotal(company, period));
+    return ethers.toBeHex(handle, 32);
+  }
+
+  // Pay periods are fixed PAY_PERIOD windows; period N starts at N * PAY_PERIOD
+  async getPayPeriodLength() {
+    return Number(await this.guard(() => this.contract.PAY_PERIOD()));
+  }
+
+  async getCurrentPayPeriod() {
+    return Number(await this.guard(() => this.contract.currentPayPeriod()));
+  }
+
+  // Periods in which `company` made payments, oldest first
+  async getPayrollPeriods(company) {
+    const periods = await this.guard(() => this.contract.getPayrollPeriods(company));
+    return periods.map(Number);
+  }
+
+  // The schedule that applies to `employee` (their own, else the company default) and
+  // their next pay date in unix seconds; null without a schedule. `due` means they can be
+  // paid now without hitting "Already paid this period".
+  async getPaySchedule(company, employee) {
+    const schedule = await this.guard(() => this.contract.getPaySchedule(company, employee));
+    return {
+      frequency: Number(schedule.frequency),
+      anchor: Number(schedule.anchor),
+      nextPayDate: Number(schedule.nextPayDate) || null,
+      due: schedule.due
+    };
+  }
+
+  // 'company' for owners, HR managers and approvers, 'employee' for anyone else with an
+  // active employment, or null. A company member can also be employed, so `employments`
+  // (current and past, as from getEmployments) is always filled in. `company` is the
+  // administered company's info.
+  async getUserType(address) {
+    const [roles, employments] = await Promise.all([this.getMemberRoles(address), this.getEmployments(address)]);
+    if (roles.company) {
+      const company = await this.getCompanyInfo(roles.company);
+      return { type: 'company', company, roles, employments };
+    }
+    const type = employments.some((employment) => employment.isActive) ? 'employee' : null;
+    return { type, company: null, roles: null, employments };
+  }
+
+  // ============================================
+  // WRITES
+  // ============================================
+
+  registerCompany(name) {
+    return this.guard(() => this.contract.registerCompany(name));
+  }
+
+  addEmployee(employee) {
+    return this.guard(() => this.contract.addEmployee(employee));
+  }
+
+  addEmployees(employees) {
+    return this.guard(() => this.contract.addEmployees(employees));
+  }
+
+  removeEmployee(employee) {
+    return this.guard(() => this.contract.removeEmployee(employee));
+  }
+
+  // Encrypt `amount` (uint64 base units) locally and set it as the employee's salary
+  async setSalary(employee, amount) {
+    const { handle, inputProof } = await this.encryptSalary(amount);
+    return this.guard(() => this.contract.setSalary(employee, handle, inputProof));
+  }
+
+  // Encrypt all salaries into one input so the batch shares a single proof
+  async setSalaries(employees, amounts) {
+    if (employees.length !== amounts.length) {
+      throw new PayrollError(PayrollErrorCode.LENGTH_MISMATCH, 'Length mismatch', { reason: 'Length mismatch' });
+    }
+    const { handles, inputProof } = await this.encryptSalaries(amounts);
+    return this.guard(() => this.contract.setSalaries(employees, handles, inputProof));
+  }
+
+  // Encrypt and set a PayComponent: an amount for BONUS and DEDUCTIONS, basis points
+  // for WITHHOLDING. 0 clears it.
+  async setPayComponent(employee, component, value) {
+    const { handle, inputProof } = await this.encryptUint64(value);
+    return this.guard(() => this.contract.setPayComponent(employee, component, handle, inputProof));
+  }
+
+  // Set the company default (employee null) or one employee's PayFrequency, anchored at
+  // a pay date in unix seconds
+  setPaySchedule(employee, frequency, anchor) {
+    return this.guard(() => this.contract.setPaySchedule(employee ?? ethers.ZeroAddress, frequency, anchor));
+  }
+
+  paySalary(employee) {
+    return this.guard(() => this.contract.paySalary(employee));
+  }
+
+  payEmployees(employees) {
+    return this.guard(() => this.contract.payEmployees(employees));
+  }
+
+  grantRole(account, role) {
+    return this.guard(() => this.contract.grantRole(account, role));
+  }
+
+  revokeRole(account, role) {
+    return this.guard(() => this.contract.revokeRole(account, role));
+  }
+
+  setApprovalThreshold(threshold) {
+    return this.guard(() => this.contract.setApprovalThreshold(threshold));
+  }
+
+  transferCompanyOwnership(newOwner) {
+    return this.guard(() => this.contract.transferCompanyOwnership(newOwner));
+  }
+
+  proposePayrollRun(employees) {
+    return this.guard(() => this.contract.proposePayrollRun(employees));
+  }
+
+  approvePayrollRun(runId) {
+    return this.guard(() => this.contract.approvePayrollRun(runId));
+  }
+
+  executePayrollRun(runId) {
+    return this.guard(() => this.contract.executePayrollRun(runId));
+  }
+
+  cancelPayrollRun(runId) {
+    return this.guard(() => this.contract.cancelPayrollRun(runId));
+  }
+
+  // Pull `amount` from the owner's wallet into the treasury; approve the token first
+  async depositToTreasury(amount) {
+    const { handle, inputProof } = await this.encryptUint64(amount);
+    return this.guard(() => this.contract.depositToTreasury(handle, inputProof));
+  }
+
+  // An amount above the treasury balance withdraws 0 rather than reverting
+  async withdrawFromTreasury(amount) {
+    const { handle, inputProof } = await this.encryptUint64(amount);
+    return this.guard(() => this.contract.withdrawFromTreasury(handle, inputProof));
+  }
+
+  // Share the signer's salary with `grantee`; `expiresAt` is a unix time (null for none)
+  grantSalaryAccess(grantee, expiresAt = null) {
+    return this.guard(() => this.contract.grantSalaryAccess(grantee, expiresAt ?? 0));
+  }
+
+  revokeSalaryAccess(grantee) {
+    return this.guard(() => this.contract.revokeSalaryAccess(grantee));
+  }
+
+  // Publish the signer's salary from `company` through the Gateway
+  requestMyBalance(company) {
+    return this.guard(() => this.contract.requestMyBalance(company));
+  }
+
+  // ============================================
+  // ENCRYPTION
+  // ============================================
+
+  // Encrypt a salary bound to this contract and the signer that will submit it
+  encryptSalary(amount) {
+    return this.encryptUint64(amount);
+  }
+
+  encryptSalaries(amounts) {
+    return this.encryptUint64s(amounts);
+  }
+
+  async decryptSalary(company, employee, auth) {
+    return this.decrypt(await this.getEncryptedSalary(company, employee), auth);
+  }
+
+  // Decrypt the base salary with its bonus, deductions and withholding rate
+  async decryptPayComponents(company, employee, auth) {
+    const authorization = auth || (await this.createReencryptionAuth());
+    const handles = await this.getEncryptedPayComponents(company, employee);
+    return {
+      salary: await this.decryptSalary(company, employee, authorization),
+      bonus: await this.decrypt(handles.bonus, authorization),
+      deductions: await this.decrypt(handles.deductions, authorization),
+      withholding: await this.decrypt(handles.withholding, authorization)
+    };
+  }
+
+  // Decrypt how a payment record was computed: gross, tax withheld, deductions and net
+  async decryptPayment(record, auth) {
+    const authorization = auth || (await this.createReencryptionAuth());
+    return {
+      gross: await this.decrypt(record.encryptedGross, authorization),
+      withholding: await this.decrypt(record.encryptedWithholding, authorization),
+      deductions: await this.decrypt(record.encryptedDeductions, authorization),
+      net: await this.decrypt(record.encryptedAmount, authorization)
+    };
+  }
+
+  // Decrypt the treasury and active salary total, and count the full pay runs the
+  // treasury covers (null when no salaries are set)
+  async getTreasuryStatus(company, auth) {
+    const authorization = auth || (await this.createReencryptionAuth());
+    const balance = await this.decrypt(await this.getEncryptedTreasuryBalance(company), authorization);
+    const activeSalaryTotal = await this.decrypt(await this.getEncryptedActiveSalaryTotal(company), authorization);
+    return {
+      balance,
+      activeSalaryTotal,
+      payRunsCovered: activeSalaryTotal === 0n ? null : Number(balance / activeSalaryTotal)
+    };
+  }
+
+  // Decrypt the monthly commitment (sum of active salaries) and the total paid in each
+  // of the last `limit` pay periods with payments, oldest first
+  async getPayrollAnalytics(company, { auth, limit = 12 } = {}) {
+    const authorization = auth || (await this.createReencryptionAuth());
+    const [periodLength, periods] = await Promise.all([this.getPayPeriodLength(), this.getPayrollPeriods(company)]);
+    const commitment = await this.decrypt(await this.getEncryptedActiveSalaryTotal(company), authorization);
+
+    const totals = [];
+    for (const period of periods.slice(-limit)) {
+      totals.push({
+        period,
+        start: period * periodLength,
+        end: (period + 1) * periodLength,
+        totalPaid: await this.decrypt(await this.getEncryptedPeriodTotal(company, period), authorization)
+      });
+    }
+    return { commitment, periodLength, periods: totals };
+  }
+
+  // ============================================
+  // PAYSLIPS
+  // ============================================
+
+  // Build an unsigned payslip for the employee's `index`-th payment. Decrypting the amount
+  // needs the employee or the company owner at the time of payment. The PaymentMade log is
+  // looked up from `fromBlock`, which must not be later than the contract's deployment.
+  async getPayslip(employee, index, auth, { fromBlock = this.deployBlock } = {}) {
+    const record = await this.getPaymentRecord(employee, index);
+    // PaymentMade logs match paymentHistory entries one to one, in order
+    const events = await this.queryLogs(this.contract.filters.PaymentMade(null, employee), {
+      fromBlock,
+      done: (found) => found.length > index
+    });
+    if (!events[index]) {
+      throw new Error(`No PaymentMade event for payment #${index} of ${employee}`);
+    }
+    const [company, network, amount] = await Promise.all([
+      this.getCompanyInfo(record.from),
+      this.runner.provider.getNetwork(),
+      this.decrypt(record.encryptedAmount, auth)
+    ]);
+    return {
+      version: PAYSLIP_VERSION,
+      chainId: Number(network.chainId),
+      payroll: ethers.getAddress(this.address),
+      employee: record.to,
+      company: record.from,
+      companyName: company.name,
+      paymentIndex: record.index,
+      timestamp: record.timestamp,
+      txHash: events[index].transactionHash,
+      amount: amount.toString(),
+      signatures: { employee: null, company: null }
+    };
+  }
+
+  // Sign as the employee, or co-sign as the company owner. The payslip is rebuilt from the
+  // chain first, so neither signs a payment or amount that doesn't match it.
+  async signPayslip(payslip, auth) {
+    const signer = await this.getSignerAddress();
+    const { owner } = await this.getCompanyInfo(payslip.company);
+    let role = null;
+    if (signer === ethers.getAddress(payslip.employee)) {
+      role = 'employee';
+    } else if (signer === owner) {
+      role = 'company';
+    }
+    if (!role) {
+      throw new Error('Only the employee or the company owner can sign this payslip');
+    }
+
+    const onChain = await this.getPayslip(payslip.employee, payslip.paymentIndex, auth);
+    if (payslipHash(onChain) !== payslipHash(payslip)) {
+      throw new Error('Payslip does not match the on-chain payment');
+    }
+    const signature = await this.runner.signTypedData(payslipDomain(payslip), PAYSLIP_TYPES, payslipMessage(payslip));
+    return { ...payslip, signatures: { ...payslip.signatures, [role]: signature } };
+  }
+
+  // Check a payslip without decrypting anything: the employee's signature, the company's
+  // co-signature (null when missing) and that the PaymentMade event and payment record
+  // match. The amount is only vouched for by the signatures, so a payslip without a valid
+  // co-signature is not valid. Works with a read-only provider.
+  async verifyPayslip(payslip) {
+    const errors = [];
+    const { provider } = this.runner;
+    const { chainId } = await provider.getNetwork();
+    if (payslip.chainId !== Number(chainId) || ethers.getAddress(payslip.payroll) !== ethers.getAddress(this.address)) {
+      errors.push(`Payslip was issued by ${payslip.payroll} on chain ${payslip.chainId}`);
+    }
+
+    const employeeSignature =
+      !!payslip.signatures?.employee &&
+      recoverPayslipSigner(payslip, payslip.signatures.employee) === ethers.getAddress(payslip.employee);
+    if (!employeeSignature) {
+      errors.push('Employee signature is missing or invalid');
+    }
+
+    const company = await this.getCompanyInfo(payslip.company);
+    const event = await this.findPayment(payslip);
+    if (!event) {
+      errors.push('No matching PaymentMade event and payment record on-chain');
+    } else if (company.name !== payslip.companyName) {
+      errors.push(`Company is registered as "${company.name}"`);
+    }
+
+    let companySignature = null;
+    if (!payslip.signatures?.company) {
+      errors.push('Not co-signed by the company, so the amount is unverified');
+    } else {
+      const signer = recoverPayslipSigner(payslip, payslip.signatures.company);
+      const owners = event ? await this.getCompanyOwnersSince(payslip.company, event) : [company.owner];
+      companySignature = owners.includes(signer);
+      if (!companySignature) {
+        errors.push('Company signature is not from an owner of the company since the payment');
+      }
+    }
+
+    return { valid: errors.length === 0, employeeSignature, companySignature, payment: !!event, errors };
+  }
+
+  // Accounts that owned `company` at some point from `event` on: the owner when it was
+  // emitted, then each later owner. Ownership transfers are scanned from its block.
+  async getCompanyOwnersSince(company, event) {
+    const transfers = (
+      await this.queryLogs(this.contract.filters.CompanyOwnershipTransferred(company), { fromBlock: event.blockNumber })
+    ).filter((transfer) => transfer.blockNumber > event.blockNumber || transfer.index > event.index);
+    if (transfers.length === 0) {
+      return [(await this.getCompanyInfo(company)).owner];
+    }
+    return [transfers[0].args.previousOwner, ...transfers.map((transfer) => transfer.args.newOwner)];
+  }
+
+  // The PaymentMade log the payslip's transaction emitted, if the record at paymentIndex
+  // is the same payment (null otherwise)
+  async findPayment(payslip) {
+    const receipt = await this.runner.provider.getTransactionReceipt(payslip.txHash);
+    if (!receipt || receipt.status !== 1) {
+      return null;
+    }
+    const emitted = receipt.logs
+      .filter((log) => log.address === ethers.getAddress(this.address))
+      .find((log) => {
+        const event = this.contract.interface.parseLog(log);
+        return (
+          event?.name === 'PaymentMade' &&
+          event.args.from === ethers.getAddress(payslip.company) &&
+          event.args.to === ethers.getAddress(payslip.employee) &&
+          Number(event.args.timestamp) === payslip.timestamp
+        );
+      });
+    if (!emitted) {
+      return null;
+    }
+
+    try {
+      const record = await this.getPaymentRecord(payslip.employee, payslip.paymentIndex);
+      return record.from === ethers.getAddress(payslip.company) && record.timestamp === payslip.timestamp
+        ? emitted
+        : null;
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,67 @@
+import { ethers } from 'ethers';
+import { ContractClient } from './ContractClient.js';
+
+// Client for ConfidentialToken. Balances and allowances are euint64 handles that only
+// the ACL-allowed accounts can decrypt; amounts are uint64 base units (6 decimals).
+export class TokenClient extends ContractClient {
+  // ============================================
+  // READS
+  // ============================================
+
+  async getTokenInfo() {
+    const [name, symbol, decimals, owner, totalSupply] = await this.guard(() =>
+      Promise.all([
+        this.contract.name(),
+        this.contract.symbol(),
+        this.contract.decimals(),
+        this.contract.owner(),
+        this.contract.totalSupply()
+      ])
+    );
+    return { address: this.address, name, symbol, decimals: Number(decimals), owner, totalSupply };
+  }
+
+  // Encrypted balance handle; only `account` may decrypt it
+  async getEncryptedBalance(account) {
+    const handle = await this.guard(() => this.contract.balanceOf(account));
+    return ethers.toBeHex(handle, 32);
+  }
+
+  // Encrypted allowance handle; the owner and the spender may decrypt it
+  async getEncryptedAllowance(owner, spender) {
+    const handle = await this.guard(() => this.contract.allowance(owner, spender));
+    return ethers.toBeHex(handle, 32);
+  }
+
+  async decryptBalance(account, auth) {
+    return this.decrypt(await this.getEncryptedBalance(account), auth);
+  }
+
+  async decryptAllowance(owner, spender, auth) {
+    return this.decrypt(await this.getEncryptedAllowance(owner, spender), auth);
+  }
+
+  // ============================================
+  // WRITES
+  // ============================================
+
+  mint(to, amount) {
+    return this.guard(() => this.contract.mint(to, amount));
+  }
+
+  // Encrypt `amount` locally and transfer it; an uncovered transfer moves 0
+  async transfer(to, amount) {
+    const { handle, inputProof } = await this.encryptUint64(amount);
+    return this.guard(() => this.contract['transfer(address,bytes32,bytes)'](to, handle, inputProof));
+  }
+
+  // Encrypt `amount` locally and set it as `spender`'s allowance (e.g. the payroll contract)
+  async approve(spender, amount) {
+    const { handle, inputProof } = await this.encryptUint64(amount);
+    return this.guard(() => this.contract.approve(spender, handle, inputProof));
+  }
+
+  transferOwnership(newOwner) {
+    return this.guard(() => this.contract.transferOwnership(newOwner));
+  }
+}
@@ -0,0 +1,150 @@
+import { ethers } from 'ethers';
+
+// Revert reasons raised by ConfidentialPayroll and ConfidentialToken, mapped to stable error codes
+export const PayrollErrorCode = {
+  COMPANY_NOT_REGISTERED: 'COMPANY_NOT_REGISTERED',
+  COMPANY_ALREADY_REGISTERED: 'COMPANY_ALREADY_REGISTERED',
+  EMPTY_NAME: 'EMPTY_NAME',
+  NOT_EMPLOYEES_COMPANY: 'NOT_EMPLOYEES_COMPANY',
+  NOT_ACTIVE_EMPLOYEE: 'NOT_ACTIVE_EMPLOYEE',
+  EMPLOYEE_NOT_ACTIVE: 'EMPLOYEE_NOT_ACTIVE',
+  EMPLOYEE_ALREADY_EXISTS: 'EMPLOYEE_ALREADY_EXISTS',
+  INVALID_EMPLOYEE_ADDRESS: 'INVALID_EMPLOYEE_ADDRESS',
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+  EMPTY_BATCH: 'EMPTY_BATCH',
+  BATCH_TOO_LARGE: 'BATCH_TOO_LARGE',
+  LENGTH_MISMATCH: 'LENGTH_MISMATCH',
+  UNKNOWN_REQUEST: 'UNKNOWN_REQUEST',
+  REQUEST_ALREADY_FULFILLED: 'REQUEST_ALREADY_FULFILLED',
+  INVALID_TOKEN_ADDRESS: 'INVALID_TOKEN_ADDRESS',
+  NOT_TOKEN_OWNER: 'NOT_TOKEN_OWNER',
+  INVALID_RECIPIENT: 'INVALID_RECIPIENT',
+  INVALID_OWNER: 'INVALID_OWNER',
+  AMOUNT_NOT_ALLOWED: 'AMOUNT_NOT_ALLOWED',
+  MISSING_ROLE: 'MISSING_ROLE',
+  MEMBER_OF_ANOTHER_COMPANY: 'MEMBER_OF_ANOTHER_COMPANY',
+  INVALID_ROLE: 'INVALID_ROLE',
+  INVALID_ACCOUNT: 'INVALID_ACCOUNT',
+  ROLE_ALREADY_GRANTED: 'ROLE_ALREADY_GRANTED',
+  ROLE_NOT_GRANTED: 'ROLE_NOT_GRANTED',
+  INVALID_THRESHOLD: 'INVALID_THRESHOLD',
+  THRESHOLD_EXCEEDS_APPROVERS: 'THRESHOLD_EXCEEDS_APPROVERS',
+  ALREADY_OWNER: 'ALREADY_OWNER',
+  APPROVALS_REQUIRED: 'APPROVALS_REQUIRED',
+  UNKNOWN_PAYROLL_RUN: 'UNKNOWN_PAYROLL_RUN',
+  RUN_ALREADY_EXECUTED: 'RUN_ALREADY_EXECUTED',
+  RUN_CANCELLED: 'RUN_CANCELLED',
+  RUN_EXPIRED: 'RUN_EXPIRED',
+  ALREADY_APPROVED: 'ALREADY_APPROVED',
+  NOT_ENOUGH_APPROVALS: 'NOT_ENOUGH_APPROVALS',
+  INVALID_GRANTEE: 'INVALID_GRANTEE',
+  INVALID_EXPIRY: 'INVALID_EXPIRY',
+  NO_ACTIVE_GRANT: 'NO_ACTIVE_GRANT',
+  TOO_MANY_GRANTS: 'TOO_MANY_GRANTS',
+  INVALID_ANCHOR: 'INVALID_ANCHOR',
+  ALREADY_PAID_THIS_PERIOD: 'ALREADY_PAID_THIS_PERIOD',
+  USER_REJECTED: 'USER_REJECTED',
+  TRANSACTION_REPLACED: 'TRANSACTION_REPLACED',
+  UNKNOWN: 'UNKNOWN'
+};
+
+const REVERT_REASONS = {
+  'Company not registered': PayrollErrorCode.COMPANY_NOT_REGISTERED,
+  'Company already registered': PayrollErrorCode.COMPANY_ALREADY_REGISTERED,
+  'Name cannot be empty': PayrollErrorCode.EMPTY_NAME,
+  "Not employee's company": PayrollErrorCode.NOT_EMPLOYEES_COMPANY,
+  'Not an active employee': PayrollErrorCode.NOT_ACTIVE_EMPLOYEE,
+  'Employee not active': PayrollErrorCode.EMPLOYEE_NOT_ACTIVE,
+  'Employee already exists': PayrollErrorCode.EMPLOYEE_ALREADY_EXISTS,
+  'Invalid employee address': PayrollErrorCode.INVALID_EMPLOYEE_ADDRESS,
+  'Not authorized': PayrollErrorCode.NOT_AUTHORIZED,
+  'Empty batch': PayrollErrorCode.EMPTY_BATCH,
+  'Batch too large': PayrollErrorCode.BATCH_TOO_LARGE,
+  'Length mismatch': PayrollErrorCode.LENGTH_MISMATCH,
+  'Unknown request': PayrollErrorCode.UNKNOWN_REQUEST,
+  'Request already fulfilled': PayrollErrorCode.REQUEST_ALREADY_FULFILLED,
+  'Invalid token address': PayrollErrorCode.INVALID_TOKEN_ADDRESS,
+  'Not token owner': PayrollErrorCode.NOT_TOKEN_OWNER,
+  'Invalid recipient': PayrollErrorCode.INVALID_RECIPIENT,
+  'Invalid owner': PayrollErrorCode.INVALID_OWNER,
+  'Amount not allowed': PayrollErrorCode.AMOUNT_NOT_ALLOWED,
+  'Missing role': PayrollErrorCode.MISSING_ROLE,
+  'Member of another company': PayrollErrorCode.MEMBER_OF_ANOTHER_COMPANY,
+  'Owner holds every role': PayrollErrorCode.INVALID_ROLE,
+  'Use transferCompanyOwnership': PayrollErrorCode.INVALID_ROLE,
+  'Invalid account': PayrollErrorCode.INVALID_ACCOUNT,
+  'Role already granted': PayrollErrorCode.ROLE_ALREADY_GRANTED,
+  'Role not granted': PayrollErrorCode.ROLE_NOT_GRANTED,
+  'Invalid threshold': PayrollErrorCode.INVALID_THRESHOLD,
+  'Threshold exceeds approvers': PayrollErrorCode.THRESHOLD_EXCEEDS_APPROVERS,
+  'Already the owner': PayrollErrorCode.ALREADY_OWNER,
+  'Approvals required': PayrollErrorCode.APPROVALS_REQUIRED,
+  'Unknown payroll run': PayrollErrorCode.UNKNOWN_PAYROLL_RUN,
+  'Run already executed': PayrollErrorCode.RUN_ALREADY_EXECUTED,
+  'Run cancelled': PayrollErrorCode.RUN_CANCELLED,
+  'Run expired': PayrollErrorCode.RUN_EXPIRED,
+  'Already approved': PayrollErrorCode.ALREADY_APPROVED,
+  'Not enough approvals': PayrollErrorCode.NOT_ENOUGH_APPROVALS,
+  'Invalid grantee': PayrollErrorCode.INVALID_GRANTEE,
+  'Invalid expiry': PayrollErrorCode.INVALID_EXPIRY,
+  'No active grant': PayrollErrorCode.NO_ACTIVE_GRANT,
+  'Too many grants': PayrollErrorCode.TOO_MANY_GRANTS,
+  'Invalid anchor': PayrollErrorCode.INVALID_ANCHOR,
+  'Already paid this period': PayrollErrorCode.ALREADY_PAID_THIS_PERIOD
+};
+
+export class PayrollError extends Error {
+  constructor(code, message, { reason = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'PayrollError';
+    this.code = code;
+    this.reason = reason;
+  }
+}
+
+const errorStringInterface = new ethers.Interface(['error Error(string)']);
+
+// Dig the Error(string) reason out of the shapes ethers, MetaMask and Hardhat produce
+export const extractRevertReason = (error) => {
+  for (let current = error; current; current = current.error || current.info?.error || current.cause) {
+    if (typeof current.reason === 'string' && current.reason) {
+      return current.reason;
+    }
+    if (current.revert?.args?.length) {
+      return String(current.revert.args[0]);
+    }
+    const data = typeof current.data === 'string' ? current.data : current.data?.data;
+    if (typeof data === 'string' && data.startsWith('0x08c379a0')) {
+      return errorStringInterface.decodeErrorResult('Error', data)[0];
+    }
+    const match = /reverted with reason string '(.+?)'/.exec(current.message || '');
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+// Wrap any contract/provider error in a PayrollError with a stable code
+export const toPayrollError = (error) => {
+  if (error instanceof PayrollError) {
+    return error;
+  }
+  if (error?.code === 'ACTION_REJECTED') {
+    return new PayrollError(PayrollErrorCode.USER_REJECTED, 'Transaction rejected in wallet', { cause: error });
+  }
+  // Sped up ('repriced'), cancelled or replaced in the wallet; the cause keeps the replacement receipt
+  if (error?.code === 'TRANSACTION_REPLACED') {
+    return new PayrollError(PayrollErrorCode.TRANSACTION_REPLACED, `Transaction ${error.reason} in wallet`, { cause: error });
+  }
+
+  const reason = extractRevertReason(error);
+  if (reason) {
+    return new PayrollError(REVERT_REASONS[reason] || PayrollErrorCode.UNKNOWN, reason, { reason, cause: error });
+  }
+  return new PayrollError(
+    PayrollErrorCode.UNKNOWN,
+    error?.shortMessage || error?.message || 'Unknown error',
+    { cause: error }
+  );
+};
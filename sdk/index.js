@@ -0,0 +1,25 @@
+// Public surface of the ConfidentialPayroll JavaScript SDK
+export { ContractClient, LOG_QUERY_WINDOW } from './ContractClient.js';
+export { PayrollClient, CompanyRole, PayComponent, PayFrequency } from './PayrollClient.js';
+export { TokenClient } from './TokenClient.js';
+export { PayrollError, PayrollErrorCode, toPayrollError, extractRevertReason } from './errors.js';
+export {
+  SALARY_DECIMALS,
+  MAX_UINT64,
+  BASIS_POINTS,
+  MAX_PAY,
+  parseSalary,
+  formatSalary,
+  parseWithholding,
+  formatWithholding
+} from './salary.js';
+export {
+  PAYSLIP_VERSION,
+  PAYSLIP_TYPES,
+  payslipDomain,
+  payslipMessage,
+  payslipHash,
+  recoverPayslipSigner,
+  parsePayslip,
+  payslipToJson
+} from './payslip.js';
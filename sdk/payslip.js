@@ -0,0 +1,66 @@
+import { ethers } from 'ethers';
+
+// A payslip is a plain JSON document describing one PaymentRecord with its decrypted
+// amount, signed with EIP-712 by the employee and optionally co-signed by the company
+// owner. The amount itself is encrypted on-chain, so the signatures are what vouch for
+// it; everything else can be checked against the PaymentMade event.
+export const PAYSLIP_VERSION = 1;
+
+export const PAYSLIP_TYPES = {
+  Payslip: [
+    { name: 'employee', type: 'address' },
+    { name: 'company', type: 'address' },
+    { name: 'companyName', type: 'string' },
+    { name: 'paymentIndex', type: 'uint256' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'txHash', type: 'bytes32' },
+    { name: 'amount', type: 'uint64' }
+  ]
+};
+
+// Bound to the chain and payroll contract that made the payment
+export const payslipDomain = (payslip) => ({
+  name: 'ConfidentialPayroll Payslip',
+  version: String(PAYSLIP_VERSION),
+  chainId: payslip.chainId,
+  verifyingContract: payslip.payroll
+});
+
+export const payslipMessage = (payslip) => ({
+  employee: payslip.employee,
+  company: payslip.company,
+  companyName: payslip.companyName,
+  paymentIndex: payslip.paymentIndex,
+  timestamp: payslip.timestamp,
+  txHash: payslip.txHash,
+  amount: BigInt(payslip.amount)
+});
+
+// The address that produced `signature` over the payslip, or null if it doesn't parse
+export const recoverPayslipSigner = (payslip, signature) => {
+  try {
+    return ethers.verifyTypedData(payslipDomain(payslip), PAYSLIP_TYPES, payslipMessage(payslip), signature);
+  } catch {
+    return null;
+  }
+};
+
+// EIP-712 digest the signatures cover; equal digests mean the same statement
+export const payslipHash = (payslip) =>
+  ethers.TypedDataEncoder.hash(payslipDomain(payslip), PAYSLIP_TYPES, payslipMessage(payslip));
+
+// Payslips are exchanged as JSON; amounts are strings so they survive JSON.parse
+export const parsePayslip = (text) => {
+  const payslip = typeof text === 'string' ? JSON.parse(text) : text;
+  if (payslip?.version !== PAYSLIP_VERSION) {
+    throw new Error(`Unsupported payslip version ${payslip?.version}`);
+  }
+  for (const field of ['chainId', 'payroll', 'employee', 'company', 'paymentIndex', 'timestamp', 'txHash', 'amount']) {
+    if (payslip[field] === undefined || payslip[field] === null) {
+      throw new Error(`Payslip is missing "${field}"`);
+    }
+  }
+  return { ...payslip, signatures: { employee: null, company: null, ...payslip.signatures } };
+};
+
+export const payslipToJson = (payslip) => JSON.stringify(payslip, null, 2);
@@ -0,0 +1,56 @@
+import { ethers } from 'ethers';
+
+// Salaries are entered in whole units and stored on-chain as uint64 base units
+export const SALARY_DECIMALS = 6;
+export const MAX_UINT64 = 2n ** 64n - 1n;
+
+// Withholding rates are stored in basis points (1% = 100)
+export const BASIS_POINTS = 10000n;
+
+// Mirrors MAX_PAY in ConfidentialPayroll.sol, which caps salaries and bonuses at 900M
+export const MAX_PAY = 900_000_000n * 10n ** BigInt(SALARY_DECIMALS);
+
+// Format uint64 base units back into a human-readable salary
+export const formatSalary = (amount) => ethers.formatUnits(amount, SALARY_DECIMALS);
+
+// Parse a human-entered salary into uint64 base units, rejecting anything above `max`.
+// Bonuses and deductions pass `allowZero` so they can be cleared; salaries and bonuses
+// pass `max: MAX_PAY`, since the contract caps them there.
+export const parseSalary = (value, { allowZero = false, max = MAX_UINT64 } = {}) => {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Please enter a salary amount');
+  }
+  if (!/^\d+(\.\d+)?$/.test(trimmed)) {
+    throw new Error('Salary must be a positive number');
+  }
+
+  const [, fraction = ''] = trimmed.split('.');
+  if (fraction.length > SALARY_DECIMALS) {
+    throw new Error(`Salary supports at most ${SALARY_DECIMALS} decimal places`);
+  }
+
+  const amount = ethers.parseUnits(trimmed, SALARY_DECIMALS);
+  if (amount === 0n && !allowZero) {
+    throw new Error('Salary must be greater than zero');
+  }
+  if (amount > max) {
+    throw new Error(`Salary exceeds the maximum of ${formatSalary(max)}`);
+  }
+  return amount;
+};
+
+// Parse a percentage such as "22.5" into basis points
+export const parseWithholding = (value) => {
+  const trimmed = String(value ?? '').trim();
+  if (!/^\d+(\.\d{1,2})?$/.test(trimmed)) {
+    throw new Error('Withholding must be a percentage with at most 2 decimal places');
+  }
+  const rate = ethers.parseUnits(trimmed, 2);
+  if (rate > BASIS_POINTS) {
+    throw new Error('Withholding cannot exceed 100%');
+  }
+  return rate;
+};
+
+export const formatWithholding = (rate) => `${ethers.formatUnits(rate, 2).replace(/\.0$/, '')}%`;
@@ -0,0 +1,665 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { getDeployment, resolveAddress } = require("../scripts/lib/registry");
+
+// fhEVM services per chainId, used to encrypt inputs locally
+const FHEVM_CONFIG = {
+  8009: {
+    gatewayUrl: "https://gateway.devnet.zama.ai",
+    aclAddress: "0x2Fb4341027eb1d2aD8B5D9708187df8633cAFA92",
+  },
+};
+
+// The SDK is an ES module, so CommonJS tasks load it lazily
+const loadSdk = () => import("../sdk/index.js");
+
+// --fhevm-mock: Hardhat networks have no coprocessor or Gateway, so FHE operations run
+// against the plaintext mocks (scripts/lib/fhevmMock.js), which refuse any other network
+async function installMocks() {
+  // Required lazily: the helper loads hardhat, which is still loading this file
+  const fhevm = require("../scripts/lib/fhevmMock");
+  await fhevm.installFhevmMocks();
+  return fhevm;
+}
+
+async function getPayroll(hre, taskArgs) {
+  if (taskArgs.fhevmMock) {
+    await installMocks();
+  }
+  const { PayrollClient } = await loadSdk();
+  const address = taskArgs.contract || (await resolveAddress(hre));
+  const [signer] = await hre.ethers.getSigners();
+  const payroll = await hre.ethers.getContractAt("ConfidentialPayroll", address, signer);
+  // Event scans start at the recorded deployment block when the task targets that deployment
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = getDeployment(chainId);
+  const deployBlock = deployment?.address.toLowerCase() === address.toLowerCase() ? deployment.blockNumber : 0;
+  const client = new PayrollClient(payroll, {
+    fhevm: () => createFhevmInstance(hre, taskArgs),
+    deployBlock,
+  });
+  return { payroll, client, signer, address };
+}
+
+// The payroll contract's settlement token, signed by the same account
+async function getToken(hre, { client, signer }) {
+  const { TokenClient } = await loadSdk();
+  const address = await client.getTokenAddress();
+  const token = await hre.ethers.getContractAt("ConfidentialToken", address, signer);
+  return new TokenClient(token, { fhevm: client.fhevm });
+}
+
+function print(taskArgs, result, lines) {
+  if (taskArgs.json) {
+    console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+  } else {
+    lines.forEach((line) => console.log(line));
+  }
+}
+
+async function send(taskArgs, client, action, txPromise) {
+  const tx = await txPromise;
+  const receipt = await client.wait(tx);
+  const result = {
+    ok: true,
+    action,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+  };
+  print(taskArgs, result, [`✅ ${action} confirmed in block ${receipt.blockNumber}`, `   tx: ${receipt.hash}`]);
+  return result;
+}
+
+// Defines a payroll task with the shared --contract/--json/--fhevm-mock options and JSON
+// error output
+function payrollTask(name, description, addParams, action) {
+  const definition = task(name, description)
+    .addOptionalParam("contract", "ConfidentialPayroll address (defaults to the deployment registry)")
+    .addFlag("json", "Print machine-readable JSON")
+    .addFlag("fhevmMock", "Encrypt and decrypt through the plaintext fhEVM mocks (hardhat and localhost only)");
+  addParams(definition);
+
+  definition.setAction(async (taskArgs, hre) => {
+    try {
+      return await action(taskArgs, hre, await getPayroll(hre, taskArgs));
+    } catch (error) {
+      if (!taskArgs.json) {
+        throw error;
+      }
+      const { toPayrollError } = await loadSdk();
+      const { code, message } = toPayrollError(error);
+      console.log(JSON.stringify({ ok: false, task: name, code, error: message }));
+      process.exitCode = 1;
+    }
+  });
+}
+
+async function createFhevmInstance(hre, taskArgs) {
+  if (taskArgs.fhevmMock) {
+    return (await installMocks()).createInstance();
+  }
+
+  const { createInstance } = require("fhevmjs");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const fhevm = FHEVM_CONFIG[Number(chainId)];
+  if (!fhevm) {
+    throw new Error(
+      `No fhEVM configuration for chainId ${chainId}; pass --fhevm-mock to use the mocks on a local Hardhat network`
+    );
+  }
+
+  return createInstance({
+    chainId: Number(chainId),
+    networkUrl: hre.network.config.url,
+    gatewayUrl: fhevm.gatewayUrl,
+    aclAddress: fhevm.aclAddress,
+  });
+}
+
+payrollTask(
+  "payroll:register",
+  "Register the signer as a company",
+  (definition) => definition.addParam("name", "Company name"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "register", client.registerCompany(taskArgs.name))
+);
+
+payrollTask(
+  "payroll:add-employee",
+  "Add an employee to the signer's company",
+  (definition) => definition.addParam("employee", "Employee address"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "add-employee", client.addEmployee(taskArgs.employee))
+);
+
+payrollTask(
+  "payroll:remove-employee",
+  "Remove an employee from the signer's company",
+  (definition) => definition.addParam("employee", "Employee address"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "remove-employee", client.removeEmployee(taskArgs.employee))
+);
+
+payrollTask(
+  "payroll:set-salary",
+  "Encrypt a salary locally and set it for an employee",
+  (definition) =>
+    definition
+      .addParam("employee", "Employee address")
+      .addParam("amount", "Salary in whole units (up to 6 decimals)"),
+  async (taskArgs, hre, { client }) => {
+    const { MAX_PAY, parseSalary } = await loadSdk();
+    const amount = parseSalary(taskArgs.amount, { max: MAX_PAY });
+    return send(taskArgs, client, "set-salary", client.setSalary(taskArgs.employee, amount));
+  }
+);
+
+// Component names accepted by --component
+const COMPONENT_NAMES = { bonus: "BONUS", deductions: "DEDUCTIONS", withholding: "WITHHOLDING" };
+
+payrollTask(
+  "payroll:set-component",
+  "Encrypt a bonus, recurring deductions or a withholding rate locally and set it for an employee",
+  (definition) =>
+    definition
+      .addParam("employee", "Employee address")
+      .addParam("component", "bonus, deductions or withholding")
+      .addParam("value", "Amount in whole units, or a percentage for withholding (0 clears it)"),
+  async (taskArgs, hre, { client }) => {
+    const { PayComponent, MAX_PAY, parseSalary, parseWithholding } = await loadSdk();
+    const key = COMPONENT_NAMES[String(taskArgs.component).toLowerCase()];
+    if (!key) {
+      throw new Error(`Unknown component "${taskArgs.component}"; use one of: ${Object.keys(COMPONENT_NAMES).join(", ")}`);
+    }
+    const value =
+      key === "WITHHOLDING"
+        ? parseWithholding(taskArgs.value)
+        : parseSalary(taskArgs.value, { allowZero: true, max: key === "BONUS" ? MAX_PAY : undefined });
+    return send(
+      taskArgs,
+      client,
+      "set-component",
+      client.setPayComponent(taskArgs.employee, PayComponent[key], value)
+    );
+  }
+);
+
+// Frequency names accepted by --frequency
+const FREQUENCY_NAMES = { none: "NONE", weekly: "WEEKLY", biweekly: "BIWEEKLY", monthly: "MONTHLY" };
+
+payrollTask(
+  "payroll:set-schedule",
+  "Set the company's default pay schedule, or one employee's (see scripts/keeper.js)",
+  (definition) =>
+    definition
+      .addParam("frequency", "weekly, biweekly, monthly or none (clears the schedule)")
+      .addOptionalParam("anchor", "ISO date or datetime (UTC) of a pay date, e.g. the first one")
+      .addOptionalParam("employee", "Employee address (default: the company default schedule)"),
+  async (taskArgs, hre, { client }) => {
+    const { PayFrequency } = await loadSdk();
+    const key = FREQUENCY_NAMES[String(taskArgs.frequency).toLowerCase()];
+    if (!key) {
+      throw new Error(`Unknown frequency "${taskArgs.frequency}"; use one of: ${Object.keys(FREQUENCY_NAMES).join(", ")}`);
+    }
+    const anchor = key === "NONE" ? 0 : parseDate(taskArgs.anchor, "--anchor");
+    if (anchor === null) {
+      throw new Error("--anchor is required unless --frequency is none");
+    }
+    return send(
+      taskArgs,
+      client,
+      "set-schedule",
+      client.setPaySchedule(taskArgs.employee || null, PayFrequency[key], anchor)
+    );
+  }
+);
+
+payrollTask(
+  "payroll:pay",
+  "Pay an employee's salary",
+  (definition) => definition.addParam("employee", "Employee address"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "pay", client.paySalary(taskArgs.employee))
+);
+
+payrollTask(
+  "payroll:status",
+  "Show company and employee records for an address",
+  (definition) => definition.addOptionalParam("address", "Address to inspect (defaults to the signer)"),
+  async (taskArgs, hre, { client, signer }) => {
+    const address = taskArgs.address || signer.address;
+    const roles = await client.getMemberRoles(address);
+    const company = roles.company ? await client.getCompanyInfo(roles.company) : null;
+    const employments = await client.getEmployments(address);
+
+    const result = { ok: true, address, roles, company, employments };
+
+    const lines = [`📋 ${address}`];
+    if (company) {
+      const held = [roles.isOwner && "owner", roles.isHR && "HR", roles.isPayrollApprover && "payroll approver"];
+      lines.push(
+        `🏢 Company "${company.name}" (${company.address}): ${company.employeeCount} employee(s), ${company.totalPayments} payment(s)`,
+        `🔑 Roles: ${held.filter(Boolean).join(", ")}; payroll runs need ${company.approvalThreshold} of ${company.approverCount + 1} approvals`
+      );
+    }
+    for (const employment of employments) {
+      const lastPaid = employment.lastPaymentTime > 0
+        ? new Date(employment.lastPaymentTime * 1000).toISOString()
+        : "never";
+      lines.push(
+        `👤 ${employment.isActive ? "Employee" : "Former employee"} of "${employment.companyName}" (${employment.companyAddress}): ${employment.totalReceived} payment(s), last paid ${lastPaid}`
+      );
+    }
+    if (!company && employments.length === 0) {
+      lines.push("ℹ️  Not a registered company or employee");
+    }
+    print(taskArgs, result, lines);
+    return result;
+  }
+);
+
+payrollTask(
+  "payroll:history",
+  "List payments received by an employee",
+  (definition) =>
+    definition
+      .addOptionalParam("employee", "Employee address (defaults to the signer)")
+      .addOptionalParam("limit", "Only show the most recent N payments", 0, types.int)
+      .addFlag("decrypt", "Decrypt gross, withholding, deductions and net (employee or company owner)"),
+  async (taskArgs, hre, { payroll, client, signer }) => {
+    const { formatSalary } = await loadSdk();
+    const employee = taskArgs.employee || signer.address;
+    const count = await client.getPaymentHistoryCount(employee);
+    const limit = taskArgs.limit > 0 ? Math.min(taskArgs.limit, count) : count;
+
+    // PaymentMade logs match paymentHistory entries one to one; page back from the latest
+    // block only until the most recent `limit` are found
+    const events = (
+      await client.queryLogs(payroll.filters.PaymentMade(null, employee), {
+        newestFirst: true,
+        done: (found) => found.length >= limit,
+      })
+    )
+      .slice(0, limit)
+      .reverse();
+    const payments = await Promise.all(
+      events.map(async (event, position) => ({
+        ...(await client.getPaymentRecord(employee, count - events.length + position)),
+        txHash: event.transactionHash,
+      }))
+    );
+    if (taskArgs.decrypt) {
+      const auth = await client.createReencryptionAuth();
+      for (const payment of payments) {
+        payment.breakdown = await client.decryptPayment(payment, auth);
+      }
+    }
+
+    const result = { ok: true, employee, count, payments };
+    print(taskArgs, result, [
+      `📜 ${count} payment(s) to ${employee}`,
+      ...payments.flatMap((payment) => [
+        `  #${payment.index} ${new Date(payment.timestamp * 1000).toISOString()} from ${payment.from} (tx ${payment.txHash})`,
+        ...(payment.breakdown
+          ? [
+              `     gross ${formatSalary(payment.breakdown.gross)}, withheld ${formatSalary(payment.breakdown.withholding)}, ` +
+                `deductions ${formatSalary(payment.breakdown.deductions)}, net ${formatSalary(payment.breakdown.net)}`,
+            ]
+          : []),
+      ]),
+    ]);
+    return result;
+  }
+);
+
+payrollTask(
+  "payroll:mint",
+  "Mint payroll tokens to an account (token owner only)",
+  (definition) =>
+    definition
+      .addParam("to", "Recipient address")
+      .addParam("amount", "Amount in whole units (up to 6 decimals)"),
+  async (taskArgs, hre, payroll) => {
+    const { parseSalary } = await loadSdk();
+    const token = await getToken(hre, payroll);
+    return send(taskArgs, token, "mint", token.mint(taskArgs.to, parseSalary(taskArgs.amount)));
+  }
+);
+
+payrollTask(
+  "payroll:approve",
+  "Encrypt an allowance locally and approve the payroll contract to pull treasury deposits",
+  (definition) => definition.addParam("amount", "Allowance in whole units (up to 6 decimals)"),
+  async (taskArgs, hre, payroll) => {
+    const { parseSalary } = await loadSdk();
+    const token = await getToken(hre, payroll);
+    return send(taskArgs, token, "approve", token.approve(payroll.address, parseSalary(taskArgs.amount)));
+  }
+);
+
+payrollTask(
+  "payroll:balance",
+  "Show an account's encrypted token balance, decrypting it when it belongs to the signer",
+  (definition) => definition.addOptionalParam("address", "Account to inspect (defaults to the signer)"),
+  async (taskArgs, hre, payroll) => {
+    const { formatSalary } = await loadSdk();
+    const token = await getToken(hre, payroll);
+    const info = await token.getTokenInfo();
+    const address = taskArgs.address || payroll.signer.address;
+    const handle = await token.getEncryptedBalance(address);
+
+    // Only the holder can reencrypt their balance
+    const isSigner = address.toLowerCase() === payroll.signer.address.toLowerCase();
+    const balance = isSigner ? await token.decryptBalance(address) : null;
+
+    const result = { ok: true, token: info.address, symbol: info.symbol, address, handle, balance };
+    print(taskArgs, result, [
+      `🪙 ${info.name} (${info.symbol}) at ${info.address}`,
+      `🔒 Encrypted balance handle of ${address}: ${handle}`,
+      balance === null
+        ? "ℹ️  Only the account holder can decrypt this balance"
+        : `💵 Balance: ${formatSalary(balance)} ${info.symbol}`,
+    ]);
+    return result;
+  }
+);
+
+payrollTask(
+  "payroll:deposit",
+  "Approve and deposit tokens from the signer's wallet into the company treasury",
+  (definition) => definition.addParam("amount", "Amount in whole units (up to 6 decimals)"),
+  async (taskArgs, hre, payroll) => {
+    const { parseSalary } = await loadSdk();
+    const amount = parseSalary(taskArgs.amount);
+    const token = await getToken(hre, payroll);
+    await token.wait(await token.approve(payroll.address, amount));
+    return send(taskArgs, payroll.client, "deposit", payroll.client.depositToTreasury(amount));
+  }
+);
+
+payrollTask(
+  "payroll:withdraw",
+  "Withdraw tokens from the company treasury to the signer's wallet",
+  (definition) => definition.addParam("amount", "Amount in whole units (up to 6 decimals)"),
+  async (taskArgs, hre, { client }) => {
+    const { parseSalary } = await loadSdk();
+    return send(taskArgs, client, "withdraw", client.withdrawFromTreasury(parseSalary(taskArgs.amount)));
+  }
+);
+
+payrollTask(
+  "payroll:treasury",
+  "Decrypt the owner's treasury balance and check its runway against active salaries",
+  () => {},
+  async (taskArgs, hre, { client, signer }) => {
+    const { formatSalary } = await loadSdk();
+    const { company } = await client.getMemberRoles(signer.address);
+    const { balance, activeSalaryTotal, payRunsCovered } = await client.getTreasuryStatus(company || signer.address);
+
+    const result = { ok: true, company, balance, activeSalaryTotal, payRunsCovered };
+    const lines = [
+      `🏦 Treasury of ${company}: ${formatSalary(balance)}`,
+      `👥 Active salaries per run: ${formatSalary(activeSalaryTotal)}`,
+    ];
+    if (payRunsCovered === null) {
+      lines.push("ℹ️  No salaries set");
+    } else if (payRunsCovered === 0) {
+      lines.push("⚠️  The treasury cannot cover a full payroll run; uncovered payments transfer 0");
+    } else {
+      lines.push(`📅 Runway: ${payRunsCovered} payroll run(s)`);
+    }
+    print(taskArgs, result, lines);
+    return result;
+  }
+);
+
+payrollTask(
+  "payroll:analytics",
+  "Decrypt the owner's monthly payroll commitment and the total paid per pay period",
+  (definition) => definition.addOptionalParam("limit", "Only show the most recent N periods", 12, types.int),
+  async (taskArgs, hre, { client, signer }) => {
+    const { formatSalary } = await loadSdk();
+    const { company } = await client.getMemberRoles(signer.address);
+    const { commitment, periods } = await client.getPayrollAnalytics(company || signer.address, { limit: taskArgs.limit });
+
+    const result = { ok: true, company, commitment, periods };
+    const lines = [`👥 Monthly commitment of ${company}: ${formatSalary(commitment)}`];
+    if (periods.length === 0) {
+      lines.push("ℹ️  No payments yet");
+    }
+    for (const { start, end, totalPaid } of periods) {
+      const [from, to] = [start, end - 1].map((time) => new Date(time * 1000).toISOString().slice(0, 10));
+      lines.push(`📅 ${from} → ${to}: ${formatSalary(totalPaid)} paid`);
+    }
+    print(taskArgs, result, lines);
+    return result;
+  }
+);
+
+// --anchor and --expires accept an ISO date or datetime; returns unix seconds, or null when omitted
+function parseDate(value, option) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${option} "${value}"; use an ISO date such as 2026-12-31`);
+  }
+  return Math.floor(time / 1000);
+}
+
+payrollTask(
+  "payroll:grant-access",
+  "Let a third party (lender, landlord, auditor) decrypt the signer's salary",
+  (definition) =>
+    definition
+      .addParam("grantee", "Address to share the salary with")
+      .addOptionalParam("expires", "ISO date the access ends (default: never)"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "grant-access", client.grantSalaryAccess(taskArgs.grantee, parseDate(taskArgs.expires, "--expires")))
+);
+
+payrollTask(
+  "payroll:revoke-access",
+  "Stop sharing the signer's salary with a grantee",
+  (definition) => definition.addParam("grantee", "Address to revoke"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "revoke-access", client.revokeSalaryAccess(taskArgs.grantee))
+);
+
+payrollTask(
+  "payroll:grants",
+  "List who the signer shares their salary with",
+  () => {},
+  async (taskArgs, hre, { client, signer }) => {
+    const grants = await client.getSalaryGrants(signer.address);
+    const result = { ok: true, employee: signer.address, grants };
+    const lines = grants.length === 0 ? ["ℹ️  Salary not shared with anyone"] : [];
+    for (const { grantee, expiresAt, expired } of grants) {
+      const until = expiresAt ? new Date(expiresAt * 1000).toISOString() : "no expiry";
+      lines.push(`${expired ? "⌛" : "🔓"} ${grantee} (${expired ? "expired" : "until"} ${until})`);
+    }
+    print(taskArgs, result, lines);
+    return result;
+  }
+);
+
+payrollTask(
+  "payroll:verify-salary",
+  "Decrypt the salaries an employee shared with the signer, one per current employer",
+  (definition) => definition.addParam("employee", "Employee who shared their salary"),
+  async (taskArgs, hre, { client, signer }) => {
+    const { formatSalary } = await loadSdk();
+    const grant = await client.getSalaryGrant(taskArgs.employee, signer.address);
+    const employments = (await client.getEmployments(taskArgs.employee)).filter((employment) => employment.isActive);
+
+    const auth = await client.createReencryptionAuth();
+    const salaries = [];
+    for (const { companyAddress, companyName } of employments) {
+      salaries.push({
+        company: companyAddress,
+        companyName,
+        salary: await client.decryptSalary(companyAddress, taskArgs.employee, auth),
+      });
+    }
+
+    const result = { ok: true, employee: taskArgs.employee, salaries, expiresAt: grant.expiresAt };
+    print(taskArgs, result, [
+      ...salaries.map(({ companyName, salary }) => `💰 Salary of ${taskArgs.employee} from "${companyName}": ${formatSalary(salary)}`),
+      grant.expiresAt ? `⌛ Access until ${new Date(grant.expiresAt * 1000).toISOString()}` : "🔓 Access has no expiry",
+    ]);
+    return result;
+  }
+);
+
+// Write a payslip to --out, or print it when no file is given
+async function writePayslip(taskArgs, payslip, action) {
+  const { payslipToJson } = await loadSdk();
+  const result = { ok: true, action, payslip };
+  if (taskArgs.out) {
+    fs.writeFileSync(taskArgs.out, payslipToJson(payslip));
+    print(taskArgs, result, [`🧾 ${action}: payslip #${payslip.paymentIndex} written to ${taskArgs.out}`]);
+  } else {
+    print(taskArgs, result, [payslipToJson(payslip)]);
+  }
+  return result;
+}
+
+payrollTask(
+  "payroll:payslip",
+  "Decrypt one of the signer's payments and sign it as a payslip",
+  (definition) =>
+    definition
+      .addParam("index", "Payment index (see payroll:history)", undefined, types.int)
+      .addOptionalParam("out", "File to write the payslip JSON to"),
+  async (taskArgs, hre, { client, signer }) => {
+    const payslip = await client.getPayslip(signer.address, taskArgs.index);
+    return writePayslip(taskArgs, await client.signPayslip(payslip), "payslip");
+  }
+);
+
+payrollTask(
+  "payroll:cosign-payslip",
+  "Co-sign an employee's payslip as the company owner",
+  (definition) =>
+    definition
+      .addParam("file", "Payslip JSON signed by the employee")
+      .addOptionalParam("out", "File to write the co-signed payslip to (default: overwrite --file)"),
+  async (taskArgs, hre, { client }) => {
+    const { parsePayslip } = await loadSdk();
+    const payslip = parsePayslip(fs.readFileSync(taskArgs.file, "utf8"));
+    const cosigned = await client.signPayslip(payslip);
+    return writePayslip({ ...taskArgs, out: taskArgs.out || taskArgs.file }, cosigned, "cosign-payslip");
+  }
+);
+
+payrollTask(
+  "payroll:verify-payslip",
+  "Check a payslip's signatures and its on-chain payment",
+  (definition) => definition.addParam("file", "Payslip JSON"),
+  async (taskArgs, hre, { client }) => {
+    const { parsePayslip, formatSalary } = await loadSdk();
+    const payslip = parsePayslip(fs.readFileSync(taskArgs.file, "utf8"));
+    const verification = await client.verifyPayslip(payslip);
+
+    const result = { ok: verification.valid, ...verification };
+    const lines = [
+      `🧾 ${formatSalary(payslip.amount)} from "${payslip.companyName}" to ${payslip.employee} on ${new Date(payslip.timestamp * 1000).toISOString()}`,
+      `${verification.employeeSignature ? "✅" : "❌"} Employee signature`,
+      verification.companySignature === null
+        ? "❌ Not co-signed by the company (amount unverified)"
+        : `${verification.companySignature ? "✅" : "❌"} Company co-signature`,
+      `${verification.payment ? "✅" : "❌"} PaymentMade event in ${payslip.txHash}`,
+      ...verification.errors.map((error) => `   ${error}`),
+    ];
+    print(taskArgs, result, lines);
+    if (!verification.valid) {
+      process.exitCode = 1;
+    }
+    return result;
+  }
+);
+
+// Role names accepted by --role
+const ROLE_NAMES = { hr: "HR", approver: "PAYROLL_APPROVER" };
+
+async function parseRole(name) {
+  const { CompanyRole } = await loadSdk();
+  const key = ROLE_NAMES[String(name).toLowerCase()];
+  if (!key) {
+    throw new Error(`Unknown role "${name}"; use one of: ${Object.keys(ROLE_NAMES).join(", ")}`);
+  }
+  return CompanyRole[key];
+}
+
+payrollTask(
+  "payroll:grant-role",
+  "Grant an HR or payroll approver role in the signer's company (owner only)",
+  (definition) =>
+    definition
+      .addParam("account", "Account to grant the role to")
+      .addParam("role", "hr or approver"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "grant-role", client.grantRole(taskArgs.account, await parseRole(taskArgs.role)))
+);
+
+payrollTask(
+  "payroll:revoke-role",
+  "Revoke an HR or payroll approver role in the signer's company (owner only)",
+  (definition) =>
+    definition
+      .addParam("account", "Account to revoke the role from")
+      .addParam("role", "hr or approver"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "revoke-role", client.revokeRole(taskArgs.account, await parseRole(taskArgs.role)))
+);
+
+payrollTask(
+  "payroll:set-threshold",
+  "Set how many approvals a payroll run needs (owner only)",
+  (definition) => definition.addParam("threshold", "Required approvals (M)", undefined, types.int),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "set-threshold", client.setApprovalThreshold(taskArgs.threshold))
+);
+
+payrollTask(
+  "payroll:transfer-ownership",
+  "Hand the signer's company to a new owner",
+  (definition) => definition.addParam("owner", "New owner address"),
+  async (taskArgs, hre, { client }) =>
+    send(taskArgs, client, "transfer-ownership", client.transferCompanyOwnership(taskArgs.owner))
+);
+
+payrollTask(
+  "payroll:propose-run",
+  "Propose a payroll run for comma-separated employees",
+  (definition) => definition.addParam("employees", "Comma-separated employee addresses"),
+  async (taskArgs, hre, { payroll, client }) => {
+    const employees = taskArgs.employees.split(",").map((address) => address.trim()).filter(Boolean);
+    const receipt = await client.wait(await client.proposePayrollRun(employees));
+
+    // Report the new run ID so scripts can approve and execute it
+    const runId = receipt.logs
+      .map((log) => payroll.interface.parseLog(log))
+      .find((log) => log?.name === "PayrollRunProposed").args.runId;
+
+    const result = { ok: true, action: "propose-run", runId, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    print(taskArgs, result, [`🗳️  Payroll run #${runId} proposed in block ${receipt.blockNumber}`, `   tx: ${receipt.hash}`]);
+    return result;
+  }
+);
+
+payrollTask(
+  "payroll:approve-run",
+  "Approve a pending payroll run (payroll approvers)",
+  (definition) => definition.addParam("run", "Payroll run ID"),
+  async (taskArgs, hre, { client }) => send(taskArgs, client, "approve-run", client.approvePayrollRun(taskArgs.run))
+);
+
+payrollTask(
+  "payroll:execute-run",
+  "Pay a payroll run that has enough approvals (payroll approvers)",
+  (definition) => definition.addParam("run", "Payroll run ID"),
+  async (taskArgs, hre, { client }) => send(taskArgs, client, "execute-run", client.executePayrollRun(taskArgs.run))
+);
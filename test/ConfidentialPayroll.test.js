@@ -1,18 +1,63 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { ethers, artifacts, run } = require("hardhat");
+const fhevm = require("../scripts/lib/fhevmMock");
+const { deployProxy, deployImplementation, getImplementationAddress, upgradeProxy } = require("../scripts/lib/proxy");
 
 describe("ConfidentialPayroll", function () {
+  let token;
   let payroll;
+  let deployBlock;
   let company;
   let employee1;
   let employee2;
 
+  before(async function () {
+    await fhevm.installFhevmMocks();
+  });
+
+  // Encrypt a salary as `signer` for the payroll contract
+  async function encryptSalary(signer, amount) {
+    const input = fhevm.createEncryptedInput(await payroll.getAddress(), signer.address);
+    input.add64(amount);
+    const { handles, inputProof } = await input.encrypt();
+    return { handle: handles[0], inputProof };
+  }
+
+  // Mint `amount` to the company and deposit `deposit` of it into its payroll treasury
+  async function fundCompany(amount, deposit = amount) {
+    await token.mint(company.address, amount);
+    const approval = fhevm.createEncryptedInput(await token.getAddress(), company.address);
+    approval.add64(deposit);
+    const approved = await approval.encrypt();
+    await token.connect(company).approve(await payroll.getAddress(), approved.handles[0], approved.inputProof);
+
+    const { handle, inputProof } = await encryptSalary(company, deposit);
+    await payroll.connect(company).depositToTreasury(handle, inputProof);
+  }
+
   beforeEach(async function () {
     [company, employee1, employee2] = await ethers.getSigners();
     
-    const ConfidentialPayroll = await ethers.getContractFactory("ConfidentialPayroll");
-    payroll = await ConfidentialPayroll.deploy();
-    await payroll.waitForDeployment();
+    const ConfidentialToken = await ethers.getContractFactory("ConfidentialToken");
+    token = await ConfidentialToken.deploy("Confidential USD", "cUSD");
+    await token.waitForDeployment();
+
+    // Behind the upgradeable proxy, as scripts/deploy.js deploys it
+    const deployment = await deployProxy(ethers, "ConfidentialPayroll", [await token.getAddress()]);
+    payroll = deployment.contract;
+    deployBlock = deployment.receipt.blockNumber;
+  });
+
+  describe("Deployment", function () {
+    it("Should pay salaries in the configured token", async function () {
+      expect(await payroll.token()).to.equal(await token.getAddress());
+    });
+
+    it("Should reject a zero token address", async function () {
+      const ConfidentialPayroll = await ethers.getContractFactory("ConfidentialPayroll");
+      await expect(ConfidentialPayroll.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid token address");
+    });
   });
 
   describe("Company Registration", function () {
@@ -84,7 +129,7 @@ describe("ConfidentialPayroll", function () {
       await payroll.connect(company).addEmployee(employee1.address);
       await payroll.connect(company).removeEmployee(employee1.address);
       
-      const employeeInfo = await payroll.getEmployeeInfo(employee1.address);
+      const employeeInfo = await payroll.getEmployeeInfo(company.address, employee1.address);
       expect(employeeInfo.isActive).to.be.false;
     });
 
@@ -103,12 +148,118 @@ describe("ConfidentialPayroll", function () {
     });
 
     it("Should not allow removing non-active employee", async function () {
+      await payroll.connect(company).addEmployee(employee1.address);
+      await payroll.connect(company).removeEmployee(employee1.address);
+
       await expect(
         payroll.connect(company).removeEmployee(employee1.address)
       ).to.be.revertedWith("Employee not active");
     });
   });
 
+  describe("Multiple Employers", function () {
+    let otherCompany;
+    let acl;
+
+    beforeEach(async function () {
+      [, , , , , , , , otherCompany] = await ethers.getSigners();
+      acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(otherCompany).registerCompany("Other Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+    });
+
+    it("Should let one address work for several companies", async function () {
+      await payroll.connect(otherCompany).addEmployee(employee1.address);
+
+      expect(await payroll.checkEmployeeStatus(company.address, employee1.address)).to.be.true;
+      expect(await payroll.checkEmployeeStatus(otherCompany.address, employee1.address)).to.be.true;
+      expect(await payroll.getEmployers(employee1.address)).to.deep.equal([company.address, otherCompany.address]);
+      expect(await payroll.activeEmploymentCount(employee1.address)).to.equal(2);
+
+      await payroll.connect(company).removeEmployee(employee1.address);
+      expect(await payroll.checkEmployeeStatus(otherCompany.address, employee1.address)).to.be.true;
+      expect(await payroll.activeEmploymentCount(employee1.address)).to.equal(1);
+    });
+
+    it("Should keep a separate salary per employer", async function () {
+      await payroll.connect(otherCompany).addEmployee(employee1.address);
+      const ours = await encryptSalary(company, 3000_000000n);
+      await payroll.connect(company).setSalary(employee1.address, ours.handle, ours.inputProof);
+      const theirs = await encryptSalary(otherCompany, 1000_000000n);
+      await payroll.connect(otherCompany).setSalary(employee1.address, theirs.handle, theirs.inputProof);
+
+      const salary = await payroll.connect(employee1).getEncryptedSalary(company.address, employee1.address);
+      const otherSalary = await payroll.connect(employee1).getEncryptedSalary(otherCompany.address, employee1.address);
+      expect(await fhevm.decrypt64(salary)).to.equal(3000_000000n);
+      expect(await fhevm.decrypt64(otherSalary)).to.equal(1000_000000n);
+      expect(await acl.persistAllowed(otherSalary, company.address)).to.be.false;
+      await expect(
+        payroll.connect(company).getEncryptedSalary(otherCompany.address, employee1.address)
+      ).to.be.revertedWith("Not authorized");
+      expect(await fhevm.decrypt64(await payroll.connect(company).getActiveSalaryTotal(company.address))).to.equal(3000_000000n);
+    });
+
+    it("Should record payments from each employer", async function () {
+      await payroll.connect(otherCompany).addEmployee(employee1.address);
+      await payroll.connect(company).paySalary(employee1.address);
+      await payroll.connect(otherCompany).paySalary(employee1.address);
+      await payroll.connect(otherCompany).paySalary(employee1.address);
+
+      expect((await payroll.getEmployeeInfo(company.address, employee1.address)).totalReceived).to.equal(1);
+      expect((await payroll.getEmployeeInfo(otherCompany.address, employee1.address)).totalReceived).to.equal(2);
+      expect(await payroll.getPaymentHistoryCount(employee1.address)).to.equal(3);
+      expect((await payroll.paymentHistory(employee1.address, 1)).from).to.equal(otherCompany.address);
+    });
+
+    it("Should keep the record of a re-hired employee", async function () {
+      await payroll.connect(company).paySalary(employee1.address);
+      const { handle, inputProof } = await encryptSalary(company, 3000_000000n);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+      await payroll.connect(company).removeEmployee(employee1.address);
+      await payroll.connect(company).addEmployee(employee1.address);
+
+      const info = await payroll.getEmployeeInfo(company.address, employee1.address);
+      expect(info.isActive).to.be.true;
+      expect(info.totalReceived).to.equal(1);
+      expect(info.lastPaymentTime).to.be.greaterThan(0);
+      expect(await payroll.getEmployers(employee1.address)).to.deep.equal([company.address]);
+      expect((await payroll.getCompanyInfo(company.address)).employeeCount).to.equal(1);
+
+      // The salary starts from 0 again, as does its share of the active total
+      const salary = await payroll.connect(employee1).getEncryptedSalary(company.address, employee1.address);
+      expect(await fhevm.decrypt64(salary)).to.equal(0);
+      expect(await fhevm.decrypt64(await payroll.connect(company).getActiveSalaryTotal(company.address))).to.equal(0);
+    });
+
+    it("Should share and re-key the salary from every employer", async function () {
+      const [, , , , , , , lender] = await ethers.getSigners();
+      await payroll.connect(otherCompany).addEmployee(employee1.address);
+      const theirs = await encryptSalary(otherCompany, 1000_000000n);
+      await payroll.connect(otherCompany).setSalary(employee1.address, theirs.handle, theirs.inputProof);
+
+      await payroll.connect(employee1).grantSalaryAccess(lender.address, 0);
+      const shared = await payroll.connect(lender).getEncryptedSalary(otherCompany.address, employee1.address);
+      expect(await acl.persistAllowed(shared, lender.address)).to.be.true;
+
+      await payroll.connect(employee1).revokeSalaryAccess(lender.address);
+      const salary = await payroll.connect(employee1).getEncryptedSalary(otherCompany.address, employee1.address);
+      expect(salary).to.not.equal(shared);
+      expect(await acl.persistAllowed(salary, lender.address)).to.be.false;
+      expect(await acl.persistAllowed(salary, otherCompany.address)).to.be.true;
+    });
+
+    it("Should request a balance decryption for one employer", async function () {
+      await expect(
+        payroll.connect(employee1).requestMyBalance(otherCompany.address)
+      ).to.be.revertedWith("Not an active employee");
+
+      await payroll.connect(employee1).requestMyBalance(company.address);
+      const [requestId] = await fhevm.awaitAllDecryptionResults();
+      expect((await payroll.getBalanceRequest(requestId)).company).to.equal(company.address);
+    });
+  });
+
   describe("Payment Functions", function () {
     beforeEach(async function () {
       await payroll.connect(company).registerCompany("Test Corp");
@@ -129,13 +280,13 @@ describe("ConfidentialPayroll", function () {
 
     it("Should update employee's last payment time", async function () {
       await payroll.connect(company).paySalary(employee1.address);
-      const employeeInfo = await payroll.getEmployeeInfo(employee1.address);
+      const employeeInfo = await payroll.getEmployeeInfo(company.address, employee1.address);
       expect(employeeInfo.lastPaymentTime).to.be.greaterThan(0);
     });
 
     it("Should increment total received count", async function () {
       await payroll.connect(company).paySalary(employee1.address);
-      const employeeInfo = await payroll.getEmployeeInfo(employee1.address);
+      const employeeInfo = await payroll.getEmployeeInfo(company.address, employee1.address);
       expect(employeeInfo.totalReceived).to.equal(1);
     });
 
@@ -152,6 +303,335 @@ describe("ConfidentialPayroll", function () {
     });
   });
 
+  describe("Encrypted Salaries", function () {
+    beforeEach(async function () {
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+    });
+
+    it("Should store the encrypted salary value", async function () {
+      const { handle, inputProof } = await encryptSalary(company, 4200_000000n);
+      await expect(
+        payroll.connect(company).setSalary(employee1.address, handle, inputProof)
+      ).to.emit(payroll, "SalarySet");
+
+      const salary = await payroll.connect(employee1).getEncryptedSalary(company.address, employee1.address);
+      expect(await fhevm.decrypt64(salary)).to.equal(4200_000000n);
+    });
+
+    it("Should start new employees at a zero salary", async function () {
+      const salary = await payroll.connect(company).getEncryptedSalary(company.address, employee1.address);
+      expect(await fhevm.decrypt64(salary)).to.equal(0);
+    });
+
+    it("Should grant ACL access to the contract, employee and company only", async function () {
+      const { handle, inputProof } = await encryptSalary(company, 1000n);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+
+      const salary = await payroll.connect(company).getEncryptedSalary(company.address, employee1.address);
+      const acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      expect(await acl.persistAllowed(salary, await payroll.getAddress())).to.be.true;
+      expect(await acl.persistAllowed(salary, employee1.address)).to.be.true;
+      expect(await acl.persistAllowed(salary, company.address)).to.be.true;
+      expect(await acl.persistAllowed(salary, employee2.address)).to.be.false;
+    });
+
+    it("Should reject an input encrypted for another sender", async function () {
+      const { handle, inputProof } = await encryptSalary(employee2, 1000n);
+      await expect(
+        payroll.connect(company).setSalary(employee1.address, handle, inputProof)
+      ).to.be.reverted;
+    });
+
+    it("Should record the salary as the payment amount", async function () {
+      await fundCompany(2500_000000n);
+      const { handle, inputProof } = await encryptSalary(company, 2500_000000n);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+      await payroll.connect(company).paySalary(employee1.address);
+
+      const record = await payroll.paymentHistory(employee1.address, 0);
+      expect(await fhevm.decrypt64(record.encryptedAmount)).to.equal(2500_000000n);
+    });
+
+    it("Should set several salaries from one encrypted input", async function () {
+      await payroll.connect(company).addEmployee(employee2.address);
+      const input = fhevm.createEncryptedInput(await payroll.getAddress(), company.address);
+      input.add64(1000n).add64(2000n);
+      const { handles, inputProof } = await input.encrypt();
+
+      await payroll.connect(company).setSalaries([employee1.address, employee2.address], handles, inputProof);
+
+      expect(await fhevm.decrypt64(await payroll.connect(company).getEncryptedSalary(company.address, employee1.address))).to.equal(1000n);
+      expect(await fhevm.decrypt64(await payroll.connect(company).getEncryptedSalary(company.address, employee2.address))).to.equal(2000n);
+    });
+  });
+
+  describe("Salary Components", function () {
+    const PayComponent = { Bonus: 0, Deductions: 1, Withholding: 2 };
+
+    async function setComponent(component, value) {
+      const { handle, inputProof } = await encryptSalary(company, value);
+      return payroll.connect(company).setPayComponent(employee1.address, component, handle, inputProof);
+    }
+
+    async function breakdownOf(index) {
+      const record = await payroll.paymentHistory(employee1.address, index);
+      return Promise.all(
+        [record.encryptedGross, record.encryptedWithholding, record.encryptedDeductions, record.encryptedAmount].map(
+          (handle) => fhevm.decrypt64(handle)
+        )
+      );
+    }
+
+    beforeEach(async function () {
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+      const { handle, inputProof } = await encryptSalary(company, 4000_000000n);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+    });
+
+    it("Should compute net pay from salary, bonus, withholding and deductions", async function () {
+      await fundCompany(20000_000000n);
+      await expect(setComponent(PayComponent.Bonus, 1000_000000n))
+        .to.emit(payroll, "PayComponentSet")
+        .withArgs(employee1.address, company.address, PayComponent.Bonus);
+      await setComponent(PayComponent.Deductions, 250_000000n);
+      await setComponent(PayComponent.Withholding, 2000n); // 20%
+
+      await payroll.connect(company).paySalary(employee1.address);
+      // 5000 gross, 1000 withheld, 250 deducted
+      expect(await breakdownOf(0)).to.deep.equal([5000_000000n, 1000_000000n, 250_000000n, 3750_000000n]);
+      expect(await fhevm.decrypt64(await token.balanceOf(employee1.address))).to.equal(3750_000000n);
+
+      // The bonus is paid once; deductions and withholding recur
+      await payroll.connect(company).paySalary(employee1.address);
+      expect(await breakdownOf(1)).to.deep.equal([4000_000000n, 800_000000n, 250_000000n, 2950_000000n]);
+      const [bonus] = await payroll.connect(employee1).getPayComponents(company.address, employee1.address);
+      expect(await fhevm.decrypt64(bonus)).to.equal(0);
+    });
+
+    it("Should cap withholding at 100% and deductions at what remains", async function () {
+      await fundCompany(10000_000000n);
+      await setComponent(PayComponent.Withholding, 5000n);
+      await setComponent(PayComponent.Deductions, 9000_000000n);
+      await payroll.connect(company).paySalary(employee1.address);
+      expect(await breakdownOf(0)).to.deep.equal([4000_000000n, 2000_000000n, 2000_000000n, 0n]);
+
+      await setComponent(PayComponent.Withholding, 12000n);
+      const [, , withholding] = await payroll.connect(company).getPayComponents(company.address, employee1.address);
+      expect(await fhevm.decrypt64(withholding)).to.equal(10000n);
+    });
+
+    it("Should keep a bonus the treasury couldn't cover for the next payment", async function () {
+      await fundCompany(1000_000000n);
+      await setComponent(PayComponent.Bonus, 500_000000n);
+      await payroll.connect(company).paySalary(employee1.address);
+
+      const [gross, , , net] = await breakdownOf(0);
+      expect(gross).to.equal(4500_000000n);
+      expect(net).to.equal(0);
+      const [bonus] = await payroll.connect(employee1).getPayComponents(company.address, employee1.address);
+      expect(await fhevm.decrypt64(bonus)).to.equal(500_000000n);
+    });
+
+    it("Should keep components private to the employee and the company", async function () {
+      await setComponent(PayComponent.Deductions, 100_000000n);
+      const [, deductions] = await payroll.connect(employee1).getPayComponents(company.address, employee1.address);
+      const acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      expect(await acl.persistAllowed(deductions, employee1.address)).to.be.true;
+      expect(await acl.persistAllowed(deductions, company.address)).to.be.true;
+      expect(await acl.persistAllowed(deductions, employee2.address)).to.be.false;
+
+      await expect(
+        payroll.connect(employee2).getPayComponents(company.address, employee1.address)
+      ).to.be.revertedWith("Not authorized");
+      const { handle, inputProof } = await encryptSalary(employee2, 1n);
+      await expect(
+        payroll.connect(employee2).setPayComponent(employee1.address, PayComponent.Bonus, handle, inputProof)
+      ).to.be.revertedWith("Company not registered");
+    });
+
+    it("Should clear components when an employee is re-hired", async function () {
+      await setComponent(PayComponent.Bonus, 100_000000n);
+      await setComponent(PayComponent.Withholding, 1000n);
+      await payroll.connect(company).removeEmployee(employee1.address);
+      await expect(setComponent(PayComponent.Bonus, 1n)).to.be.revertedWith("Employee not active");
+      await payroll.connect(company).addEmployee(employee1.address);
+
+      const components = await payroll.connect(employee1).getPayComponents(company.address, employee1.address);
+      expect(components.map(BigInt)).to.deep.equal([0n, 0n, 0n]);
+    });
+  });
+
+  describe("Salary Sharing", function () {
+    let lender;
+    let acl;
+
+    const setSalaryOf = async (amount) => {
+      const { handle, inputProof } = await encryptSalary(company, amount);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+    };
+
+    beforeEach(async function () {
+      [, , , , , , , lender] = await ethers.getSigners();
+      acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+      await setSalaryOf(4200_000000n);
+    });
+
+    it("Should let a grantee read the salary", async function () {
+      await expect(payroll.connect(employee1).grantSalaryAccess(lender.address, 0))
+        .to.emit(payroll, "SalaryAccessGranted")
+        .withArgs(employee1.address, lender.address, 0);
+
+      const salary = await payroll.connect(lender).getEncryptedSalary(company.address, employee1.address);
+      expect(await acl.persistAllowed(salary, lender.address)).to.be.true;
+      expect(await fhevm.decrypt64(salary)).to.equal(4200_000000n);
+      expect(await payroll.connect(lender).getSalaryGrant(employee1.address, lender.address)).to.deep.equal([true, 0n, true]);
+
+      const [grantees, expiries] = await payroll.connect(employee1).getSalaryGrants(employee1.address);
+      expect(grantees).to.deep.equal([lender.address]);
+      expect(expiries).to.deep.equal([0n]);
+    });
+
+    it("Should move the salary to a fresh handle when access is revoked", async function () {
+      await payroll.connect(employee1).grantSalaryAccess(lender.address, 0);
+      const shared = await payroll.connect(employee1).getEncryptedSalary(company.address, employee1.address);
+
+      await expect(payroll.connect(employee1).revokeSalaryAccess(lender.address))
+        .to.emit(payroll, "SalaryAccessRevoked")
+        .withArgs(employee1.address, lender.address);
+
+      await expect(payroll.connect(lender).getEncryptedSalary(company.address, employee1.address)).to.be.revertedWith("Not authorized");
+      const salary = await payroll.connect(employee1).getEncryptedSalary(company.address, employee1.address);
+      expect(salary).to.not.equal(shared);
+      expect(await fhevm.decrypt64(salary)).to.equal(4200_000000n);
+      expect(await acl.persistAllowed(salary, lender.address)).to.be.false;
+      expect(await acl.persistAllowed(salary, employee1.address)).to.be.true;
+      expect(await acl.persistAllowed(salary, company.address)).to.be.true;
+      expect((await payroll.connect(employee1).getSalaryGrants(employee1.address)).grantees).to.be.empty;
+
+      // Payments and the company's salary total keep working on the new handle
+      await fundCompany(10000_000000n);
+      await payroll.connect(company).paySalary(employee1.address);
+      expect(await fhevm.decrypt64(await token.balanceOf(employee1.address))).to.equal(4200_000000n);
+      await payroll.connect(company).removeEmployee(employee1.address);
+      expect(await fhevm.decrypt64(await payroll.connect(company).getActiveSalaryTotal(company.address))).to.equal(0);
+    });
+
+    it("Should stop sharing once a grant expires", async function () {
+      const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await payroll.connect(employee1).grantSalaryAccess(lender.address, expiresAt);
+      await payroll.connect(lender).getEncryptedSalary(company.address, employee1.address);
+
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(payroll.connect(lender).getEncryptedSalary(company.address, employee1.address)).to.be.revertedWith("Not authorized");
+      expect(await payroll.connect(lender).getSalaryGrant(employee1.address, lender.address)).to.deep.equal([
+        true,
+        BigInt(expiresAt),
+        false,
+      ]);
+
+      // Expired grantees are left off new salary handles
+      await setSalaryOf(4500_000000n);
+      const salary = await payroll.connect(employee1).getEncryptedSalary(company.address, employee1.address);
+      expect(await acl.persistAllowed(salary, lender.address)).to.be.false;
+    });
+
+    it("Should allow active grantees on a newly set salary", async function () {
+      await payroll.connect(employee1).grantSalaryAccess(lender.address, 0);
+      await setSalaryOf(4500_000000n);
+
+      const salary = await payroll.connect(lender).getEncryptedSalary(company.address, employee1.address);
+      expect(await acl.persistAllowed(salary, lender.address)).to.be.true;
+      expect(await fhevm.decrypt64(salary)).to.equal(4500_000000n);
+    });
+
+    it("Should validate grants", async function () {
+      const past = (await ethers.provider.getBlock("latest")).timestamp;
+      await expect(payroll.connect(employee1).grantSalaryAccess(ethers.ZeroAddress, 0)).to.be.revertedWith("Invalid grantee");
+      await expect(payroll.connect(employee1).grantSalaryAccess(employee1.address, 0)).to.be.revertedWith("Invalid grantee");
+      await expect(payroll.connect(employee1).grantSalaryAccess(lender.address, past)).to.be.revertedWith("Invalid expiry");
+      await expect(payroll.connect(employee2).grantSalaryAccess(lender.address, 0)).to.be.revertedWith(
+        "Not an active employee"
+      );
+      await expect(payroll.connect(employee1).revokeSalaryAccess(lender.address)).to.be.revertedWith("No active grant");
+      await expect(payroll.connect(lender).getSalaryGrants(employee1.address)).to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("Batch Operations", function () {
+    let employee3;
+
+    beforeEach(async function () {
+      [, , , employee3] = await ethers.getSigners();
+      await payroll.connect(company).registerCompany("Test Corp");
+    });
+
+    it("Should add several employees at once", async function () {
+      await payroll.connect(company).addEmployees([employee1.address, employee2.address]);
+
+      const companyInfo = await payroll.getCompanyInfo(company.address);
+      expect(companyInfo.employeeCount).to.equal(2);
+      expect(await payroll.checkEmployeeStatus(company.address, employee2.address)).to.be.true;
+    });
+
+    it("Should revert the whole batch on a duplicate employee", async function () {
+      await expect(
+        payroll.connect(company).addEmployees([employee1.address, employee1.address])
+      ).to.be.revertedWith("Employee already exists");
+
+      const companyInfo = await payroll.getCompanyInfo(company.address);
+      expect(companyInfo.employeeCount).to.equal(0);
+    });
+
+    it("Should not accept an empty batch", async function () {
+      await expect(
+        payroll.connect(company).addEmployees([])
+      ).to.be.revertedWith("Empty batch");
+    });
+
+    it("Should not accept batches above MAX_BATCH_SIZE", async function () {
+      const max = await payroll.MAX_BATCH_SIZE();
+      const addresses = Array.from({ length: Number(max) + 1 }, () => ethers.Wallet.createRandom().address);
+
+      await expect(
+        payroll.connect(company).addEmployees(addresses)
+      ).to.be.revertedWith("Batch too large");
+    });
+
+    it("Should pay several employees at once", async function () {
+      await payroll.connect(company).addEmployees([employee1.address, employee2.address]);
+      await payroll.connect(company).payEmployees([employee1.address, employee2.address]);
+
+      expect(await payroll.getPaymentHistoryCount(employee1.address)).to.equal(1);
+      expect(await payroll.getPaymentHistoryCount(employee2.address)).to.equal(1);
+      const companyInfo = await payroll.getCompanyInfo(company.address);
+      expect(companyInfo.totalPayments).to.equal(2);
+    });
+
+    it("Should not pay another company's employee in a batch", async function () {
+      await payroll.connect(company).addEmployee(employee1.address);
+      await payroll.connect(employee2).registerCompany("Other Corp");
+      await payroll.connect(employee2).addEmployee(employee3.address);
+
+      await expect(
+        payroll.connect(company).payEmployees([employee1.address, employee3.address])
+      ).to.be.revertedWith("Not employee's company");
+    });
+
+    it("Should reject mismatched salary batch lengths", async function () {
+      await payroll.connect(company).addEmployee(employee1.address);
+
+      await expect(
+        payroll.connect(company).setSalaries([employee1.address], [], "0x")
+      ).to.be.revertedWith("Length mismatch");
+    });
+  });
+
   describe("View Functions", function () {
     beforeEach(async function () {
       await payroll.connect(company).registerCompany("Acme Inc");
@@ -166,7 +646,7 @@ describe("ConfidentialPayroll", function () {
     });
 
     it("Should return employee info", async function () {
-      const info = await payroll.getEmployeeInfo(employee1.address);
+      const info = await payroll.getEmployeeInfo(company.address, employee1.address);
       expect(info.employeeAddress).to.equal(employee1.address);
       expect(info.companyAddress).to.equal(company.address);
       expect(info.isActive).to.be.true;
@@ -219,4 +699,1385 @@ describe("ConfidentialPayroll", function () {
       ).to.be.revertedWith("Not employee's company");
     });
   });
+
+  describe("Company Roles", function () {
+    const Role = { Owner: 0, HR: 1, PayrollApprover: 2 };
+    let hr;
+    let approver;
+    let newOwner;
+
+    beforeEach(async function () {
+      [, , , , hr, approver, newOwner] = await ethers.getSigners();
+      await payroll.connect(company).registerCompany("Test Corp");
+    });
+
+    it("Should give the owner every role", async function () {
+      const roles = await payroll.getMemberRoles(company.address);
+      expect(roles.company).to.equal(company.address);
+      expect(roles.isOwner).to.be.true;
+      expect(roles.isHR).to.be.true;
+      expect(roles.isPayrollApprover).to.be.true;
+    });
+
+    it("Should let HR manage employees and salaries for the company", async function () {
+      await expect(payroll.connect(company).grantRole(hr.address, Role.HR))
+        .to.emit(payroll, "RoleGranted")
+        .withArgs(company.address, hr.address, Role.HR);
+
+      await expect(payroll.connect(hr).addEmployee(employee1.address))
+        .to.emit(payroll, "EmployeeAdded")
+        .withArgs(company.address, employee1.address);
+      const { handle, inputProof } = await encryptSalary(hr, 1500n);
+      await payroll.connect(hr).setSalary(employee1.address, handle, inputProof);
+
+      expect(await fhevm.decrypt64(await payroll.connect(hr).getEncryptedSalary(company.address, employee1.address))).to.equal(1500n);
+      const acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      const salary = await payroll.connect(company).getEncryptedSalary(company.address, employee1.address);
+      expect(await acl.persistAllowed(salary, company.address)).to.be.true;
+      expect(await acl.persistAllowed(salary, hr.address)).to.be.true;
+
+      const info = await payroll.getCompanyInfo(company.address);
+      expect(info.employeeCount).to.equal(1);
+    });
+
+    it("Should keep HR away from payments, roles and the treasury", async function () {
+      await payroll.connect(company).grantRole(hr.address, Role.HR);
+      await payroll.connect(hr).addEmployee(employee1.address);
+
+      await expect(payroll.connect(hr).paySalary(employee1.address)).to.be.revertedWith("Missing role");
+      await expect(payroll.connect(hr).grantRole(employee2.address, Role.HR)).to.be.revertedWith("Missing role");
+      await expect(payroll.connect(hr).getTreasuryBalance(company.address)).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should let approvers pay but not manage employees", async function () {
+      await payroll.connect(company).addEmployee(employee1.address);
+      await payroll.connect(company).grantRole(approver.address, Role.PayrollApprover);
+
+      await expect(payroll.connect(approver).paySalary(employee1.address))
+        .to.emit(payroll, "PaymentMade")
+        .withArgs(company.address, employee1.address, anyValue);
+      await expect(payroll.connect(approver).addEmployee(employee2.address)).to.be.revertedWith("Missing role");
+    });
+
+    it("Should revoke roles and release the membership", async function () {
+      await payroll.connect(company).grantRole(hr.address, Role.HR);
+      await expect(payroll.connect(company).revokeRole(hr.address, Role.HR)).to.emit(payroll, "RoleRevoked");
+
+      expect(await payroll.memberOf(hr.address)).to.equal(ethers.ZeroAddress);
+      await expect(payroll.connect(hr).addEmployee(employee1.address)).to.be.revertedWith("Company not registered");
+      await expect(payroll.connect(company).revokeRole(hr.address, Role.HR)).to.be.revertedWith("Role not granted");
+    });
+
+    it("Should not grant roles across companies or re-grant the owner", async function () {
+      await payroll.connect(employee2).registerCompany("Other Corp");
+
+      await expect(payroll.connect(company).grantRole(employee2.address, Role.HR)).to.be.revertedWith(
+        "Member of another company"
+      );
+      await expect(payroll.connect(company).grantRole(company.address, Role.HR)).to.be.revertedWith(
+        "Owner holds every role"
+      );
+      await expect(payroll.connect(company).grantRole(hr.address, Role.Owner)).to.be.revertedWith(
+        "Use transferCompanyOwnership"
+      );
+      await payroll.connect(company).grantRole(hr.address, Role.HR);
+      await expect(payroll.connect(hr).registerCompany("Side Corp")).to.be.revertedWith("Member of another company");
+    });
+
+    it("Should transfer ownership with the treasury and company records", async function () {
+      await payroll.connect(company).addEmployee(employee1.address);
+      await fundCompany(1000n);
+
+      await expect(payroll.connect(company).transferCompanyOwnership(newOwner.address))
+        .to.emit(payroll, "CompanyOwnershipTransferred")
+        .withArgs(company.address, company.address, newOwner.address);
+
+      const info = await payroll.getCompanyInfo(company.address);
+      expect(info.owner).to.equal(newOwner.address);
+      expect((await payroll.getMemberRoles(newOwner.address)).isOwner).to.be.true;
+      expect(await payroll.memberOf(company.address)).to.equal(ethers.ZeroAddress);
+
+      // The new owner runs the same company and can read its treasury
+      await payroll.connect(newOwner).removeEmployee(employee1.address);
+      const treasury = await payroll.connect(newOwner).getTreasuryBalance(company.address);
+      const acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      expect(await acl.persistAllowed(treasury, newOwner.address)).to.be.true;
+
+      await expect(payroll.connect(company).addEmployee(employee2.address)).to.be.revertedWith("Company not registered");
+      await expect(payroll.connect(company).transferCompanyOwnership(company.address)).to.be.revertedWith(
+        "Company not registered"
+      );
+    });
+  });
+
+  describe("Payroll Run Approvals", function () {
+    const Role = { Owner: 0, HR: 1, PayrollApprover: 2 };
+    let hr;
+    let approver1;
+    let approver2;
+
+    beforeEach(async function () {
+      [, , , , hr, approver1, approver2] = await ethers.getSigners();
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployees([employee1.address, employee2.address]);
+      await payroll.connect(company).grantRole(hr.address, Role.HR);
+      await payroll.connect(company).grantRole(approver1.address, Role.PayrollApprover);
+      await payroll.connect(company).grantRole(approver2.address, Role.PayrollApprover);
+      await payroll.connect(company).setApprovalThreshold(2);
+    });
+
+    async function propose(signer = hr) {
+      await payroll.connect(signer).proposePayrollRun([employee1.address, employee2.address]);
+      return payroll.payrollRunCount();
+    }
+
+    it("Should require a threshold between 1 and the number of approvers", async function () {
+      const info = await payroll.getCompanyInfo(company.address);
+      expect(info.approvalThreshold).to.equal(2);
+      expect(info.approverCount).to.equal(2);
+
+      await expect(payroll.connect(company).setApprovalThreshold(0)).to.be.revertedWith("Invalid threshold");
+      await expect(payroll.connect(company).setApprovalThreshold(4)).to.be.revertedWith("Invalid threshold");
+      await payroll.connect(company).setApprovalThreshold(3);
+      await expect(payroll.connect(company).revokeRole(approver2.address, Role.PayrollApprover)).to.be.revertedWith(
+        "Threshold exceeds approvers"
+      );
+    });
+
+    it("Should block direct payments above a threshold of 1", async function () {
+      await expect(payroll.connect(company).paySalary(employee1.address)).to.be.revertedWith("Approvals required");
+      await expect(payroll.connect(approver1).payEmployees([employee1.address])).to.be.revertedWith("Approvals required");
+    });
+
+    it("Should execute a run once M approvers have approved", async function () {
+      const runId = await propose();
+      await expect(payroll.connect(approver1).approvePayrollRun(runId))
+        .to.emit(payroll, "PayrollRunApproved")
+        .withArgs(company.address, runId, approver1.address);
+      await expect(payroll.connect(approver1).executePayrollRun(runId)).to.be.revertedWith("Not enough approvals");
+
+      await payroll.connect(approver2).approvePayrollRun(runId);
+      await expect(payroll.connect(approver1).executePayrollRun(runId))
+        .to.emit(payroll, "PayrollRunExecuted")
+        .withArgs(company.address, runId);
+
+      expect(await payroll.getPaymentHistoryCount(employee1.address)).to.equal(1);
+      expect(await payroll.getPaymentHistoryCount(employee2.address)).to.equal(1);
+      const run = await payroll.getPayrollRun(runId);
+      expect(run.executed).to.be.true;
+      expect(run.approvals).to.equal(2);
+      await expect(payroll.connect(approver1).executePayrollRun(runId)).to.be.revertedWith("Run already executed");
+    });
+
+    it("Should count each approver once and only approvers", async function () {
+      const runId = await propose();
+      await payroll.connect(approver1).approvePayrollRun(runId);
+      await expect(payroll.connect(approver1).approvePayrollRun(runId)).to.be.revertedWith("Already approved");
+      await expect(payroll.connect(hr).approvePayrollRun(runId)).to.be.revertedWith("Missing role");
+      await expect(payroll.connect(employee1).approvePayrollRun(runId)).to.be.revertedWith("Company not registered");
+    });
+
+    it("Should keep runs inside their company", async function () {
+      const runId = await propose();
+      const [, , , , , , , outsider] = await ethers.getSigners();
+      await payroll.connect(outsider).registerCompany("Other Corp");
+
+      await expect(payroll.connect(outsider).approvePayrollRun(runId)).to.be.revertedWith("Not authorized");
+      await expect(payroll.connect(outsider).proposePayrollRun([employee1.address])).to.be.revertedWith(
+        "Not employee's company"
+      );
+      await expect(payroll.connect(outsider).cancelPayrollRun(runId)).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should let the proposer or owner cancel a pending run", async function () {
+      const runId = await propose();
+      await expect(payroll.connect(approver1).cancelPayrollRun(runId)).to.be.revertedWith("Not authorized");
+      await expect(payroll.connect(hr).cancelPayrollRun(runId))
+        .to.emit(payroll, "PayrollRunCancelled")
+        .withArgs(company.address, runId);
+      await expect(payroll.connect(approver1).approvePayrollRun(runId)).to.be.revertedWith("Run cancelled");
+
+      const second = await propose(approver1);
+      await payroll.connect(company).cancelPayrollRun(second);
+      expect((await payroll.getPayrollRun(second)).cancelled).to.be.true;
+    });
+
+    it("Should let the owner approve as one of N", async function () {
+      const runId = await propose();
+      await payroll.connect(company).approvePayrollRun(runId);
+      await payroll.connect(approver2).approvePayrollRun(runId);
+      await payroll.connect(company).executePayrollRun(runId);
+      expect(await payroll.getPaymentHistoryCount(employee1.address)).to.equal(1);
+    });
+
+    it("Should stop counting approvals of revoked approvers", async function () {
+      const [, , , , , , , approver3] = await ethers.getSigners();
+      await payroll.connect(company).grantRole(approver3.address, Role.PayrollApprover);
+      const runId = await propose();
+      await payroll.connect(approver1).approvePayrollRun(runId);
+      await payroll.connect(approver2).approvePayrollRun(runId);
+
+      await payroll.connect(company).revokeRole(approver2.address, Role.PayrollApprover);
+      expect((await payroll.getPayrollRun(runId)).approvals).to.equal(1);
+      await expect(payroll.connect(approver1).executePayrollRun(runId)).to.be.revertedWith("Not enough approvals");
+
+      await payroll.connect(approver3).approvePayrollRun(runId);
+      await payroll.connect(approver1).executePayrollRun(runId);
+      expect(await payroll.getPaymentHistoryCount(employee1.address)).to.equal(1);
+    });
+
+    it("Should void pending approvals when the threshold is raised", async function () {
+      const runId = await propose();
+      await payroll.connect(approver1).approvePayrollRun(runId);
+      await payroll.connect(approver2).approvePayrollRun(runId);
+
+      await payroll.connect(company).setApprovalThreshold(3);
+      expect((await payroll.getPayrollRun(runId)).approvals).to.equal(0);
+      expect(await payroll.hasApprovedRun(runId, approver1.address)).to.be.false;
+      await payroll.connect(company).approvePayrollRun(runId);
+      await expect(payroll.connect(approver1).executePayrollRun(runId)).to.be.revertedWith("Not enough approvals");
+
+      // Earlier approvers approve again under the new threshold
+      await payroll.connect(approver1).approvePayrollRun(runId);
+      await payroll.connect(approver2).approvePayrollRun(runId);
+      expect((await payroll.getPayrollRun(runId)).approvals).to.equal(3);
+      await payroll.connect(approver2).executePayrollRun(runId);
+      expect((await payroll.getPayrollRun(runId)).executed).to.be.true;
+    });
+
+    it("Should expire runs a pay period after they are proposed", async function () {
+      const runId = await propose();
+      await payroll.connect(approver1).approvePayrollRun(runId);
+      const run = await payroll.getPayrollRun(runId);
+      expect(run.expiresAt).to.equal(run.createdAt + (await payroll.PAY_PERIOD()));
+
+      await ethers.provider.send("evm_increaseTime", [Number(await payroll.PAY_PERIOD()) + 1]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(payroll.connect(approver2).approvePayrollRun(runId)).to.be.revertedWith("Run expired");
+      await expect(payroll.connect(approver1).executePayrollRun(runId)).to.be.revertedWith("Run expired");
+      await payroll.connect(hr).cancelPayrollRun(runId);
+    });
+  });
+
+  describe("Treasury", function () {
+    const treasuryOf = async () => fhevm.decrypt64(await payroll.connect(company).getTreasuryBalance(company.address));
+    const salaryTotalOf = async () =>
+      fhevm.decrypt64(await payroll.connect(company).getActiveSalaryTotal(company.address));
+
+    beforeEach(async function () {
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+      const { handle, inputProof } = await encryptSalary(company, 3000_000000n);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+    });
+
+    it("Should move deposits from the company wallet into the treasury", async function () {
+      await fundCompany(10000_000000n, 8000_000000n);
+
+      expect(await treasuryOf()).to.equal(8000_000000n);
+      expect(await fhevm.decrypt64(await token.balanceOf(company.address))).to.equal(2000_000000n);
+      expect(await fhevm.decrypt64(await token.balanceOf(await payroll.getAddress()))).to.equal(8000_000000n);
+    });
+
+    it("Should deposit 0 without a token allowance", async function () {
+      await token.mint(company.address, 10000_000000n);
+      const { handle, inputProof } = await encryptSalary(company, 5000_000000n);
+      await expect(payroll.connect(company).depositToTreasury(handle, inputProof)).to.emit(payroll, "TreasuryDeposit");
+
+      expect(await treasuryOf()).to.equal(0);
+      expect(await fhevm.decrypt64(await token.balanceOf(company.address))).to.equal(10000_000000n);
+    });
+
+    it("Should pay salaries from the treasury", async function () {
+      await fundCompany(10000_000000n);
+      await expect(payroll.connect(company).paySalary(employee1.address))
+        .to.emit(token, "Transfer")
+        .withArgs(await payroll.getAddress(), employee1.address);
+
+      expect(await fhevm.decrypt64(await token.balanceOf(employee1.address))).to.equal(3000_000000n);
+      expect(await treasuryOf()).to.equal(7000_000000n);
+    });
+
+    it("Should transfer 0 instead of reverting when the treasury is too low", async function () {
+      await fundCompany(1000_000000n);
+      await expect(payroll.connect(company).paySalary(employee1.address)).to.emit(payroll, "PaymentMade");
+
+      expect(await fhevm.decrypt64(await token.balanceOf(employee1.address))).to.equal(0);
+      expect(await treasuryOf()).to.equal(1000_000000n);
+      const record = await payroll.paymentHistory(employee1.address, 0);
+      expect(await fhevm.decrypt64(record.encryptedAmount)).to.equal(0);
+    });
+
+    it("Should not let one company's treasury pay another's employees", async function () {
+      await fundCompany(10000_000000n);
+      await payroll.connect(employee2).registerCompany("Other Corp");
+      const [, , , otherEmployee] = await ethers.getSigners();
+      await payroll.connect(employee2).addEmployee(otherEmployee.address);
+      const input = fhevm.createEncryptedInput(await payroll.getAddress(), employee2.address);
+      input.add64(1000_000000n);
+      const { handles, inputProof } = await input.encrypt();
+      await payroll.connect(employee2).setSalary(otherEmployee.address, handles[0], inputProof);
+
+      await payroll.connect(employee2).paySalary(otherEmployee.address);
+
+      expect(await fhevm.decrypt64(await token.balanceOf(otherEmployee.address))).to.equal(0);
+      expect(await treasuryOf()).to.equal(10000_000000n);
+    });
+
+    it("Should withdraw to the company wallet and withdraw 0 above the balance", async function () {
+      await fundCompany(10000_000000n);
+
+      let { handle, inputProof } = await encryptSalary(company, 4000_000000n);
+      await expect(payroll.connect(company).withdrawFromTreasury(handle, inputProof)).to.emit(payroll, "TreasuryWithdrawal");
+      expect(await treasuryOf()).to.equal(6000_000000n);
+      expect(await fhevm.decrypt64(await token.balanceOf(company.address))).to.equal(4000_000000n);
+
+      ({ handle, inputProof } = await encryptSalary(company, 7000_000000n));
+      await payroll.connect(company).withdrawFromTreasury(handle, inputProof);
+      expect(await treasuryOf()).to.equal(6000_000000n);
+      expect(await fhevm.decrypt64(await token.balanceOf(company.address))).to.equal(4000_000000n);
+    });
+
+    it("Should track the encrypted sum of active salaries", async function () {
+      expect(await salaryTotalOf()).to.equal(3000_000000n);
+
+      await payroll.connect(company).addEmployee(employee2.address);
+      let { handle, inputProof } = await encryptSalary(company, 2000_000000n);
+      await payroll.connect(company).setSalary(employee2.address, handle, inputProof);
+      expect(await salaryTotalOf()).to.equal(5000_000000n);
+
+      ({ handle, inputProof } = await encryptSalary(company, 2500_000000n));
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+      expect(await salaryTotalOf()).to.equal(4500_000000n);
+
+      await payroll.connect(company).removeEmployee(employee2.address);
+      expect(await salaryTotalOf()).to.equal(2500_000000n);
+    });
+
+    it("Should keep the treasury and salary total private to the company", async function () {
+      await fundCompany(10000_000000n);
+
+      await expect(payroll.connect(employee1).getTreasuryBalance(company.address)).to.be.revertedWith("Not authorized");
+      await expect(payroll.connect(employee1).getActiveSalaryTotal(company.address)).to.be.revertedWith("Not authorized");
+
+      const acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      const treasury = await payroll.connect(company).getTreasuryBalance(company.address);
+      expect(await acl.persistAllowed(treasury, company.address)).to.be.true;
+      expect(await acl.persistAllowed(treasury, employee1.address)).to.be.false;
+    });
+
+    it("Should let only the holder decrypt a token balance", async function () {
+      await fundCompany(10000_000000n);
+      await payroll.connect(company).paySalary(employee1.address);
+
+      const balance = await token.balanceOf(employee1.address);
+      const acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      expect(await acl.persistAllowed(balance, employee1.address)).to.be.true;
+      expect(await acl.persistAllowed(balance, company.address)).to.be.false;
+      expect(await acl.persistAllowed(balance, employee2.address)).to.be.false;
+    });
+  });
+
+  describe("Payroll Analytics", function () {
+    const periodTotalOf = async (period) =>
+      fhevm.decrypt64(await payroll.connect(company).getPeriodPayrollTotal(company.address, period));
+
+    beforeEach(async function () {
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployees([employee1.address, employee2.address]);
+      for (const [employee, amount] of [[employee1, 3000_000000n], [employee2, 2000_000000n]]) {
+        const { handle, inputProof } = await encryptSalary(company, amount);
+        await payroll.connect(company).setSalary(employee.address, handle, inputProof);
+      }
+    });
+
+    it("Should total the amounts paid in each pay period", async function () {
+      await fundCompany(20000_000000n);
+      await payroll.connect(company).payEmployees([employee1.address, employee2.address]);
+      const firstPeriod = await payroll.currentPayPeriod();
+
+      expect(await payroll.getPayrollPeriods(company.address)).to.deep.equal([firstPeriod]);
+      expect(await periodTotalOf(firstPeriod)).to.equal(5000_000000n);
+
+      await ethers.provider.send("evm_increaseTime", [Number(await payroll.PAY_PERIOD())]);
+      await ethers.provider.send("evm_mine", []);
+      await payroll.connect(company).paySalary(employee1.address);
+      const secondPeriod = await payroll.currentPayPeriod();
+
+      expect(secondPeriod).to.equal(firstPeriod + 1n);
+      expect(await payroll.getPayrollPeriods(company.address)).to.deep.equal([firstPeriod, secondPeriod]);
+      expect(await periodTotalOf(firstPeriod)).to.equal(5000_000000n);
+      expect(await periodTotalOf(secondPeriod)).to.equal(3000_000000n);
+    });
+
+    it("Should count only what the treasury actually paid", async function () {
+      await fundCompany(4000_000000n);
+      await payroll.connect(company).payEmployees([employee1.address, employee2.address]);
+
+      // employee1 is paid, leaving too little for employee2
+      expect(await periodTotalOf(await payroll.currentPayPeriod())).to.equal(3000_000000n);
+    });
+
+    it("Should keep period totals private to the company owner", async function () {
+      await fundCompany(20000_000000n);
+      await payroll.connect(company).paySalary(employee1.address);
+      const period = await payroll.currentPayPeriod();
+
+      await expect(payroll.connect(employee1).getPeriodPayrollTotal(company.address, period)).to.be.revertedWith(
+        "Not authorized"
+      );
+      const acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      const total = await payroll.connect(company).getPeriodPayrollTotal(company.address, period);
+      expect(await acl.persistAllowed(total, company.address)).to.be.true;
+      expect(await acl.persistAllowed(total, employee1.address)).to.be.false;
+    });
+
+    it("Should let a new owner read earlier period totals", async function () {
+      const [, , , , , , newOwner] = await ethers.getSigners();
+      await fundCompany(20000_000000n);
+      await payroll.connect(company).paySalary(employee1.address);
+      const period = await payroll.currentPayPeriod();
+
+      await payroll.connect(company).transferCompanyOwnership(newOwner.address);
+
+      const acl = await ethers.getContractAt("ACL", fhevm.ADDRESSES.acl);
+      const total = await payroll.connect(newOwner).getPeriodPayrollTotal(company.address, period);
+      expect(await acl.persistAllowed(total, newOwner.address)).to.be.true;
+    });
+  });
+
+  describe("ConfidentialToken", function () {
+    async function encryptAmount(signer, amount) {
+      const input = fhevm.createEncryptedInput(await token.getAddress(), signer.address);
+      input.add64(amount);
+      const { handles, inputProof } = await input.encrypt();
+      return { handle: handles[0], inputProof };
+    }
+
+    it("Should mint to an encrypted balance and track the public supply", async function () {
+      await expect(token.mint(employee1.address, 500n)).to.emit(token, "Mint").withArgs(employee1.address, 500n);
+      expect(await token.totalSupply()).to.equal(500n);
+      expect(await fhevm.decrypt64(await token.balanceOf(employee1.address))).to.equal(500n);
+    });
+
+    it("Should only let the owner mint", async function () {
+      await expect(token.connect(employee1).mint(employee1.address, 500n)).to.be.revertedWith("Not token owner");
+    });
+
+    it("Should transfer an encrypted amount", async function () {
+      await token.mint(employee1.address, 500n);
+      const { handle, inputProof } = await encryptAmount(employee1, 200n);
+      await token.connect(employee1)["transfer(address,bytes32,bytes)"](employee2.address, handle, inputProof);
+
+      expect(await fhevm.decrypt64(await token.balanceOf(employee1.address))).to.equal(300n);
+      expect(await fhevm.decrypt64(await token.balanceOf(employee2.address))).to.equal(200n);
+    });
+
+    it("Should transfer 0 instead of reverting on an insufficient balance", async function () {
+      await token.mint(employee1.address, 100n);
+      const { handle, inputProof } = await encryptAmount(employee1, 200n);
+      await token.connect(employee1)["transfer(address,bytes32,bytes)"](employee2.address, handle, inputProof);
+
+      expect(await fhevm.decrypt64(await token.balanceOf(employee1.address))).to.equal(100n);
+      expect(await fhevm.decrypt64(await token.balanceOf(employee2.address))).to.equal(0);
+    });
+
+    it("Should reject a handle the sender may not use", async function () {
+      await token.mint(employee1.address, 100n);
+      const balance = await token.balanceOf(employee1.address);
+      await expect(
+        token.connect(employee2)["transfer(address,uint256)"](employee2.address, balance)
+      ).to.be.revertedWith("Amount not allowed");
+    });
+  });
+
+  describe("Gateway Decryption", function () {
+    it("Should only accept balance callbacks from the Gateway", async function () {
+      await expect(
+        payroll.connect(company).callbackBalance(0, 1000)
+      ).to.be.reverted;
+    });
+
+    it("Should publish the salary through the Gateway callback", async function () {
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+      const { handle, inputProof } = await encryptSalary(company, 3100_000000n);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+
+      await expect(payroll.connect(employee1).requestMyBalance(company.address)).to.emit(payroll, "BalanceRequested");
+      const [requestId] = await fhevm.awaitAllDecryptionResults();
+
+      const request = await payroll.getBalanceRequest(requestId);
+      expect(request.employee).to.equal(employee1.address);
+      expect(request.fulfilled).to.be.true;
+      expect(request.decryptedSalary).to.equal(3100_000000n);
+    });
+
+    it("Should not fulfil a request twice", async function () {
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+      await payroll.connect(employee1).requestMyBalance(company.address);
+
+      expect(await fhevm.awaitAllDecryptionResults()).to.have.lengthOf(1);
+      expect(await fhevm.awaitAllDecryptionResults()).to.be.empty;
+    });
+
+    it("Should return an empty record for unknown requests", async function () {
+      const request = await payroll.getBalanceRequest(42);
+      expect(request.employee).to.equal(ethers.ZeroAddress);
+      expect(request.fulfilled).to.be.false;
+    });
+  });
+
+  describe("PayrollClient", function () {
+    let sdk;
+    let client;
+
+    before(async function () {
+      // The SDK is an ES module shared with the frontend
+      sdk = await import("../sdk/index.js");
+    });
+
+    beforeEach(async function () {
+      client = new sdk.PayrollClient(payroll.connect(company));
+      await client.wait(await client.registerCompany("Test Corp"));
+    });
+
+    it("Should return named company and employee info", async function () {
+      await client.wait(await client.addEmployee(employee1.address));
+
+      const companyInfo = await client.getCompanyInfo(company.address);
+      expect(companyInfo).to.include({ name: "Test Corp", isRegistered: true, employeeCount: 1, totalPayments: 0 });
+
+      const employeeInfo = await client.getEmployeeInfo(company.address, employee1.address);
+      expect(employeeInfo.companyAddress).to.equal(company.address);
+      expect(employeeInfo.isActive).to.be.true;
+    });
+
+    it("Should detect the user type", async function () {
+      await client.wait(await client.addEmployee(employee1.address));
+
+      expect((await client.getUserType(company.address)).type).to.equal("company");
+      expect((await client.getUserType(employee1.address)).type).to.equal("employee");
+      expect((await client.getUserType(employee2.address)).type).to.be.null;
+
+      // A company member can be employed elsewhere at the same time
+      await client.connect(employee2).wait(await client.connect(employee2).registerCompany("Side Corp"));
+      await client.wait(await client.addEmployee(employee2.address));
+      const both = await client.getUserType(employee2.address);
+      expect(both.type).to.equal("company");
+      expect(both.company.name).to.equal("Side Corp");
+      expect(both.employments).to.have.lengthOf(1);
+      expect(both.employments[0]).to.include({ companyAddress: company.address, companyName: "Test Corp", isActive: true });
+    });
+
+    it("Should detect delegated roles and their company", async function () {
+      const [, , , , hr] = await ethers.getSigners();
+      await client.wait(await client.grantRole(hr.address, sdk.CompanyRole.HR));
+
+      const { type, company: info, roles } = await client.getUserType(hr.address);
+      expect(type).to.equal("company");
+      expect(info.address).to.equal(company.address);
+      expect(roles).to.deep.equal({ company: company.address, isOwner: false, isHR: true, isPayrollApprover: false });
+
+      let error;
+      try {
+        await client.connect(hr).setApprovalThreshold(1);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.code).to.equal(sdk.PayrollErrorCode.MISSING_ROLE);
+    });
+
+    it("Should decode revert reasons into typed errors", async function () {
+      let error;
+      try {
+        await client.registerCompany("Test Corp 2");
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).to.be.instanceOf(sdk.PayrollError);
+      expect(error.code).to.equal(sdk.PayrollErrorCode.COMPANY_ALREADY_REGISTERED);
+      expect(error.reason).to.equal("Company already registered");
+    });
+
+    it("Should decode the revert reason of a transaction that failed on-chain", async function () {
+      // With automining off the node accepts the transaction and only fails it when mining
+      await ethers.provider.send("evm_setAutomine", [false]);
+      let tx;
+      try {
+        tx = await payroll.connect(company).registerCompany("Test Corp 2", { gasLimit: 500000 });
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+      await ethers.provider.send("evm_mine", []);
+
+      let error;
+      try {
+        await client.wait(tx);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).to.be.instanceOf(sdk.PayrollError);
+      expect(error.code).to.equal(sdk.PayrollErrorCode.COMPANY_ALREADY_REGISTERED);
+    });
+
+    it("Should encrypt salaries and let only allowed users decrypt them", async function () {
+      const instance = await fhevm.createInstance();
+      client = new sdk.PayrollClient(payroll.connect(company), { fhevm: instance });
+      await client.wait(await client.addEmployee(employee1.address));
+      await client.wait(await client.setSalary(employee1.address, sdk.parseSalary("4200.5")));
+
+      expect(await client.decryptSalary(company.address, employee1.address)).to.equal(4200_500000n);
+      expect(await client.connect(employee1).decryptSalary(company.address, employee1.address)).to.equal(4200_500000n);
+
+      const handle = await client.getEncryptedSalary(company.address, employee1.address);
+      let error;
+      try {
+        await client.connect(employee2).decrypt(handle);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.match(/not authorized/);
+    });
+
+    it("Should share a salary with a grantee until revoked", async function () {
+      const instance = await fhevm.createInstance();
+      client = new sdk.PayrollClient(payroll.connect(company), { fhevm: instance });
+      await client.wait(await client.addEmployee(employee1.address));
+      await client.wait(await client.setSalary(employee1.address, sdk.parseSalary("4200")));
+
+      const employeeClient = client.connect(employee1);
+      const verifier = client.connect(employee2);
+      await employeeClient.wait(await employeeClient.grantSalaryAccess(employee2.address));
+      expect(await employeeClient.getSalaryGrants(employee1.address)).to.deep.equal([
+        { grantee: employee2.address, expiresAt: null, expired: false },
+      ]);
+      expect(await verifier.getSalaryGrant(employee1.address, employee2.address)).to.deep.equal({
+        active: true,
+        expiresAt: null,
+        valid: true,
+      });
+      expect(await verifier.decryptSalary(company.address, employee1.address)).to.equal(4200_000000n);
+
+      await employeeClient.wait(await employeeClient.revokeSalaryAccess(employee2.address));
+      let error;
+      try {
+        await verifier.decryptSalary(company.address, employee1.address);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.code).to.equal(sdk.PayrollErrorCode.NOT_AUTHORIZED);
+    });
+
+    it("Should type errors from other signers", async function () {
+      const outsider = client.connect(employee2);
+      let error;
+      try {
+        await outsider.addEmployee(employee1.address);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.code).to.equal(sdk.PayrollErrorCode.COMPANY_NOT_REGISTERED);
+    });
+
+    it("Should fund the treasury, pay and decrypt balances through the SDK", async function () {
+      const instance = await fhevm.createInstance();
+      client = new sdk.PayrollClient(payroll.connect(company), { fhevm: instance });
+      const tokenClient = new sdk.TokenClient(token.connect(company), { fhevm: instance });
+      expect(await client.getTokenAddress()).to.equal(tokenClient.address);
+
+      await tokenClient.wait(await tokenClient.mint(company.address, sdk.parseSalary("5000")));
+      await tokenClient.wait(await tokenClient.approve(client.address, sdk.parseSalary("4000")));
+      await client.wait(await client.depositToTreasury(sdk.parseSalary("4000")));
+      await client.wait(await client.addEmployee(employee1.address));
+      await client.wait(await client.setSalary(employee1.address, sdk.parseSalary("1200")));
+      await client.wait(await client.paySalary(employee1.address));
+
+      expect(await client.getTreasuryStatus(company.address)).to.deep.equal({
+        balance: 2800_000000n,
+        activeSalaryTotal: 1200_000000n,
+        payRunsCovered: 2
+      });
+      const period = await client.getCurrentPayPeriod();
+      const periodLength = await client.getPayPeriodLength();
+      expect(await client.getPayrollAnalytics(company.address)).to.deep.equal({
+        commitment: 1200_000000n,
+        periodLength,
+        periods: [{ period, start: period * periodLength, end: (period + 1) * periodLength, totalPaid: 1200_000000n }]
+      });
+      expect(await tokenClient.decryptBalance(company.address)).to.equal(1000_000000n);
+      expect(await tokenClient.connect(employee1).decryptBalance(employee1.address)).to.equal(1200_000000n);
+
+      let error;
+      try {
+        await tokenClient.connect(employee2).decryptBalance(employee1.address);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.match(/not authorized/);
+
+      try {
+        await tokenClient.connect(employee1).mint(employee1.address, 1n);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.code).to.equal(sdk.PayrollErrorCode.NOT_TOKEN_OWNER);
+    });
+
+    it("Should set pay components and decrypt each payment's breakdown", async function () {
+      const instance = await fhevm.createInstance();
+      client = new sdk.PayrollClient(payroll.connect(company), { fhevm: instance });
+      await fundCompany(5000_000000n);
+      await client.wait(await client.addEmployee(employee1.address));
+      await client.wait(await client.setSalary(employee1.address, sdk.parseSalary("3000")));
+      await client.wait(await client.setPayComponent(employee1.address, sdk.PayComponent.BONUS, sdk.parseSalary("500")));
+      await client.wait(await client.setPayComponent(employee1.address, sdk.PayComponent.DEDUCTIONS, sdk.parseSalary("100")));
+      await client.wait(
+        await client.setPayComponent(employee1.address, sdk.PayComponent.WITHHOLDING, sdk.parseWithholding("12.5"))
+      );
+
+      const employeeClient = client.connect(employee1);
+      expect(await employeeClient.decryptPayComponents(company.address, employee1.address)).to.deep.equal({
+        salary: 3000_000000n,
+        bonus: 500_000000n,
+        deductions: 100_000000n,
+        withholding: 1250n
+      });
+
+      await client.wait(await client.paySalary(employee1.address));
+      const record = await client.getPaymentRecord(employee1.address, 0);
+      expect(await employeeClient.decryptPayment(record)).to.deep.equal({
+        gross: 3500_000000n,
+        withholding: 437_500000n,
+        deductions: 100_000000n,
+        net: 2962_500000n
+      });
+    });
+
+    it("Should cap salary and bonus at MAX_PAY so withholding doesn't overflow", async function () {
+      const instance = await fhevm.createInstance();
+      client = new sdk.PayrollClient(payroll.connect(company), { fhevm: instance });
+      const maxPay = await payroll.MAX_PAY();
+      expect(maxPay).to.equal(sdk.MAX_PAY);
+      await fundCompany(2n * maxPay);
+      await client.wait(await client.addEmployee(employee1.address));
+      await client.wait(await client.setSalary(employee1.address, maxPay + 1n));
+      await client.wait(await client.setPayComponent(employee1.address, sdk.PayComponent.BONUS, sdk.MAX_UINT64));
+      await client.wait(
+        await client.setPayComponent(employee1.address, sdk.PayComponent.WITHHOLDING, sdk.parseWithholding("33.33"))
+      );
+
+      const employeeClient = client.connect(employee1);
+      const pay = await employeeClient.decryptPayComponents(company.address, employee1.address);
+      expect(pay).to.include({ salary: maxPay, bonus: maxPay });
+
+      // Gross of 2 * MAX_PAY times the rate stays below 2^64
+      await client.wait(await client.paySalary(employee1.address));
+      const gross = 2n * maxPay;
+      const withholding = (gross * 3333n) / sdk.BASIS_POINTS;
+      expect(await employeeClient.decryptPayment(await client.getPaymentRecord(employee1.address, 0))).to.deep.equal({
+        gross,
+        withholding,
+        deductions: 0n,
+        net: gross - withholding
+      });
+
+      let error;
+      try {
+        sdk.parseSalary("900000000.000001", { max: sdk.MAX_PAY });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.match(/exceeds the maximum of 900000000.0/);
+    });
+
+    it("Should sign, co-sign and verify a payslip against the payment event", async function () {
+      const instance = await fhevm.createInstance();
+      client = new sdk.PayrollClient(payroll.connect(company), { fhevm: instance });
+      const tokenClient = new sdk.TokenClient(token.connect(company), { fhevm: instance });
+      await tokenClient.wait(await tokenClient.mint(company.address, sdk.parseSalary("5000")));
+      await tokenClient.wait(await tokenClient.approve(client.address, sdk.parseSalary("5000")));
+      await client.wait(await client.depositToTreasury(sdk.parseSalary("5000")));
+      await client.wait(await client.addEmployee(employee1.address));
+      await client.wait(await client.setSalary(employee1.address, sdk.parseSalary("1200")));
+      const receipt = await client.wait(await client.paySalary(employee1.address));
+
+      const employeeClient = client.connect(employee1);
+      const unsigned = await employeeClient.getPayslip(employee1.address, 0);
+      expect(unsigned).to.include({
+        employee: employee1.address,
+        company: company.address,
+        companyName: "Test Corp",
+        paymentIndex: 0,
+        txHash: receipt.hash,
+        amount: "1200000000",
+      });
+
+      const signed = await employeeClient.signPayslip(unsigned);
+      const cosigned = await client.signPayslip(sdk.parsePayslip(sdk.payslipToJson(signed)));
+      const verifier = new sdk.PayrollClient(payroll.connect(ethers.provider));
+      // Only the employee vouches for the amount until the company co-signs
+      const uncosigned = await verifier.verifyPayslip(signed);
+      expect(uncosigned).to.deep.include({ valid: false, employeeSignature: true, companySignature: null, payment: true });
+      expect(uncosigned.errors).to.deep.equal(["Not co-signed by the company, so the amount is unverified"]);
+      expect(await verifier.verifyPayslip(cosigned)).to.deep.include({
+        valid: true,
+        employeeSignature: true,
+        companySignature: true,
+        payment: true,
+      });
+
+      // A changed amount breaks both signatures; a different payment fails the on-chain check
+      const inflated = await verifier.verifyPayslip({ ...cosigned, amount: "9999000000" });
+      expect(inflated).to.deep.include({ valid: false, employeeSignature: false, companySignature: false });
+      const moved = await verifier.verifyPayslip({ ...cosigned, timestamp: cosigned.timestamp + 1 });
+      expect(moved).to.deep.include({ valid: false, payment: false });
+
+      // Co-signatures by the owner at the time of payment outlive an ownership transfer
+      const [, , , , , , , , , newOwner] = await ethers.getSigners();
+      await client.wait(await client.transferCompanyOwnership(newOwner.address));
+      expect(await verifier.verifyPayslip(cosigned)).to.deep.include({ valid: true, companySignature: true });
+      const forged = await employee2.signTypedData(
+        sdk.payslipDomain(signed),
+        sdk.PAYSLIP_TYPES,
+        sdk.payslipMessage(signed)
+      );
+      expect(
+        await verifier.verifyPayslip({ ...signed, signatures: { ...signed.signatures, company: forged } })
+      ).to.deep.include({ valid: false, companySignature: false });
+
+      let error;
+      try {
+        await client.connect(employee2).signPayslip(unsigned);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.match(/Only the employee or the company owner/);
+      try {
+        await employeeClient.signPayslip({ ...unsigned, amount: "9999000000" });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.match(/does not match the on-chain payment/);
+    });
+
+    it("Should find a payslip's payment event across bounded log windows", async function () {
+      const instance = await fhevm.createInstance();
+      client = new sdk.PayrollClient(payroll.connect(company), { fhevm: instance, deployBlock });
+      await client.wait(await client.addEmployee(employee1.address));
+      await client.wait(await client.setSalary(employee1.address, sdk.parseSalary("1200")));
+      await client.wait(await client.paySalary(employee1.address));
+      // Put the second payment more than one query window further on
+      await ethers.provider.send("hardhat_mine", [ethers.toQuantity(sdk.LOG_QUERY_WINDOW + 5)]);
+      const receipt = await client.wait(await client.paySalary(employee1.address));
+
+      const employeeClient = client.connect(employee1);
+      expect(employeeClient.deployBlock).to.equal(deployBlock);
+      expect((await employeeClient.getPayslip(employee1.address, 1)).txHash).to.equal(receipt.hash);
+
+      // Newest first stops in the latest window once enough events are found
+      const filter = payroll.filters.PaymentMade(null, employee1.address);
+      const latest = await client.queryLogs(filter, { newestFirst: true, done: (found) => found.length >= 1 });
+      expect(latest.map((event) => event.transactionHash)).to.deep.equal([receipt.hash]);
+      expect(await client.queryLogs(filter, { newestFirst: true })).to.have.lengthOf(2);
+
+      let error;
+      try {
+        await employeeClient.getPayslip(employee1.address, 1, undefined, { fromBlock: receipt.blockNumber + 1 });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.match(/No PaymentMade event for payment #1/);
+    });
+  });
+
+  describe("Payroll Indexer", function () {
+    const { PayrollStore, PayrollIndexer, createApiServer } = require("../indexer");
+    let store;
+
+    // A fresh indexer over `store`, as after a restart
+    async function createIndexer() {
+      return new PayrollIndexer({
+        provider: ethers.provider,
+        address: await payroll.getAddress(),
+        store,
+        startBlock: deployBlock,
+      });
+    }
+
+    beforeEach(async function () {
+      store = new PayrollStore(":memory:");
+      store.bind({ chainId: 1337, contract: await payroll.getAddress() });
+      await payroll.connect(company).registerCompany("Test Corp");
+    });
+
+    afterEach(function () {
+      store.close();
+    });
+
+    it("Should index rosters and payments and resume from its checkpoint", async function () {
+      await payroll.connect(company).addEmployee(employee1.address);
+      await payroll.connect(company).addEmployee(employee2.address);
+      const { handle, inputProof } = await encryptSalary(company, 5000);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+      await payroll.connect(company).paySalary(employee1.address);
+
+      const first = await (await createIndexer()).sync();
+      expect(first.to).to.equal(await ethers.provider.getBlockNumber());
+      expect(store.getCompany(company.address)).to.include({ name: "Test Corp", employeeCount: 2, totalPayments: 1 });
+      const roster = store.listEmployees(company.address, { limit: 10, offset: 0 });
+      expect(roster.total).to.equal(2);
+      expect(roster.items[0]).to.include({ address: employee1.address, isActive: true, paymentCount: 1 });
+      expect(roster.items[0].salarySetAt).to.be.greaterThan(0);
+      const secondPage = store.listEmployees(company.address, { limit: 1, offset: 1 });
+      expect(secondPage.total).to.equal(2);
+      expect(secondPage.items.map((row) => [row.address, row.paymentCount])).to.deep.equal([[employee2.address, 0]]);
+
+      // A second employer's payment counts towards the employee's on-chain record index
+      await payroll.connect(employee2).registerCompany("Side Corp");
+      await payroll.connect(employee2).addEmployee(employee1.address);
+      await payroll.connect(employee2).paySalary(employee1.address);
+      await payroll.connect(company).removeEmployee(employee2.address);
+
+      const resumed = await (await createIndexer()).sync();
+      expect(resumed.from).to.equal(first.to + 1);
+      expect(store.listEmployees(company.address, { active: true, limit: 10, offset: 0 }).items.map((row) => row.address))
+        .to.deep.equal([employee1.address]);
+      const payments = store.listPayments({ employee: employee1.address, limit: 10, offset: 0 });
+      expect(payments.items.map((payment) => [payment.from, payment.recordIndex])).to.deep.equal([
+        [employee2.address, 1],
+        [company.address, 0],
+      ]);
+      expect(store.listPayments({ company: employee2.address, limit: 10, offset: 0 }).items[0].recordIndex).to.equal(1);
+      expect(store.listEmployers(employee1.address).map((row) => row.name)).to.deep.equal(["Test Corp", "Side Corp"]);
+    });
+
+    it("Should roll back blocks that were reorged out", async function () {
+      const indexer = await createIndexer();
+      await indexer.sync();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await payroll.connect(company).addEmployee(employee1.address);
+      await indexer.sync();
+      expect(store.getCompany(company.address).employeeCount).to.equal(1);
+
+      // The chain drops employee1's hire and includes employee2's instead
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await ethers.provider.send("evm_mine", []);
+      await payroll.connect(company).addEmployee(employee2.address);
+      const { rolledBackTo } = await indexer.sync();
+
+      expect(rolledBackTo).to.be.lessThan(await ethers.provider.getBlockNumber() - 1);
+      expect(store.listEmployees(company.address, { limit: 10, offset: 0 }).items.map((row) => row.address))
+        .to.deep.equal([employee2.address]);
+      expect(store.getCheckpoint().hash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("Should serve paginated companies, rosters and payments over HTTP", async function () {
+      await payroll.connect(company).addEmployee(employee1.address);
+      await payroll.connect(company).addEmployee(employee2.address);
+      await payroll.connect(company).paySalary(employee1.address);
+      await (await createIndexer()).sync();
+
+      const server = createApiServer(store);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const get = async (path) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+        return { status: res.status, body: await res.json() };
+      };
+      try {
+        const companies = await get("/companies");
+        expect(companies.body.items.map((item) => item.address)).to.deep.equal([company.address]);
+
+        const page = await get(`/companies/${company.address.toLowerCase()}/employees?limit=1&offset=1`);
+        expect(page.body).to.include({ total: 2, limit: 1, offset: 1 });
+        expect(page.body.items.map((item) => item.address)).to.deep.equal([employee2.address]);
+        expect(page.body.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        const received = await get(`/employees/${employee1.address}/payments?company=${company.address}`);
+        expect(received.body.items).to.have.lengthOf(1);
+        expect(received.body.items[0]).to.include({ from: company.address, to: employee1.address, recordIndex: 0 });
+
+        expect((await get("/companies/0x1234/employees")).status).to.equal(400);
+        expect((await get(`/companies/${company.address}/payments?limit=501`)).status).to.equal(400);
+        expect((await get(`/companies/${employee1.address}`)).status).to.equal(404);
+        expect((await get("/unknown")).status).to.equal(404);
+      } finally {
+        server.close();
+      }
+    });
+
+    it("Should report its confirmations and page payments by date and payment id", async function () {
+      await payroll.connect(company).addEmployees([employee1.address, employee2.address]);
+      for (let i = 0; i < 3; i++) {
+        await payroll.connect(company).payEmployees([employee1.address, employee2.address]);
+      }
+      await (await createIndexer()).sync();
+
+      const server = createApiServer(store, { confirmations: 2 });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const get = async (path) => (await fetch(`http://127.0.0.1:${server.address().port}${path}`)).json();
+      try {
+        expect(await get("/status")).to.include({ contract: (await payroll.getAddress()).toLowerCase(), confirmations: 2 });
+
+        const all = await get(`/companies/${company.address}/payments?limit=500`);
+        expect(all.total).to.equal(6);
+        const oldest = all.items[5];
+        const page = await get(`/companies/${company.address}/payments?limit=2&at=${oldest.id}`);
+        expect(page).to.include({ offset: 4, total: 6 });
+        expect(page.items.map((item) => item.id)).to.include(oldest.id);
+
+        const newest = all.items[0].timestamp;
+        const recent = await get(`/companies/${company.address}/payments?from=${newest}&to=${newest}`);
+        expect(recent.items.map((item) => item.id)).to.deep.equal(all.items.filter((item) => item.timestamp === newest).map((item) => item.id));
+        const unknown = await get(`/employees/${employee1.address}/payments?limit=1&offset=1&at=0x00:0`);
+        expect(unknown).to.include({ offset: 1, total: 3 });
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe("Pay Schedules", function () {
+    const PayFrequency = { None: 0, Weekly: 1, Biweekly: 2, Monthly: 3 };
+    const DAY = 24 * 3600;
+    const utc = (year, month, day, hour = 0) => Date.UTC(year, month - 1, day, hour) / 1000;
+    let employee3;
+
+    // Mine a block at `time`; the next transaction is mined just after it
+    async function travelTo(time) {
+      await ethers.provider.send("evm_mine", [time]);
+    }
+
+    // A year the chain has not reached yet, so each test can travel forward to its dates
+    async function nextYear() {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      return new Date(timestamp * 1000).getUTCFullYear() + 1;
+    }
+
+    beforeEach(async function () {
+      [, , , employee3] = await ethers.getSigners();
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployees([employee1.address, employee2.address]);
+    });
+
+    it("Should set a company default that employees can override", async function () {
+      const year = await nextYear();
+      const anchor = utc(year, 1, 15);
+      await expect(payroll.connect(company).setPaySchedule(ethers.ZeroAddress, PayFrequency.Monthly, anchor))
+        .to.emit(payroll, "PayScheduleSet")
+        .withArgs(company.address, ethers.ZeroAddress, PayFrequency.Monthly, anchor);
+
+      // Until the anchor the next pay date is the anchor itself
+      expect(await payroll.getPaySchedule(company.address, employee1.address)).to.deep.equal([
+        BigInt(PayFrequency.Monthly),
+        BigInt(anchor),
+        BigInt(anchor),
+        false,
+      ]);
+
+      const weekly = utc(year, 1, 5);
+      await payroll.connect(company).setPaySchedule(employee2.address, PayFrequency.Weekly, weekly);
+      expect((await payroll.getPaySchedule(company.address, employee2.address)).frequency).to.equal(PayFrequency.Weekly);
+      expect((await payroll.getPaySchedule(company.address, employee1.address)).frequency).to.equal(PayFrequency.Monthly);
+
+      // Clearing the override falls back to the default
+      await payroll.connect(company).setPaySchedule(employee2.address, PayFrequency.None, 0);
+      expect((await payroll.getPaySchedule(company.address, employee2.address)).anchor).to.equal(anchor);
+      expect(await payroll.getPaySchedule(company.address, employee3.address)).to.deep.equal([
+        BigInt(PayFrequency.Monthly),
+        BigInt(anchor),
+        BigInt(anchor),
+        false,
+      ]);
+    });
+
+    it("Should only let HR schedule the company's own employees", async function () {
+      await expect(
+        payroll.connect(employee1).setPaySchedule(ethers.ZeroAddress, PayFrequency.Weekly, 1)
+      ).to.be.revertedWith("Company not registered");
+      await expect(
+        payroll.connect(company).setPaySchedule(employee3.address, PayFrequency.Weekly, 1)
+      ).to.be.revertedWith("Not employee's company");
+      await expect(
+        payroll.connect(company).setPaySchedule(ethers.ZeroAddress, PayFrequency.Monthly, 0)
+      ).to.be.revertedWith("Invalid anchor");
+    });
+
+    it("Should pay each employee at most once per pay period", async function () {
+      const anchor = utc(await nextYear(), 1, 1);
+      await payroll.connect(company).setPaySchedule(ethers.ZeroAddress, PayFrequency.Weekly, anchor);
+      await travelTo(anchor + DAY);
+
+      await payroll.connect(company).paySalary(employee1.address);
+      await expect(payroll.connect(company).paySalary(employee1.address)).to.be.revertedWith("Already paid this period");
+      await expect(
+        payroll.connect(company).payEmployees([employee2.address, employee1.address])
+      ).to.be.revertedWith("Already paid this period");
+
+      const paid = await payroll.getPaySchedule(company.address, employee1.address);
+      expect([paid.nextPayDate, paid.due]).to.deep.equal([BigInt(anchor + 7 * DAY), false]);
+      const unpaid = await payroll.getPaySchedule(company.address, employee2.address);
+      expect([unpaid.nextPayDate, unpaid.due]).to.deep.equal([BigInt(anchor), true]);
+
+      await travelTo(anchor + 7 * DAY);
+      await payroll.connect(company).payEmployees([employee1.address, employee2.address]);
+      expect(await payroll.getPaymentHistoryCount(employee1.address)).to.equal(2);
+      expect(await payroll.getPaymentHistoryCount(employee2.address)).to.equal(1);
+
+      // Removed employees are never due
+      await payroll.connect(company).removeEmployee(employee2.address);
+      await travelTo(anchor + 14 * DAY);
+      expect((await payroll.getPaySchedule(company.address, employee2.address)).due).to.be.false;
+    });
+
+    it("Should clamp monthly pay dates to the end of shorter months", async function () {
+      const year = await nextYear();
+      const anchor = utc(year, 1, 31, 9);
+      const february = utc(year, 2, new Date(Date.UTC(year, 2, 0)).getUTCDate(), 9);
+      await payroll.connect(company).setPaySchedule(ethers.ZeroAddress, PayFrequency.Monthly, anchor);
+
+      await travelTo(utc(year, 2, 1));
+      expect((await payroll.getPaySchedule(company.address, employee1.address)).nextPayDate).to.equal(anchor);
+      await payroll.connect(company).paySalary(employee1.address);
+      expect((await payroll.getPaySchedule(company.address, employee1.address)).nextPayDate).to.equal(february);
+
+      await travelTo(february - 60);
+      await expect(payroll.connect(company).paySalary(employee1.address)).to.be.revertedWith("Already paid this period");
+      await travelTo(february);
+      await payroll.connect(company).paySalary(employee1.address);
+      expect((await payroll.getPaySchedule(company.address, employee1.address)).nextPayDate).to.equal(
+        utc(year, 3, 31, 9)
+      );
+    });
+
+    it("Should let the keeper pay due employees once however often it runs", async function () {
+      const { runKeeper } = require("../scripts/lib/keeper");
+      const { PayrollClient } = await import("../sdk/index.js");
+      const client = new PayrollClient(payroll.connect(company));
+      await payroll.connect(company).addEmployee(employee3.address);
+      await payroll.connect(company).removeEmployee(employee3.address);
+
+      const year = await nextYear();
+      await payroll.connect(company).setPaySchedule(ethers.ZeroAddress, PayFrequency.Monthly, utc(year, 1, 1));
+      await travelTo(utc(year, 1, 2));
+
+      const dryRun = await runKeeper({ client, dryRun: true });
+      expect(dryRun.due.map(({ employee }) => employee)).to.deep.equal([employee1.address, employee2.address]);
+      expect(dryRun.batches).to.be.empty;
+      expect(await payroll.getPaymentHistoryCount(employee1.address)).to.equal(0);
+
+      const first = await runKeeper({ client });
+      expect(first.paid).to.deep.equal([employee1.address, employee2.address]);
+      expect(first.failed).to.be.empty;
+      expect(first.batches).to.have.lengthOf(1);
+
+      const rerun = await runKeeper({ client });
+      expect(rerun.due).to.be.empty;
+      expect(rerun.batches).to.be.empty;
+
+      await travelTo(utc(year, 2, 1));
+      expect((await runKeeper({ client })).paid).to.have.lengthOf(2);
+      expect(await payroll.getPaymentHistoryCount(employee1.address)).to.equal(2);
+      expect(await payroll.getPaymentHistoryCount(employee3.address)).to.equal(0);
+    });
+
+    it("Should not let the keeper bypass M-of-N approvals", async function () {
+      const { runKeeper } = require("../scripts/lib/keeper");
+      const { PayrollClient } = await import("../sdk/index.js");
+      const keeperError = async (signer) => {
+        try {
+          await runKeeper({ client: new PayrollClient(payroll.connect(signer)) });
+        } catch (error) {
+          return error.message;
+        }
+        return null;
+      };
+
+      await payroll.connect(company).grantRole(employee3.address, 2); // Role.PayrollApprover
+      await payroll.connect(company).setApprovalThreshold(2);
+      expect(await keeperError(company)).to.include("requires 2 approvals");
+      expect(await keeperError(employee1)).to.include("not a member of any company");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep companies, employees and encrypted salaries across an upgrade", async function () {
+      const { acl } = await fhevm.installFhevmMocks();
+      const sdk = await import("../sdk/index.js");
+      const instance = await fhevm.createInstance();
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+      const { handle, inputProof } = await encryptSalary(company, 4200_000000n);
+      await payroll.connect(company).setSalary(employee1.address, handle, inputProof);
+      await payroll.connect(company).paySalary(employee1.address);
+      await payroll.connect(employee1).grantSalaryAccess(employee2.address, 0);
+      const proxy = await payroll.getAddress();
+      const salary = await payroll.connect(employee1).getEncryptedSalary(company.address, employee1.address);
+
+      const v2 = await deployImplementation(ethers, "ConfidentialPayrollV2Mock", [await token.getAddress()]);
+      await upgradeProxy(ethers, proxy, v2.address, company);
+      const upgraded = await ethers.getContractAt("ConfidentialPayrollV2Mock", proxy);
+
+      expect(await getImplementationAddress(ethers, proxy)).to.equal(v2.address);
+      expect(await upgraded.version()).to.equal("2");
+      const info = await upgraded.getCompanyInfo(company.address);
+      expect(info.name).to.equal("Test Corp");
+      expect(info.employeeCount).to.equal(1);
+      expect(info.totalPayments).to.equal(1);
+      expect((await upgraded.getEmployeeInfo(company.address, employee1.address)).isActive).to.be.true;
+      expect(await upgraded.getPaymentHistoryCount(employee1.address)).to.equal(1);
+
+      // Handles and their ACL permissions belong to the proxy address, which didn't change
+      expect(await upgraded.connect(employee1).getEncryptedSalary(company.address, employee1.address)).to.equal(salary);
+      for (const account of [proxy, company.address, employee1.address, employee2.address]) {
+        expect(await acl.persistAllowed(salary, account)).to.be.true;
+      }
+      const client = new sdk.PayrollClient(upgraded.connect(employee1), { fhevm: instance });
+      expect(await client.decryptSalary(company.address, employee1.address)).to.equal(4200_000000n);
+      expect(await client.connect(employee2).decryptSalary(company.address, employee1.address)).to.equal(4200_000000n);
+
+      // The new code keeps computing on the stored handles and can use its own storage
+      await upgraded.connect(company).paySalary(employee1.address);
+      expect(await upgraded.getPaymentHistoryCount(employee1.address)).to.equal(2);
+      await upgraded.recordUpgrade();
+      expect(await upgraded.upgradeCount()).to.equal(1);
+      expect((await upgraded.getCompanyInfo(company.address)).totalPayments).to.equal(2);
+    });
+
+    it("Should only let the ProxyAdmin owner upgrade", async function () {
+      const proxy = await payroll.getAddress();
+      const v2 = await deployImplementation(ethers, "ConfidentialPayrollV2Mock", [await token.getAddress()]);
+      const implementation = await getImplementationAddress(ethers, proxy);
+
+      let error;
+      try {
+        await upgradeProxy(ethers, proxy, v2.address, employee1);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.include("OwnableUnauthorizedAccount");
+      expect(await getImplementationAddress(ethers, proxy)).to.equal(implementation);
+    });
+
+    it("Should accept appended state and reject layouts that move existing state", async function () {
+      const { getStorageLayout, compareStorageLayouts } = require("../scripts/lib/storageLayout");
+      const layout = await getStorageLayout(artifacts, "ConfidentialPayroll");
+      const v2 = await getStorageLayout(artifacts, "ConfidentialPayrollV2Mock");
+      const copy = () => JSON.parse(JSON.stringify(layout));
+
+      expect(compareStorageLayouts(layout, layout)).to.deep.equal({ errors: [], warnings: [] });
+      expect(compareStorageLayouts(layout, v2)).to.deep.equal({ errors: [], warnings: [] });
+      expect(compareStorageLayouts(v2, layout).errors).to.deep.equal([
+        `upgradeCount (slot ${v2.storage.at(-1).slot}, offset 0) was removed or moved`,
+      ]);
+
+      // A variable inserted at the top shifts everything after it by a slot
+      const inserted = copy();
+      for (const variable of inserted.storage) {
+        variable.slot += 1;
+      }
+      inserted.storage.unshift({ ...inserted.storage[0], label: "inserted", slot: 0 });
+      expect(compareStorageLayouts(layout, inserted).errors).to.have.length.greaterThan(1);
+
+      const retyped = copy();
+      const payrollRunCount = retyped.storage.find((variable) => variable.label === "payrollRunCount");
+      payrollRunCount.type = { label: "address", encoding: "inplace", numberOfBytes: 20 };
+      expect(compareStorageLayouts(layout, retyped).errors).to.deep.equal([
+        "payrollRunCount changed from uint256 to address",
+      ]);
+
+      // Employee records live in a mapping, so the struct may grow but not reorder
+      const employments = (candidate) => candidate.storage.find((variable) => variable.label === "employments");
+      const grown = copy();
+      const employee = employments(grown).type.value.value;
+      const lastMember = employee.members.at(-1);
+      employee.members.push({ ...lastMember, label: "addedLater", slot: lastMember.slot + 1, offset: 0 });
+      employee.numberOfBytes += 32;
+      expect(compareStorageLayouts(layout, grown)).to.deep.equal({ errors: [], warnings: [] });
+
+      const reordered = copy();
+      const members = employments(reordered).type.value.value.members;
+      [members[1].label, members[2].label] = [members[2].label, members[1].label];
+      [members[1].type, members[2].type] = [members[2].type, members[1].type];
+      expect(compareStorageLayouts(layout, reordered).errors).to.deep.equal([
+        "employments[][].companyAddress changed from address to euint64",
+        "employments[][].encryptedSalary changed from euint64 to address",
+      ]);
+
+      // Renames keep the data in place; they are only reported
+      const renamed = copy();
+      const companyAddresses = renamed.storage.find((variable) => variable.label === "companyAddresses");
+      companyAddresses.label = "companyList";
+      expect(compareStorageLayouts(layout, renamed)).to.deep.equal({
+        errors: [],
+        warnings: [`companyAddresses (slot ${companyAddresses.slot}) was renamed to companyList`],
+      });
+    });
+  });
+
+  describe("Hardhat Tasks", function () {
+    // Run a payroll task against the test deployment and collect what it printed
+    async function runTask(name, args) {
+      const lines = [];
+      const { log } = console;
+      const { exitCode } = process;
+      console.log = (line) => lines.push(line);
+      try {
+        await run(name, { contract: await payroll.getAddress(), ...args });
+        return { lines, exitCode: process.exitCode };
+      } finally {
+        console.log = log;
+        process.exitCode = exitCode;
+      }
+    }
+
+    beforeEach(async function () {
+      await payroll.connect(company).registerCompany("Test Corp");
+      await payroll.connect(company).addEmployee(employee1.address);
+    });
+
+    it("Should encrypt and set a salary with payroll:set-salary on the hardhat network", async function () {
+      const { lines } = await runTask("payroll:set-salary", {
+        employee: employee1.address,
+        amount: "4200.5",
+        json: true,
+        fhevmMock: true,
+      });
+
+      expect(lines).to.have.lengthOf(1);
+      expect(JSON.parse(lines[0])).to.include({ ok: true, action: "set-salary" });
+      const salary = await payroll.getEncryptedSalary(company.address, employee1.address);
+      expect(await fhevm.decrypt64(salary)).to.equal(4200_500000n);
+    });
+
+    it("Should only use the fhEVM mocks when --fhevm-mock is passed", async function () {
+      const { lines, exitCode } = await runTask("payroll:set-salary", {
+        employee: employee1.address,
+        amount: "100",
+        json: true,
+      });
+
+      expect(JSON.parse(lines[0])).to.include({ ok: false, task: "payroll:set-salary" });
+      expect(JSON.parse(lines[0]).error).to.match(/No fhEVM configuration for chainId 1337; pass --fhevm-mock/);
+      expect(exitCode).to.equal(1);
+    });
+
+    it("Should report task failures as JSON", async function () {
+      const { lines, exitCode } = await runTask("payroll:set-salary", {
+        employee: employee2.address,
+        amount: "100",
+        json: true,
+        fhevmMock: true,
+      });
+
+      expect(JSON.parse(lines[0])).to.deep.equal({
+        ok: false,
+        task: "payroll:set-salary",
+        code: "NOT_EMPLOYEES_COMPANY",
+        error: "Not employee's company",
+      });
+      expect(exitCode).to.equal(1);
+    });
+  });
 });